@@ -0,0 +1,173 @@
+/**
+ * PhysicsLearn - Role Administration
+ * Lets administrators change the role of any account and answer the
+ * requests made when registering
+ */
+
+class RoleAdminPage {
+    constructor(api) {
+        this.api = api;
+        this.user = null;
+        this.users = [];
+    }
+
+    async init() {
+        this.status = document.getElementById('admin-status');
+        this.container = document.getElementById('admin-users');
+
+        try {
+            this.user = await this.api.refreshSession();
+        } catch (error) {
+            this.user = null;
+        }
+        if (!this.user) {
+            this.showStatus('info', 'Log in with an administrator account to manage roles.', { label: 'Log in', href: ApiClient.loginUrl() });
+            return;
+        }
+        if (!Permissions.can(this.user, 'user:manage-roles')) {
+            this.showStatus('error', 'Only administrators can manage roles.');
+            return;
+        }
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('select[data-user-id]')) {
+                this.changeRole(e.target);
+            }
+        });
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.answerRequest(button);
+            }
+        });
+
+        await this.load();
+    }
+
+    async load() {
+        try {
+            const { users } = await this.api.listUsers();
+            this.users = users;
+            this.render();
+        } catch (error) {
+            this.showStatus('error', error.message);
+        }
+    }
+
+    render() {
+        const options = Permissions.ROLES
+            .map(role => `<option value="${role}">${Permissions.ROLE_LABELS[role]}</option>`)
+            .join('');
+
+        const table = document.createElement('table');
+        table.className = 'admin-table';
+        table.innerHTML = `
+            <thead>
+                <tr><th scope="col">Name</th><th scope="col">Email</th><th scope="col">Role</th></tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        // Accounts waiting for a role come first
+        const users = [...this.users].sort((a, b) => Boolean(b.roleRequest) - Boolean(a.roleRequest));
+
+        const body = table.querySelector('tbody');
+        users.forEach(user => {
+            const row = document.createElement('tr');
+            const name = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td><select data-user-id="${user.id}" aria-label="Role">${options}</select></td>
+            `;
+            row.cells[0].textContent = name ? `${name} (${user.username})` : user.username;
+            row.cells[1].textContent = user.email;
+
+            const select = row.querySelector('select');
+            select.value = user.role;
+            select.dataset.role = user.role;
+            // An administrator cannot demote themselves and leave nobody in charge
+            select.disabled = user.id === this.user.id;
+
+            if (user.roleRequest) {
+                const request = document.createElement('div');
+                request.className = 'admin-request';
+                request.innerHTML = `
+                    <span></span>
+                    <button type="button" class="btn btn-primary" data-action="approve" data-user-id="${user.id}">Approve</button>
+                    <button type="button" class="btn btn-outline" data-action="decline" data-user-id="${user.id}">Decline</button>
+                `;
+                request.querySelector('span').textContent = `Asked for the ${Permissions.ROLE_LABELS[user.roleRequest] || user.roleRequest} role`;
+                row.cells[2].appendChild(request);
+            }
+            body.appendChild(row);
+        });
+
+        this.container.innerHTML = '';
+        this.container.appendChild(table);
+    }
+
+    async changeRole(select) {
+        select.disabled = true;
+        try {
+            const { user } = await this.api.setUserRole(select.dataset.userId, select.value);
+            select.dataset.role = user.role;
+            // Any change answers a pending request
+            const request = select.parentElement.querySelector('.admin-request');
+            if (request) request.remove();
+            this.showStatus('success', `${user.username} now has the ${Permissions.ROLE_LABELS[user.role]} role.`);
+        } catch (error) {
+            select.value = select.dataset.role;
+            this.showStatus('error', error.message);
+        } finally {
+            select.disabled = false;
+        }
+    }
+
+    /**
+     * Grant the requested role, or keep the current one and drop the request
+     */
+    async answerRequest(button) {
+        const user = this.users.find(u => u.id === button.dataset.userId);
+        if (!user) return;
+
+        const approve = button.dataset.action === 'approve';
+        button.parentElement.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        try {
+            const { user: updated } = await this.api.setUserRole(user.id, approve ? user.roleRequest : user.role);
+            this.showStatus('success', approve
+                ? `${updated.username} now has the ${Permissions.ROLE_LABELS[updated.role]} role.`
+                : `${updated.username}'s request was declined.`);
+            await this.load();
+        } catch (error) {
+            button.parentElement.querySelectorAll('button').forEach(b => { b.disabled = false; });
+            this.showStatus('error', error.message);
+        }
+    }
+
+    /**
+     * Message above the account list, with an optional `{ label, href }` link
+     */
+    showStatus(type, message, link = null) {
+        this.status.hidden = false;
+        this.status.className = `classes-status classes-status-${type}`;
+        this.status.textContent = message;
+        if (link) {
+            const anchor = document.createElement('a');
+            anchor.href = link.href;
+            anchor.textContent = link.label;
+            this.status.append(' ', anchor);
+        }
+    }
+}
+
+// Initialize the page when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.roleAdminPage = new RoleAdminPage(window.api);
+    window.roleAdminPage.init();
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoleAdminPage;
+}
@@ -0,0 +1,631 @@
+/**
+ * PhysicsLearn - API Client
+ * Single entry point for talking to the PhysicsLearn backend
+ */
+
+/**
+ * Error raised for any failed API call. `code` is one of 'validation',
+ * 'unauthorized', 'forbidden', 'not_found', 'conflict', 'rate_limited',
+ * 'server_error', 'network_error' or 'timeout', so pages can react without
+ * looking at HTTP status codes; `details` carries per-field messages for
+ * validation errors.
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'server_error', details = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    static codeForStatus(status) {
+        if (status === 400 || status === 422) return 'validation';
+        if (status === 401) return 'unauthorized';
+        if (status === 403) return 'forbidden';
+        if (status === 404) return 'not_found';
+        if (status === 409) return 'conflict';
+        if (status === 429) return 'rate_limited';
+        return 'server_error';
+    }
+
+    static defaultMessage(code) {
+        const messages = {
+            validation: 'Please check the highlighted fields and try again.',
+            unauthorized: 'Please log in to continue.',
+            forbidden: 'You do not have permission to do that.',
+            not_found: 'That item could not be found.',
+            conflict: 'That already exists.',
+            rate_limited: 'Too many requests. Please wait a moment and try again.',
+            server_error: 'Something went wrong on our side. Please try again.',
+            network_error: 'Could not reach the server. Check your connection and try again.',
+            timeout: 'The server took too long to respond. Please try again.'
+        };
+        return messages[code] || messages.server_error;
+    }
+}
+
+/**
+ * Sends requests to a real server with fetch
+ */
+class FetchAdapter {
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.timeout = options.timeout || 10000;
+    }
+
+    async send({ method, path, query, headers, body }) {
+        const url = new URL(this.baseUrl + path, window.location.href);
+        Object.entries(query || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                url.searchParams.set(key, value);
+            }
+        });
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+            const text = await response.text();
+            let data = null;
+            if (text) {
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    data = { error: { message: text } };
+                }
+            }
+            return { status: response.status, headers: response.headers, body: data };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new ApiError(ApiError.defaultMessage('timeout'), { code: 'timeout' });
+            }
+            throw new ApiError(ApiError.defaultMessage('network_error'), { code: 'network_error' });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Connect to the server's `/live` push channel over WebSocket, falling
+     * back to server-sent events once a WebSocket has failed to open (e.g.
+     * behind a proxy that does not pass upgrades). Returns an object with
+     * `close()`.
+     */
+    openLive({ token, onOpen, onMessage, onClose }) {
+        const url = new URL(`${this.baseUrl}/live`, window.location.href);
+        if (token) url.searchParams.set('token', token);
+
+        if (this.preferEventSource || typeof WebSocket === 'undefined') {
+            return this.openEventSource(url, { onOpen, onMessage, onClose });
+        }
+
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(url);
+        let opened = false;
+        let closed = false;
+
+        socket.onopen = () => {
+            opened = true;
+            onOpen('websocket');
+        };
+        socket.onmessage = event => onMessage(event.data);
+        socket.onclose = () => {
+            if (closed) return;
+            closed = true;
+            if (!opened && typeof EventSource !== 'undefined') {
+                this.preferEventSource = true;
+            }
+            onClose();
+        };
+
+        return {
+            close: () => {
+                closed = true;
+                socket.close();
+            }
+        };
+    }
+
+    openEventSource(url, { onOpen, onMessage, onClose }) {
+        const source = new EventSource(url);
+        source.onopen = () => onOpen('eventsource');
+        source.onmessage = event => onMessage(event.data);
+
+        // EventSource reconnects by itself unless the server refused it
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) onClose();
+        };
+
+        return { close: () => source.close() };
+    }
+}
+
+/**
+ * Subscription to the forum's live events (`snapshot`, `presence`,
+ * `topic:created`, `reply:created`, `vote`, `activity`, ...). Listeners
+ * receive each event's data; the connection is reopened with exponential
+ * backoff whenever it drops, until `close()` is called.
+ */
+class LiveChannel {
+    constructor(adapter, options = {}) {
+        this.adapter = adapter;
+        this.getToken = options.getToken || (() => null);
+        this.maxDelay = options.maxDelay || 30000;
+        this.listeners = new Map();
+        this.connection = null;
+        this.attempts = 0;
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return this;
+    }
+
+    emit(type, data) {
+        (this.listeners.get(type) || []).forEach(listener => {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`Live ${type} listener failed:`, error);
+            }
+        });
+    }
+
+    connect() {
+        this.closed = false;
+        this.connection = this.adapter.openLive({
+            token: this.getToken(),
+            onOpen: transport => {
+                this.attempts = 0;
+                this.emit('open', transport);
+            },
+            onMessage: message => this.receive(message),
+            onClose: () => this.reconnect()
+        });
+        return this;
+    }
+
+    receive(message) {
+        let event = message;
+        if (typeof message === 'string') {
+            try {
+                event = JSON.parse(message);
+            } catch (error) {
+                return;
+            }
+        }
+        if (event && event.type) {
+            this.emit(event.type, event.data);
+        }
+    }
+
+    reconnect() {
+        this.connection = null;
+        if (this.closed) return;
+
+        this.emit('close');
+        const delay = Math.min(this.maxDelay, 1000 * 2 ** this.attempts) * (0.5 + Math.random() / 2);
+        this.attempts++;
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.connection) {
+            this.connection.close();
+            this.connection = null;
+        }
+    }
+}
+
+/**
+ * JSON API client with retries and auth-token injection.
+ *
+ * Requests go through an adapter: `FetchAdapter` for a real server, or
+ * `FakeApiAdapter` (js/api-fake-adapter.js), which answers the same routes
+ * from localStorage so pages work offline. `ApiClient.fromPage()` picks one
+ * from the `physicslearn-api` meta tag or the `api_base_url` localStorage
+ * entry; without either, the fake adapter is used.
+ *
+ * Idempotent requests (GET, PUT, DELETE) are retried with exponential
+ * backoff after network errors, timeouts, 429 and 502–504 responses.
+ */
+class ApiClient {
+    constructor(options = {}) {
+        this.adapter = options.adapter;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelay = options.retryDelay || 300;
+        this.storage = options.storage || window.localStorage;
+        this.tokenKey = options.tokenKey || 'user_token';
+    }
+
+    /**
+     * Client configured for the current page
+     */
+    static fromPage() {
+        const meta = document.querySelector('meta[name="physicslearn-api"]');
+        const baseUrl = window.localStorage.getItem('api_base_url') || (meta ? meta.content : '');
+
+        if (baseUrl && baseUrl !== 'fake') {
+            return new ApiClient({ adapter: new FetchAdapter(baseUrl) });
+        }
+        return new ApiClient({ adapter: new FakeApiAdapter() });
+    }
+
+    /**
+     * The stored session token, or null once it has expired
+     */
+    getToken() {
+        const token = this.storage.getItem(this.tokenKey);
+        const expiresAt = this.storage.getItem(`${this.tokenKey}_expires`);
+        if (token && expiresAt && Date.parse(expiresAt) <= Date.now()) {
+            this.clearSession();
+            return null;
+        }
+        return token;
+    }
+
+    isAuthenticated() {
+        return this.getToken() !== null;
+    }
+
+    /**
+     * Remember the signed-in user; `user_email` keys the learner's progress
+     */
+    setSession(token, user, expiresAt) {
+        this.storage.setItem(this.tokenKey, token);
+        this.storage.setItem('user_email', user.email);
+        this.storage.setItem('user_profile', JSON.stringify(user));
+        if (expiresAt) {
+            this.storage.setItem(`${this.tokenKey}_expires`, expiresAt);
+        } else {
+            this.storage.removeItem(`${this.tokenKey}_expires`);
+        }
+    }
+
+    clearSession() {
+        this.storage.removeItem(this.tokenKey);
+        this.storage.removeItem(`${this.tokenKey}_expires`);
+        this.storage.removeItem('user_email');
+        this.storage.removeItem('user_profile');
+    }
+
+    /**
+     * The signed-in user as of the last login or `refreshSession()`, or null.
+     * Only decides which controls a page shows; the server checks every
+     * request itself.
+     */
+    getCurrentUser() {
+        if (!this.getToken()) return null;
+        try {
+            return JSON.parse(this.storage.getItem('user_profile')) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Fetch the signed-in user again, e.g. after an administrator changed
+     * their role. Resolves to null when nobody is logged in.
+     */
+    async refreshSession() {
+        if (!this.getToken()) return null;
+        const { user } = await this.getSession();
+        this.storage.setItem('user_profile', JSON.stringify(user));
+        return user;
+    }
+
+    /**
+     * Login page URL that returns to `returnTo` (default: this page) afterwards
+     */
+    static loginUrl(returnTo) {
+        const target = returnTo || window.location.pathname.split('/').pop() + window.location.search + window.location.hash;
+        return target ? `login.html?redirect=${encodeURIComponent(target)}` : 'login.html';
+    }
+
+    async request(method, path, options = {}) {
+        const headers = { Accept: 'application/json' };
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const token = this.getToken();
+        if (token && options.auth !== false) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        const idempotent = ['GET', 'PUT', 'DELETE'].includes(method);
+        const maxAttempts = idempotent ? this.retries + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await this.adapter.send({
+                    method,
+                    path,
+                    query: options.query,
+                    headers,
+                    body: options.body
+                });
+                return this.handleResponse(response);
+            } catch (error) {
+                if (attempt >= maxAttempts || !ApiClient.isRetryable(error)) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, this.retryDelay * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    handleResponse({ status, body }) {
+        if (status >= 200 && status < 300) {
+            return body;
+        }
+
+        const error = (body && body.error) || {};
+        const code = error.code || ApiError.codeForStatus(status);
+
+        // A rejected token is no longer worth sending
+        if (status === 401 && this.getToken()) {
+            this.clearSession();
+        }
+
+        throw new ApiError(error.message || ApiError.defaultMessage(code), {
+            status,
+            code,
+            details: error.details || null
+        });
+    }
+
+    static isRetryable(error) {
+        if (!(error instanceof ApiError)) return false;
+        return error.code === 'network_error' || error.code === 'timeout' ||
+               [429, 502, 503, 504].includes(error.status);
+    }
+
+    get(path, query) {
+        return this.request('GET', path, { query });
+    }
+
+    post(path, body) {
+        return this.request('POST', path, { body });
+    }
+
+    put(path, body) {
+        return this.request('PUT', path, { body });
+    }
+
+    patch(path, body) {
+        return this.request('PATCH', path, { body });
+    }
+
+    delete(path) {
+        return this.request('DELETE', path);
+    }
+
+    // Authentication
+
+    register(userData) {
+        return this.post('/auth/register', userData);
+    }
+
+    /**
+     * Log in; `credentials.remember` asks for a long-lived session
+     */
+    async login(credentials) {
+        const result = await this.post('/auth/login', credentials);
+        this.setSession(result.token, result.user, result.expiresAt);
+        return result;
+    }
+
+    async logout() {
+        try {
+            await this.post('/auth/logout');
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    /**
+     * End every session of the current user, on all devices
+     */
+    async logoutEverywhere() {
+        try {
+            await this.delete('/auth/sessions');
+        } finally {
+            this.clearSession();
+        }
+    }
+
+    getSession() {
+        return this.get('/auth/session');
+    }
+
+    verifyEmail(token) {
+        return this.post('/auth/verify', { token });
+    }
+
+    resendVerification(email) {
+        return this.post('/auth/verify/resend', { email });
+    }
+
+    requestPasswordReset(email) {
+        return this.post('/auth/password/forgot', { email });
+    }
+
+    /**
+     * Set a new password with the token from a reset email; this ends all of
+     * the user's sessions
+     */
+    async resetPassword({ token, password, confirmPassword }) {
+        const result = await this.post('/auth/password/reset', { token, password, confirmPassword });
+        this.clearSession();
+        return result;
+    }
+
+    // Contact
+
+    sendContactMessage(data) {
+        return this.post('/contact', data);
+    }
+
+    // Forum
+
+    /**
+     * Open the forum's live event channel, signed in as the current user
+     */
+    openLive() {
+        return new LiveChannel(this.adapter, { getToken: () => this.getToken() }).connect();
+    }
+
+    listTopics(query = {}) {
+        return this.get('/forum/topics', query);
+    }
+
+    /**
+     * Full-text search of topics and their replies: `{ q, category, author,
+     * from, to, solved, page, limit }`. Results are `{ topic, score, terms }`,
+     * best match first.
+     */
+    searchTopics(query = {}) {
+        return this.get('/forum/search', query);
+    }
+
+    /**
+     * Words and topic titles completing a half-typed search
+     */
+    searchSuggestions(q) {
+        return this.get('/forum/search/suggestions', { q });
+    }
+
+    getTopic(topicId) {
+        return this.get(`/forum/topics/${encodeURIComponent(topicId)}`);
+    }
+
+    createTopic(data) {
+        return this.post('/forum/topics', data);
+    }
+
+    /**
+     * Edit a topic (`title`, `content`, `category`) or, for moderators, pin
+     * and lock it (`pinned`, `locked`)
+     */
+    updateTopic(topicId, data) {
+        return this.patch(`/forum/topics/${encodeURIComponent(topicId)}`, data);
+    }
+
+    deleteTopic(topicId) {
+        return this.delete(`/forum/topics/${encodeURIComponent(topicId)}`);
+    }
+
+    /**
+     * Reply to a topic: `{ content, parentId, quoteId }`, where `parentId`
+     * answers another reply and `quoteId` quotes one
+     */
+    createReply(topicId, data) {
+        return this.post(`/forum/topics/${encodeURIComponent(topicId)}/replies`, data);
+    }
+
+    /**
+     * Change a reply's content; the previous version is kept in its history
+     */
+    updateReply(topicId, replyId, data) {
+        return this.patch(`/forum/topics/${encodeURIComponent(topicId)}/replies/${encodeURIComponent(replyId)}`, data);
+    }
+
+    /**
+     * Accept a reply as the answer, marking the topic solved; null withdraws it
+     */
+    acceptAnswer(topicId, replyId) {
+        return this.put(`/forum/topics/${encodeURIComponent(topicId)}/accepted`, { replyId });
+    }
+
+    /**
+     * Set the current user's vote on a topic: 1, -1 or 0 to withdraw it
+     */
+    voteTopic(topicId, value) {
+        return this.put(`/forum/topics/${encodeURIComponent(topicId)}/vote`, { value });
+    }
+
+    /**
+     * Set the current user's vote on a reply: 1, -1 or 0 to withdraw it
+     */
+    voteReply(topicId, replyId, value) {
+        return this.put(`/forum/topics/${encodeURIComponent(topicId)}/replies/${encodeURIComponent(replyId)}/vote`, { value });
+    }
+
+    // Classes
+
+    listClasses() {
+        return this.get('/classes');
+    }
+
+    getClass(classId) {
+        return this.get(`/classes/${encodeURIComponent(classId)}`);
+    }
+
+    createClass(data) {
+        return this.post('/classes', data);
+    }
+
+    updateClass(classId, data) {
+        return this.patch(`/classes/${encodeURIComponent(classId)}`, data);
+    }
+
+    deleteClass(classId) {
+        return this.delete(`/classes/${encodeURIComponent(classId)}`);
+    }
+
+    joinClass(code) {
+        return this.post('/classes/join', { code });
+    }
+
+    /**
+     * Remove a student from a class; students pass their own id to leave
+     */
+    removeClassMember(classId, userId) {
+        return this.delete(`/classes/${encodeURIComponent(classId)}/members/${encodeURIComponent(userId)}`);
+    }
+
+    /**
+     * Assign a lesson from lessons/index.json: `{ lessonId, dueDate, note }`
+     */
+    createAssignment(classId, data) {
+        return this.post(`/classes/${encodeURIComponent(classId)}/assignments`, data);
+    }
+
+    deleteAssignment(classId, assignmentId) {
+        return this.delete(`/classes/${encodeURIComponent(classId)}/assignments/${encodeURIComponent(assignmentId)}`);
+    }
+
+    // Users
+
+    listUsers() {
+        return this.get('/users');
+    }
+
+    setUserRole(userId, role) {
+        return this.put(`/users/${encodeURIComponent(userId)}/role`, { role });
+    }
+}
+
+// Shared client for the page's scripts
+if (typeof window !== 'undefined' && typeof document !== 'undefined' && window.localStorage) {
+    window.api = ApiClient.fromPage();
+}
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiClient, ApiError, FetchAdapter, LiveChannel };
+}
@@ -0,0 +1,1306 @@
+/**
+ * PhysicsLearn - Fake API Adapter
+ * In-browser stand-in for the backend, kept in localStorage
+ */
+
+/**
+ * Answers the same routes as the PhysicsLearn server from a small database
+ * in localStorage, so pages can be developed and demonstrated offline. Load
+ * it after js/permissions.js (and js/search-index.js on pages that search
+ * the forum) and before js/api-client.js. The demo account
+ * is `demo@physicslearn.com` / `demo123`; `teacher@`, `moderator@` and
+ * `admin@physicslearn.com` (passwords `teacher123`, `moderator123` and
+ * `admin123`) try out the other roles.
+ *
+ * Passwords are hashed (PBKDF2, where the browser offers Web Crypto) and
+ * sessions expire like the server's, but tokens are not signed and any page
+ * on the origin can read the whole database. Point the client at a real
+ * server for actual use.
+ *
+ * Verification and password reset emails go to `options.mailTransport`
+ * (`{ send(message) }`, as on the server); by default they are printed to
+ * the browser console, links included.
+ *
+ * `openLive` stands in for the server's push channel: changes made through
+ * any adapter with the same storage key reach the open pages of this browser
+ * (other tabs through BroadcastChannel, where available). Presence only
+ * counts this page.
+ */
+class FakeApiAdapter {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = options.storageKey || 'physicslearn-fake-api';
+        this.latency = options.latency !== undefined ? options.latency : 250;
+        this.liveListeners = new Set();
+        this.liveBroadcast = null;
+        this.emailRequests = new Map(); // `type:email` -> request times, newest first
+        this.mailTransport = options.mailTransport || {
+            send: message => console.info(`[PhysicsLearn mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`)
+        };
+        this.routes = [
+            ['POST', /^\/auth\/register$/, this.register],
+            ['POST', /^\/auth\/login$/, this.login],
+            ['POST', /^\/auth\/logout$/, this.logout],
+            ['DELETE', /^\/auth\/sessions$/, this.endAllSessions],
+            ['POST', /^\/auth\/verify$/, this.verifyEmail],
+            ['POST', /^\/auth\/verify\/resend$/, this.resendVerification],
+            ['POST', /^\/auth\/password\/forgot$/, this.requestPasswordReset],
+            ['POST', /^\/auth\/password\/reset$/, this.resetPassword],
+            ['GET', /^\/auth\/session$/, this.getSession],
+            ['POST', /^\/contact$/, this.createContactMessage],
+            ['GET', /^\/forum\/search$/, this.searchTopics],
+            ['GET', /^\/forum\/search\/suggestions$/, this.searchSuggestions],
+            ['GET', /^\/forum\/topics$/, this.listTopics],
+            ['POST', /^\/forum\/topics$/, this.createTopic],
+            ['GET', /^\/forum\/topics\/([^/]+)$/, this.getTopic],
+            ['PATCH', /^\/forum\/topics\/([^/]+)$/, this.updateTopic],
+            ['DELETE', /^\/forum\/topics\/([^/]+)$/, this.deleteTopic],
+            ['POST', /^\/forum\/topics\/([^/]+)\/replies$/, this.createReply],
+            ['PATCH', /^\/forum\/topics\/([^/]+)\/replies\/([^/]+)$/, this.updateReply],
+            ['PUT', /^\/forum\/topics\/([^/]+)\/accepted$/, this.acceptAnswer],
+            ['PUT', /^\/forum\/topics\/([^/]+)\/replies\/([^/]+)\/vote$/, this.voteReply],
+            ['PUT', /^\/forum\/topics\/([^/]+)\/vote$/, this.voteTopic],
+            ['GET', /^\/classes$/, this.listClasses],
+            ['POST', /^\/classes$/, this.createClass],
+            ['POST', /^\/classes\/join$/, this.joinClass],
+            ['GET', /^\/classes\/([^/]+)$/, this.getClass],
+            ['PATCH', /^\/classes\/([^/]+)$/, this.updateClass],
+            ['DELETE', /^\/classes\/([^/]+)$/, this.deleteClass],
+            ['POST', /^\/classes\/([^/]+)\/assignments$/, this.createAssignment],
+            ['DELETE', /^\/classes\/([^/]+)\/assignments\/([^/]+)$/, this.deleteAssignment],
+            ['DELETE', /^\/classes\/([^/]+)\/members\/([^/]+)$/, this.removeClassMember],
+            ['GET', /^\/users$/, this.listUsers],
+            ['PUT', /^\/users\/([^/]+)\/role$/, this.setUserRole]
+        ];
+    }
+
+    async send({ method, path, query, headers, body }) {
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        const db = this.load();
+        for (const [routeMethod, pattern, handler] of this.routes) {
+            const match = path.match(pattern);
+            if (routeMethod !== method || !match) continue;
+
+            const token = (headers.Authorization || '').replace(/^Bearer /, '');
+            const session = db.sessions[token] && Date.parse(db.sessions[token].expiresAt) > Date.now()
+                ? db.sessions[token]
+                : null;
+            const request = {
+                params: match.slice(1).map(decodeURIComponent),
+                query: query || {},
+                body: body ? JSON.parse(JSON.stringify(body)) : {},
+                token,
+                session,
+                user: session ? db.users.find(u => u.id === session.userId) : null
+            };
+
+            const response = await handler.call(this, db, request);
+            this.save(db);
+            return response;
+        }
+
+        return FakeApiAdapter.error(404, 'not_found', `No route for ${method} ${path}`);
+    }
+
+    static respond(status, body) {
+        return { status, headers: {}, body };
+    }
+
+    static error(status, code, message, details = null) {
+        return FakeApiAdapter.respond(status, { error: { code, message, details } });
+    }
+
+    static id(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    load() {
+        try {
+            const db = JSON.parse(this.storage.getItem(this.storageKey));
+            if (db && db.version === 1) return { authTokens: {}, classes: [], ...db };
+        } catch (error) {
+            console.warn('Fake API data could not be read, reseeding:', error);
+        }
+        return FakeApiAdapter.seed();
+    }
+
+    save(db) {
+        this.storage.setItem(this.storageKey, JSON.stringify(db));
+    }
+
+    // Helpers
+
+    static publicUser(user) {
+        const { password, passwordHash, ...profile } = user;
+        return { ...profile, role: Permissions.getRole(user) };
+    }
+
+    static publicAuthor(db, userId) {
+        const author = db.users.find(u => u.id === userId);
+        return {
+            id: userId,
+            name: author ? FakeApiAdapter.displayName(author) : 'Unknown',
+            role: author ? Permissions.getRole(author) : 'student',
+            reputation: FakeApiAdapter.reputation(db, userId)
+        };
+    }
+
+    static voteTotal(post) {
+        return Object.values(post.votes || {}).reduce((sum, value) => sum + value, post.baseVotes || 0);
+    }
+
+    /**
+     * Same scoring as the server: votes from others on the user's posts plus
+     * accepted answers, never below zero
+     */
+    static reputation(db, userId) {
+        const points = FakeApiAdapter.REPUTATION;
+        const posts = db.topics.concat(db.replies).filter(post => post.authorId === userId);
+        const fromVotes = posts.reduce((sum, post) => {
+            const votes = Object.entries(post.votes || {}).filter(([voterId]) => voterId !== userId);
+            return sum + Math.max(0, post.baseVotes || 0) * points.upvote + votes.reduce(
+                (total, [, value]) => total + (value > 0 ? points.upvote : points.downvote), 0);
+        }, 0);
+
+        const accepted = db.topics.filter(topic => topic.acceptedReplyId && topic.authorId !== userId &&
+            db.replies.some(reply => reply.id === topic.acceptedReplyId && reply.authorId === userId)).length;
+
+        return Math.max(0, fromVotes + accepted * points.accepted);
+    }
+
+    /**
+     * Same entries as the server's activity feed: a topic `started`, a reply
+     * (`replied`) or an accepted answer (`solved`)
+     */
+    static publicActivity(db, kind, topic, reply = null) {
+        const post = reply || topic;
+        const author = db.users.find(u => u.id === post.authorId);
+        return {
+            ...FakeApiAdapter.ACTIVITY[kind],
+            user: author ? FakeApiAdapter.displayName(author) : 'Unknown',
+            topic: topic.title,
+            topicId: topic.id,
+            createdAt: kind === 'solved' ? topic.solvedAt : post.createdAt
+        };
+    }
+
+    static recentActivity(db, limit = 5) {
+        const topics = new Map(db.topics.map(t => [t.id, t]));
+        const replies = new Map(db.replies.map(r => [r.id, r]));
+        const events = [
+            ...db.topics.map(topic => ['started', topic, null, topic.createdAt]),
+            ...db.replies
+                .filter(reply => topics.has(reply.topicId))
+                .map(reply => ['replied', topics.get(reply.topicId), reply, reply.createdAt]),
+            ...db.topics
+                .filter(topic => topic.solved && topic.solvedAt && replies.has(topic.acceptedReplyId))
+                .map(topic => ['solved', topic, replies.get(topic.acceptedReplyId), topic.solvedAt])
+        ];
+
+        return events
+            .sort((a, b) => b[3].localeCompare(a[3]))
+            .slice(0, limit)
+            .map(([kind, topic, reply]) => FakeApiAdapter.publicActivity(db, kind, topic, reply));
+    }
+
+    static forumStats(db) {
+        const categories = {};
+        const topicCategories = new Map();
+        db.topics.forEach(topic => {
+            categories[topic.category] = categories[topic.category] || { topics: 0, replies: 0 };
+            categories[topic.category].topics++;
+            topicCategories.set(topic.id, topic.category);
+        });
+        db.replies.forEach(reply => {
+            const category = categories[topicCategories.get(reply.topicId)];
+            if (category) category.replies++;
+        });
+
+        return { members: db.users.length, topics: db.topics.length, replies: db.replies.length, categories };
+    }
+
+    /**
+     * Salted PBKDF2-SHA256 hash, `pbkdf2$iterations$salt$hash`. Pages opened
+     * over plain HTTP from another machine have no Web Crypto; passwords are
+     * then stored as `plain$<password>`.
+     */
+    static async hashPassword(password, salt = null, iterations = 100000) {
+        const subtle = window.crypto && window.crypto.subtle;
+        if (!subtle) {
+            return `plain$${password}`;
+        }
+
+        const saltBytes = salt
+            ? Uint8Array.from(atob(salt), c => c.charCodeAt(0))
+            : window.crypto.getRandomValues(new Uint8Array(16));
+        const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, key, 256);
+
+        const toBase64 = bytes => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+        return ['pbkdf2', iterations, toBase64(saltBytes), toBase64(bits)].join('$');
+    }
+
+    static async verifyPassword(password, stored) {
+        if (typeof stored !== 'string' || typeof password !== 'string') return false;
+
+        const [scheme, iterations, salt] = stored.split('$');
+        if (scheme === 'plain') return stored === `plain$${password}`;
+        if (scheme !== 'pbkdf2' || !window.crypto || !window.crypto.subtle) return false;
+        return await FakeApiAdapter.hashPassword(password, salt, Number(iterations)) === stored;
+    }
+
+    static displayName(user) {
+        return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+    }
+
+    static publicHistory(db, history) {
+        return (history || []).map(entry => ({
+            title: entry.title,
+            content: entry.content,
+            editedAt: entry.editedAt,
+            editor: FakeApiAdapter.publicAuthor(db, entry.editorId)
+        }));
+    }
+
+    static publicTopic(db, topic, viewer) {
+        return {
+            id: topic.id,
+            title: topic.title,
+            content: topic.content,
+            category: topic.category,
+            isQuestion: topic.isQuestion,
+            solved: topic.solved,
+            solvedAt: topic.solvedAt || null,
+            acceptedReplyId: topic.acceptedReplyId || null,
+            pinned: Boolean(topic.pinned),
+            locked: Boolean(topic.locked),
+            author: FakeApiAdapter.publicAuthor(db, topic.authorId),
+            createdAt: topic.createdAt,
+            updatedAt: topic.updatedAt,
+            editedAt: topic.editedAt || null,
+            votes: FakeApiAdapter.voteTotal(topic),
+            userVote: viewer ? (topic.votes || {})[viewer.id] || 0 : 0,
+            replyCount: db.replies.filter(r => r.topicId === topic.id).length,
+            views: topic.views
+        };
+    }
+
+    static publicReply(db, reply, viewer) {
+        return {
+            id: reply.id,
+            topicId: reply.topicId,
+            parentId: reply.parentId || null,
+            quote: reply.quote
+                ? { replyId: reply.quote.replyId, author: FakeApiAdapter.publicAuthor(db, reply.quote.authorId), text: reply.quote.text }
+                : null,
+            content: reply.content,
+            author: FakeApiAdapter.publicAuthor(db, reply.authorId),
+            createdAt: reply.createdAt,
+            editedAt: reply.editedAt || null,
+            history: FakeApiAdapter.publicHistory(db, reply.history),
+            votes: FakeApiAdapter.voteTotal(reply),
+            userVote: viewer ? (reply.votes || {})[viewer.id] || 0 : 0
+        };
+    }
+
+    static publicClass(db, classroom, viewer) {
+        const result = {
+            id: classroom.id,
+            name: classroom.name,
+            description: classroom.description,
+            teacher: FakeApiAdapter.publicAuthor(db, classroom.ownerId),
+            assignments: classroom.assignments,
+            memberCount: classroom.memberIds.length,
+            createdAt: classroom.createdAt
+        };
+        if (viewer && Permissions.can(viewer, 'class:manage', classroom)) {
+            result.joinCode = classroom.joinCode;
+            result.members = classroom.memberIds.map(id => FakeApiAdapter.publicAuthor(db, id));
+        }
+        return result;
+    }
+
+    static requireUser(request) {
+        return request.user ? null : FakeApiAdapter.error(401, 'unauthorized', 'Please log in to continue.');
+    }
+
+    /**
+     * 401 without a session, 403 when the user's role does not allow the action
+     */
+    static authorize(request, action, resource) {
+        return FakeApiAdapter.requireUser(request) ||
+            (Permissions.can(request.user, action, resource)
+                ? null
+                : FakeApiAdapter.error(403, 'forbidden', 'You do not have permission to do that.'));
+    }
+
+    // Live updates
+
+    /**
+     * Open a push channel like the server's `/live`: `onMessage` receives
+     * `{ type, data }` messages, starting with a `snapshot`. Returns an
+     * object with `close()`.
+     */
+    openLive({ token, onOpen, onMessage, onClose }) {
+        if (!this.liveBroadcast && typeof BroadcastChannel !== 'undefined') {
+            this.liveBroadcast = new BroadcastChannel(this.storageKey);
+            this.liveBroadcast.onmessage = e => this.liveListeners.forEach(listener => listener.send(e.data));
+        }
+
+        const db = this.load();
+        const session = db.sessions[token] && Date.parse(db.sessions[token].expiresAt) > Date.now() ? db.sessions[token] : null;
+        const listener = { user: session ? db.users.find(u => u.id === session.userId) : null, send: onMessage };
+        this.liveListeners.add(listener);
+
+        const timer = setTimeout(() => {
+            onOpen('fake');
+            onMessage({
+                type: 'snapshot',
+                data: { ...this.livePresence(), activity: FakeApiAdapter.recentActivity(db), stats: FakeApiAdapter.forumStats(db) }
+            });
+        }, this.latency);
+
+        return {
+            close: () => {
+                clearTimeout(timer);
+                this.liveListeners.delete(listener);
+            }
+        };
+    }
+
+    livePresence() {
+        const members = new Map();
+        let guests = 0;
+        this.liveListeners.forEach(({ user }) => {
+            if (user) {
+                members.set(user.id, { id: user.id, name: FakeApiAdapter.displayName(user) });
+            } else {
+                guests++;
+            }
+        });
+        return { online: members.size + guests, members: Array.from(members.values()) };
+    }
+
+    /**
+     * Send an event to the open pages once the request has been saved
+     */
+    publish(type, data) {
+        const message = { type, data };
+        setTimeout(() => {
+            this.liveListeners.forEach(listener => listener.send(message));
+            if (this.liveBroadcast) this.liveBroadcast.postMessage(message);
+        });
+    }
+
+    publishTopic(db, type, topic) {
+        this.publish(type, {
+            topic: { ...FakeApiAdapter.publicTopic(db, topic, null), history: FakeApiAdapter.publicHistory(db, topic.history) }
+        });
+    }
+
+    // Authentication
+
+    async register(db, { body }) {
+        const details = {};
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) details.email = 'Please enter a valid email address';
+        if (!body.username) details.username = 'Please choose a username';
+        if (!body.password || body.password.length < 8) details.password = 'Password must be at least 8 characters';
+        if (Object.keys(details).length > 0) {
+            return FakeApiAdapter.error(400, 'validation', 'Please check the highlighted fields and try again.', details);
+        }
+
+        if (db.users.some(u => u.email === email)) {
+            return FakeApiAdapter.error(409, 'conflict', 'An account with this email already exists.', { email: 'Already registered' });
+        }
+        if (db.users.some(u => u.username.toLowerCase() === body.username.toLowerCase())) {
+            return FakeApiAdapter.error(409, 'conflict', 'This username is already taken.', { username: 'Already taken' });
+        }
+
+        // As on the server: the "I am a" answer becomes the occupation and
+        // everyone starts as a student; teachers wait for an administrator
+        const { confirmPassword, terms, password, remember, role, ...profile } = body;
+        const user = {
+            ...profile,
+            id: FakeApiAdapter.id('user'),
+            email,
+            occupation: role,
+            role: 'student',
+            roleRequest: Permissions.REQUESTABLE_ROLES.includes(role) ? role : undefined,
+            passwordHash: await FakeApiAdapter.hashPassword(password),
+            emailVerified: false,
+            createdAt: new Date().toISOString()
+        };
+        db.users.push(user);
+        await this.sendVerification(db, user);
+
+        return FakeApiAdapter.respond(201, { user: FakeApiAdapter.publicUser(user), userId: user.id });
+    }
+
+    async login(db, { body }) {
+        const email = String(body.email || '').trim().toLowerCase();
+        const user = db.users.find(u => u.email === email);
+        const password = String(body.password || '');
+
+        // Seeded accounts start with a plain password and are hashed on first login
+        if (user && !user.passwordHash && user.password && user.password === password) {
+            user.passwordHash = await FakeApiAdapter.hashPassword(password);
+            delete user.password;
+        }
+        if (!user || !await FakeApiAdapter.verifyPassword(password, user.passwordHash)) {
+            return FakeApiAdapter.error(401, 'unauthorized', 'Invalid email or password.');
+        }
+
+        // Same lifetimes as the server: 12 hours, or 30 days with "remember me"
+        const now = Date.now();
+        const expiresAt = new Date(now + (body.remember ? 30 * 24 : 12) * 3600000).toISOString();
+        Object.keys(db.sessions).forEach(id => {
+            if (!(Date.parse(db.sessions[id].expiresAt) > now)) delete db.sessions[id];
+        });
+
+        const token = FakeApiAdapter.id('fake');
+        db.sessions[token] = { userId: user.id, createdAt: new Date(now).toISOString(), expiresAt, remember: Boolean(body.remember) };
+        return FakeApiAdapter.respond(200, { token, expiresAt, user: FakeApiAdapter.publicUser(user) });
+    }
+
+    logout(db, { token }) {
+        delete db.sessions[token];
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    endAllSessions(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        Object.keys(db.sessions).forEach(id => {
+            if (db.sessions[id].userId === request.user.id) delete db.sessions[id];
+        });
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    /**
+     * One-time token for an emailed link
+     */
+    static issueToken(db, type, user, lifetime) {
+        const now = Date.now();
+        Object.keys(db.authTokens).forEach(key => {
+            if (!(Date.parse(db.authTokens[key].expiresAt) > now)) delete db.authTokens[key];
+        });
+
+        const token = FakeApiAdapter.id(type);
+        db.authTokens[token] = { type, userId: user.id, createdAt: new Date(now).toISOString(), expiresAt: new Date(now + lifetime).toISOString() };
+        return token;
+    }
+
+    /**
+     * Like the server: an error response when an email of this kind was
+     * asked for this address in the last minute or five times in the last
+     * hour, registered or not; otherwise the request is counted
+     */
+    checkEmailRate(type, email) {
+        const now = Date.now();
+        const key = `${type}:${email}`;
+        const sent = (this.emailRequests.get(key) || []).filter(time => now - time < 3600000);
+        const wait = sent.length >= 5 ? sent[4] + 3600000 - now : sent.length > 0 ? sent[0] + 60000 - now : 0;
+        if (wait > 0) {
+            return FakeApiAdapter.rateLimited(Math.ceil(wait / 1000));
+        }
+        this.emailRequests.set(key, [now, ...sent]);
+        return null;
+    }
+
+    static consumeToken(db, type, token) {
+        const entry = db.authTokens[token];
+        if (!entry || entry.type !== type || !(Date.parse(entry.expiresAt) > Date.now())) return null;
+
+        Object.keys(db.authTokens).forEach(key => {
+            if (db.authTokens[key].type === type && db.authTokens[key].userId === entry.userId) delete db.authTokens[key];
+        });
+        return db.users.find(u => u.id === entry.userId) || null;
+    }
+
+    static rateLimited(seconds) {
+        return FakeApiAdapter.error(429, 'rate_limited',
+            `An email was asked for this address a moment ago. Please wait ${seconds} seconds before asking for another.`,
+            { retryAfter: seconds });
+    }
+
+    async sendVerification(db, user) {
+        const token = FakeApiAdapter.issueToken(db, 'verify', user, 24 * 3600000);
+
+        const link = new URL(`verify-email.html?token=${token}`, window.location.href).href;
+        await this.mailTransport.send({
+            to: user.email,
+            subject: 'Verify your PhysicsLearn email address',
+            text: `Hi ${user.firstName || user.username},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link is valid for 24 hours.`
+        });
+    }
+
+    verifyEmail(db, { body }) {
+        const user = FakeApiAdapter.consumeToken(db, 'verify', body.token);
+        if (!user) {
+            return FakeApiAdapter.error(400, 'validation', 'This verification link is invalid or has expired.');
+        }
+
+        user.emailVerified = true;
+        return FakeApiAdapter.respond(200, { user: FakeApiAdapter.publicUser(user) });
+    }
+
+    async resendVerification(db, { body }) {
+        const email = String(body.email || '').trim().toLowerCase();
+        const limited = this.checkEmailRate('verify', email);
+        if (limited) return limited;
+
+        const user = db.users.find(u => u.email === email);
+        if (user && !user.emailVerified) {
+            await this.sendVerification(db, user);
+        }
+        return FakeApiAdapter.respond(202, { sent: true });
+    }
+
+    async requestPasswordReset(db, { body }) {
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return FakeApiAdapter.error(400, 'validation', 'Please enter a valid email address.', { email: 'Please enter a valid email address' });
+        }
+
+        const limited = this.checkEmailRate('reset', email);
+        if (limited) return limited;
+
+        const user = db.users.find(u => u.email === email);
+        if (user && (user.passwordHash || user.password)) {
+            const token = FakeApiAdapter.issueToken(db, 'reset', user, 3600000);
+
+            const link = new URL(`reset-password.html?token=${token}`, window.location.href).href;
+            await this.mailTransport.send({
+                to: user.email,
+                subject: 'Reset your PhysicsLearn password',
+                text: `Hi ${user.firstName || user.username},\n\nChoose a new password here:\n\n${link}\n\nThe link is valid for 60 minutes. If you did not ask for this, you can ignore this email.`
+            });
+        }
+        return FakeApiAdapter.respond(202, { sent: true });
+    }
+
+    async resetPassword(db, { body }) {
+        const details = {};
+        if (!body.password || body.password.length < 8) details.password = 'Password must be at least 8 characters';
+        if (body.confirmPassword !== undefined && body.confirmPassword !== body.password) details.confirmPassword = 'Passwords do not match';
+        if (Object.keys(details).length > 0) {
+            return FakeApiAdapter.error(400, 'validation', 'Please check the highlighted fields and try again.', details);
+        }
+
+        const user = FakeApiAdapter.consumeToken(db, 'reset', body.token);
+        if (!user) {
+            return FakeApiAdapter.error(400, 'validation', 'This reset link is invalid or has expired. Please ask for a new one.');
+        }
+
+        user.passwordHash = await FakeApiAdapter.hashPassword(body.password);
+        delete user.password;
+        user.emailVerified = true;
+        Object.keys(db.sessions).forEach(id => {
+            if (db.sessions[id].userId === user.id) delete db.sessions[id];
+        });
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    getSession(db, request) {
+        return FakeApiAdapter.requireUser(request) ||
+            FakeApiAdapter.respond(200, {
+                user: FakeApiAdapter.publicUser(request.user),
+                expiresAt: request.session.expiresAt
+            });
+    }
+
+    // Contact
+
+    createContactMessage(db, { body }) {
+        if (!body.email || !body.message) {
+            return FakeApiAdapter.error(400, 'validation', 'Please include your email and a message.');
+        }
+
+        const message = { ...body, id: FakeApiAdapter.id('msg'), timestamp: new Date().toISOString() };
+        db.messages.push(message);
+        return FakeApiAdapter.respond(201, { messageId: message.id });
+    }
+
+    // Forum
+
+    listTopics(db, { query, user }) {
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(query.limit, 10) || 10));
+        const topics = db.topics
+            .filter(topic => !query.category || topic.category === query.category)
+            .sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || b.createdAt.localeCompare(a.createdAt));
+
+        return FakeApiAdapter.respond(200, {
+            topics: topics.slice((page - 1) * limit, page * limit).map(t => FakeApiAdapter.publicTopic(db, t, user)),
+            page,
+            limit,
+            total: topics.length,
+            totalPages: Math.max(1, Math.ceil(topics.length / limit))
+        });
+    }
+
+    getTopic(db, { params, user }) {
+        const topic = db.topics.find(t => t.id === params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+
+        topic.views++;
+        return FakeApiAdapter.respond(200, {
+            topic: { ...FakeApiAdapter.publicTopic(db, topic, user), history: FakeApiAdapter.publicHistory(db, topic.history) },
+            replies: db.replies
+                .filter(r => r.topicId === topic.id)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .map(r => FakeApiAdapter.publicReply(db, r, user))
+        });
+    }
+
+    /**
+     * The shared search index, brought up to date with `db`
+     */
+    searchIndexFor(db) {
+        this.searchIndex = this.searchIndex || new SearchIndex();
+        this.searchIndex.syncForum(db);
+        return this.searchIndex;
+    }
+
+    static matchesSearchFilters(db, topic, filters) {
+        const created = Date.parse(topic.createdAt);
+        if (filters.category && topic.category !== filters.category) return false;
+        if (filters.solved !== null && Boolean(topic.solved) !== filters.solved) return false;
+        if (filters.from !== null && created < filters.from) return false;
+        if (filters.to !== null && created > filters.to) return false;
+        if (filters.author && topic.authorId !== filters.author) {
+            const author = db.users.find(u => u.id === topic.authorId);
+            return Boolean(author) && [FakeApiAdapter.displayName(author), author.username || '']
+                .some(name => name.toLowerCase().includes(filters.author));
+        }
+        return true;
+    }
+
+    searchTopics(db, { query, user }) {
+        const filters = {
+            category: query.category || null,
+            author: String(query.author || '').trim().toLowerCase() || null,
+            from: query.from ? Date.parse(query.from) : null,
+            to: query.to ? Date.parse(query.to) : null,
+            solved: query.solved ? query.solved === 'true' : null
+        };
+        const details = {};
+        if (Number.isNaN(filters.from)) details.from = 'Please enter a valid date';
+        if (Number.isNaN(filters.to)) details.to = 'Please enter a valid date';
+        if (query.solved && !['true', 'false'].includes(query.solved)) details.solved = 'Must be true or false';
+        if (Object.keys(details).length > 0) {
+            return FakeApiAdapter.error(400, 'validation', 'Please check the search filters.', details);
+        }
+        if (filters.to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) filters.to += 24 * 60 * 60 * 1000 - 1;
+
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(query.limit, 10) || 10));
+        const { results, didYouMean } = String(query.q || '').trim() ? this.searchIndexFor(db).search(query.q) : {
+            results: db.topics
+                .slice()
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(t => ({ id: t.id, score: 0, terms: [] })),
+            didYouMean: null
+        };
+
+        const topics = new Map(db.topics.map(t => [t.id, t]));
+        const matches = results.filter(result => FakeApiAdapter.matchesSearchFilters(db, topics.get(result.id), filters));
+
+        return FakeApiAdapter.respond(200, {
+            results: matches.slice((page - 1) * limit, page * limit).map(result => ({
+                topic: FakeApiAdapter.publicTopic(db, topics.get(result.id), user),
+                score: Math.round(result.score * 1000) / 1000,
+                terms: result.terms
+            })),
+            didYouMean,
+            page,
+            limit,
+            total: matches.length,
+            totalPages: Math.max(1, Math.ceil(matches.length / limit))
+        });
+    }
+
+    searchSuggestions(db, { query }) {
+        return FakeApiAdapter.respond(200, { suggestions: this.searchIndexFor(db).suggest(String(query.q || '')) });
+    }
+
+    static validateTopicFields(body, required) {
+        const details = {};
+        if ((required || body.title !== undefined) && (typeof body.title !== 'string' || !body.title.trim())) details.title = 'Please enter a title';
+        if ((required || body.category !== undefined) && !body.category) details.category = 'Please select a category';
+        if ((required || body.content !== undefined) && (typeof body.content !== 'string' || !body.content.trim())) details.content = 'Please describe your topic';
+        return Object.keys(details).length > 0
+            ? FakeApiAdapter.error(400, 'validation', 'Please fill in every field.', details)
+            : null;
+    }
+
+    createTopic(db, request) {
+        const { body } = request;
+        const denied = FakeApiAdapter.authorize(request, 'topic:create') || FakeApiAdapter.validateTopicFields(body, true);
+        if (denied) return denied;
+
+        const now = new Date().toISOString();
+        const topic = {
+            id: FakeApiAdapter.id('topic'),
+            title: body.title.trim(),
+            content: body.content,
+            category: body.category,
+            isQuestion: Boolean(body['is-question']),
+            solved: false,
+            solvedAt: null,
+            acceptedReplyId: null,
+            pinned: false,
+            locked: false,
+            authorId: request.user.id,
+            createdAt: now,
+            updatedAt: now,
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {},
+            views: 0
+        };
+        db.topics.push(topic);
+
+        this.publishTopic(db, 'topic:created', topic);
+        this.publish('activity', FakeApiAdapter.publicActivity(db, 'started', topic));
+        this.publish('stats', FakeApiAdapter.forumStats(db));
+        return FakeApiAdapter.respond(201, { topic: FakeApiAdapter.publicTopic(db, topic, request.user) });
+    }
+
+    updateTopic(db, request) {
+        const { body } = request;
+        const topic = db.topics.find(t => t.id === request.params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+
+        const edits = ['title', 'content', 'category'].filter(field => body[field] !== undefined);
+        const denied = FakeApiAdapter.requireUser(request) ||
+            (edits.length > 0 && (FakeApiAdapter.authorize(request, 'topic:edit', topic) || FakeApiAdapter.validateTopicFields(body, false))) ||
+            (body.pinned !== undefined && FakeApiAdapter.authorize(request, 'topic:pin', topic)) ||
+            (body.locked !== undefined && FakeApiAdapter.authorize(request, 'topic:lock', topic));
+        if (denied) return denied;
+
+        if (edits.length > 0) {
+            const now = new Date().toISOString();
+            topic.history = topic.history || [];
+            topic.history.push({ title: topic.title, content: topic.content, editedAt: now, editorId: request.user.id });
+            edits.forEach(field => {
+                topic[field] = field === 'title' ? body.title.trim() : body[field];
+            });
+            topic.editedAt = now;
+            topic.updatedAt = now;
+        }
+        if (body.pinned !== undefined) topic.pinned = Boolean(body.pinned);
+        if (body.locked !== undefined) topic.locked = Boolean(body.locked);
+
+        this.publishTopic(db, 'topic:updated', topic);
+        return FakeApiAdapter.respond(200, {
+            topic: { ...FakeApiAdapter.publicTopic(db, topic, request.user), history: FakeApiAdapter.publicHistory(db, topic.history) }
+        });
+    }
+
+    deleteTopic(db, request) {
+        const topic = db.topics.find(t => t.id === request.params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+        const denied = FakeApiAdapter.authorize(request, 'topic:delete', topic);
+        if (denied) return denied;
+
+        db.topics = db.topics.filter(t => t.id !== topic.id);
+        db.replies = db.replies.filter(r => r.topicId !== topic.id);
+
+        this.publish('topic:deleted', { topicId: topic.id });
+        this.publish('stats', FakeApiAdapter.forumStats(db));
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    createReply(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        const topic = db.topics.find(t => t.id === request.params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+        if (!Permissions.can(request.user, 'reply:create', topic)) {
+            return FakeApiAdapter.error(403, 'forbidden', 'This discussion is locked.');
+        }
+        if (typeof request.body.content !== 'string' || !request.body.content.trim()) {
+            return FakeApiAdapter.error(400, 'validation', 'Your reply is empty.', { content: 'Please write a reply' });
+        }
+
+        const { parentId, quoteId } = request.body;
+        const parent = parentId && db.replies.find(r => r.id === parentId && r.topicId === topic.id);
+        const quoted = quoteId && db.replies.find(r => r.id === quoteId && r.topicId === topic.id);
+        if ((parentId && !parent) || (quoteId && !quoted)) {
+            return FakeApiAdapter.error(400, 'validation', 'That reply is not part of this discussion.');
+        }
+
+        const reply = {
+            id: FakeApiAdapter.id('reply'),
+            topicId: topic.id,
+            parentId: parent ? parent.id : null,
+            quote: quoted ? { replyId: quoted.id, authorId: quoted.authorId, text: quoted.content.slice(0, 300) } : null,
+            content: request.body.content,
+            authorId: request.user.id,
+            createdAt: new Date().toISOString(),
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {}
+        };
+        db.replies.push(reply);
+        topic.updatedAt = reply.createdAt;
+
+        this.publish('reply:created', {
+            reply: FakeApiAdapter.publicReply(db, reply, null),
+            topic: FakeApiAdapter.publicTopic(db, topic, null)
+        });
+        this.publish('activity', FakeApiAdapter.publicActivity(db, 'replied', topic, reply));
+        this.publish('stats', FakeApiAdapter.forumStats(db));
+        return FakeApiAdapter.respond(201, { reply: FakeApiAdapter.publicReply(db, reply, request.user) });
+    }
+
+    updateReply(db, request) {
+        const [topicId, replyId] = request.params;
+        const topic = db.topics.find(t => t.id === topicId);
+        const reply = topic && db.replies.find(r => r.id === replyId && r.topicId === topic.id);
+        if (!reply) {
+            return FakeApiAdapter.error(404, 'not_found', 'That reply could not be found.');
+        }
+        const denied = FakeApiAdapter.authorize(request, 'reply:edit', { authorId: reply.authorId, locked: topic.locked });
+        if (denied) return denied;
+        if (typeof request.body.content !== 'string' || !request.body.content.trim()) {
+            return FakeApiAdapter.error(400, 'validation', 'Your reply is empty.', { content: 'Please write a reply' });
+        }
+
+        const now = new Date().toISOString();
+        reply.history = reply.history || [];
+        reply.history.push({ content: reply.content, editedAt: now, editorId: request.user.id });
+        reply.content = request.body.content;
+        reply.editedAt = now;
+
+        this.publish('reply:updated', { reply: FakeApiAdapter.publicReply(db, reply, null) });
+        return FakeApiAdapter.respond(200, { reply: FakeApiAdapter.publicReply(db, reply, request.user) });
+    }
+
+    acceptAnswer(db, request) {
+        const topic = db.topics.find(t => t.id === request.params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+        const denied = FakeApiAdapter.authorize(request, 'topic:accept', topic);
+        if (denied) return denied;
+
+        const { replyId } = request.body;
+        const reply = replyId && db.replies.find(r => r.id === replyId && r.topicId === topic.id);
+        if (replyId && !reply) {
+            return FakeApiAdapter.error(400, 'validation', 'That reply is not part of this discussion.');
+        }
+
+        topic.acceptedReplyId = reply ? reply.id : null;
+        topic.solved = Boolean(reply);
+        topic.solvedAt = reply ? new Date().toISOString() : null;
+
+        this.publishTopic(db, 'topic:updated', topic);
+        if (reply) this.publish('activity', FakeApiAdapter.publicActivity(db, 'solved', topic, reply));
+        return FakeApiAdapter.respond(200, { topic: FakeApiAdapter.publicTopic(db, topic, request.user) });
+    }
+
+    /**
+     * Store the user's vote on a topic or reply; an error response when it is
+     * their own post or not a valid vote
+     */
+    static castVote(post, request, action) {
+        if (!Permissions.can(request.user, action, post)) {
+            return FakeApiAdapter.error(403, 'forbidden', 'You cannot vote on your own posts.');
+        }
+        const value = request.body.value;
+        if (!Number.isInteger(value) || ![-1, 0, 1].includes(value)) {
+            return FakeApiAdapter.error(400, 'validation', 'A vote must be 1, -1 or 0.');
+        }
+
+        post.votes = post.votes || {};
+        if (value === 0) {
+            delete post.votes[request.user.id];
+        } else {
+            post.votes[request.user.id] = value;
+        }
+        return null;
+    }
+
+    voteTopic(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        const topic = db.topics.find(t => t.id === request.params[0]);
+        if (!topic) {
+            return FakeApiAdapter.error(404, 'not_found', 'That discussion could not be found.');
+        }
+        const refused = FakeApiAdapter.castVote(topic, request, 'topic:vote');
+        if (refused) return refused;
+
+        const result = FakeApiAdapter.publicTopic(db, topic, request.user);
+        this.publish('vote', { target: { topicId: topic.id }, votes: result.votes });
+        return FakeApiAdapter.respond(200, { votes: result.votes, userVote: result.userVote });
+    }
+
+    voteReply(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        const [topicId, replyId] = request.params;
+        const reply = db.replies.find(r => r.id === replyId && r.topicId === topicId);
+        if (!reply) {
+            return FakeApiAdapter.error(404, 'not_found', 'That reply could not be found.');
+        }
+        const refused = FakeApiAdapter.castVote(reply, request, 'reply:vote');
+        if (refused) return refused;
+
+        const result = FakeApiAdapter.publicReply(db, reply, request.user);
+        this.publish('vote', { target: { topicId, replyId: reply.id }, votes: result.votes });
+        return FakeApiAdapter.respond(200, { votes: result.votes, userVote: result.userVote });
+    }
+
+    // Classes
+
+    static findClass(db, classId) {
+        return db.classes.find(c => c.id === classId) || null;
+    }
+
+    static classNotFound() {
+        return FakeApiAdapter.error(404, 'not_found', 'That class could not be found.');
+    }
+
+    static validateClassFields(body, required) {
+        if ((required || body.name !== undefined) && (typeof body.name !== 'string' || !body.name.trim())) {
+            return FakeApiAdapter.error(400, 'validation', 'Please check the class details.', { name: 'Please name the class' });
+        }
+        return null;
+    }
+
+    listClasses(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        const classes = db.classes.filter(c => Permissions.can(request.user, 'class:view', c));
+        return FakeApiAdapter.respond(200, { classes: classes.map(c => FakeApiAdapter.publicClass(db, c, request.user)) });
+    }
+
+    createClass(db, request) {
+        const { body } = request;
+        const denied = FakeApiAdapter.authorize(request, 'class:create') || FakeApiAdapter.validateClassFields(body, true);
+        if (denied) return denied;
+
+        // Same alphabet as the server: no 0/O or 1/I
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let joinCode;
+        do {
+            joinCode = Array.from({ length: 6 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+        } while (db.classes.some(c => c.joinCode === joinCode));
+
+        const classroom = {
+            id: FakeApiAdapter.id('class'),
+            name: body.name.trim(),
+            description: String(body.description || '').trim(),
+            ownerId: request.user.id,
+            joinCode,
+            memberIds: [],
+            assignments: [],
+            createdAt: new Date().toISOString()
+        };
+        db.classes.push(classroom);
+        return FakeApiAdapter.respond(201, { class: FakeApiAdapter.publicClass(db, classroom, request.user) });
+    }
+
+    joinClass(db, request) {
+        const denied = FakeApiAdapter.requireUser(request);
+        if (denied) return denied;
+
+        const code = String(request.body.code || '').trim().toUpperCase();
+        const classroom = db.classes.find(c => c.joinCode === code);
+        if (!classroom) {
+            return FakeApiAdapter.error(404, 'not_found', 'No class has that code. Please check it with your teacher.', { code: 'Unknown class code' });
+        }
+        if (classroom.ownerId !== request.user.id && !classroom.memberIds.includes(request.user.id)) {
+            classroom.memberIds.push(request.user.id);
+        }
+        return FakeApiAdapter.respond(200, { class: FakeApiAdapter.publicClass(db, classroom, request.user) });
+    }
+
+    getClass(db, request) {
+        const classroom = FakeApiAdapter.findClass(db, request.params[0]);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        return FakeApiAdapter.authorize(request, 'class:view', classroom) ||
+            FakeApiAdapter.respond(200, { class: FakeApiAdapter.publicClass(db, classroom, request.user) });
+    }
+
+    updateClass(db, request) {
+        const { body } = request;
+        const classroom = FakeApiAdapter.findClass(db, request.params[0]);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        const denied = FakeApiAdapter.authorize(request, 'class:manage', classroom) || FakeApiAdapter.validateClassFields(body, false);
+        if (denied) return denied;
+
+        if (body.name !== undefined) classroom.name = body.name.trim();
+        if (body.description !== undefined) classroom.description = String(body.description).trim();
+        return FakeApiAdapter.respond(200, { class: FakeApiAdapter.publicClass(db, classroom, request.user) });
+    }
+
+    deleteClass(db, request) {
+        const classroom = FakeApiAdapter.findClass(db, request.params[0]);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        const denied = FakeApiAdapter.authorize(request, 'class:manage', classroom);
+        if (denied) return denied;
+
+        db.classes = db.classes.filter(c => c.id !== classroom.id);
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    /**
+     * Lessons listed in lessons/index.json, or null when it cannot be
+     * fetched (pages opened from disk); any lesson id is accepted then
+     */
+    static async lessonIndex() {
+        try {
+            const response = await fetch('lessons/index.json');
+            const index = await response.json();
+            return Array.isArray(index.lessons) ? index.lessons : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async createAssignment(db, request) {
+        const { body } = request;
+        const classroom = FakeApiAdapter.findClass(db, request.params[0]);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        const denied = FakeApiAdapter.authorize(request, 'class:manage', classroom);
+        if (denied) return denied;
+
+        const lessonId = String(body.lessonId || '');
+        const lessons = await FakeApiAdapter.lessonIndex();
+        const lesson = lessons ? lessons.find(l => l.id === lessonId) : null;
+        if (lessons ? !lesson : !/^[\w-]+$/.test(lessonId)) {
+            return FakeApiAdapter.error(400, 'validation', 'Please choose a lesson.', { lessonId: 'Unknown lesson' });
+        }
+        if (body.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.dueDate)) {
+            return FakeApiAdapter.error(400, 'validation', 'Please enter the due date as YYYY-MM-DD.', { dueDate: 'Invalid date' });
+        }
+
+        const assignment = {
+            id: FakeApiAdapter.id('assignment'),
+            lessonId,
+            title: lesson ? lesson.title : lessonId,
+            note: String(body.note || '').trim().slice(0, 500),
+            dueDate: body.dueDate || null,
+            assignedAt: new Date().toISOString()
+        };
+        classroom.assignments.push(assignment);
+        return FakeApiAdapter.respond(201, { assignment, class: FakeApiAdapter.publicClass(db, classroom, request.user) });
+    }
+
+    deleteAssignment(db, request) {
+        const classroom = FakeApiAdapter.findClass(db, request.params[0]);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        const denied = FakeApiAdapter.authorize(request, 'class:manage', classroom);
+        if (denied) return denied;
+
+        classroom.assignments = classroom.assignments.filter(a => a.id !== request.params[1]);
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    removeClassMember(db, request) {
+        const [classId, userId] = request.params;
+        const classroom = FakeApiAdapter.findClass(db, classId);
+        if (!classroom) return FakeApiAdapter.classNotFound();
+        const denied = FakeApiAdapter.requireUser(request) ||
+            (userId !== request.user.id && FakeApiAdapter.authorize(request, 'class:manage', classroom));
+        if (denied) return denied;
+
+        classroom.memberIds = classroom.memberIds.filter(id => id !== userId);
+        return FakeApiAdapter.respond(204, null);
+    }
+
+    // Users
+
+    listUsers(db, request) {
+        const denied = FakeApiAdapter.authorize(request, 'user:manage-roles');
+        if (denied) return denied;
+
+        const users = db.users.map(FakeApiAdapter.publicUser).sort((a, b) => a.username.localeCompare(b.username));
+        return FakeApiAdapter.respond(200, { users });
+    }
+
+    setUserRole(db, request) {
+        const denied = FakeApiAdapter.authorize(request, 'user:manage-roles');
+        if (denied) return denied;
+
+        const user = db.users.find(u => u.id === request.params[0]);
+        const { role } = request.body;
+        if (!user) {
+            return FakeApiAdapter.error(404, 'not_found', 'That account could not be found.');
+        }
+        if (!Permissions.ROLES.includes(role)) {
+            return FakeApiAdapter.error(400, 'validation', `Role must be one of: ${Permissions.ROLES.join(', ')}.`, { role: 'Unknown role' });
+        }
+        if (user.id === request.user.id && role !== 'admin') {
+            return FakeApiAdapter.error(400, 'validation', 'You cannot remove your own administrator role.');
+        }
+
+        user.role = role;
+        delete user.roleRequest;
+        return FakeApiAdapter.respond(200, { user: FakeApiAdapter.publicUser(user) });
+    }
+
+    /**
+     * Starting data: the demo accounts, the forum members and discussions
+     * shown on forum.html, and a few older threads for infinite scroll
+     */
+    static seed() {
+        const now = Date.now();
+        const hoursAgo = hours => new Date(now - hours * 3600000).toISOString();
+        const member = (id, firstName, lastName, role = 'student') => ({
+            id,
+            firstName,
+            lastName,
+            username: `${firstName}${lastName}`.toLowerCase(),
+            email: `${firstName}.${lastName}@physicslearn.com`.toLowerCase(),
+            password: null,
+            emailVerified: true,
+            role,
+            createdAt: hoursAgo(24 * 90)
+        });
+
+        const users = [
+            { ...member('user_demo', 'Demo', 'Learner'), email: 'demo@physicslearn.com', username: 'demo', password: 'demo123' },
+            { ...member('user_demo_teacher', 'Demo', 'Teacher', 'teacher'), email: 'teacher@physicslearn.com', username: 'demo_teacher', password: 'teacher123' },
+            { ...member('user_demo_moderator', 'Demo', 'Moderator', 'moderator'), email: 'moderator@physicslearn.com', username: 'demo_moderator', password: 'moderator123' },
+            { ...member('user_demo_admin', 'Demo', 'Admin', 'admin'), email: 'admin@physicslearn.com', username: 'demo_admin', password: 'admin123' },
+            member('user_jsmith', 'John', 'Smith'),
+            member('user_mrodriguez', 'Maria', 'Rodriguez'),
+            member('user_dlee', 'David', 'Lee', 'teacher'),
+            member('user_sbrown', 'Sarah', 'Brown'),
+            member('user_aturner', 'Alex', 'Turner'),
+            member('user_jdoe', 'Jane', 'Doe'),
+            member('user_mjohnson', 'Mike', 'Johnson', 'teacher'),
+            member('user_twilson', 'Tom', 'Wilson')
+        ];
+
+        const topic = (id, title, category, authorId, hours, content, extra = {}) => ({
+            id,
+            title,
+            content,
+            category,
+            isQuestion: false,
+            solved: false,
+            solvedAt: null,
+            acceptedReplyId: null,
+            pinned: false,
+            locked: false,
+            authorId,
+            createdAt: hoursAgo(hours),
+            updatedAt: hoursAgo(hours),
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {},
+            views: 0,
+            ...extra
+        });
+
+        const topics = [
+            topic('topic-1', 'Understanding conservation of momentum in collisions', 'classical', 'user_jsmith', 2,
+                'I\'m having trouble understanding how momentum is conserved in elastic vs inelastic collisions. Can someone explain the difference and provide some examples?',
+                { isQuestion: true, solved: true, solvedAt: hoursAgo(1), acceptedReplyId: 'reply-1', baseVotes: 12, views: 87 }),
+            topic('topic-2', 'Wave interference patterns in water', 'waves', 'user_mrodriguez', 4,
+                'I\'ve been experimenting with wave tanks and noticed some interesting interference patterns. Has anyone tried creating standing waves with multiple sources?',
+                { baseVotes: 8, views: 156 }),
+            topic('topic-3', 'Electric field visualization techniques', 'electromagnetism', 'user_dlee', 6,
+                'Looking for better ways to visualize electric fields in 3D. What software or tools do you recommend for creating clear field line diagrams?',
+                { baseVotes: 15, views: 234 }),
+            topic('topic-4', 'Quantum tunneling explained simply', 'quantum', 'user_sbrown', 8,
+                'Can someone explain quantum tunneling in simple terms? I understand the math but struggle with the physical interpretation. How can a particle "go through" a barrier?',
+                { isQuestion: true, baseVotes: 23, views: 312 }),
+            topic('topic-5', 'Thermodynamics homework help needed', 'problems', 'user_aturner', 24,
+                'Stuck on a problem involving Carnot engines. The efficiency calculation doesn\'t match the expected answer. Can someone check my work?',
+                { isQuestion: true, baseVotes: 6, views: 45 }),
+            topic('topic-6', 'Understanding wave-particle duality', 'quantum', 'user_jdoe', 30,
+                'The double-slit simulation builds up fringes one photon at a time. How should I think about what each photon is doing before it lands?',
+                { baseVotes: 9, views: 140 }),
+            topic('topic-7', 'Help with projectile motion calculations', 'classical', 'user_twilson', 36,
+                'My range calculation for a launch from a cliff doesn\'t match the simulation. I used $R = \\frac{v^2 \\sin 2\\theta}{g}$. What am I missing?',
+                { isQuestion: true, baseVotes: 4, views: 66 }),
+            topic('topic-8', 'Electromagnetic induction explained', 'electromagnetism', 'user_mjohnson', 48,
+                'A short write-up on Faraday\'s law with a few everyday examples: induction hobs, transformers and bike dynamos.',
+                { baseVotes: 17, views: 205 }),
+            topic('topic-9', 'Thermodynamics efficiency problems', 'thermodynamics', 'user_aturner', 60,
+                'Collecting practice problems on heat engine efficiency. Share the ones that helped you most.',
+                { baseVotes: 5, views: 98 }),
+            topic('topic-10', 'Quantum entanglement questions', 'quantum', 'user_mrodriguez', 72,
+                'If measuring one particle instantly fixes the other, why can\'t entanglement be used to send messages?',
+                { isQuestion: true, baseVotes: 11, views: 177 })
+        ];
+
+        const reply = (id, topicId, authorId, hours, content, extra = {}) => ({
+            id,
+            topicId,
+            parentId: null,
+            quote: null,
+            authorId,
+            createdAt: hoursAgo(hours),
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {},
+            content,
+            ...extra
+        });
+        const replies = [
+            reply('reply-1', 'topic-1', 'user_dlee', 1.5,
+                'Momentum is conserved in both. The difference is kinetic energy: elastic collisions keep it, inelastic ones turn some into heat and deformation.',
+                { baseVotes: 7 }),
+            reply('reply-2', 'topic-1', 'user_jsmith', 1,
+                'That makes sense, thanks! So two carts sticking together is the extreme inelastic case.', { parentId: 'reply-1' }),
+            reply('reply-3', 'topic-2', 'user_mjohnson', 3,
+                'Try two sources at the same frequency in the wave simulation and watch the nodal lines. Standing waves need a reflecting wall as well.'),
+            reply('reply-4', 'topic-3', 'user_sbrown', 5,
+                'The electric field simulation here is a good start. For 3D, plotting equipotential surfaces helps more than field lines.'),
+            reply('reply-5', 'topic-4', 'user_mjohnson', 7,
+                'The wave function doesn\'t stop at the barrier, it decays inside it. If the barrier is thin, some of it is still there on the other side.',
+                { baseVotes: 9 }),
+            reply('reply-6', 'topic-4', 'user_jdoe', 6,
+                'The tunneling simulation shows this nicely: make the barrier thinner and watch the transmitted part grow.', { parentId: 'reply-5' }),
+            reply('reply-7', 'topic-5', 'user_dlee', 20,
+                'Check that your temperatures are in kelvin. The Carnot efficiency\n\n$$\\eta = 1 - \\frac{T_c}{T_h}$$\n\nonly works on an absolute scale.',
+                { baseVotes: 3 }),
+            reply('reply-8', 'topic-7', 'user_dlee', 34,
+                'That formula assumes you land at launch height. From a cliff of height $h$ you have to solve $h + v \\sin\\theta \\, t - \\tfrac{1}{2} g t^2 = 0$ for the time of flight first.')
+        ];
+
+        return { version: 1, users, sessions: {}, authTokens: {}, topics, replies, classes: [], messages: [] };
+    }
+}
+
+// Must match REPUTATION in server/models.js
+FakeApiAdapter.REPUTATION = { upvote: 10, downvote: -2, accepted: 15 };
+
+// Must match ACTIVITY in server/models.js
+FakeApiAdapter.ACTIVITY = {
+    started: { icon: 'plus', action: 'started' },
+    replied: { icon: 'reply', action: 'replied to' },
+    solved: { icon: 'check', action: 'solved' }
+};
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FakeApiAdapter;
+}
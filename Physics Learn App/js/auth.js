@@ -10,6 +10,7 @@ class AuthManager {
         this.formData = {};
         this.passwordStrength = 0;
         this.usernameAvailable = null;
+        this.api = window.api;
         
         this.init();
     }
@@ -21,6 +22,7 @@ class AuthManager {
         this.setupPasswordStrength();
         this.setupUsernameCheck();
         this.setupSocialAuth();
+        this.setupAccountPages();
     }
     
     bindElements() {
@@ -56,6 +58,12 @@ class AuthManager {
         
         // Social auth buttons
         this.socialButtons = document.querySelectorAll('.social-btn');
+        
+        // Verification and password reset pages
+        this.forgotForm = document.getElementById('forgot-password-form');
+        this.resetForm = document.getElementById('reset-password-form');
+        this.resendForm = document.getElementById('resend-verification-form');
+        this.statusPanel = document.getElementById('auth-status');
     }
     
     attachEventListeners() {
@@ -77,6 +85,18 @@ class AuthManager {
             this.loginForm.addEventListener('submit', (e) => this.handleLogin(e));
         }
         
+        if (this.forgotForm) {
+            this.forgotForm.addEventListener('submit', (e) => this.handleForgotPassword(e));
+        }
+        
+        if (this.resetForm) {
+            this.resetForm.addEventListener('submit', (e) => this.handlePasswordReset(e));
+        }
+        
+        if (this.resendForm) {
+            this.resendForm.addEventListener('submit', (e) => this.handleResendVerification(e));
+        }
+        
         // Password toggle
         this.passwordToggleButtons.forEach(button => {
             button.addEventListener('click', (e) => this.togglePasswordVisibility(e));
@@ -84,7 +104,13 @@ class AuthManager {
         
         // Password strength checking
         if (this.passwordInput) {
-            this.passwordInput.addEventListener('input', () => this.checkPasswordStrength());
+            this.passwordInput.addEventListener('input', () => {
+                if (this.resetForm) {
+                    this.checkNewPasswordStrength();
+                } else {
+                    this.checkPasswordStrength();
+                }
+            });
         }
         
         // Password confirmation
@@ -443,6 +469,15 @@ class AuthManager {
         }
     }
     
+    /**
+     * Strength meter of the reset form, which has no requirements checklist
+     */
+    checkNewPasswordStrength() {
+        const score = PasswordStrengthCalculator.calculate(this.passwordInput.value);
+        this.updatePasswordStrengthIndicator(score);
+        this.passwordStrength = score;
+    }
+    
     checkPasswordMatch() {
         if (!this.confirmPasswordInput || !this.passwordInput) return;
         
@@ -560,21 +595,25 @@ class AuthManager {
         const notifications = formData.getAll('notifications');
         userData.notifications = notifications;
         
+        // A checkbox is only in the form data when ticked
+        userData.newsletter = formData.has('newsletter');
+        
         // Show loading state
         this.setLoadingState(this.submitBtn, true);
         
         try {
-            // Simulate API call
-            await this.simulateRegistration(userData);
+            await this.api.register(userData);
             
             // Clear saved form data
             this.clearSavedFormData();
             
             // Show success modal
+            this.registeredEmail = userData.email;
             this.showSuccessModal(userData.email);
             
         } catch (error) {
-            this.showError('Registration failed. Please try again.');
+            this.showApiFieldErrors(this.registerForm, error);
+            this.showError(error.code === 'server_error' ? 'Registration failed. Please try again.' : error.message);
             console.error('Registration error:', error);
         } finally {
             this.setLoadingState(this.submitBtn, false);
@@ -592,44 +631,32 @@ class AuthManager {
         this.setLoadingState(submitButton, true);
         
         try {
-            // Simulate API call
-            await this.simulateLogin(credentials);
+            await this.api.login(credentials);
             
             // Redirect to dashboard or intended page
             this.redirectAfterLogin();
             
         } catch (error) {
-            this.showError('Invalid email or password. Please try again.');
+            this.showError(error.code === 'unauthorized' ? 'Invalid email or password. Please try again.' : error.message);
             console.error('Login error:', error);
         } finally {
             this.setLoadingState(submitButton, false);
         }
     }
     
-    async simulateRegistration(userData) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Store user data in localStorage (in real app, this would be sent to server)
-        localStorage.setItem('user_data', JSON.stringify(userData));
-        localStorage.setItem('registration_pending', 'true');
-        
-        return { success: true, userId: 'user_' + Date.now() };
-    }
-    
-    async simulateLogin(credentials) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Check credentials (in real app, this would be validated by server)
-        if (credentials.email === 'demo@physicslearn.com' && credentials.password === 'demo123') {
-            // Store auth token
-            localStorage.setItem('user_token', 'token_' + Date.now());
-            localStorage.setItem('user_email', credentials.email);
-            return { success: true, token: 'demo_token' };
-        } else {
-            throw new Error('Invalid credentials');
-        }
+    /**
+     * Mark the fields a validation or conflict error names, e.g. an email
+     * that is already registered
+     */
+    showApiFieldErrors(form, error) {
+        if (!form || !error.details) return;
+        
+        Object.entries(error.details).forEach(([name, message]) => {
+            const field = form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldValidation(field, false, message);
+            }
+        });
     }
     
     // UI feedback
@@ -723,19 +750,38 @@ class AuthManager {
     redirectAfterLogin() {
         // Get intended destination or default to home
         const urlParams = new URLSearchParams(window.location.search);
-        const redirect = urlParams.get('redirect') || 'index.html';
+        const redirect = AuthManager.getSafeRedirect(urlParams.get('redirect'));
         
         window.location.href = redirect;
     }
     
+    /**
+     * The return-to URL if it points at a page of this site, so a crafted
+     * login link cannot send users elsewhere; otherwise the home page
+     */
+    static getSafeRedirect(redirect) {
+        if (!redirect) return 'index.html';
+        
+        try {
+            const url = new URL(redirect, window.location.href);
+            const page = url.pathname.split('/').pop();
+            if (url.protocol !== window.location.protocol || url.host !== window.location.host ||
+                ['login.html', 'register.html'].includes(page)) {
+                return 'index.html';
+            }
+            return url.href;
+        } catch (error) {
+            return 'index.html';
+        }
+    }
+    
     async resendVerificationEmail() {
         if (!this.resendEmailBtn) return;
         
         this.setLoadingState(this.resendEmailBtn, true);
         
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await this.api.resendVerification(this.registeredEmail);
             
             // Show success feedback
             const originalText = this.resendEmailBtn.textContent;
@@ -748,12 +794,145 @@ class AuthManager {
             }, 3000);
             
         } catch (error) {
-            this.showError('Failed to resend email. Please try again.');
+            this.showError(error.code === 'rate_limited' ? error.message : 'Failed to resend email. Please try again.');
         } finally {
             this.setLoadingState(this.resendEmailBtn, false);
         }
     }
     
+    // Email verification and password reset
+    setupAccountPages() {
+        const token = new URLSearchParams(window.location.search).get('token');
+        
+        if (this.resendForm) {
+            if (token) {
+                this.verifyEmailFromLink(token);
+            } else {
+                this.showStatus('info', 'Open the link in the email we sent you, or enter your address below for a new one.');
+                this.resendForm.hidden = false;
+            }
+        }
+        
+        if (this.resetForm && !token) {
+            this.showStatus('error', 'This page needs the link from your password reset email.');
+            this.resetForm.hidden = true;
+        }
+    }
+    
+    async verifyEmailFromLink(token) {
+        this.showStatus('info', 'Verifying your email address…');
+        
+        try {
+            await this.api.verifyEmail(token);
+            this.showStatus('success', 'Your email address is verified. Thanks!', { href: 'index.html', label: 'Start learning' });
+        } catch (error) {
+            this.showStatus('error', error.code === 'validation'
+                ? 'This link is invalid or has expired. Enter your email to get a new one.'
+                : error.message);
+            this.resendForm.hidden = false;
+        }
+    }
+    
+    async handleResendVerification(event) {
+        event.preventDefault();
+        
+        const emailInput = this.resendForm.querySelector('[name="email"]');
+        if (!this.validateField(emailInput)) return;
+        
+        const submitButton = this.resendForm.querySelector('button[type="submit"]');
+        this.setLoadingState(submitButton, true);
+        
+        try {
+            await this.api.resendVerification(emailInput.value.trim());
+            this.showStatus('success', `If ${emailInput.value.trim()} belongs to an account that still needs verifying, a new link is on its way.`);
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            this.setLoadingState(submitButton, false);
+        }
+    }
+    
+    async handleForgotPassword(event) {
+        event.preventDefault();
+        
+        const emailInput = this.forgotForm.querySelector('[name="email"]');
+        if (!this.validateField(emailInput)) return;
+        
+        const submitButton = this.forgotForm.querySelector('button[type="submit"]');
+        this.setLoadingState(submitButton, true);
+        
+        try {
+            await this.api.requestPasswordReset(emailInput.value.trim());
+            
+            // The same answer whether or not the address has an account
+            this.forgotForm.hidden = true;
+            this.showStatus('success', `If ${emailInput.value.trim()} has a PhysicsLearn account, we've sent it a link to reset your password. The link is valid for 60 minutes.`);
+        } catch (error) {
+            this.showApiFieldErrors(this.forgotForm, error);
+            this.showError(error.message);
+        } finally {
+            this.setLoadingState(submitButton, false);
+        }
+    }
+    
+    async handlePasswordReset(event) {
+        event.preventDefault();
+        
+        const fieldsValid = [this.passwordInput, this.confirmPasswordInput]
+            .map(input => this.validateField(input))
+            .every(Boolean);
+        if (!fieldsValid) return;
+        
+        if (!this.validatePassword()) {
+            this.showFieldValidation(this.passwordInput, false, 'Please choose a stronger password');
+            return;
+        }
+        
+        const submitButton = this.resetForm.querySelector('button[type="submit"]');
+        this.setLoadingState(submitButton, true);
+        
+        try {
+            await this.api.resetPassword({
+                token: new URLSearchParams(window.location.search).get('token'),
+                password: this.passwordInput.value,
+                confirmPassword: this.confirmPasswordInput.value
+            });
+            
+            this.resetForm.hidden = true;
+            this.showStatus('success', 'Your password has been changed. Please sign in with your new password.', { href: 'login.html', label: 'Sign in' });
+        } catch (error) {
+            this.showApiFieldErrors(this.resetForm, error);
+            this.showStatus('error', error.message);
+        } finally {
+            this.setLoadingState(submitButton, false);
+        }
+    }
+    
+    /**
+     * Message panel of the verification and reset pages, with an optional link
+     */
+    showStatus(type, message, action = null) {
+        if (!this.statusPanel) return;
+        
+        const icons = { info: 'fa-info-circle', success: 'fa-check-circle', error: 'fa-exclamation-circle' };
+        this.statusPanel.className = `auth-status auth-status-${type}`;
+        this.statusPanel.innerHTML = `<i class="fas ${icons[type]}" aria-hidden="true"></i>`;
+        
+        const text = document.createElement('p');
+        text.textContent = message;
+        this.statusPanel.appendChild(text);
+        
+        if (action) {
+            const link = document.createElement('a');
+            link.href = action.href;
+            link.className = 'btn btn-primary';
+            link.textContent = action.label;
+            this.statusPanel.appendChild(link);
+        }
+        
+        this.statusPanel.hidden = false;
+    }
+    
     // Social authentication
     setupSocialAuth() {
         // Add click handlers for social buttons
@@ -0,0 +1,301 @@
+/**
+ * PhysicsLearn - Classes
+ * Teachers create classes and assign lessons; students join with a code
+ */
+
+class ClassesPage {
+    constructor(api, progress, options = {}) {
+        this.api = api;
+        this.progress = progress;
+        this.lessonIndexUrl = options.lessonIndexUrl || 'lessons/index.json';
+        this.lessons = [];
+        this.classes = [];
+        this.user = null;
+    }
+
+    async init() {
+        this.status = document.getElementById('classes-status');
+        this.list = document.getElementById('classes-list');
+        this.joinForm = document.getElementById('join-class-form');
+        this.createForm = document.getElementById('create-class-form');
+
+        if (!this.api.isAuthenticated()) {
+            this.showStatus('info', 'Log in to see your classes.', { label: 'Log in', href: ApiClient.loginUrl() });
+            return;
+        }
+
+        try {
+            this.user = await this.api.refreshSession();
+        } catch (error) {
+            this.user = this.api.getCurrentUser();
+        }
+        if (!this.user) {
+            this.showStatus('info', 'Your session has ended. Please log in again.', { label: 'Log in', href: ApiClient.loginUrl() });
+            return;
+        }
+
+        this.joinForm.closest('section').hidden = false;
+        this.joinForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.joinClass();
+        });
+
+        // Only teachers (and administrators) see the form; the server checks again
+        if (Permissions.can(this.user, 'class:create')) {
+            this.createForm.closest('section').hidden = false;
+            this.createForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createClass();
+            });
+        } else if (this.user.roleRequest === 'teacher') {
+            this.showStatus('info', 'An administrator has yet to approve your teacher account. Until then you can join classes but not create them.');
+        }
+
+        this.list.addEventListener('click', (e) => this.handleAction(e));
+        this.list.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.assignLesson(e.target);
+        });
+
+        this.lessons = await this.loadLessons();
+        await this.load();
+    }
+
+    /**
+     * Lessons a class can be given; an unreachable index (e.g. when the page
+     * is opened from disk) leaves the assignment form without choices
+     */
+    async loadLessons() {
+        try {
+            const response = await fetch(this.lessonIndexUrl);
+            if (!response.ok) {
+                throw new Error(`${this.lessonIndexUrl} returned ${response.status}`);
+            }
+            const index = await response.json();
+            return Array.isArray(index.lessons) ? index.lessons : [];
+        } catch (error) {
+            console.warn(`Could not load ${this.lessonIndexUrl}:`, error);
+            return [];
+        }
+    }
+
+    async load() {
+        try {
+            const { classes } = await this.api.listClasses();
+            this.classes = classes;
+            this.render();
+        } catch (error) {
+            this.showStatus('error', error.message);
+        }
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        if (this.classes.length === 0) {
+            const empty = Permissions.can(this.user, 'class:create')
+                ? 'You have no classes yet. Create one above and share its join code with your students.'
+                : 'You have not joined a class yet. Ask your teacher for the class code.';
+            this.list.innerHTML = `<p class="dashboard-empty">${empty}</p>`;
+            return;
+        }
+
+        this.classes.forEach(classroom => this.list.appendChild(this.renderClass(classroom)));
+    }
+
+    renderClass(classroom) {
+        const manage = Permissions.can(this.user, 'class:manage', { ownerId: classroom.teacher.id });
+        const escape = ClassesPage.escapeHtml;
+
+        const card = document.createElement('article');
+        card.className = 'class-card';
+        card.dataset.classId = classroom.id;
+        card.innerHTML = `
+            <header class="class-card-header">
+                <div>
+                    <h3>${escape(classroom.name)}</h3>
+                    <span class="class-card-meta">
+                        ${escape(classroom.teacher.name)} ·
+                        ${classroom.memberCount} student${classroom.memberCount !== 1 ? 's' : ''}
+                    </span>
+                </div>
+                ${manage
+                    ? `<span class="class-join-code" title="Students join with this code">${escape(classroom.joinCode)}</span>`
+                    : '<button type="button" class="btn btn-outline" data-action="leave">Leave class</button>'}
+            </header>
+            ${classroom.description ? `<p class="class-card-description">${escape(classroom.description)}</p>` : ''}
+            <h4>Assignments</h4>
+            <ul class="class-assignments"></ul>
+        `;
+
+        const assignments = card.querySelector('.class-assignments');
+        if (classroom.assignments.length === 0) {
+            assignments.outerHTML = '<p class="dashboard-empty">No lessons assigned yet.</p>';
+        }
+        classroom.assignments.forEach(assignment => {
+            assignments.appendChild(this.renderAssignment(assignment, manage));
+        });
+
+        if (manage) {
+            card.appendChild(this.renderAssignForm());
+            card.appendChild(this.renderMembers(classroom));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'class-delete';
+            remove.dataset.action = 'delete-class';
+            remove.innerHTML = '<i class="fas fa-trash" aria-hidden="true"></i> Delete class';
+            card.appendChild(remove);
+        }
+
+        return card;
+    }
+
+    /**
+     * One assigned lesson; students see whether they have finished it
+     */
+    renderAssignment(assignment, manage) {
+        const lesson = this.progress.getRecord().lessons[assignment.lessonId];
+        const done = Boolean(lesson && lesson.completedAt);
+        const escape = ClassesPage.escapeHtml;
+
+        const item = document.createElement('li');
+        item.className = done && !manage ? 'done' : '';
+        item.dataset.assignmentId = assignment.id;
+        item.innerHTML = `
+            <i class="fas ${done && !manage ? 'fa-check-circle' : 'fa-chalkboard-teacher'}" aria-hidden="true"></i>
+            <div>
+                <a href="simulations.html?lesson=${encodeURIComponent(assignment.lessonId)}">${escape(assignment.title)}</a>
+                ${assignment.dueDate ? `<span class="class-due">Due ${new Date(`${assignment.dueDate}T00:00`).toLocaleDateString()}</span>` : ''}
+                ${assignment.note ? `<p class="class-note">${escape(assignment.note)}</p>` : ''}
+            </div>
+            ${manage ? '<button type="button" class="class-remove" data-action="unassign" aria-label="Remove assignment"><i class="fas fa-times" aria-hidden="true"></i></button>' : ''}
+        `;
+        return item;
+    }
+
+    renderAssignForm() {
+        const form = document.createElement('form');
+        form.className = 'class-assign-form';
+        form.innerHTML = `
+            <select name="lessonId" required aria-label="Lesson">
+                <option value="">Assign a lesson…</option>
+                ${this.lessons.map(lesson => `<option value="${lesson.id}">${ClassesPage.escapeHtml(lesson.title)}</option>`).join('')}
+            </select>
+            <input type="date" name="dueDate" aria-label="Due date">
+            <input type="text" name="note" maxlength="500" placeholder="Note for students (optional)" aria-label="Note">
+            <button type="submit" class="btn btn-primary">Assign</button>
+        `;
+        return form;
+    }
+
+    renderMembers(classroom) {
+        const details = document.createElement('details');
+        details.className = 'class-members';
+        details.innerHTML = `<summary>Students (${classroom.members.length})</summary><ul></ul>`;
+
+        const list = details.querySelector('ul');
+        classroom.members.forEach(member => {
+            const item = document.createElement('li');
+            item.dataset.userId = member.id;
+            item.textContent = member.name;
+            item.insertAdjacentHTML('beforeend', '<button type="button" class="class-remove" data-action="remove-member" aria-label="Remove from class"><i class="fas fa-times" aria-hidden="true"></i></button>');
+            list.appendChild(item);
+        });
+        return details;
+    }
+
+    async handleAction(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const card = button.closest('.class-card');
+        const classroom = this.classes.find(c => c.id === card.dataset.classId);
+        const actions = {
+            'leave': () => window.confirm(`Leave ${classroom.name}?`) &&
+                this.api.removeClassMember(classroom.id, this.user.id),
+            'delete-class': () => window.confirm(`Delete ${classroom.name}? Its students and assignments will be removed.`) &&
+                this.api.deleteClass(classroom.id),
+            'unassign': () => this.api.deleteAssignment(classroom.id, button.closest('li').dataset.assignmentId),
+            'remove-member': () => window.confirm('Remove this student from the class?') &&
+                this.api.removeClassMember(classroom.id, button.closest('li').dataset.userId)
+        };
+
+        button.disabled = true;
+        try {
+            if (await actions[button.dataset.action]()) {
+                await this.load();
+            }
+        } catch (error) {
+            this.showStatus('error', error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async joinClass() {
+        const input = this.joinForm.elements.code;
+        try {
+            const result = await this.api.joinClass(input.value);
+            input.value = '';
+            this.showStatus('success', `You have joined ${result.class.name}.`);
+            await this.load();
+        } catch (error) {
+            this.showStatus('error', error.message);
+        }
+    }
+
+    async createClass() {
+        const data = Object.fromEntries(new FormData(this.createForm));
+        try {
+            const result = await this.api.createClass(data);
+            this.createForm.reset();
+            this.showStatus('success', `${result.class.name} is ready. Students join with the code ${result.class.joinCode}.`);
+            await this.load();
+        } catch (error) {
+            this.showStatus('error', error.message);
+        }
+    }
+
+    async assignLesson(form) {
+        const classId = form.closest('.class-card').dataset.classId;
+        try {
+            await this.api.createAssignment(classId, Object.fromEntries(new FormData(form)));
+            await this.load();
+        } catch (error) {
+            this.showStatus('error', error.message);
+        }
+    }
+
+    /**
+     * Message above the class list, with an optional `{ label, href }` link
+     */
+    showStatus(type, message, link = null) {
+        this.status.hidden = false;
+        this.status.className = `classes-status classes-status-${type}`;
+        this.status.textContent = message;
+        if (link) {
+            const anchor = document.createElement('a');
+            anchor.href = link.href;
+            anchor.textContent = link.label;
+            this.status.append(' ', anchor);
+        }
+    }
+
+    static escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Initialize the page when the DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.learnerProgress = window.learnerProgress || new LearnerProgress();
+    window.classesPage = new ClassesPage(window.api, window.learnerProgress);
+    window.classesPage.init();
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClassesPage;
+}
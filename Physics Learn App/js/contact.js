@@ -9,6 +9,7 @@ class ContactManager {
         this.faqItems = null;
         this.submitButton = null;
         this.formData = {};
+        this.api = window.api;
         
         this.init();
     }
@@ -71,8 +72,7 @@ class ContactManager {
         this.setLoadingState(true);
         
         try {
-            // Simulate API call
-            await this.submitContactForm(contactData);
+            await this.api.sendContactMessage(contactData);
             
             // Show success message
             this.showSuccessMessage();
@@ -82,7 +82,7 @@ class ContactManager {
             this.clearSavedFormData();
             
         } catch (error) {
-            this.showErrorMessage('Failed to send message. Please try again.');
+            this.showErrorMessage(error.code === 'server_error' ? 'Failed to send message. Please try again.' : error.message);
             console.error('Contact form error:', error);
         } finally {
             this.setLoadingState(false);
@@ -188,25 +188,6 @@ class ContactManager {
         return phoneRegex.test(phone.replace(/\s/g, ''));
     }
     
-    async submitContactForm(data) {
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Store message data (in real app, this would be sent to server)
-        const messageData = {
-            ...data,
-            timestamp: new Date().toISOString(),
-            id: 'msg_' + Date.now()
-        };
-        
-        // Store in localStorage for demo purposes
-        const messages = JSON.parse(localStorage.getItem('contact_messages') || '[]');
-        messages.push(messageData);
-        localStorage.setItem('contact_messages', JSON.stringify(messages));
-        
-        return { success: true, messageId: messageData.id };
-    }
-    
     setLoadingState(isLoading) {
         if (!this.submitButton) return;
         
@@ -0,0 +1,285 @@
+/**
+ * PhysicsLearn - Progress Dashboard
+ * Course completion, activity summary and streak calendar for the current learner
+ */
+
+class ProgressDashboard {
+    constructor(progress, options = {}) {
+        this.progress = progress;
+        this.lessonIndexUrl = options.lessonIndexUrl || 'lessons/index.json';
+        this.quizIndexUrl = options.quizIndexUrl || 'quizzes/index.json';
+        this.calendarWeeks = options.calendarWeeks || 20;
+        this.lessons = [];
+        this.quizzes = [];
+    }
+
+    async init() {
+        [this.lessons, this.quizzes] = await Promise.all([
+            this.loadIndex(this.lessonIndexUrl, 'lessons'),
+            this.loadIndex(this.quizIndexUrl, 'quizzes')
+        ]);
+        this.render();
+
+        // Progress made in another tab shows up when coming back to this one
+        window.addEventListener('storage', (e) => {
+            if (e.key === null || e.key.startsWith(this.progress.storagePrefix)) {
+                this.progress.record = this.progress.load();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Entries of a lesson or quiz index; an unreachable index (e.g. when the
+     * page is opened from disk) just leaves those items out
+     */
+    async loadIndex(url, key) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`${url} returned ${response.status}`);
+            }
+            const index = await response.json();
+            return Array.isArray(index[key]) ? index[key] : [];
+        } catch (error) {
+            console.warn(`Could not load ${url}:`, error);
+            return [];
+        }
+    }
+
+    render() {
+        this.renderUser();
+        this.renderSummary();
+        this.renderCourses();
+        this.renderCalendar();
+        this.renderQuizzes();
+    }
+
+    renderUser() {
+        const container = document.getElementById('dashboard-user');
+        if (!container) return;
+
+        const user = this.progress.getUserKey();
+        container.innerHTML = '';
+        if (user === 'guest') {
+            const loginUrl = typeof ApiClient !== 'undefined' ? ApiClient.loginUrl('dashboard.html') : 'login.html';
+            container.innerHTML = `
+                <i class="fas fa-user-clock" aria-hidden="true"></i>
+                Tracking progress as a guest on this browser.
+                <a href="${loginUrl}">Log in</a> to keep your own record.
+            `;
+        } else {
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-user-check';
+            icon.setAttribute('aria-hidden', 'true');
+            container.appendChild(icon);
+            container.appendChild(document.createTextNode(` Progress for ${user}`));
+
+            if (window.api && window.api.isAuthenticated()) {
+                const signOut = document.createElement('button');
+                signOut.type = 'button';
+                signOut.className = 'dashboard-signout';
+                signOut.textContent = 'Sign out on all devices';
+                signOut.addEventListener('click', () => this.signOutEverywhere(signOut));
+                container.append(' · ', signOut);
+
+                const user = window.api.getCurrentUser();
+                container.append(' · ', ProgressDashboard.link('classes.html', 'My classes'));
+                if (Permissions.can(user, 'user:manage-roles')) {
+                    container.append(' · ', ProgressDashboard.link('admin.html', 'Manage roles'));
+                }
+            }
+        }
+    }
+
+    /**
+     * End every session of this account, e.g. after using a shared computer
+     */
+    async signOutEverywhere(button) {
+        button.disabled = true;
+        try {
+            await window.api.logoutEverywhere();
+        } catch (error) {
+            console.warn('Could not end the other sessions:', error);
+        }
+        window.location.reload();
+    }
+
+    renderSummary() {
+        const container = document.getElementById('dashboard-summary');
+        if (!container) return;
+
+        const record = this.progress.getRecord();
+        const simulations = Object.values(record.simulations);
+        const totalSeconds = simulations.reduce((sum, s) => sum + s.runSeconds, 0);
+        const streak = this.progress.getStreak();
+
+        const stats = [
+            { icon: 'fa-flask', value: simulations.filter(s => s.opens > 0).length, label: 'Simulations opened' },
+            { icon: 'fa-stopwatch', value: ProgressDashboard.formatDuration(totalSeconds), label: 'Simulation time' },
+            { icon: 'fa-chalkboard-teacher', value: Object.values(record.lessons).filter(l => l.completedAt).length, label: 'Lessons completed' },
+            { icon: 'fa-question-circle', value: Object.values(record.quizzes).filter(q => q.completedAt).length, label: 'Quizzes completed' },
+            { icon: 'fa-fire', value: `${streak.current} ${streak.current === 1 ? 'day' : 'days'}`, label: `Current streak (best ${streak.longest})` }
+        ];
+
+        container.innerHTML = stats.map(stat => `
+            <div class="dashboard-stat">
+                <i class="fas ${stat.icon}" aria-hidden="true"></i>
+                <span class="dashboard-stat-value">${stat.value}</span>
+                <span class="dashboard-stat-label">${stat.label}</span>
+            </div>
+        `).join('');
+    }
+
+    renderCourses() {
+        const container = document.getElementById('dashboard-courses');
+        if (!container) return;
+
+        const icons = { simulation: 'fa-flask', lesson: 'fa-chalkboard-teacher', quiz: 'fa-question-circle' };
+        container.innerHTML = '';
+
+        LearnerProgress.COURSES.forEach(course => {
+            const completion = this.progress.getCourseCompletion(course, this.lessons, this.quizzes);
+            const card = document.createElement('article');
+            card.className = 'dashboard-course';
+            card.id = course.id;
+
+            const started = completion.startedAt
+                ? `Started ${new Date(completion.startedAt).toLocaleDateString()}`
+                : 'Not started yet';
+
+            card.innerHTML = `
+                <header class="dashboard-course-header">
+                    <i class="fas ${course.icon}" aria-hidden="true"></i>
+                    <div>
+                        <h3>${course.title}</h3>
+                        <span class="dashboard-course-started">${started}</span>
+                    </div>
+                    <span class="dashboard-course-percent">${completion.percent}%</span>
+                </header>
+                <div class="dashboard-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100"
+                     aria-valuenow="${completion.percent}" aria-label="${course.title} completion">
+                    <div class="dashboard-progress-fill" style="width: ${completion.percent}%"></div>
+                </div>
+                <p class="dashboard-course-count">${completion.done} of ${completion.total} activities complete</p>
+                <ul class="dashboard-course-items"></ul>
+            `;
+
+            const list = card.querySelector('.dashboard-course-items');
+            completion.items.forEach(item => {
+                const li = document.createElement('li');
+                li.className = item.done ? 'done' : '';
+                li.innerHTML = `<i class="fas ${item.done ? 'fa-check-circle' : icons[item.type]}" aria-hidden="true"></i> `;
+                li.appendChild(document.createTextNode(item.title || item.id));
+                list.appendChild(li);
+            });
+
+            container.appendChild(card);
+        });
+    }
+
+    /**
+     * GitHub-style grid: one column per week, one row per weekday, shaded by
+     * how much was done that day
+     */
+    renderCalendar() {
+        const container = document.getElementById('dashboard-calendar');
+        if (!container) return;
+
+        const activity = this.progress.getRecord().activity;
+        const today = new Date();
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - 7 * (this.calendarWeeks - 1));
+
+        const grid = document.createElement('div');
+        grid.className = 'streak-grid';
+        grid.style.gridTemplateColumns = `repeat(${this.calendarWeeks}, 1fr)`;
+
+        for (let week = 0; week < this.calendarWeeks; week++) {
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7 + weekday);
+                const cell = document.createElement('span');
+                cell.className = 'streak-day';
+                cell.style.gridColumn = week + 1;
+                cell.style.gridRow = weekday + 1;
+
+                if (date > today) {
+                    cell.classList.add('future');
+                } else {
+                    const day = activity[LearnerProgress.dateKey(date)];
+                    const level = ProgressDashboard.getActivityLevel(day);
+                    cell.classList.add(`level-${level}`);
+                    const minutes = day ? Math.round(day.seconds / 60) : 0;
+                    cell.title = `${date.toLocaleDateString()}: ${day ? `${minutes} min, ${day.actions} activities` : 'no activity'}`;
+                }
+                grid.appendChild(cell);
+            }
+        }
+
+        container.innerHTML = '';
+        container.appendChild(grid);
+    }
+
+    renderQuizzes() {
+        const container = document.getElementById('dashboard-quizzes');
+        if (!container) return;
+
+        const results = this.progress.getRecord().quizzes;
+        const completed = Object.keys(results).filter(id => results[id].completedAt)
+            .sort((a, b) => results[b].completedAt.localeCompare(results[a].completedAt));
+
+        if (completed.length === 0) {
+            container.innerHTML = '<p class="dashboard-empty">No quizzes finished yet. Try one from a simulation card.</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        const list = document.createElement('ul');
+        list.className = 'dashboard-quiz-list';
+        completed.forEach(id => {
+            const result = results[id];
+            const quiz = this.quizzes.find(q => q.id === id);
+            const li = document.createElement('li');
+            li.textContent = `${quiz ? quiz.title : id}: ${result.score} / ${result.total}`;
+            const date = document.createElement('span');
+            date.className = 'dashboard-quiz-date';
+            date.textContent = new Date(result.completedAt).toLocaleDateString();
+            li.appendChild(date);
+            list.appendChild(li);
+        });
+        container.appendChild(list);
+    }
+
+    static link(href, text) {
+        const anchor = document.createElement('a');
+        anchor.href = href;
+        anchor.textContent = text;
+        return anchor;
+    }
+
+    static getActivityLevel(day) {
+        if (!day) return 0;
+        const minutes = day.seconds / 60;
+        if (minutes >= 30) return 4;
+        if (minutes >= 15) return 3;
+        if (minutes >= 5) return 2;
+        return 1;
+    }
+
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+    }
+}
+
+// Initialize the dashboard when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.learnerProgress = window.learnerProgress || new LearnerProgress();
+    window.progressDashboard = new ProgressDashboard(window.learnerProgress);
+    window.progressDashboard.init();
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressDashboard;
+}
@@ -0,0 +1,530 @@
+/**
+ * Forum thread view
+ * One discussion with its threaded replies, quoting, edit history and
+ * accepted answers
+ */
+
+class ForumThread {
+    /**
+     * @param {ForumManager} forum - Shares the API client, notifications and
+     *   formatting helpers, and is told when a topic changes so the list
+     *   stays in step
+     */
+    constructor(forum) {
+        this.forum = forum;
+        this.api = forum.api;
+        this.container = document.querySelector('.thread-view');
+        this.listSections = document.querySelectorAll('.forum-categories, .recent-discussions');
+        this.topic = null;
+        this.replies = [];
+        this.replyTo = null;
+        this.quote = null;
+
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => this.handleClick(e));
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (e.target.matches('.reply-form')) {
+                this.submitReply(e.target);
+            } else if (e.target.matches('.reply-edit-form')) {
+                this.submitReplyEdit(e.target);
+            }
+        });
+
+        // Back and forward move between the list and the threads
+        window.addEventListener('popstate', () => this.showFromUrl());
+        this.showFromUrl();
+    }
+
+    isOpen() {
+        return Boolean(this.container && !this.container.hidden && this.topic);
+    }
+
+    showFromUrl() {
+        const topicId = new URLSearchParams(window.location.search).get('topic');
+        if (topicId) {
+            this.open(topicId, { push: false });
+        } else {
+            this.close({ push: false });
+        }
+    }
+
+    /**
+     * Show a discussion in place of the list; `push` adds it to the browser
+     * history so the back button returns to the list
+     */
+    async open(topicId, { push = true } = {}) {
+        if (!this.container) return;
+
+        if (push) {
+            window.history.pushState({ topic: topicId }, '', `?topic=${encodeURIComponent(topicId)}`);
+        }
+        this.listSections.forEach(section => { section.hidden = true; });
+        this.container.hidden = false;
+        this.container.innerHTML = '<div class="discussions-loader"><i class="fas fa-spinner fa-spin"></i> Loading discussion...</div>';
+        this.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        try {
+            const { topic, replies } = await this.api.getTopic(topicId);
+            this.topic = topic;
+            this.replies = replies;
+            this.replyTo = null;
+            this.quote = null;
+            this.render();
+            this.forum.refreshTopic(topic);
+        } catch (error) {
+            this.topic = null;
+            this.container.innerHTML = `
+                <button type="button" class="thread-back" data-action="back">
+                    <i class="fas fa-arrow-left" aria-hidden="true"></i> All discussions
+                </button>
+                <p class="thread-empty">${this.forum.escapeHtml(error.message)}</p>
+            `;
+        }
+    }
+
+    close({ push = true } = {}) {
+        if (!this.container) return;
+
+        if (push) {
+            window.history.pushState({}, '', window.location.pathname);
+        }
+        this.topic = null;
+        this.container.hidden = true;
+        this.container.innerHTML = '';
+        this.listSections.forEach(section => { section.hidden = false; });
+    }
+
+    render() {
+        const topic = this.topic;
+        const user = this.api.getCurrentUser();
+        const escape = text => this.forum.escapeHtml(text);
+        const authorResource = { authorId: topic.author.id, locked: topic.locked };
+
+        this.container.innerHTML = `
+            <button type="button" class="thread-back" data-action="back">
+                <i class="fas fa-arrow-left" aria-hidden="true"></i> All discussions
+            </button>
+            <article class="thread-topic">
+                <h2 class="thread-title">
+                    ${escape(topic.title)}
+                    ${topic.pinned ? '<span class="discussion-badge pinned"><i class="fas fa-thumbtack" aria-hidden="true"></i> Pinned</span>' : ''}
+                    ${topic.locked ? '<span class="discussion-badge locked"><i class="fas fa-lock" aria-hidden="true"></i> Locked</span>' : ''}
+                    ${topic.solved ? '<span class="discussion-badge solved">Solved</span>' : ''}
+                    ${topic.isQuestion && !topic.solved ? '<span class="discussion-badge question">Question</span>' : ''}
+                </h2>
+                <div class="discussion-meta">
+                    <span class="author">by <strong>${escape(topic.author.name)}</strong>${this.forum.renderReputation(topic.author)}</span>
+                    <span class="category">in ${escape(this.forum.getCategoryName(topic.category))}</span>
+                    <span class="timestamp">${this.forum.formatRelativeTime(topic.createdAt)}</span>
+                    <div class="discussion-stats">${this.forum.renderVoteControl(topic)}</div>
+                </div>
+                <div class="thread-body markdown-body">${MarkdownRenderer.render(topic.content)}</div>
+                ${this.renderHistory(topic)}
+                ${Permissions.can(user, 'topic:edit', authorResource)
+                    ? '<div class="reply-actions"><button type="button" data-action="edit-topic"><i class="fas fa-pen" aria-hidden="true"></i> Edit</button></div>'
+                    : ''}
+            </article>
+            <section class="thread-replies" aria-label="Replies">
+                <h3>${this.replies.length} ${this.replies.length === 1 ? 'Reply' : 'Replies'}</h3>
+                <ol class="reply-tree"></ol>
+            </section>
+            <div class="thread-compose"></div>
+        `;
+
+        const tree = this.container.querySelector('.reply-tree');
+        this.renderReplies(tree, null, 0);
+        this.renderComposer();
+    }
+
+    /**
+     * Replies to `parentId` (null for the topic itself), oldest first. Deep
+     * threads stop indenting after `ForumThread.MAX_DEPTH` levels so they
+     * stay readable on small screens.
+     */
+    renderReplies(list, parentId, depth) {
+        const known = new Set(this.replies.map(reply => reply.id));
+        this.replies
+            .filter(reply => (reply.parentId && known.has(reply.parentId) ? reply.parentId : null) === parentId)
+            .forEach(reply => {
+                const item = this.createReplyElement(reply);
+                list.appendChild(item);
+
+                const children = document.createElement('ol');
+                children.className = depth + 1 >= ForumThread.MAX_DEPTH ? 'reply-children flat' : 'reply-children';
+                this.renderReplies(children, reply.id, depth + 1);
+                if (children.children.length > 0) {
+                    item.appendChild(children);
+                }
+            });
+    }
+
+    createReplyElement(reply) {
+        const topic = this.topic;
+        const user = this.api.getCurrentUser();
+        const escape = text => this.forum.escapeHtml(text);
+        const accepted = topic.acceptedReplyId === reply.id;
+
+        const actions = [];
+        if (Permissions.can(user, 'reply:create', topic)) {
+            actions.push(['reply', 'reply', 'Reply'], ['quote', 'quote-left', 'Quote']);
+        }
+        if (Permissions.can(user, 'reply:edit', { authorId: reply.author.id, locked: topic.locked })) {
+            actions.push(['edit', 'pen', 'Edit']);
+        }
+        if (Permissions.can(user, 'topic:accept', { authorId: topic.author.id })) {
+            actions.push(accepted ? ['unaccept', 'times-circle', 'Unaccept answer'] : ['accept', 'check-circle', 'Accept answer']);
+        }
+
+        const item = document.createElement('li');
+        item.className = 'reply';
+        item.id = `reply-${reply.id}`;
+        item.dataset.replyId = reply.id;
+        item.innerHTML = `
+            <div class="reply-card${accepted ? ' accepted' : ''}">
+                <div class="reply-header">
+                    <strong class="reply-author">${escape(reply.author.name)}</strong>
+                    ${this.forum.renderReputation(reply.author)}
+                    ${reply.author.id === topic.author.id ? '<span class="reply-op">Author</span>' : ''}
+                    <span class="timestamp">${this.forum.formatRelativeTime(reply.createdAt)}</span>
+                    ${accepted ? '<span class="discussion-badge solved"><i class="fas fa-check" aria-hidden="true"></i> Accepted answer</span>' : ''}
+                    ${this.forum.renderVoteControl(reply)}
+                </div>
+                ${reply.quote ? `
+                    <blockquote class="reply-quote">
+                        <a href="#reply-${escape(reply.quote.replyId)}">${escape(reply.quote.author.name)} wrote:</a>
+                        <div class="markdown-body">${MarkdownRenderer.render(reply.quote.text)}</div>
+                    </blockquote>
+                ` : ''}
+                <div class="reply-body markdown-body">${MarkdownRenderer.render(reply.content)}</div>
+                ${this.renderHistory(reply)}
+                ${actions.length > 0 ? `
+                    <div class="reply-actions">
+                        ${actions.map(([action, icon, label]) => `
+                            <button type="button" data-action="${action}">
+                                <i class="fas fa-${icon}" aria-hidden="true"></i> ${label}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+        return item;
+    }
+
+    /**
+     * "Edited" marker that opens the earlier versions of a topic or reply
+     */
+    renderHistory(post) {
+        const history = post.history || [];
+        if (!post.editedAt || history.length === 0) return '';
+
+        const escape = text => this.forum.escapeHtml(text);
+        const versions = history.slice().reverse().map(entry => `
+            <li>
+                <span class="edit-history-meta">Replaced ${this.forum.formatRelativeTime(entry.editedAt)} by ${escape(entry.editor.name)}</span>
+                ${entry.title ? `<strong>${escape(entry.title)}</strong>` : ''}
+                <div class="edit-history-content markdown-body">${MarkdownRenderer.render(entry.content)}</div>
+            </li>
+        `).join('');
+
+        return `
+            <details class="edit-history">
+                <summary>Edited ${this.forum.formatRelativeTime(post.editedAt)} · ${history.length} earlier version${history.length !== 1 ? 's' : ''}</summary>
+                <ol>${versions}</ol>
+            </details>
+        `;
+    }
+
+    /**
+     * Reply form, or why there is none: not logged in, or the topic is locked
+     */
+    renderComposer() {
+        const compose = this.container.querySelector('.thread-compose');
+        const user = this.api.getCurrentUser();
+
+        if (!this.api.isAuthenticated()) {
+            compose.innerHTML = '<p class="thread-empty"><button type="button" class="btn btn-outline" data-action="login">Log in to reply</button></p>';
+            return;
+        }
+        if (!Permissions.can(user, 'reply:create', this.topic)) {
+            compose.innerHTML = '<p class="thread-empty"><i class="fas fa-lock" aria-hidden="true"></i> This discussion is locked. No new replies can be posted.</p>';
+            return;
+        }
+
+        const escape = text => this.forum.escapeHtml(text);
+        const context = [];
+        if (this.replyTo) {
+            context.push(`<span class="reply-context">Replying to ${escape(this.replyTo.author.name)}
+                <button type="button" data-action="clear-reply" aria-label="Reply to the topic instead"><i class="fas fa-times" aria-hidden="true"></i></button></span>`);
+        }
+        if (this.quote) {
+            context.push(`<span class="reply-context">Quoting ${escape(this.quote.author.name)}
+                <button type="button" data-action="clear-quote" aria-label="Remove quote"><i class="fas fa-times" aria-hidden="true"></i></button></span>`);
+        }
+
+        compose.innerHTML = `
+            <form class="reply-form">
+                <label for="reply-content">Your reply</label>
+                ${context.join('')}
+                ${this.quote ? `<blockquote class="reply-quote markdown-body">${MarkdownRenderer.render(this.quote.content.slice(0, 300))}</blockquote>` : ''}
+                <textarea id="reply-content" name="content" rows="5" required
+                          placeholder="Share your answer or ask a follow-up question..."></textarea>
+                <div class="modal-actions">
+                    <button type="submit" class="btn btn-primary">Post Reply</button>
+                </div>
+            </form>
+        `;
+    }
+
+    handleClick(e) {
+        const vote = e.target.closest('.vote-btn');
+        if (vote) {
+            const replyElement = vote.closest('.reply');
+            this.forum.handleVote(vote, replyElement
+                ? { topicId: this.topic.id, replyId: replyElement.dataset.replyId }
+                : { topicId: this.topic.id });
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const replyElement = button.closest('.reply');
+        const reply = replyElement ? this.replies.find(r => r.id === replyElement.dataset.replyId) : null;
+        const focusComposer = () => {
+            const content = this.container.querySelector('#reply-content');
+            if (content) {
+                content.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                content.focus({ preventScroll: true });
+            }
+        };
+
+        switch (button.dataset.action) {
+            case 'back':
+                this.close();
+                break;
+            case 'login':
+                window.location.href = ApiClient.loginUrl();
+                break;
+            case 'reply':
+                this.replyTo = reply;
+                this.keepDraft(() => this.renderComposer());
+                focusComposer();
+                break;
+            case 'quote':
+                this.quote = reply;
+                this.keepDraft(() => this.renderComposer());
+                focusComposer();
+                break;
+            case 'clear-reply':
+                this.replyTo = null;
+                this.keepDraft(() => this.renderComposer());
+                break;
+            case 'clear-quote':
+                this.quote = null;
+                this.keepDraft(() => this.renderComposer());
+                break;
+            case 'edit':
+                this.startReplyEdit(replyElement, reply);
+                break;
+            case 'cancel-edit':
+                replyElement.replaceWith(this.createReplyElementWithChildren(replyElement, reply));
+                break;
+            case 'accept':
+                this.setAcceptedAnswer(reply.id, button);
+                break;
+            case 'unaccept':
+                this.setAcceptedAnswer(null, button);
+                break;
+            case 'edit-topic':
+                this.forum.openNewTopicModal(this.topic);
+                break;
+        }
+    }
+
+    /**
+     * Re-render the composer without losing what has been typed
+     */
+    keepDraft(render) {
+        const content = this.container.querySelector('#reply-content');
+        const draft = content ? content.value : '';
+        render();
+        const next = this.container.querySelector('#reply-content');
+        if (next) next.value = draft;
+    }
+
+    async submitReply(form) {
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Posting...';
+
+        try {
+            const { reply } = await this.api.createReply(this.topic.id, {
+                content: form.elements.content.value,
+                parentId: this.replyTo ? this.replyTo.id : null,
+                quoteId: this.quote ? this.quote.id : null
+            });
+            this.replyTo = null;
+            this.quote = null;
+            form.elements.content.value = '';
+            this.renderComposer();
+            this.addReply(reply);
+            this.forum.showSuccessMessage('Your reply has been posted.');
+            document.getElementById(`reply-${reply.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } catch (error) {
+            if (error.code === 'unauthorized') {
+                this.forum.showLoginPrompt();
+            } else {
+                this.forum.showNotification(error.message, 'error');
+            }
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Post Reply';
+        }
+    }
+
+    /**
+     * Show a reply posted here or, through the live channel, elsewhere in
+     * the open thread. Only the new reply is added, so drafts and replies
+     * being edited are left alone.
+     */
+    addReply(reply) {
+        if (!this.isOpen() || reply.topicId !== this.topic.id || this.replies.some(r => r.id === reply.id)) {
+            return;
+        }
+        this.replies.push(reply);
+        this.topic.replyCount = this.replies.length;
+
+        const parent = reply.parentId && document.getElementById(`reply-${reply.parentId}`);
+        let list = this.container.querySelector('.reply-tree');
+        if (parent) {
+            list = parent.querySelector(':scope > .reply-children');
+            if (!list) {
+                const depth = this.getReplyDepth(parent);
+                list = document.createElement('ol');
+                list.className = depth + 1 >= ForumThread.MAX_DEPTH ? 'reply-children flat' : 'reply-children';
+                parent.appendChild(list);
+            }
+        }
+        list.appendChild(this.createReplyElement(reply));
+
+        const heading = this.container.querySelector('.thread-replies h3');
+        heading.textContent = `${this.replies.length} ${this.replies.length === 1 ? 'Reply' : 'Replies'}`;
+        this.forum.refreshTopic(this.topic);
+    }
+
+    /**
+     * How many replies `replyElement` is nested under
+     */
+    getReplyDepth(replyElement) {
+        let depth = 0;
+        for (let list = replyElement.closest('.reply-children'); list; list = list.parentElement.closest('.reply-children')) {
+            depth++;
+        }
+        return depth;
+    }
+
+    /**
+     * Show a reply edited elsewhere, unless it is being edited here; the
+     * current user's vote is kept, as the live channel does not know it
+     */
+    updateReply(reply) {
+        if (!this.isOpen() || reply.topicId !== this.topic.id) return;
+
+        const stored = this.replies.find(r => r.id === reply.id);
+        const replyElement = document.getElementById(`reply-${reply.id}`);
+        if (!stored || !replyElement || replyElement.querySelector(':scope > .reply-card > .reply-edit-form')) return;
+
+        const updated = { ...reply, userVote: stored.userVote };
+        this.replies = this.replies.map(r => (r.id === reply.id ? updated : r));
+        replyElement.replaceWith(this.createReplyElementWithChildren(replyElement, updated));
+    }
+
+    startReplyEdit(replyElement, reply) {
+        const body = replyElement.querySelector('.reply-body');
+        const form = document.createElement('form');
+        form.className = 'reply-edit-form';
+        form.innerHTML = `
+            <textarea name="content" rows="5" required aria-label="Edit reply"></textarea>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-outline" data-action="cancel-edit">Cancel</button>
+                <button type="submit" class="btn btn-primary">Save Changes</button>
+            </div>
+        `;
+        form.elements.content.value = reply.content;
+        body.replaceWith(form);
+        replyElement.querySelector('.reply-actions')?.setAttribute('hidden', '');
+        form.elements.content.focus();
+    }
+
+    async submitReplyEdit(form) {
+        const replyElement = form.closest('.reply');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const { reply } = await this.api.updateReply(this.topic.id, replyElement.dataset.replyId, {
+                content: form.elements.content.value
+            });
+            this.replies = this.replies.map(r => (r.id === reply.id ? reply : r));
+            replyElement.replaceWith(this.createReplyElementWithChildren(replyElement, reply));
+            this.forum.showSuccessMessage('Your changes have been saved.');
+        } catch (error) {
+            this.forum.showNotification(error.message, 'error');
+            submitBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Fresh element for `reply` that keeps the nested replies of the old one
+     */
+    createReplyElementWithChildren(oldElement, reply) {
+        const item = this.createReplyElement(reply);
+        const children = oldElement.querySelector(':scope > .reply-children');
+        if (children) item.appendChild(children);
+        return item;
+    }
+
+    async setAcceptedAnswer(replyId, button) {
+        button.disabled = true;
+        try {
+            const { topic } = await this.api.acceptAnswer(this.topic.id, replyId);
+            this.updateTopic(topic);
+            this.forum.showSuccessMessage(replyId ? 'Answer accepted. The discussion is marked as solved.' : 'The answer is no longer accepted.');
+        } catch (error) {
+            this.forum.showNotification(error.message, 'error');
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Keep the shown topic or reply in step with a vote cast on it, so a
+     * later re-render shows the same score
+     */
+    applyVotes(target, result) {
+        if (!this.isOpen() || target.topicId !== this.topic.id) return;
+
+        const post = target.replyId ? this.replies.find(r => r.id === target.replyId) : this.topic;
+        if (post) Object.assign(post, result);
+    }
+
+    /**
+     * Take over a changed topic (edited, accepted answer, pinned...) if it is
+     * the one being shown
+     */
+    updateTopic(topic) {
+        if (!this.isOpen() || topic.id !== this.topic.id) return;
+
+        this.topic = { ...this.topic, ...topic, history: topic.history || this.topic.history };
+        this.keepDraft(() => this.render());
+        this.forum.refreshTopic(this.topic);
+    }
+}
+
+ForumThread.MAX_DEPTH = 4;
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForumThread;
+}
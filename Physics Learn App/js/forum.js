@@ -12,6 +12,14 @@ class ForumManager {
         this.currentFilter = 'all';
         this.currentSort = 'recent';
         this.searchTimeout = null;
+        this.searchResults = null;
+        this.searchRequest = 0;
+        this.suggestionRequest = 0;
+        this.api = window.api;
+        this.nextPage = 1;
+        this.hasMoreTopics = true;
+        this.renderedTopicIds = new Set();
+        this.topics = new Map();
         
         this.init();
     }
@@ -22,16 +30,27 @@ class ForumManager {
         this.initializeTooltips();
         this.loadForumData();
         this.setupInfiniteScroll();
+        this.loadTopicStates();
+        this.thread = new ForumThread(this);
     }
     
     bindElements() {
         this.searchInput = document.querySelector('.search-input');
+        this.searchFilters = document.querySelector('.search-filters');
+        this.searchSummary = document.querySelector('.search-summary');
         this.filterButtons = document.querySelectorAll('.filter-btn');
         this.discussionItems = document.querySelectorAll('.discussion-item');
         this.sortSelect = document.querySelector('.sort-select');
         this.newTopicBtn = document.querySelector('.new-topic-btn');
         this.categoryCards = document.querySelectorAll('.category-card');
         this.paginationBtns = document.querySelectorAll('.page-btn');
+        
+        // Discussions rendered into the page are skipped when loading more
+        this.discussionItems.forEach(item => {
+            if (item.dataset.topicId) {
+                this.renderedTopicIds.add(item.dataset.topicId);
+            }
+        });
     }
     
     attachEventListeners() {
@@ -49,6 +68,27 @@ class ForumManager {
             });
         }
         
+        // Category, author, date and solved filters narrow the search
+        if (this.searchFilters) {
+            this.searchFilters.addEventListener('change', () => {
+                this.performSearch(this.searchInput.value);
+            });
+            
+            this.searchFilters.elements.author.addEventListener('input', () => {
+                this.handleSearch(this.searchInput.value);
+            });
+            
+            // The fields are only cleared after the event
+            this.searchFilters.addEventListener('reset', () => {
+                setTimeout(() => this.performSearch(this.searchInput.value));
+            });
+            
+            this.searchFilters.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.performSearch(this.searchInput.value);
+            });
+        }
+        
         // Filter buttons
         this.filterButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -72,20 +112,7 @@ class ForumManager {
         }
         
         // Discussion item interactions
-        this.discussionItems.forEach(item => {
-            item.addEventListener('click', (e) => {
-                if (!e.target.closest('a')) {
-                    this.openDiscussion(item);
-                }
-            });
-            
-            item.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.openDiscussion(item);
-                }
-            });
-        });
+        this.discussionItems.forEach(item => this.bindDiscussionItem(item));
         
         // Category card interactions
         this.categoryCards.forEach(card => {
@@ -116,9 +143,6 @@ class ForumManager {
             });
         });
         
-        // Like/dislike functionality
-        this.setupVotingSystem();
-        
         // Live search suggestions
         this.setupSearchSuggestions();
         
@@ -126,6 +150,204 @@ class ForumManager {
         this.setupKeyboardShortcuts();
     }
     
+    bindDiscussionItem(item) {
+        item.addEventListener('click', (e) => {
+            // The title link still opens in a new tab with a modifier key
+            const opensHere = e.target.closest('.discussion-link') && !(e.ctrlKey || e.metaKey || e.shiftKey);
+            if (opensHere) {
+                e.preventDefault();
+            }
+            if (opensHere || !e.target.closest('a')) {
+                this.openDiscussion(item);
+            }
+        });
+        
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openDiscussion(item);
+            }
+        });
+    }
+    
+    /**
+     * Wire up a discussion that was added after the page loaded
+     */
+    registerDiscussionItem(item) {
+        this.bindDiscussionItem(item);
+        this.renderedTopicIds.add(item.dataset.topicId);
+        this.discussionItems = document.querySelectorAll('.discussion-item');
+        this.renderModerationTools(item);
+    }
+    
+    /**
+     * Bring the discussions written into forum.html up to date (pinned,
+     * locked, edits) and show the current user's moderation tools
+     */
+    async loadTopicStates() {
+        try {
+            await this.api.refreshSession();
+        } catch (error) {
+            console.warn('Could not refresh the session:', error);
+        }
+        
+        try {
+            const { topics } = await this.api.listTopics({ limit: 50 });
+            topics.forEach(topic => {
+                const item = document.querySelector(`.discussion-item[data-topic-id="${topic.id}"]`);
+                if (item) this.applyTopicState(item, topic);
+            });
+        } catch (error) {
+            console.error('Could not load discussions:', error);
+        }
+        
+        this.discussionItems.forEach(item => this.renderModerationTools(item));
+        if (document.querySelector('.discussion-item.pinned')) {
+            this.handleSort(this.currentSort);
+        }
+    }
+    
+    /**
+     * Update a rendered discussion after the API returned `topic`
+     */
+    applyTopicState(item, topic) {
+        this.topics.set(topic.id, topic);
+        item.dataset.authorId = topic.author.id;
+        item.dataset.solved = topic.solved;
+        item.dataset.solvedAt = topic.solvedAt || '';
+        item.classList.toggle('pinned', topic.pinned);
+        item.classList.toggle('locked', topic.locked);
+        
+        const link = item.querySelector('.discussion-link');
+        link.textContent = topic.title;
+        link.href = `?topic=${encodeURIComponent(topic.id)}`;
+        const excerpt = item.querySelector('.discussion-excerpt');
+        if (excerpt) excerpt.innerHTML = MarkdownRenderer.renderInline(this.getExcerpt(topic.content));
+        const category = item.querySelector('.category-link');
+        if (category) category.textContent = this.getCategoryName(topic.category);
+        const author = item.querySelector('.discussion-meta .author');
+        if (author) {
+            author.querySelector('.reputation')?.remove();
+            author.insertAdjacentHTML('beforeend', this.renderReputation(topic.author));
+        }
+        
+        // The static thumbs-up count becomes up and down buttons once the
+        // topic is known
+        const votes = item.querySelector('.discussion-stats .vote-control') ||
+            item.querySelector('.discussion-stats .fa-thumbs-up')?.parentElement;
+        if (votes) {
+            votes.insertAdjacentHTML('beforebegin', this.renderVoteControl(topic));
+            this.bindVoteControl(votes.previousElementSibling, { topicId: topic.id });
+            votes.remove();
+        }
+        
+        const replies = item.querySelector('.discussion-stats .fa-reply')?.parentElement;
+        if (replies) replies.lastChild.textContent = ` ${topic.replyCount}`;
+        const views = item.querySelector('.discussion-stats .fa-eye')?.parentElement;
+        if (views) views.lastChild.textContent = ` ${topic.views}`;
+        
+        // Badges in a fixed order after the title; "New" stays at the end
+        const badges = [
+            topic.pinned && '<span class="discussion-badge pinned"><i class="fas fa-thumbtack" aria-hidden="true"></i> Pinned</span>',
+            topic.locked && '<span class="discussion-badge locked"><i class="fas fa-lock" aria-hidden="true"></i> Locked</span>',
+            topic.solved && '<span class="discussion-badge solved">Solved</span>',
+            topic.isQuestion && !topic.solved && '<span class="discussion-badge question">Question</span>'
+        ].filter(Boolean);
+        item.querySelectorAll('.discussion-title .discussion-badge:not(.new)').forEach(badge => badge.remove());
+        link.insertAdjacentHTML('afterend', badges.join(''));
+        
+        this.renderModerationTools(item);
+    }
+    
+    /**
+     * Bring the list entry of a topic changed elsewhere (e.g. in the thread
+     * view) up to date, including whether the current filter still shows it
+     */
+    refreshTopic(topic) {
+        const item = document.querySelector(`.discussion-item[data-topic-id="${topic.id}"]`);
+        if (!item) return;
+        
+        this.applyTopicState(item, topic);
+        item.style.display = this.isListed(item) ? 'flex' : 'none';
+        if (this.currentSort === 'solved') {
+            this.handleSort(this.currentSort);
+        }
+        this.updateResultsCount();
+    }
+    
+    /**
+     * Edit, pin, lock and delete buttons the current user is allowed to use.
+     * The server refuses the rest anyway; this only keeps them out of sight.
+     */
+    renderModerationTools(item) {
+        item.querySelector('.moderation-tools')?.remove();
+        
+        const stored = this.topics.get(item.dataset.topicId);
+        const user = this.api.getCurrentUser();
+        if (!stored || !user) return;
+        
+        const topic = { ...stored, authorId: stored.author.id };
+        const actions = [
+            ['edit', 'topic:edit', 'pen', 'Edit'],
+            ['pin', 'topic:pin', 'thumbtack', topic.pinned ? 'Unpin' : 'Pin'],
+            ['lock', 'topic:lock', topic.locked ? 'lock-open' : 'lock', topic.locked ? 'Unlock' : 'Lock'],
+            ['delete', 'topic:delete', 'trash', 'Delete']
+        ].filter(([, permission]) => Permissions.can(user, permission, topic));
+        if (actions.length === 0) return;
+        
+        const tools = document.createElement('div');
+        tools.className = 'moderation-tools';
+        tools.innerHTML = actions.map(([action, , icon, label]) => `
+            <button type="button" class="moderation-btn" data-action="${action}">
+                <i class="fas fa-${icon}" aria-hidden="true"></i> ${label}
+            </button>
+        `).join('');
+        
+        tools.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('.moderation-btn');
+            if (button) this.handleModeration(item, button.dataset.action, button);
+        });
+        tools.addEventListener('keydown', (e) => e.stopPropagation());
+        
+        item.querySelector('.discussion-content').appendChild(tools);
+    }
+    
+    async handleModeration(item, action, button) {
+        const topic = this.topics.get(item.dataset.topicId);
+        
+        if (action === 'edit') {
+            this.openNewTopicModal(topic);
+            return;
+        }
+        if (action === 'delete' && !window.confirm(`Delete "${topic.title}" and all of its replies?`)) {
+            return;
+        }
+        
+        button.disabled = true;
+        try {
+            if (action === 'delete') {
+                await this.api.deleteTopic(topic.id);
+                this.topics.delete(topic.id);
+                item.remove();
+                this.discussionItems = document.querySelectorAll('.discussion-item');
+                this.updateResultsCount();
+                this.showSuccessMessage('The discussion has been deleted.');
+                return;
+            }
+            
+            const change = action === 'pin' ? { pinned: !topic.pinned } : { locked: !topic.locked };
+            const result = await this.api.updateTopic(topic.id, change);
+            this.applyTopicState(item, result.topic);
+            this.thread.updateTopic(result.topic);
+            if (action === 'pin') this.handleSort(this.currentSort);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            console.error('Moderation error:', error);
+            button.disabled = false;
+        }
+    }
+    
     handleSearch(query) {
         // Clear previous timeout
         if (this.searchTimeout) {
@@ -138,67 +360,180 @@ class ForumManager {
         }, 300);
     }
     
-    performSearch(query) {
-        const trimmedQuery = query.trim().toLowerCase();
-        
-        if (trimmedQuery === '') {
+    /**
+     * Search every topic, not just the ones on the page, through the API's
+     * index. Results missing from the list are added to it, matches are
+     * listed best first and the filter buttons still apply on top.
+     */
+    async performSearch(query) {
+        const trimmedQuery = query.trim();
+        const filters = this.getSearchFilters();
+        
+        if (trimmedQuery === '' && Object.keys(filters).length === 0) {
             this.showAllDiscussions();
             return;
         }
         
-        // Filter discussions based on search query
-        this.discussionItems.forEach(item => {
-            const title = item.querySelector('.discussion-link').textContent.toLowerCase();
-            const excerpt = item.querySelector('.discussion-excerpt').textContent.toLowerCase();
-            const author = item.querySelector('.author').textContent.toLowerCase();
-            
-            const matches = title.includes(trimmedQuery) || 
-                          excerpt.includes(trimmedQuery) || 
-                          author.includes(trimmedQuery);
-            
-            if (matches) {
-                item.style.display = 'flex';
-                this.highlightSearchTerms(item, trimmedQuery);
+        // Only the latest search gets to update the list
+        const request = ++this.searchRequest;
+        this.showLoadingState();
+        try {
+            const result = await this.api.searchTopics({ q: trimmedQuery, ...filters, limit: 50 });
+            if (request === this.searchRequest) {
+                this.showSearchResults(result, trimmedQuery);
+            }
+        } catch (error) {
+            console.error('Search error:', error);
+            if (request === this.searchRequest) {
+                this.showNotification(error.message || 'The search failed. Please try again.', 'error');
+            }
+        } finally {
+            if (request === this.searchRequest) {
+                this.hideLoadingState();
+            }
+        }
+        
+        if (trimmedQuery) {
+            this.trackSearchAnalytics(trimmedQuery);
+        }
+    }
+    
+    /**
+     * Values of the search filter form the API understands; the dates cover
+     * whole days in the user's time zone
+     */
+    getSearchFilters() {
+        if (!this.searchFilters) return {};
+        
+        const { category, author, from, to, solved } = this.searchFilters.elements;
+        const filters = {
+            category: category.value,
+            author: author.value.trim(),
+            from: from.value && new Date(`${from.value}T00:00:00`).toISOString(),
+            to: to.value && new Date(`${to.value}T23:59:59.999`).toISOString(),
+            solved: solved.value
+        };
+        Object.keys(filters).forEach(key => {
+            if (!filters[key]) delete filters[key];
+        });
+        return filters;
+    }
+    
+    showSearchResults({ results, total, didYouMean }, query) {
+        const discussionsList = document.querySelector('.discussions-list');
+        this.searchResults = new Map(results.map(result => [result.topic.id, result]));
+        
+        results.forEach(({ topic }) => {
+            let item = document.querySelector(`.discussion-item[data-topic-id="${CSS.escape(topic.id)}"]`);
+            if (item) {
+                this.applyTopicState(item, topic);
             } else {
-                item.style.display = 'none';
+                item = this.createDiscussionElement(topic);
+                discussionsList.appendChild(item);
+                this.registerDiscussionItem(item);
+            }
+            // Best match first; without a query the current sort order stays
+            if (query) {
+                discussionsList.appendChild(item);
             }
         });
         
+        this.discussionItems.forEach(item => {
+            const result = this.searchResults.get(item.dataset.topicId);
+            item.style.display = this.isListed(item) ? 'flex' : 'none';
+            this.highlightSearchTerms(item, result ? result.terms : []);
+        });
+        if (query) {
+            Array.from(this.discussionItems)
+                .filter(item => !this.searchResults.has(item.dataset.topicId))
+                .forEach(item => discussionsList.appendChild(item));
+        }
+        
+        this.showSearchSummary(total, didYouMean);
         this.updateResultsCount();
-        this.trackSearchAnalytics(trimmedQuery);
     }
     
-    highlightSearchTerms(item, query) {
-        const title = item.querySelector('.discussion-link');
-        const excerpt = item.querySelector('.discussion-excerpt');
-        
+    /**
+     * "No results" and "Did you mean …?" above the list
+     */
+    showSearchSummary(total, didYouMean) {
+        if (!this.searchSummary) return;
+        
+        this.searchSummary.replaceChildren();
+        if (total === 0) {
+            this.searchSummary.append('No discussions match your search. ');
+        }
+        if (didYouMean) {
+            const correction = document.createElement('button');
+            correction.type = 'button';
+            correction.className = 'search-correction';
+            correction.textContent = didYouMean;
+            correction.addEventListener('click', () => {
+                this.searchInput.value = didYouMean;
+                this.performSearch(didYouMean);
+            });
+            this.searchSummary.append('Did you mean ', correction, '?');
+        }
+        this.searchSummary.hidden = this.searchSummary.childNodes.length === 0;
+    }
+    
+    /**
+     * Mark the words a search matched (`terms`, lower case) in the title and
+     * excerpt of a result
+     */
+    highlightSearchTerms(item, terms) {
         // Remove existing highlights
         this.removeHighlights(item);
         
         // Add new highlights
-        if (title && query.length > 2) {
-            title.innerHTML = this.addHighlight(title.textContent, query);
-        }
-        
-        if (excerpt && query.length > 2) {
-            excerpt.innerHTML = this.addHighlight(excerpt.textContent, query);
+        if (terms.length > 0) {
+            const pattern = new RegExp(`\\b(?:${terms.map(term => this.escapeRegex(term)).join('|')})\\b`, 'gi');
+            item.querySelectorAll('.discussion-link, .discussion-excerpt')
+                .forEach(element => this.addHighlight(element, pattern));
         }
     }
     
-    addHighlight(text, query) {
-        const regex = new RegExp(`(${this.escapeRegex(query)})`, 'gi');
-        return text.replace(regex, '<mark class="search-highlight">$1</mark>');
+    /**
+     * Mark the matches of `pattern` (a global regular expression) in the text
+     * of `element` without touching its markup, so formatted excerpts and
+     * typeset formulas survive a search
+     */
+    addHighlight(element, pattern) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentElement.closest('.math') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+        
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            const fragment = document.createDocumentFragment();
+            let last = 0;
+            text.replace(pattern, (match, offset) => {
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = match;
+                fragment.append(text.slice(last, offset), mark);
+                last = offset + match.length;
+            });
+            if (last > 0) {
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            }
+        });
     }
     
     removeHighlights(item) {
         const highlights = item.querySelectorAll('.search-highlight');
         highlights.forEach(highlight => {
-            highlight.outerHTML = highlight.textContent;
+            const parent = highlight.parentNode;
+            highlight.replaceWith(highlight.textContent);
+            parent.normalize();
         });
     }
     
     escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\\]\\]/g, '\\$&');
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     }
     
     handleFilter(filter, button) {
@@ -210,43 +545,46 @@ class ForumManager {
         
         // Filter discussions
         this.discussionItems.forEach(item => {
-            const badges = item.querySelectorAll('.discussion-badge');
-            let shouldShow = false;
-            
-            switch (filter) {
-                case 'all':
-                    shouldShow = true;
-                    break;
-                case 'questions':
-                    shouldShow = Array.from(badges).some(badge => 
-                        badge.classList.contains('question') || 
-                        badge.textContent.toLowerCase().includes('question')
-                    );
-                    break;
-                case 'discussions':
-                    shouldShow = !Array.from(badges).some(badge => 
-                        badge.classList.contains('question') || 
-                        badge.classList.contains('solved')
-                    );
-                    break;
-                case 'solved':
-                    shouldShow = Array.from(badges).some(badge => 
-                        badge.classList.contains('solved')
-                    );
-                    break;
-                case 'unanswered':
-                    const replyCount = this.getReplyCount(item);
-                    shouldShow = replyCount === 0;
-                    break;
-            }
-            
-            item.style.display = shouldShow ? 'flex' : 'none';
+            item.style.display = this.isListed(item) ? 'flex' : 'none';
         });
         
         this.updateResultsCount();
         this.animateFilterTransition();
     }
     
+    /**
+     * Whether the current filter button and search (if any) both let `item` through
+     */
+    isListed(item) {
+        return this.matchesFilter(item, this.currentFilter) &&
+            (!this.searchResults || this.searchResults.has(item.dataset.topicId));
+    }
+    
+    matchesFilter(item, filter) {
+        const badges = Array.from(item.querySelectorAll('.discussion-badge'));
+        
+        switch (filter) {
+            case 'all':
+                return true;
+            case 'questions':
+                return badges.some(badge => 
+                    badge.classList.contains('question') || 
+                    badge.textContent.toLowerCase().includes('question')
+                );
+            case 'discussions':
+                return !badges.some(badge => 
+                    badge.classList.contains('question') || 
+                    badge.classList.contains('solved')
+                );
+            case 'solved':
+                return this.isSolved(item);
+            case 'unanswered':
+                return this.getReplyCount(item) === 0;
+            default:
+                return false;
+        }
+    }
+    
     handleSort(sortType) {
         this.currentSort = sortType;
         
@@ -254,6 +592,10 @@ class ForumManager {
         const items = Array.from(this.discussionItems);
         
         items.sort((a, b) => {
+            // Pinned discussions stay on top whatever the order
+            const pinned = b.classList.contains('pinned') - a.classList.contains('pinned');
+            if (pinned) return pinned;
+            
             switch (sortType) {
                 case 'recent':
                     return this.compareByDate(a, b);
@@ -295,10 +637,18 @@ class ForumManager {
     compareBySolved(a, b) {
         const solvedA = this.isSolved(a);
         const solvedB = this.isSolved(b);
-        return solvedB - solvedA; // Solved first
+        if (solvedA !== solvedB) {
+            return solvedB - solvedA; // Solved first
+        }
+        // Most recently solved first
+        return (b.dataset.solvedAt || '').localeCompare(a.dataset.solvedAt || '');
     }
     
     getTimestamp(item) {
+        if (item.dataset.createdAt) {
+            return new Date(item.dataset.createdAt).getTime();
+        }
+        
         const timeElement = item.querySelector('.timestamp');
         if (!timeElement) return 0;
         
@@ -325,7 +675,9 @@ class ForumManager {
         
         stats.forEach(stat => {
             const text = stat.textContent;
-            if (text.includes('👍') || stat.querySelector('.fa-thumbs-up')) {
+            if (stat.classList.contains('vote-count')) {
+                score += (parseInt(text, 10) || 0) * 3; // Likes weight more
+            } else if (text.includes('👍') || stat.querySelector('.fa-thumbs-up')) {
                 score += parseInt(text.replace(/\\D/g, '')) * 3; // Likes weight more
             } else if (text.includes('💬') || stat.querySelector('.fa-reply')) {
                 score += parseInt(text.replace(/\\D/g, '')) * 2; // Replies
@@ -343,24 +695,34 @@ class ForumManager {
         return parseInt(replyElement.textContent.replace(/\\D/g, '')) || 0;
     }
     
+    /**
+     * Solved once its author accepted an answer (as reported by the API);
+     * discussions not loaded from the API yet go by their badge
+     */
     isSolved(item) {
+        if (item.dataset.solved !== undefined) {
+            return item.dataset.solved === 'true';
+        }
         return item.querySelector('.discussion-badge.solved') !== null;
     }
     
     openDiscussion(item) {
-        const link = item.querySelector('.discussion-link');
-        if (link) {
-            // Add loading state
-            item.classList.add('loading');
-            
-            // Animate out
-            this.animateDiscussionOpen(item, () => {
-                window.location.href = link.href;
-            });
-        }
+        // Add loading state
+        item.classList.add('loading');
+        
+        // Animate out, then show the thread in place of the list
+        this.animateDiscussionOpen(item, () => {
+            item.classList.remove('loading');
+            item.style.transform = '';
+            item.style.opacity = '';
+            this.thread.open(item.dataset.topicId);
+        });
     }
     
-    openNewTopicModal() {
+    /**
+     * Modal for a new discussion, or for editing `topic` when given
+     */
+    openNewTopicModal(topic = null) {
         // Check if user is logged in
         if (!this.isUserLoggedIn()) {
             this.showLoginPrompt();
@@ -368,7 +730,7 @@ class ForumManager {
         }
         
         // Create and show modal
-        const modal = this.createNewTopicModal();
+        const modal = this.createNewTopicModal(topic);
         document.body.appendChild(modal);
         
         // Animate modal in
@@ -383,14 +745,14 @@ class ForumManager {
         }
     }
     
-    createNewTopicModal() {
+    createNewTopicModal(topic = null) {
         const modal = document.createElement('div');
         modal.className = 'modal new-topic-modal';
         modal.innerHTML = `
             <div class="modal-overlay"></div>
             <div class="modal-content">
                 <div class="modal-header">
-                    <h2>Start New Discussion</h2>
+                    <h2>${topic ? 'Edit Discussion' : 'Start New Discussion'}</h2>
                     <button class="modal-close" aria-label="Close modal">
                         <i class="fas fa-times"></i>
                     </button>
@@ -417,15 +779,25 @@ class ForumManager {
                         <label for="topic-content">Content</label>
                         <textarea id="topic-content" name="content" rows="8" 
                                   placeholder="Describe your question or topic in detail..." required></textarea>
+                        <p class="form-hint">
+                            Format with Markdown: <code>**bold**</code>, <code>*italic*</code>, <code>\`code\`</code>, lists and
+                            <code>\`\`\`</code> code blocks. Write equations in LaTeX: <code>$F = ma$</code> inline or
+                            <code>$$E = mc^2$$</code> on a line of their own.
+                        </p>
+                        ${MarkdownRenderer.canTypeset() ? '' : `<p class="form-hint form-hint-warning">${MarkdownRenderer.UNTYPESET_NOTE}.</p>`}
                     </div>
                     <div class="form-group">
+                        <span class="form-label" id="topic-preview-label">Preview</span>
+                        <div class="markdown-body markdown-preview" aria-labelledby="topic-preview-label"></div>
+                    </div>
+                    <div class="form-group"${topic ? ' hidden' : ''}>
                         <label class="checkbox-label">
                             <input type="checkbox" name="is-question"> This is a question
                         </label>
                     </div>
                     <div class="modal-actions">
                         <button type="button" class="btn btn-outline cancel-btn">Cancel</button>
-                        <button type="submit" class="btn btn-primary">Post Discussion</button>
+                        <button type="submit" class="btn btn-primary">${topic ? 'Save Changes' : 'Post Discussion'}</button>
                     </div>
                 </form>
             </div>
@@ -441,9 +813,21 @@ class ForumManager {
             element.addEventListener('click', () => this.closeModal(modal));
         });
         
+        if (topic) {
+            form.elements.title.value = topic.title;
+            form.elements.category.value = topic.category;
+            form.elements.content.value = topic.content;
+        }
+        
+        MarkdownRenderer.attachPreview(form.elements.content, modal.querySelector('.markdown-preview'));
+        
         form.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.submitNewTopic(form, modal);
+            if (topic) {
+                this.submitTopicEdit(topic, form, modal);
+            } else {
+                this.submitNewTopic(form, modal);
+            }
         });
         
         return modal;
@@ -458,9 +842,10 @@ class ForumManager {
         }, 300);
     }
     
-    submitNewTopic(form, modal) {
+    async submitNewTopic(form, modal) {
         const formData = new FormData(form);
         const data = Object.fromEntries(formData);
+        data['is-question'] = formData.has('is-question');
         
         // Show loading state
         const submitBtn = form.querySelector('button[type="submit"]');
@@ -468,19 +853,66 @@ class ForumManager {
         submitBtn.textContent = 'Posting...';
         submitBtn.disabled = true;
         
-        // Simulate API call
-        setTimeout(() => {
+        try {
+            const { topic } = await this.api.createTopic(data);
+            
             this.showSuccessMessage('Your discussion has been posted successfully!');
             this.closeModal(modal);
             
             // Add new discussion to the list
-            this.addNewDiscussionToList(data);
-        }, 1500);
+            this.addNewDiscussionToList(topic);
+        } catch (error) {
+            if (error.code === 'unauthorized') {
+                this.closeModal(modal);
+                this.showLoginPrompt();
+            } else {
+                this.showNotification(error.message, 'error');
+            }
+            console.error('New topic error:', error);
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
     }
     
-    addNewDiscussionToList(data) {
+    async submitTopicEdit(topic, form, modal) {
+        const { title, category, content } = Object.fromEntries(new FormData(form));
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        submitBtn.textContent = 'Saving...';
+        submitBtn.disabled = true;
+        
+        try {
+            const result = await this.api.updateTopic(topic.id, { title, category, content });
+            const item = document.querySelector(`.discussion-item[data-topic-id="${topic.id}"]`);
+            if (item) this.applyTopicState(item, result.topic);
+            this.thread.updateTopic(result.topic);
+            
+            this.showSuccessMessage('Your changes have been saved.');
+            this.closeModal(modal);
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            console.error('Edit topic error:', error);
+        } finally {
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Put a topic at the top of the list; one that is already there (e.g.
+     * announced by the live channel first) is only brought up to date
+     */
+    addNewDiscussionToList(topic) {
+        const existing = document.querySelector(`.discussion-item[data-topic-id="${topic.id}"]`);
+        if (existing) {
+            this.refreshTopic(topic);
+            return existing;
+        }
+        
         const discussionsList = document.querySelector('.discussions-list');
-        const newDiscussion = this.createDiscussionElement(data);
+        const newDiscussion = this.createDiscussionElement(topic, true);
         
         // Add with animation
         newDiscussion.style.opacity = '0';
@@ -492,40 +924,81 @@ class ForumManager {
             newDiscussion.style.opacity = '1';
             newDiscussion.style.transform = 'translateY(0)';
         });
+        
+        this.registerDiscussionItem(newDiscussion);
+        return newDiscussion;
     }
     
-    createDiscussionElement(data) {
+    /**
+     * Discussion list entry for a topic returned by the API
+     */
+    createDiscussionElement(topic, isNew = false) {
         const discussion = document.createElement('article');
-        discussion.className = 'discussion-item new-discussion';
+        discussion.className = isNew ? 'discussion-item new-discussion' : 'discussion-item';
         discussion.tabIndex = 0;
+        discussion.dataset.topicId = topic.id;
+        discussion.dataset.createdAt = topic.createdAt;
+        
+        const author = this.escapeHtml(topic.author.name);
+        const excerpt = this.getExcerpt(topic.content);
         
         discussion.innerHTML = `
             <div class="discussion-avatar">
-                <img src="https://via.placeholder.com/40x40/3b82f6/ffffff?text=You" alt="Your avatar" class="avatar">
+                <img src="https://via.placeholder.com/40x40/3b82f6/ffffff?text=${encodeURIComponent(topic.author.name.charAt(0))}" alt="User avatar" class="avatar">
             </div>
             <div class="discussion-content">
                 <h3 class="discussion-title">
-                    <a href="#" class="discussion-link">${data.title}</a>
-                    ${data['is-question'] ? '<span class="discussion-badge question">Question</span>' : ''}
-                    <span class="discussion-badge new">New</span>
+                    <a href="?topic=${encodeURIComponent(topic.id)}" class="discussion-link">${this.escapeHtml(topic.title)}</a>
+                    ${isNew ? '<span class="discussion-badge new">New</span>' : ''}
                 </h3>
-                <p class="discussion-excerpt">${data.content.substring(0, 150)}...</p>
+                <p class="discussion-excerpt">${MarkdownRenderer.renderInline(excerpt)}</p>
                 <div class="discussion-meta">
-                    <span class="author">by <strong>You</strong></span>
-                    <span class="category">in <a href="#" class="category-link">${this.getCategoryName(data.category)}</a></span>
-                    <span class="timestamp">just now</span>
+                    <span class="author">by <strong>${author}</strong></span>
+                    <span class="category">in <a href="#" class="category-link">${this.escapeHtml(this.getCategoryName(topic.category))}</a></span>
+                    <span class="timestamp">${this.formatRelativeTime(topic.createdAt)}</span>
                     <div class="discussion-stats">
-                        <span><i class="fas fa-thumbs-up"></i> 0</span>
-                        <span><i class="fas fa-reply"></i> 0</span>
-                        <span><i class="fas fa-eye"></i> 1</span>
+                        <span><i class="fas fa-thumbs-up" aria-hidden="true"></i> ${topic.votes}</span>
+                        <span><i class="fas fa-reply" aria-hidden="true"></i> ${topic.replyCount}</span>
+                        <span><i class="fas fa-eye" aria-hidden="true"></i> ${topic.views}</span>
                     </div>
                 </div>
             </div>
         `;
         
+        this.applyTopicState(discussion, topic);
         return discussion;
     }
     
+    getExcerpt(content) {
+        if (content.length <= 150) return content;
+        
+        // Stop before a formula the cut would leave open (`\$` is a plain dollar)
+        let excerpt = content.substring(0, 150);
+        const delimiters = [...excerpt.replace(/\\\$/g, '  ').matchAll(/\$\$?/g)];
+        if (delimiters.length % 2 === 1) {
+            excerpt = excerpt.substring(0, delimiters[delimiters.length - 1].index);
+        }
+        return `${excerpt.trimEnd()}...`;
+    }
+    
+    formatRelativeTime(isoDate) {
+        const minutes = Math.floor((Date.now() - new Date(isoDate).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min${minutes !== 1 ? 's' : ''} ago`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+        
+        const days = Math.floor(hours / 24);
+        return `${days} day${days !== 1 ? 's' : ''} ago`;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
     getCategoryName(categoryValue) {
         const categories = {
             'classical': 'Classical Mechanics',
@@ -538,54 +1011,121 @@ class ForumManager {
         return categories[categoryValue] || categoryValue;
     }
     
-    setupVotingSystem() {
-        const voteButtons = document.querySelectorAll('.discussion-stats span');
+    /**
+     * Up and down buttons around the score of a topic or reply. Pressing the
+     * highlighted button again withdraws the vote, pressing the other one
+     * switches it. Authors see their own score without buttons to press.
+     */
+    renderVoteControl(post) {
+        const user = this.api.getCurrentUser();
+        const own = Boolean(user) && post.author.id === user.id;
+        const button = (value, icon, label) => `
+            <button type="button" class="vote-btn${post.userVote === value ? ' voted' : ''}" data-vote-value="${value}"
+                    aria-label="${label}" aria-pressed="${post.userVote === value}"${own ? ' disabled title="You cannot vote on your own posts"' : ''}>
+                <i class="fas fa-${icon}" aria-hidden="true"></i>
+            </button>
+        `;
         
-        voteButtons.forEach(button => {
-            if (button.querySelector('.fa-thumbs-up')) {
-                button.style.cursor = 'pointer';
-                button.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.handleVote(button, 'like');
-                });
-            }
+        return `
+            <span class="vote-control" data-post-id="${post.id}" data-vote="${post.userVote || 0}">
+                ${button(1, 'arrow-up', 'Upvote')}
+                <span class="vote-count">${post.votes}</span>
+                ${button(-1, 'arrow-down', 'Downvote')}
+            </span>
+        `;
+    }
+    
+    /**
+     * `target` is `{ topicId }` for a topic or `{ topicId, replyId }` for a reply
+     */
+    bindVoteControl(control, target) {
+        control.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const button = e.target.closest('.vote-btn');
+            if (button) this.handleVote(button, target);
         });
+        control.addEventListener('keydown', (e) => e.stopPropagation());
     }
     
-    handleVote(button, type) {
+    async handleVote(button, target) {
         if (!this.isUserLoggedIn()) {
             this.showLoginPrompt();
             return;
         }
         
-        const currentCount = parseInt(button.textContent.replace(/\\D/g, ''));
-        const newCount = currentCount + 1;
-        
-        // Update UI
-        button.innerHTML = `<i class="fas fa-thumbs-up"></i> ${newCount}`;
-        button.classList.add('voted');
-        
-        // Animate
-        button.style.transform = 'scale(1.1)';
-        setTimeout(() => {
-            button.style.transform = 'scale(1)';
-        }, 150);
+        const control = button.closest('.vote-control');
+        const pressed = Number(button.dataset.voteValue);
+        const value = Number(control.dataset.vote) === pressed ? 0 : pressed;
+        const buttons = control.querySelectorAll('.vote-btn');
+        buttons.forEach(btn => { btn.disabled = true; });
+        
+        try {
+            const result = target.replyId
+                ? await this.api.voteReply(target.topicId, target.replyId, value)
+                : await this.api.voteTopic(target.topicId, value);
+            this.applyVoteResult(target, result);
+            
+            // Animate
+            button.style.transform = 'scale(1.1)';
+            setTimeout(() => {
+                button.style.transform = 'scale(1)';
+            }, 150);
+            if (value !== 0) {
+                this.showVoteFeedback(button, value > 0 ? '+1' : '-1');
+            }
+        } catch (error) {
+            if (error.code === 'unauthorized') {
+                this.showLoginPrompt();
+            } else {
+                this.showNotification(error.message, 'error');
+            }
+        } finally {
+            buttons.forEach(btn => { btn.disabled = false; });
+        }
+    }
+    
+    /**
+     * Show a new `{ votes, userVote }` everywhere the post appears (the list
+     * and the open thread) and in the stored copies of it
+     */
+    applyVoteResult(target, result) {
+        const postId = target.replyId || target.topicId;
+        document.querySelectorAll('.vote-control').forEach(control => {
+            if (control.dataset.postId !== postId) return;
+            
+            control.dataset.vote = result.userVote;
+            control.querySelector('.vote-count').textContent = result.votes;
+            control.querySelectorAll('.vote-btn').forEach(btn => {
+                const active = Number(btn.dataset.voteValue) === result.userVote;
+                btn.classList.toggle('voted', active);
+                btn.setAttribute('aria-pressed', active);
+            });
+        });
         
-        // Show feedback
-        this.showVoteFeedback(button);
+        const stored = !target.replyId && this.topics.get(target.topicId);
+        if (stored) Object.assign(stored, result);
+        this.thread.applyVotes(target, result);
+    }
+    
+    /**
+     * Reputation shown after an author's name
+     */
+    renderReputation(author) {
+        const reputation = Number(author.reputation) || 0;
+        return `<span class="reputation" title="Reputation"><span class="sr-only">reputation </span>${reputation.toLocaleString()}</span>`;
     }
     
-    showVoteFeedback(element) {
+    showVoteFeedback(element, text = '+1') {
         const feedback = document.createElement('div');
         feedback.className = 'vote-feedback';
-        feedback.textContent = '+1';
+        feedback.textContent = text;
         
         const rect = element.getBoundingClientRect();
         feedback.style.position = 'fixed';
         feedback.style.left = rect.left + 'px';
         feedback.style.top = (rect.top - 30) + 'px';
         feedback.style.zIndex = '9999';
-        feedback.style.color = 'var(--success-color)';
+        feedback.style.color = text.startsWith('-') ? 'var(--error-color)' : 'var(--success-color)';
         feedback.style.fontWeight = 'bold';
         feedback.style.pointerEvents = 'none';
         feedback.style.opacity = '1';
@@ -629,51 +1169,51 @@ class ForumManager {
         });
     }
     
-    showSearchSuggestions(query, container) {
-        // Mock suggestions based on existing content
-        const suggestions = this.generateSearchSuggestions(query);
+    /**
+     * Words and topic titles from the search index completing `query`.
+     * Picking a word searches for it; picking a topic opens it.
+     */
+    async showSearchSuggestions(query, container) {
+        const request = ++this.suggestionRequest;
+        let suggestions;
+        try {
+            ({ suggestions } = await this.api.searchSuggestions(query));
+        } catch (error) {
+            console.warn('Could not load search suggestions:', error);
+            return;
+        }
+        if (request !== this.suggestionRequest) return;
         
         if (suggestions.length === 0) {
             this.hideSearchSuggestions(container);
             return;
         }
         
-        container.innerHTML = suggestions.map(suggestion => 
-            `<div class="suggestion-item" data-query="${suggestion}">${suggestion}</div>`
-        ).join('');
-        
-        container.style.display = 'block';
-        
-        // Add click handlers
-        container.querySelectorAll('.suggestion-item').forEach(item => {
+        container.replaceChildren(...suggestions.map(suggestion => {
+            const item = document.createElement('div');
+            item.className = `suggestion-item suggestion-${suggestion.type}`;
+            item.textContent = suggestion.text;
+            if (suggestion.type === 'topic') {
+                item.insertAdjacentHTML('afterbegin', '<i class="fas fa-comments" aria-hidden="true"></i> ');
+            }
+            
             item.addEventListener('click', () => {
-                this.searchInput.value = item.dataset.query;
-                this.performSearch(item.dataset.query);
                 this.hideSearchSuggestions(container);
+                if (suggestion.type === 'topic') {
+                    this.thread.open(suggestion.id);
+                } else {
+                    this.searchInput.value = suggestion.text;
+                    this.performSearch(suggestion.text);
+                }
             });
-        });
-    }
-    
-    generateSearchSuggestions(query) {
-        const commonTopics = [
-            'momentum conservation',
-            'wave interference',
-            'electric field',
-            'quantum tunneling',
-            'thermodynamics laws',
-            'simple harmonic motion',
-            'electromagnetic waves',
-            'Newton\'s laws',
-            'energy conservation',
-            'magnetic field'
-        ];
+            return item;
+        }));
         
-        return commonTopics
-            .filter(topic => topic.toLowerCase().includes(query.toLowerCase()))
-            .slice(0, 5);
+        container.style.display = 'block';
     }
     
     hideSearchSuggestions(container) {
+        this.suggestionRequest++;
         container.style.display = 'none';
         container.innerHTML = '';
     }
@@ -698,7 +1238,7 @@ class ForumManager {
             // Escape to clear search
             if (e.key === 'Escape' && this.searchInput === document.activeElement) {
                 this.searchInput.value = '';
-                this.showAllDiscussions();
+                this.performSearch('');
                 this.searchInput.blur();
             }
         });
@@ -706,10 +1246,21 @@ class ForumManager {
     
     // Utility functions
     showAllDiscussions() {
+        const wasSearching = this.searchResults !== null;
+        this.searchRequest++;
+        this.searchResults = null;
+        this.hideLoadingState();
+        if (this.searchSummary) {
+            this.searchSummary.hidden = true;
+        }
+        
         this.discussionItems.forEach(item => {
-            item.style.display = 'flex';
+            item.style.display = this.isListed(item) ? 'flex' : 'none';
             this.removeHighlights(item);
         });
+        if (wasSearching) {
+            this.handleSort(this.currentSort);
+        }
         this.updateResultsCount();
     }
     
@@ -733,14 +1284,13 @@ class ForumManager {
     }
     
     isUserLoggedIn() {
-        // Mock authentication check
-        return localStorage.getItem('user_token') !== null;
+        return this.api.isAuthenticated();
     }
     
     showLoginPrompt() {
         const message = 'Please log in to interact with discussions.';
         this.showNotification(message, 'info', () => {
-            window.location.href = 'login.html';
+            window.location.href = ApiClient.loginUrl();
         });
     }
     
@@ -897,63 +1447,164 @@ class ForumManager {
         });
     }
     
+    /**
+     * Counts, who is online and the activity feed come from the live
+     * channel, which also keeps the list and the open thread in step with
+     * what other members post
+     */
     loadForumData() {
-        // Mock data loading - in real app this would fetch from API
-        this.updateOnlineUsersCount();
-        this.loadRecentActivity();
-        this.updateCategoryStats();
-    }
-    
-    updateOnlineUsersCount() {
-        const onlineCountElements = document.querySelectorAll('.stat-number');
-        if (onlineCountElements.length > 3) {
-            // Simulate real-time updates
-            setInterval(() => {
-                const currentText = onlineCountElements[3].textContent.replace(/,/g, '');
-                const currentCount = parseInt(currentText) || 1234; // Default fallback
-                const variation = Math.floor(Math.random() * 10) - 5;
-                const newCount = Math.max(1000, currentCount + variation);
-                onlineCountElements[3].textContent = newCount.toLocaleString();
-            }, 30000);
+        this.live = this.api.openLive()
+            .on('snapshot', (snapshot) => {
+                this.updateOnlineUsersCount(snapshot);
+                this.loadRecentActivity(snapshot.activity);
+                this.updateCategoryStats(snapshot.stats);
+            })
+            .on('presence', (presence) => this.updateOnlineUsersCount(presence))
+            .on('stats', (stats) => this.updateCategoryStats(stats))
+            .on('activity', (activity) => this.addNewActivity(activity))
+            .on('topic:created', ({ topic }) => this.receiveTopic(topic))
+            .on('topic:updated', ({ topic }) => {
+                const shown = this.withUserVote(topic);
+                this.refreshTopic(shown);
+                this.thread.updateTopic(shown);
+            })
+            .on('topic:deleted', ({ topicId }) => this.removeTopic(topicId))
+            .on('reply:created', ({ reply, topic }) => {
+                this.refreshTopic(this.withUserVote(topic));
+                this.thread.addReply(reply);
+            })
+            .on('reply:updated', ({ reply }) => this.thread.updateReply(reply))
+            .on('vote', ({ target, votes }) => this.applyVoteResult(target, { votes, userVote: this.getUserVote(target) }));
+    }
+    
+    /**
+     * Live events are the same for everyone, so the current user's vote is
+     * taken from the copy already shown
+     */
+    withUserVote(topic) {
+        const shown = this.thread.isOpen() && this.thread.topic.id === topic.id
+            ? this.thread.topic
+            : this.topics.get(topic.id);
+        return { ...topic, userVote: shown ? shown.userVote : 0 };
+    }
+    
+    getUserVote(target) {
+        const postId = target.replyId || target.topicId;
+        const control = Array.from(document.querySelectorAll('.vote-control'))
+            .find(element => element.dataset.postId === postId);
+        return control ? Number(control.dataset.vote) || 0 : 0;
+    }
+    
+    /**
+     * Add a topic another member started, unless the current filter or
+     * search hides it
+     */
+    receiveTopic(topic) {
+        if (this.renderedTopicIds.has(topic.id)) return;
+        
+        const item = this.addNewDiscussionToList(topic);
+        item.style.display = this.isListed(item) ? 'flex' : 'none';
+        this.updateResultsCount();
+    }
+    
+    removeTopic(topicId) {
+        const item = document.querySelector(`.discussion-item[data-topic-id="${topicId}"]`);
+        if (item) {
+            this.topics.delete(topicId);
+            item.remove();
+            this.discussionItems = document.querySelectorAll('.discussion-item');
+            this.updateResultsCount();
+        }
+        
+        if (this.thread.isOpen() && this.thread.topic.id === topicId) {
+            this.thread.close();
+            this.showNotification('This discussion has been deleted.');
         }
     }
     
-    loadRecentActivity() {
-        // Update activity feed every 2 minutes
-        setInterval(() => {
-            this.addNewActivity();
-        }, 120000);
+    /**
+     * Show `{ online, members }`: the "Online Now" count and the members
+     * with the forum open
+     */
+    updateOnlineUsersCount({ online, members }) {
+        const statNumbers = document.querySelectorAll('.forum-stats .stat-number');
+        if (statNumbers.length > 3) {
+            statNumbers[3].textContent = online.toLocaleString();
+        }
+        
+        const onlineUsers = document.querySelector('.online-users');
+        if (!onlineUsers) return;
+        
+        onlineUsers.querySelectorAll('.user-item').forEach(item => item.remove());
+        const summary = onlineUsers.querySelector('.online-summary');
+        members.forEach(member => {
+            const initials = member.name.split(/\s+/).map(word => word.charAt(0)).join('').slice(0, 2).toUpperCase();
+            const item = document.createElement('div');
+            item.className = 'user-item';
+            item.innerHTML = `
+                <img src="https://via.placeholder.com/30x30/3b82f6/ffffff?text=${encodeURIComponent(initials)}" alt="User avatar" class="user-avatar">
+                <span class="username"></span>
+                <span class="user-status online"></span>
+            `;
+            item.querySelector('.username').textContent = member.name;
+            onlineUsers.insertBefore(item, summary);
+        });
+        summary.textContent = `${online.toLocaleString()} ${online === 1 ? 'person' : 'people'} online now`;
     }
     
-    addNewActivity() {
+    /**
+     * Replace the activity feed with the latest entries, newest first
+     */
+    loadRecentActivity(activity) {
         const activityFeed = document.querySelector('.activity-feed');
         if (!activityFeed) return;
         
-        const activities = [
-            { icon: 'reply', user: 'Dr. Smith', action: 'replied to', topic: 'Quantum mechanics basics' },
-            { icon: 'thumbs-up', user: 'Alice Johnson', action: 'liked', topic: 'Wave interference demo' },
-            { icon: 'plus', user: 'Bob Wilson', action: 'started', topic: 'Heat transfer problem' }
-        ];
+        activityFeed.innerHTML = activity.length === 0 ? '<p class="activity-empty">No activity yet.</p>' : '';
+        activity.slice().reverse().forEach(entry => this.addNewActivity(entry));
+    }
+    
+    /**
+     * Put `{ icon, user, action, topic, topicId, createdAt }` at the top of
+     * the activity feed. Names and titles are members' own text, so they are
+     * only ever set as text.
+     */
+    addNewActivity(activity) {
+        const activityFeed = document.querySelector('.activity-feed');
+        if (!activityFeed) return;
         
-        const randomActivity = activities[Math.floor(Math.random() * activities.length)];
+        activityFeed.querySelector('.activity-empty')?.remove();
+        const icon = /^[a-z-]+$/.test(activity.icon) ? activity.icon : 'comment';
         
         const activityItem = document.createElement('div');
         activityItem.className = 'activity-item new-activity';
         activityItem.innerHTML = `
-            <i class="fas fa-${randomActivity.icon} activity-icon"></i>
+            <i class="fas fa-${icon} activity-icon" aria-hidden="true"></i>
             <div class="activity-content">
-                <span class="username">${randomActivity.user}</span> ${randomActivity.action}
-                <a href="#" class="activity-link">${randomActivity.topic}</a>
-                <span class="activity-time">just now</span>
+                <span class="username"></span>
+                <a href="#" class="activity-link"></a>
+                <span class="activity-time"></span>
             </div>
         `;
         
+        const username = activityItem.querySelector('.username');
+        username.textContent = activity.user;
+        username.after(` ${activity.action} `);
+        const link = activityItem.querySelector('.activity-link');
+        link.textContent = activity.topic;
+        link.href = `?topic=${encodeURIComponent(activity.topicId)}`;
+        link.addEventListener('click', (e) => {
+            if (e.ctrlKey || e.metaKey || e.shiftKey) return;
+            e.preventDefault();
+            this.thread.open(activity.topicId);
+        });
+        activityItem.querySelector('.activity-time').textContent = this.formatRelativeTime(activity.createdAt);
+        
         activityFeed.insertBefore(activityItem, activityFeed.firstChild);
         
         // Remove oldest activity if more than 5
-        const activities_list = activityFeed.querySelectorAll('.activity-item');
-        if (activities_list.length > 5) {
-            activityFeed.removeChild(activities_list[activities_list.length - 1]);
+        const activities = activityFeed.querySelectorAll('.activity-item');
+        if (activities.length > 5) {
+            activityFeed.removeChild(activities[activities.length - 1]);
         }
         
         // Animate new activity
@@ -967,18 +1618,22 @@ class ForumManager {
         });
     }
     
-    updateCategoryStats() {
-        // Update category statistics periodically
-        setInterval(() => {
-            const categoryStats = document.querySelectorAll('.category-stats span');
-            categoryStats.forEach(stat => {
-                if (Math.random() < 0.1) { // 10% chance to update
-                    const currentNumber = parseInt(stat.textContent.replace(/\\D/g, ''));
-                    const newNumber = currentNumber + 1;
-                    stat.innerHTML = stat.innerHTML.replace(currentNumber.toString(), newNumber.toString());
-                }
-            });
-        }, 60000);
+    /**
+     * Show the member, topic and reply counts in the header and on each
+     * category card
+     */
+    updateCategoryStats(stats) {
+        const statNumbers = document.querySelectorAll('.forum-stats .stat-number');
+        [stats.members, stats.topics, stats.replies].forEach((count, index) => {
+            if (statNumbers[index]) statNumbers[index].textContent = count.toLocaleString();
+        });
+        
+        this.categoryCards.forEach(card => {
+            const counts = stats.categories[card.dataset.category] || { topics: 0, replies: 0 };
+            const [topics, replies] = card.querySelectorAll('.category-stats span');
+            if (topics) topics.lastChild.textContent = ` ${counts.topics.toLocaleString()} topic${counts.topics !== 1 ? 's' : ''}`;
+            if (replies) replies.lastChild.textContent = ` ${counts.replies.toLocaleString()} repl${counts.replies !== 1 ? 'ies' : 'y'}`;
+        });
     }
     
     setupInfiniteScroll() {
@@ -992,9 +1647,9 @@ class ForumManager {
             const windowHeight = window.innerHeight;
             const documentHeight = document.documentElement.scrollHeight;
             
-            if (scrollTop + windowHeight >= documentHeight - 100) {
+            if (scrollTop + windowHeight >= documentHeight - 100 && this.hasMoreTopics) {
                 loading = true;
-                this.loadMoreDiscussions().then(() => {
+                this.loadMoreDiscussions().finally(() => {
                     loading = false;
                 });
             }
@@ -1010,64 +1665,26 @@ class ForumManager {
         const discussionsList = document.querySelector('.discussions-list');
         discussionsList.appendChild(loader);
         
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Remove loader
-        loader.remove();
-        
-        // Add mock discussions (in real app, this would be API data)
-        for (let i = 0; i < 5; i++) {
-            const mockDiscussion = this.createMockDiscussion();
-            discussionsList.appendChild(mockDiscussion);
+        try {
+            const result = await this.api.listTopics({ page: this.nextPage, limit: 5 });
+            this.nextPage = result.page + 1;
+            this.hasMoreTopics = result.page < result.totalPages;
+            
+            result.topics
+                .filter(topic => !this.renderedTopicIds.has(topic.id))
+                .forEach(topic => {
+                    const discussion = this.createDiscussionElement(topic);
+                    discussionsList.appendChild(discussion);
+                    this.registerDiscussionItem(discussion);
+                    discussion.style.display = this.isListed(discussion) ? 'flex' : 'none';
+                });
+        } catch (error) {
+            console.error('Could not load discussions:', error);
+        } finally {
+            loader.remove();
         }
     }
     
-    createMockDiscussion() {
-        const topics = [
-            'Understanding wave-particle duality',
-            'Help with projectile motion calculations',
-            'Electromagnetic induction explained',
-            'Thermodynamics efficiency problems',
-            'Quantum entanglement questions'
-        ];
-        
-        const authors = ['John Doe', 'Jane Smith', 'Mike Johnson', 'Sarah Wilson', 'Tom Brown'];
-        const categories = ['Quantum Physics', 'Classical Mechanics', 'Electromagnetism', 'Thermodynamics'];
-        
-        const discussion = document.createElement('article');
-        discussion.className = 'discussion-item';
-        discussion.tabIndex = 0;
-        
-        const randomTopic = topics[Math.floor(Math.random() * topics.length)];
-        const randomAuthor = authors[Math.floor(Math.random() * authors.length)];
-        const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-        
-        discussion.innerHTML = `
-            <div class="discussion-avatar">
-                <img src="https://via.placeholder.com/40x40/3b82f6/ffffff?text=${randomAuthor.charAt(0)}" alt="User avatar" class="avatar">
-            </div>
-            <div class="discussion-content">
-                <h3 class="discussion-title">
-                    <a href="#" class="discussion-link">${randomTopic}</a>
-                </h3>
-                <p class="discussion-excerpt">This is a sample discussion about ${randomTopic.toLowerCase()}. Looking for help and insights from the community.</p>
-                <div class="discussion-meta">
-                    <span class="author">by <strong>${randomAuthor}</strong></span>
-                    <span class="category">in <a href="#" class="category-link">${randomCategory}</a></span>
-                    <span class="timestamp">${Math.floor(Math.random() * 24)} hours ago</span>
-                    <div class="discussion-stats">
-                        <span><i class="fas fa-thumbs-up"></i> ${Math.floor(Math.random() * 20)}</span>
-                        <span><i class="fas fa-reply"></i> ${Math.floor(Math.random() * 15)}</span>
-                        <span><i class="fas fa-eye"></i> ${Math.floor(Math.random() * 200)}</span>
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        return discussion;
-    }
-    
     trackSearchAnalytics(query) {
         // Track search analytics (in real app, send to analytics service)
         console.log('Search performed:', query);
@@ -0,0 +1,293 @@
+/**
+ * PhysicsLearn - Learner Progress
+ * Per-learner progress record persisted in localStorage
+ */
+
+/**
+ * Progress record for the learner signed in on this browser.
+ *
+ * Records are keyed by the `user_email` the auth pages store, so each
+ * learner sharing a computer keeps their own history; visitors who have not
+ * signed in are tracked as `guest`. Days with any activity are kept in
+ * `activity` (local dates, `YYYY-MM-DD`) for the streak calendar.
+ */
+class LearnerProgress {
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storagePrefix = options.storagePrefix || 'physicslearn-progress:';
+        this.record = this.load();
+    }
+
+    getUserKey() {
+        return this.storage.getItem('user_email') || 'guest';
+    }
+
+    getStorageKey() {
+        return this.storagePrefix + this.getUserKey();
+    }
+
+    createRecord() {
+        return {
+            version: 1,
+            user: this.getUserKey(),
+            simulations: {},
+            lessons: {},
+            quizzes: {},
+            courses: {},
+            activity: {}
+        };
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.getStorageKey()));
+            if (saved && saved.version === 1) {
+                return { ...this.createRecord(), ...saved };
+            }
+        } catch (error) {
+            console.warn('Progress record could not be read, starting fresh:', error);
+        }
+        return this.createRecord();
+    }
+
+    /**
+     * Current learner's record, reloaded if someone else has signed in since
+     */
+    getRecord() {
+        if (this.record.user !== this.getUserKey()) {
+            this.record = this.load();
+        }
+        return this.record;
+    }
+
+    save() {
+        this.storage.setItem(this.storagePrefix + this.record.user, JSON.stringify(this.record));
+    }
+
+    /**
+     * Local calendar date as `YYYY-MM-DD`
+     */
+    static dateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    markActive(seconds = 0) {
+        const record = this.getRecord();
+        const today = LearnerProgress.dateKey();
+        const day = record.activity[today] || (record.activity[today] = { actions: 0, seconds: 0 });
+        if (seconds > 0) {
+            day.seconds += seconds;
+        } else {
+            day.actions++;
+        }
+    }
+
+    getSimulation(simulationId) {
+        const record = this.getRecord();
+        if (!record.simulations[simulationId]) {
+            record.simulations[simulationId] = { opens: 0, runSeconds: 0, firstOpened: null, lastOpened: null };
+        }
+        return record.simulations[simulationId];
+    }
+
+    recordSimulationOpened(simulationId) {
+        const simulation = this.getSimulation(simulationId);
+        const now = new Date().toISOString();
+        simulation.opens++;
+        simulation.firstOpened = simulation.firstOpened || now;
+        simulation.lastOpened = now;
+        this.markActive();
+        this.save();
+    }
+
+    recordSimulationRunTime(simulationId, seconds) {
+        if (!(seconds > 0)) return;
+        this.getSimulation(simulationId).runSeconds += seconds;
+        this.markActive(seconds);
+        this.save();
+    }
+
+    recordLessonStarted(lessonId) {
+        const record = this.getRecord();
+        if (!record.lessons[lessonId]) {
+            record.lessons[lessonId] = { startedAt: new Date().toISOString(), completedAt: null };
+        }
+        this.markActive();
+        this.save();
+    }
+
+    recordLessonCompletion(lessonId) {
+        this.recordLessonStarted(lessonId);
+        this.getRecord().lessons[lessonId].completedAt = new Date().toISOString();
+        this.save();
+    }
+
+    /**
+     * Note the first time a course is started; later calls keep that date
+     */
+    recordCourseStarted(courseId) {
+        const record = this.getRecord();
+        if (!courseId || record.courses[courseId]) return;
+        record.courses[courseId] = { startedAt: new Date().toISOString() };
+        this.markActive();
+        this.save();
+    }
+
+    getQuiz(quizId) {
+        const record = this.getRecord();
+        if (!record.quizzes[quizId]) {
+            record.quizzes[quizId] = { questions: {}, completedAt: null, score: null, total: null };
+        }
+        return record.quizzes[quizId];
+    }
+
+    /**
+     * Store the outcome of one question; later attempts overwrite earlier ones
+     */
+    recordQuizResult(quizId, questionId, result) {
+        const quiz = this.getQuiz(quizId);
+        quiz.questions[questionId] = {
+            correct: Boolean(result.correct),
+            answer: result.answer,
+            expected: result.expected,
+            attempts: result.attempts || 1,
+            answeredAt: new Date().toISOString()
+        };
+        this.markActive();
+        this.save();
+    }
+
+    recordQuizCompletion(quizId, score, total) {
+        const quiz = this.getQuiz(quizId);
+        quiz.score = score;
+        quiz.total = total;
+        quiz.completedAt = new Date().toISOString();
+        this.save();
+    }
+
+    getQuizResults(quizId) {
+        return this.getRecord().quizzes[quizId] || null;
+    }
+
+    /**
+     * Current and longest runs of consecutive active days. Today still
+     * counts towards the current streak until it is over, so a learner who
+     * was active yesterday keeps the streak they have.
+     */
+    getStreak(today = new Date()) {
+        const days = Object.keys(this.getRecord().activity).sort();
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+
+        days.forEach(key => {
+            const date = LearnerProgress.parseDateKey(key);
+            run = previous && LearnerProgress.daysBetween(previous, date) === 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = date;
+        });
+
+        const gap = previous ? LearnerProgress.daysBetween(previous, today) : Infinity;
+        return { current: gap <= 1 ? run : 0, longest };
+    }
+
+    static parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static daysBetween(from, to) {
+        const start = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+        const end = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((end - start) / 86400000);
+    }
+
+    /**
+     * Share of a course's simulations, lessons and quizzes the learner has
+     * finished. A simulation counts once it has run for
+     * `LearnerProgress.SIMULATION_EXPLORED_SECONDS`; `lessons` and `quizzes`
+     * are the entries of the lesson and quiz indexes.
+     */
+    getCourseCompletion(course, lessons = [], quizzes = []) {
+        const record = this.getRecord();
+        const items = [
+            ...course.simulations.map(simulation => ({
+                type: 'simulation',
+                id: simulation.id,
+                title: simulation.title,
+                done: (record.simulations[simulation.id] || {}).runSeconds >= LearnerProgress.SIMULATION_EXPLORED_SECONDS
+            })),
+            ...lessons.filter(lesson => lesson.course === course.id).map(lesson => ({
+                type: 'lesson',
+                id: lesson.id,
+                title: lesson.title,
+                done: Boolean((record.lessons[lesson.id] || {}).completedAt)
+            })),
+            ...quizzes.filter(quiz => quiz.course === course.id).map(quiz => ({
+                type: 'quiz',
+                id: quiz.id,
+                title: quiz.title,
+                done: Boolean((record.quizzes[quiz.id] || {}).completedAt)
+            }))
+        ];
+        const done = items.filter(item => item.done).length;
+
+        return {
+            items,
+            done,
+            total: items.length,
+            percent: items.length ? Math.round(100 * done / items.length) : 0,
+            startedAt: (record.courses[course.id] || {}).startedAt || null
+        };
+    }
+
+    getCourseForSimulation(simulationId) {
+        const course = LearnerProgress.COURSES.find(c => c.simulations.some(s => s.id === simulationId));
+        return course ? course.id : null;
+    }
+}
+
+// Courses shown on the dashboard and the simulations that belong to them;
+// lessons and quizzes name their course in their own index files
+LearnerProgress.COURSES = [
+    {
+        id: 'classical-mechanics',
+        title: 'Classical Mechanics',
+        icon: 'fa-cog',
+        simulations: [
+            { id: 'pendulum', title: 'Simple Pendulum' },
+            { id: 'doublependulum', title: 'Double Pendulum' },
+            { id: 'springchain', title: 'Coupled Oscillators' },
+            { id: 'projectile', title: 'Projectile Motion' },
+            { id: 'wave', title: 'Wave Interference' },
+            { id: 'gravity', title: 'Gravitational Field' }
+        ]
+    },
+    {
+        id: 'electromagnetism',
+        title: 'Electromagnetism',
+        icon: 'fa-bolt',
+        simulations: [
+            { id: 'electric', title: 'Electric Field' }
+        ]
+    },
+    {
+        id: 'quantum-mechanics',
+        title: 'Quantum Mechanics',
+        icon: 'fa-atom',
+        simulations: [
+            { id: 'quantum', title: '3D Quantum Atom Model' },
+            { id: 'waveparticle', title: 'Wave-Particle Duality' },
+            { id: 'tunneling', title: 'Quantum Tunneling Effect' }
+        ]
+    }
+];
+
+LearnerProgress.SIMULATION_EXPLORED_SECONDS = 60;
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LearnerProgress;
+}
@@ -0,0 +1,515 @@
+/**
+ * PhysicsLearn - Lesson Engine
+ * Plays guided lessons authored as JSON on top of the simulations
+ */
+
+/**
+ * Runs a lesson step by step against `SimulationsSystem`.
+ *
+ * A lesson file names the simulation it drives and lists its steps:
+ *
+ *     {
+ *         "format": "physicslearn-lesson",
+ *         "id": "pendulum-period",
+ *         "title": "What sets a pendulum's period?",
+ *         "simulation": "pendulum",
+ *         "steps": [
+ *             { "text": "...", "set": { "length": 1 }, "action": "reset",
+ *               "highlight": "length", "waitFor": { "event": "start" } },
+ *             { "text": "...", "waitFor": { "condition": "abs(angle) > 45deg" } }
+ *         ]
+ *     }
+ *
+ * `set` goes through `updateSimulationParameter` so the simulation, its
+ * controls, recordings and permalinks all see the change. `action` is
+ * 'start', 'pause', 'reset' or any simulation-specific button action.
+ * `highlight` names a parameter (its control is highlighted) or a CSS
+ * selector. Without `waitFor` the learner moves on with Next; otherwise the
+ * step advances by itself once the event fires, the condition holds or the
+ * delay (seconds) has passed.
+ */
+class LessonEngine {
+    constructor(simulationsSystem, options = {}) {
+        this.system = simulationsSystem;
+        this.basePath = options.basePath || 'lessons/';
+        this.pollInterval = options.pollInterval || 100; // ms between condition checks
+        this.lesson = null;
+        this.stepIndex = -1;
+        this.panel = null;
+        this.highlighted = [];
+        this.waitCleanup = null;
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Start lessons from `[data-lesson]` buttons and from `?lesson=<id>`
+     */
+    init() {
+        document.querySelectorAll('[data-lesson]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.open(button.dataset.lesson);
+            });
+        });
+
+        const params = new URLSearchParams(window.location.search);
+        const lessonId = params.get('lesson');
+        if (lessonId) {
+            this.open(lessonId);
+        }
+    }
+
+    /**
+     * Load a lesson by id from `basePath` and start it. Only plain ids are
+     * accepted, so a link cannot load a lesson from anywhere else.
+     */
+    async open(lessonId) {
+        try {
+            if (!/^[\w-]+$/.test(lessonId)) {
+                throw new Error('Unknown lesson');
+            }
+            const lesson = await this.load(`${this.basePath}${lessonId}.json`);
+            await this.start(lesson);
+        } catch (error) {
+            console.error('Lesson could not be started:', error);
+            this.system.showNotification(`Lesson could not be started: ${error.message}`, 'error');
+        }
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Lesson not found (${response.status})`);
+        }
+        return LessonEngine.parse(await response.text());
+    }
+
+    /**
+     * Parse and validate lesson JSON; conditions are checked up front so
+     * authoring mistakes surface on load rather than halfway through
+     */
+    static parse(text) {
+        let lesson;
+        try {
+            lesson = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('The lesson is not valid JSON');
+        }
+
+        if (!lesson || lesson.format !== 'physicslearn-lesson') {
+            throw new Error('The file is not a PhysicsLearn lesson');
+        }
+        if (!lesson.simulation || typeof lesson.simulation !== 'string') {
+            throw new Error('The lesson does not name a simulation');
+        }
+        if (!Array.isArray(lesson.steps) || lesson.steps.length === 0) {
+            throw new Error('The lesson has no steps');
+        }
+
+        lesson.steps.forEach((step, index) => {
+            const waitFor = step.waitFor;
+            if (!waitFor) return;
+
+            if (waitFor.condition !== undefined) {
+                try {
+                    LessonEngine.parseCondition(waitFor.condition);
+                } catch (error) {
+                    throw new Error(`Step ${index + 1}: ${error.message}`);
+                }
+            } else if (!waitFor.event && !(waitFor.delay > 0)) {
+                throw new Error(`Step ${index + 1}: waitFor needs an event, condition or delay`);
+            }
+        });
+
+        return lesson;
+    }
+
+    /**
+     * Parse a condition such as `abs(angle) > 45deg and time > 2` into a
+     * list of comparisons that must all hold
+     */
+    static parseCondition(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Empty condition');
+        }
+
+        const pattern = /^\s*(abs\(\s*([A-Za-z_][\w.]*)\s*\)|([A-Za-z_][\w.]*))\s*(<=|>=|==|!=|<|>)\s*(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*(deg|°)?\s*$/i;
+
+        return text.split(/\s+and\s+/i).map(part => {
+            const match = part.match(pattern);
+            if (!match) {
+                throw new Error(`Cannot read condition "${part.trim()}"`);
+            }
+            return {
+                name: match[2] || match[3],
+                absolute: Boolean(match[2]),
+                operator: match[4],
+                value: parseFloat(match[5]),
+                degrees: Boolean(match[6])
+            };
+        });
+    }
+
+    static compare(left, operator, right) {
+        switch (operator) {
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '==': return Math.abs(left - right) < 1e-9;
+            case '!=': return Math.abs(left - right) >= 1e-9;
+            default: return false;
+        }
+    }
+
+    /**
+     * Current value of a name used in a condition. `time` is the simulated
+     * time, `parameters.x` reads a parameter, and plain names look up
+     * observables first and parameters second. Comparisons written in `deg`
+     * are converted to radians for observables measured in rad.
+     */
+    resolveValue(simulationId, comparison) {
+        const simulation = this.system.simulations.get(simulationId);
+        const model = simulation && simulation.model;
+        if (!model) return { value: NaN, unit: '' };
+
+        if (comparison.name === 'time') {
+            return { value: simulation.stepper ? simulation.stepper.time : NaN, unit: 's' };
+        }
+
+        const parameters = model.getParameters ? model.getParameters() : {};
+        if (comparison.name.startsWith('parameters.')) {
+            return { value: Number(parameters[comparison.name.slice('parameters.'.length)]), unit: '' };
+        }
+
+        if (model.getObservableValues) {
+            const values = model.getObservableValues();
+            if (comparison.name in values) {
+                const definition = model.getObservableDefinitions()
+                    .find(d => d.key === comparison.name);
+                return { value: values[comparison.name], unit: definition ? definition.unit : '' };
+            }
+        }
+
+        return { value: Number(parameters[comparison.name]), unit: '' };
+    }
+
+    evaluateCondition(simulationId, comparisons) {
+        return comparisons.every(comparison => {
+            const resolved = this.resolveValue(simulationId, comparison);
+            let value = resolved.value;
+            let target = comparison.value;
+
+            if (comparison.degrees && resolved.unit.startsWith('rad')) {
+                target = target * Math.PI / 180;
+            }
+            if (comparison.absolute) {
+                value = Math.abs(value);
+            }
+
+            return Number.isFinite(value) && LessonEngine.compare(value, comparison.operator, target);
+        });
+    }
+
+    /**
+     * Begin a parsed lesson once its simulation is ready
+     */
+    async start(lesson) {
+        this.exit();
+        await this.waitForSimulation(lesson.simulation);
+
+        this.lesson = lesson;
+        this.createPanel();
+        this.emit('start', { lesson });
+        this.goToStep(0);
+    }
+
+    /**
+     * p5 sketches create their models asynchronously, so poll briefly
+     */
+    waitForSimulation(simulationId, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const check = () => {
+                const simulation = this.system.simulations.get(simulationId);
+                if (simulation && simulation.model) {
+                    resolve(simulation);
+                } else if (Date.now() - startedAt > timeout) {
+                    reject(new Error(`Simulation "${simulationId}" is not available`));
+                } else {
+                    setTimeout(check, this.pollInterval);
+                }
+            };
+            check();
+        });
+    }
+
+    getStepSimulation(step) {
+        return step.simulation || this.lesson.simulation;
+    }
+
+    goToStep(index) {
+        if (!this.lesson) return;
+        this.clearWait();
+        this.clearHighlights();
+
+        if (index >= this.lesson.steps.length) {
+            this.complete();
+            return;
+        }
+
+        this.stepIndex = Math.max(0, index);
+        const step = this.lesson.steps[this.stepIndex];
+        const simulationId = this.getStepSimulation(step);
+
+        if (step.set) {
+            this.system.applyParameters(simulationId, step.set);
+        }
+        if (step.action) {
+            this.runAction(simulationId, step.action);
+        }
+        if (step.highlight) {
+            this.highlight(simulationId, step.highlight);
+        }
+
+        this.renderStep(step);
+        this.emit('step', { lesson: this.lesson, index: this.stepIndex, step });
+
+        if (step.waitFor) {
+            this.waitFor(simulationId, step.waitFor);
+        }
+    }
+
+    next() {
+        this.goToStep(this.stepIndex + 1);
+    }
+
+    previous() {
+        if (this.stepIndex > 0) {
+            this.goToStep(this.stepIndex - 1);
+        }
+    }
+
+    runAction(simulationId, action) {
+        switch (action) {
+            case 'start':
+            case 'resume':
+                this.system.startSimulation(simulationId);
+                break;
+            case 'pause':
+                this.system.pauseSimulation(simulationId);
+                break;
+            case 'reset':
+                this.system.resetSimulation(simulationId);
+                break;
+            default:
+                this.system.runSimulationAction(simulationId, action);
+        }
+    }
+
+    /**
+     * Advance automatically when the step's event, condition or delay is met
+     */
+    waitFor(simulationId, waitFor) {
+        const done = () => {
+            this.clearWait();
+            this.next();
+        };
+
+        if (waitFor.event) {
+            this.waitCleanup = this.system.on(waitFor.event, detail => {
+                if (detail.simulationId !== simulationId) return;
+                if (waitFor.parameter && detail.parameter !== waitFor.parameter) return;
+                if (waitFor.action && detail.action !== waitFor.action) return;
+                done();
+            });
+        } else if (waitFor.condition !== undefined) {
+            const comparisons = LessonEngine.parseCondition(waitFor.condition);
+            const timer = setInterval(() => {
+                if (this.evaluateCondition(simulationId, comparisons)) {
+                    done();
+                }
+            }, this.pollInterval);
+            this.waitCleanup = () => clearInterval(timer);
+        } else if (waitFor.delay > 0) {
+            const timer = setTimeout(done, waitFor.delay * 1000);
+            this.waitCleanup = () => clearTimeout(timer);
+        }
+
+        this.updatePanelButtons();
+    }
+
+    clearWait() {
+        if (this.waitCleanup) {
+            this.waitCleanup();
+            this.waitCleanup = null;
+        }
+    }
+
+    /**
+     * Highlight parameter controls (by name) or any element (by selector)
+     */
+    highlight(simulationId, targets) {
+        (Array.isArray(targets) ? targets : [targets]).forEach(target => {
+            const element = /^[#.[]/.test(target)
+                ? document.querySelector(target)
+                : document.getElementById(`${simulationId}-${target}`);
+            if (!element) return;
+
+            const highlighted = element.closest('.control-group') || element;
+            highlighted.classList.add('lesson-highlight');
+            this.highlighted.push(highlighted);
+        });
+    }
+
+    clearHighlights() {
+        this.highlighted.forEach(element => element.classList.remove('lesson-highlight'));
+        this.highlighted = [];
+    }
+
+    /**
+     * Lesson panel shown above the simulation's controls
+     */
+    createPanel() {
+        const container = document.getElementById(`${this.lesson.simulation}-simulation`);
+        const card = container && container.closest('.simulation-card');
+        if (!card) {
+            throw new Error(`No simulation card for "${this.lesson.simulation}"`);
+        }
+
+        const panel = document.createElement('section');
+        panel.className = 'lesson-panel';
+        panel.setAttribute('aria-live', 'polite');
+        panel.innerHTML = `
+            <header class="lesson-header">
+                <h4 class="lesson-title"></h4>
+                <span class="lesson-progress"></span>
+            </header>
+            <div class="lesson-text"></div>
+            <p class="lesson-wait"></p>
+            <div class="lesson-buttons">
+                <button type="button" class="btn btn-outline" data-lesson-action="previous">
+                    <i class="fas fa-arrow-left"></i> Back
+                </button>
+                <button type="button" class="btn btn-primary" data-lesson-action="next">
+                    <span class="lesson-next-label">Next</span> <i class="fas fa-arrow-right"></i>
+                </button>
+                <button type="button" class="btn btn-secondary" data-lesson-action="exit">
+                    <i class="fas fa-times"></i> Exit
+                </button>
+            </div>
+        `;
+        panel.querySelector('.lesson-title').textContent = this.lesson.title || 'Guided lesson';
+
+        panel.querySelectorAll('[data-lesson-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.lessonAction;
+                if (action === 'previous') this.previous();
+                if (action === 'next') this.next();
+                if (action === 'exit') this.exit();
+            });
+        });
+
+        const controls = card.querySelector('.simulation-controls');
+        card.insertBefore(panel, controls);
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.panel = panel;
+    }
+
+    /**
+     * Step text is plain text; blank lines separate paragraphs
+     */
+    renderStep(step) {
+        if (!this.panel) return;
+
+        const text = this.panel.querySelector('.lesson-text');
+        text.innerHTML = '';
+        String(step.text || '').split(/\n\s*\n/).forEach(paragraph => {
+            const p = document.createElement('p');
+            p.textContent = paragraph.trim();
+            text.appendChild(p);
+        });
+
+        this.panel.querySelector('.lesson-progress').textContent =
+            `Step ${this.stepIndex + 1} of ${this.lesson.steps.length}`;
+        this.panel.querySelector('.lesson-wait').textContent = this.describeWait(step.waitFor);
+        this.updatePanelButtons();
+    }
+
+    describeWait(waitFor) {
+        if (!waitFor) return '';
+        if (waitFor.hint) return waitFor.hint;
+        if (waitFor.event === 'start') return 'Press Start to continue.';
+        if (waitFor.event === 'reset') return 'Press Reset to continue.';
+        if (waitFor.event === 'parameter') {
+            return waitFor.parameter ? `Change ${waitFor.parameter} to continue.` : 'Change a setting to continue.';
+        }
+        if (waitFor.condition !== undefined) return `Continues when ${waitFor.condition}.`;
+        return '';
+    }
+
+    updatePanelButtons() {
+        if (!this.panel) return;
+        const isLast = this.stepIndex === this.lesson.steps.length - 1;
+        const step = this.lesson.steps[this.stepIndex];
+
+        this.panel.querySelector('[data-lesson-action="previous"]').disabled = this.stepIndex === 0;
+        const nextButton = this.panel.querySelector('[data-lesson-action="next"]');
+        nextButton.disabled = Boolean(step && step.waitFor);
+        nextButton.querySelector('.lesson-next-label').textContent = isLast ? 'Finish' : 'Next';
+    }
+
+    complete() {
+        const lesson = this.lesson;
+        this.stepIndex = lesson.steps.length;
+        this.emit('complete', { lesson });
+        this.exit();
+        this.system.showNotification(`Lesson complete: ${lesson.title || lesson.id}`, 'success');
+    }
+
+    exit() {
+        this.clearWait();
+        this.clearHighlights();
+        if (this.panel && this.panel.parentElement) {
+            this.panel.parentElement.removeChild(this.panel);
+        }
+        if (this.lesson && this.stepIndex < this.lesson.steps.length) {
+            this.emit('exit', { lesson: this.lesson, index: this.stepIndex });
+        }
+        this.panel = null;
+        this.lesson = null;
+        this.stepIndex = -1;
+    }
+
+    /**
+     * Subscribe to lesson events ('start', 'step', 'complete', 'exit');
+     * returns an unsubscribe function
+     */
+    on(eventName, listener) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(listener);
+
+        return () => {
+            const listeners = this.eventListeners.get(eventName) || [];
+            this.eventListeners.set(eventName, listeners.filter(l => l !== listener));
+        };
+    }
+
+    emit(eventName, detail) {
+        (this.eventListeners.get(eventName) || []).forEach(listener => listener(detail));
+    }
+}
+
+// Start lessons once the simulations system exists
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.simulationsSystem) {
+        window.lessonEngine = new LessonEngine(window.simulationsSystem);
+        window.lessonEngine.init();
+    }
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LessonEngine;
+}
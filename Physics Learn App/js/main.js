@@ -453,6 +453,9 @@ class PhysicsLearnApp {
             const target = parseInt(stat.getAttribute('data-target'));
             const duration = 2000; // 2 seconds
             
+            // Counts without a target (e.g. the forum's live ones) are left alone
+            if (Number.isNaN(target)) return;
+            
             // Animate when element comes into view
             const observer = new IntersectionObserver((entries) => {
                 entries.forEach(entry => {
@@ -0,0 +1,364 @@
+/**
+ * PhysicsLearn - Markdown
+ * Safe Markdown with LaTeX math for forum posts
+ */
+
+/**
+ * Turns what members write into HTML. Every character of the source is
+ * escaped first, so the only markup in the result is what the renderer writes
+ * itself; `sanitize` then drops anything outside a short list of tags and
+ * attributes as a second line of defence.
+ *
+ * Supported: paragraphs, headings, emphasis, `code`, fenced code blocks,
+ * block quotes, lists, links, rules, inline math `$…$` or `\(…\)` and display
+ * math `$$…$$` or `\[…\]`. Math is typeset with KaTeX when the page has
+ * loaded it (with `trust: false`, so formulas cannot add links, classes or
+ * HTML) and shown as its TeX source otherwise.
+ */
+class MarkdownRenderer {
+    /**
+     * HTML for a whole post
+     */
+    static render(source) {
+        const lines = MarkdownRenderer.normalize(source).split('\n');
+        return MarkdownRenderer.sanitize(MarkdownRenderer.renderBlocks(lines, 0));
+    }
+
+    /**
+     * HTML for a one-line excerpt: block syntax is dropped, inline formatting
+     * and math are kept, and code blocks are left out
+     */
+    static renderInline(source) {
+        const text = MarkdownRenderer.normalize(source)
+            .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?^ {0,3}\1\s*$/gm, '')
+            .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*$/gm, '')
+            .replace(/^ {0,3}(#{1,6}\s+|>\s?|[-*+]\s+|\d{1,9}[.)]\s+)/gm, '')
+            .replace(/\s*\n\s*/g, ' ')
+            .trim();
+        return MarkdownRenderer.sanitize(MarkdownRenderer.renderInlineText(text, { displayMath: false }));
+    }
+
+    /**
+     * Keep `preview` showing what `textarea` will look like once posted
+     */
+    static attachPreview(textarea, preview) {
+        let frame = null;
+        const update = () => {
+            frame = null;
+            preview.innerHTML = textarea.value.trim()
+                ? MarkdownRenderer.render(textarea.value)
+                : '<p class="markdown-preview-empty">Nothing to preview yet.</p>';
+        };
+
+        textarea.addEventListener('input', () => {
+            if (frame === null) frame = requestAnimationFrame(update);
+        });
+        update();
+    }
+
+    static normalize(source) {
+        // NUL and SOH are the placeholders used by `renderInlineText`
+        return String(source || '').replace(/\r\n?/g, '\n').replace(/[\u0000\u0001]/g, '');
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static renderBlocks(lines, depth) {
+        const P = MarkdownRenderer.PATTERNS;
+        const html = [];
+        let i = 0;
+
+        const startsBlock = index => [P.fence, P.heading, P.rule, P.quote, P.listItem].some(pattern => pattern.test(lines[index])) ||
+            Boolean(MarkdownRenderer.readDisplayMath(lines, index));
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            let match = line.match(P.fence);
+            if (match) {
+                const fence = match[1];
+                const body = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence) && !lines[i].trim().slice(fence.length).trim())) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = match[2].toLowerCase();
+                const className = language ? ` class="language-${MarkdownRenderer.escape(language)}"` : '';
+                html.push(`<pre><code${className}>${MarkdownRenderer.escape(body.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const math = MarkdownRenderer.readDisplayMath(lines, i);
+            if (math) {
+                html.push(MarkdownRenderer.renderMath(math.tex, true));
+                i = math.next;
+                continue;
+            }
+
+            match = line.match(P.heading);
+            if (match) {
+                // Posts sit below the page's own headings, so `#` starts at <h3>
+                const level = Math.min(match[1].length + 2, 6);
+                html.push(`<h${level}>${MarkdownRenderer.renderInlineText(match[2].replace(/\s+#+\s*$/, ''))}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (P.rule.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (P.quote.test(line)) {
+                const body = [];
+                while (i < lines.length && P.quote.test(lines[i])) {
+                    body.push(lines[i].replace(P.quote, ''));
+                    i++;
+                }
+                html.push(depth < MarkdownRenderer.MAX_QUOTE_DEPTH
+                    ? `<blockquote>${MarkdownRenderer.renderBlocks(body, depth + 1)}</blockquote>`
+                    : `<blockquote><p>${MarkdownRenderer.renderInlineText(body.join('\n'))}</p></blockquote>`);
+                continue;
+            }
+
+            match = line.match(P.listItem);
+            if (match) {
+                const ordered = /\d/.test(match[1]);
+                const start = ordered ? parseInt(match[1], 10) : 1;
+                const items = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(P.listItem);
+                    if (item && /\d/.test(item[1]) === ordered) {
+                        items.push([item[2]]);
+                    } else if (items.length > 0 && lines[i].trim() && /^\s{2,}/.test(lines[i])) {
+                        items[items.length - 1].push(lines[i].trim());
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+                const entries = items.map(item => `<li>${MarkdownRenderer.renderInlineText(item.join('\n'))}</li>`).join('');
+                html.push(`<${tag}${startAttr}>${entries}</${tag}>`);
+                continue;
+            }
+
+            const paragraph = [line];
+            i++;
+            while (i < lines.length && lines[i].trim() && !startsBlock(i)) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            html.push(`<p>${MarkdownRenderer.renderInlineText(paragraph.join('\n'))}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    /**
+     * Display math starting on `lines[start]`: `{ tex, next }` when the line
+     * opens with `$$` or `\[` and a later line (or the same one) ends with the
+     * closing delimiter, otherwise null and the line is an ordinary paragraph
+     */
+    static readDisplayMath(lines, start) {
+        const match = lines[start].match(MarkdownRenderer.PATTERNS.displayMathOpen);
+        if (!match) return null;
+
+        const close = match[1] === '$$' ? '$$' : '\\]';
+        const body = [lines[start].trim().slice(2)];
+        for (let i = start; i < lines.length; i++) {
+            const line = i === start ? body[0] : lines[i].trim();
+            if (i > start) {
+                // TeX does not allow blank lines inside a formula
+                if (!line) return null;
+                body.push(line);
+            }
+
+            const end = line.indexOf(close);
+            if (end !== -1) {
+                if (end !== line.length - close.length) return null;
+                const tex = body.join('\n').slice(0, -close.length).trim();
+                return tex ? { tex, next: i + 1 } : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Inline formatting. Code, math and links are swapped for placeholders
+     * before the rest is escaped and formatted, so emphasis never reaches
+     * inside them (or inside a link's address).
+     */
+    static renderInlineText(text, { displayMath = true } = {}) {
+        const tokens = [];
+        const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+        // An escaped dollar is SOH until the end so it never delimits math
+        const math = (tex, display) => hold(MarkdownRenderer.renderMath(tex.trim().replace(/\u0001/g, '\\$'), display));
+
+        let output = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${MarkdownRenderer.escape(code.trim())}</code>`))
+            .replace(/\\\$/g, '\u0001')
+            .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => math(tex, displayMath))
+            .replace(/\\\[([\s\S]+?)\\\]/g, (_, tex) => math(tex, displayMath))
+            .replace(/\\\(([\s\S]+?)\\\)/g, (_, tex) => math(tex, false))
+            // `$5 and $10` stays text: the opening `$` needs a non-space after
+            // it, the closing one a non-space before and no digit after
+            .replace(/\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (_, tex) => math(tex, false))
+            .replace(/\\([\\`*_{}[\]()#+\-.!~>|])/g, (_, char) => hold(MarkdownRenderer.escape(char)))
+            .replace(/\u0001/g, '$');
+
+        output = MarkdownRenderer.escape(output)
+            .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (whole, label, href) => {
+                const url = MarkdownRenderer.safeUrl(href);
+                return url
+                    ? hold(`<a href="${url}" rel="nofollow noopener noreferrer" target="_blank">${MarkdownRenderer.formatEmphasis(label)}</a>`)
+                    : whole;
+            })
+            .replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (whole, href) => hold(`<a href="${href}" rel="nofollow noopener noreferrer" target="_blank">${href}</a>`));
+
+        output = MarkdownRenderer.formatEmphasis(output).replace(/\n/g, '<br>');
+
+        // Links hold code and math of their own, so restore until none are left
+        while (output.includes('\u0000')) {
+            output = output.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[index]);
+        }
+        return output;
+    }
+
+    static formatEmphasis(html) {
+        return html
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Escaped link address, or null for schemes other than http(s) and mailto
+     * (`javascript:`, `data:`…); addresses without a scheme are relative
+     */
+    static safeUrl(escapedHref) {
+        // Browsers skip control characters, which would hide a scheme
+        if (/[\u0000-\u001f\u007f]/.test(escapedHref)) return null;
+
+        const scheme = escapedHref.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) {
+            return null;
+        }
+        return escapedHref;
+    }
+
+    /**
+     * Whether equations can be typeset. KaTeX comes from a CDN, so it is
+     * missing when the page is used without internet access.
+     */
+    static canTypeset() {
+        return typeof katex !== 'undefined';
+    }
+
+    static renderMath(tex, display) {
+        // Always a <span>, so display math may also sit inside a paragraph
+        const className = display ? 'math math-display' : 'math math-inline';
+
+        if (MarkdownRenderer.canTypeset()) {
+            try {
+                const html = katex.renderToString(tex, {
+                    displayMode: display,
+                    throwOnError: false,
+                    trust: false,
+                    strict: 'ignore',
+                    maxSize: 20,
+                    maxExpand: 200
+                });
+                return `<span class="${className}">${html}</span>`;
+            } catch (error) {
+                console.warn('Could not typeset formula:', error);
+            }
+        }
+
+        // Marked, so an untypeset formula does not pass for a typo in the post
+        const delimiter = display ? '$$' : '$';
+        return `<span class="${className} math-unavailable" title="${MarkdownRenderer.UNTYPESET_NOTE}">` +
+            `<code class="math-source">${MarkdownRenderer.escape(`${delimiter}${tex}${delimiter}`)}</code></span>`;
+    }
+
+    /**
+     * Remove every element and attribute not written by the renderer. KaTeX
+     * output inside `.math` is left alone. Without a DOM (on the server) the
+     * already escaped HTML is returned as it is.
+     */
+    static sanitize(html) {
+        if (typeof document === 'undefined') return html;
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const clean = (parent) => {
+            Array.from(parent.children).forEach(element => {
+                const tag = element.tagName.toLowerCase();
+                const allowed = MarkdownRenderer.ALLOWED_TAGS[tag];
+                if (!allowed) {
+                    element.replaceWith(document.createTextNode(element.textContent));
+                    return;
+                }
+
+                Array.from(element.attributes).forEach(attribute => {
+                    if (!allowed.includes(attribute.name)) element.removeAttribute(attribute.name);
+                });
+                if (tag === 'a' && !MarkdownRenderer.safeUrl(element.getAttribute('href') || '')) {
+                    element.removeAttribute('href');
+                }
+
+                const isMath = tag === 'span' && element.classList.contains('math');
+                if (!isMath) clean(element);
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+}
+
+MarkdownRenderer.PATTERNS = {
+    fence: /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)\s*$/,
+    displayMathOpen: /^\s*(\$\$|\\\[)/,
+    heading: /^ {0,3}(#{1,6})\s+(.*)$/,
+    rule: /^ {0,3}([-*_])(\s*\1){2,}\s*$/,
+    quote: /^ {0,3}>\s?/,
+    listItem: /^ {0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/
+};
+
+// Shown on equations left as TeX source
+MarkdownRenderer.UNTYPESET_NOTE = 'Equations are typeset with KaTeX, which needs an internet connection; showing the TeX source';
+
+MarkdownRenderer.MAX_QUOTE_DEPTH = 4;
+
+// Tags the renderer writes, with the attributes each may keep
+MarkdownRenderer.ALLOWED_TAGS = {
+    p: [], br: [], hr: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], em: [], del: [], blockquote: [], ul: [], ol: ['start'], li: [],
+    pre: [], code: ['class'], a: ['href', 'rel', 'target'],
+    span: ['class']
+};
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
@@ -18,9 +18,39 @@ class NavigationSystem {
         this.setupKeyboardNavigation();
         this.setupScrollNavigation();
         this.setupAccessibility();
+        this.setupAccountLink();
         this.updateActiveNavigation();
     }
 
+    /**
+     * Point the Login button back at this page, or turn it into Log out on
+     * pages that load the API client while a user is signed in
+     */
+    setupAccountLink() {
+        const loginLink = document.querySelector('.nav-menu a[href="login.html"]');
+        if (!loginLink) return;
+
+        if (!window.api || !window.api.isAuthenticated()) {
+            if (typeof ApiClient !== 'undefined') {
+                loginLink.href = ApiClient.loginUrl();
+            }
+            return;
+        }
+
+        loginLink.textContent = 'Log out';
+        loginLink.href = '#';
+        loginLink.addEventListener('click', async (e) => {
+            e.preventDefault();
+            try {
+                await window.api.logout();
+            } catch (error) {
+                // The local session is cleared even if the server cannot be reached
+                console.warn('Logout request failed:', error);
+            }
+            window.location.reload();
+        });
+    }
+
     /**
      * Get current page from URL
      */
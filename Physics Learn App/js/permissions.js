@@ -0,0 +1,82 @@
+/**
+ * PhysicsLearn - Permissions
+ * Roles and what each may do, shared by the pages and the server
+ */
+
+/**
+ * Answers "may this user do this?" for the forum, classes and account
+ * administration. Pages use it to show or hide controls; the server (and
+ * the in-browser fake backend) use the same rules to refuse requests, so
+ * hiding a button is never the only protection.
+ *
+ * `resource` carries what a rule needs to know about the thing being acted
+ * on, e.g. `{ authorId }` for a topic, `{ locked }` for replying,
+ * `{ authorId, locked }` for editing a reply or `{ ownerId, memberIds }` for
+ * a class. Nobody may vote on their own topics and replies.
+ */
+class Permissions {
+    /**
+     * Access role of a user record. Accounts created before roles existed
+     * (or with an unknown value) are students.
+     */
+    static getRole(user) {
+        return user && Permissions.ROLES.includes(user.role) ? user.role : 'student';
+    }
+
+    static hasRole(user, ...roles) {
+        return Boolean(user) && roles.includes(Permissions.getRole(user));
+    }
+
+    static isStaff(user) {
+        return Permissions.hasRole(user, 'moderator', 'admin');
+    }
+
+    static ownsClass(user, resource) {
+        return Permissions.hasRole(user, 'admin') || resource.ownerId === user.id;
+    }
+
+    static can(user, action, resource = {}) {
+        const rule = Permissions.RULES[action];
+        if (!rule) {
+            throw new Error(`Unknown permission: ${action}`);
+        }
+        return Boolean(user) && rule(user, resource);
+    }
+}
+
+Permissions.ROLES = ['student', 'teacher', 'moderator', 'admin'];
+
+Permissions.ROLE_LABELS = {
+    student: 'Student',
+    teacher: 'Teacher',
+    moderator: 'Moderator',
+    admin: 'Administrator'
+};
+
+/**
+ * Roles that can be asked for when registering. Every account starts as a
+ * student; an administrator grants the request from the roles page.
+ */
+Permissions.REQUESTABLE_ROLES = ['teacher'];
+
+Permissions.RULES = {
+    'topic:create': () => true,
+    'topic:edit': (user, resource) => Permissions.isStaff(user) || (resource.authorId === user.id && !resource.locked),
+    'topic:delete': user => Permissions.isStaff(user),
+    'topic:pin': user => Permissions.isStaff(user),
+    'topic:lock': user => Permissions.isStaff(user),
+    'topic:accept': (user, resource) => Permissions.isStaff(user) || resource.authorId === user.id,
+    'topic:vote': (user, resource) => resource.authorId !== user.id,
+    'reply:create': (user, resource) => !resource.locked || Permissions.isStaff(user),
+    'reply:edit': (user, resource) => Permissions.isStaff(user) || (resource.authorId === user.id && !resource.locked),
+    'reply:vote': (user, resource) => resource.authorId !== user.id,
+    'class:create': user => Permissions.hasRole(user, 'teacher', 'admin'),
+    'class:manage': (user, resource) => Permissions.ownsClass(user, resource),
+    'class:view': (user, resource) => Permissions.ownsClass(user, resource) || (resource.memberIds || []).includes(user.id),
+    'user:manage-roles': user => Permissions.hasRole(user, 'admin')
+};
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Permissions;
+}
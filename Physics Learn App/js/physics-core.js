@@ -0,0 +1,197 @@
+/**
+ * PhysicsLearn - Physics Core
+ * Fixed-timestep stepping and numerical integrators shared by the p5 simulations
+ */
+
+/**
+ * Numerical integrators for second-order systems.
+ *
+ * Every integrator takes a state `{ q: number[], v: number[] }`, an
+ * acceleration function `(q, v, t) => number[]`, the current time and the
+ * timestep, and returns a new state. States are never mutated so two copies
+ * of a simulation can be advanced with different methods side by side.
+ */
+class Integrators {
+    static explicitEuler(state, acceleration, t, dt) {
+        const a = acceleration(state.q, state.v, t);
+        return {
+            q: state.q.map((q, i) => q + state.v[i] * dt),
+            v: state.v.map((v, i) => v + a[i] * dt)
+        };
+    }
+
+    static semiImplicitEuler(state, acceleration, t, dt) {
+        const a = acceleration(state.q, state.v, t);
+        const v = state.v.map((v, i) => v + a[i] * dt);
+        return {
+            q: state.q.map((q, i) => q + v[i] * dt),
+            v
+        };
+    }
+
+    static velocityVerlet(state, acceleration, t, dt) {
+        const a0 = acceleration(state.q, state.v, t);
+        const q = state.q.map((q, i) => q + state.v[i] * dt + 0.5 * a0[i] * dt * dt);
+        // Velocity-dependent forces are evaluated with a predicted velocity
+        const vPredicted = state.v.map((v, i) => v + a0[i] * dt);
+        const a1 = acceleration(q, vPredicted, t + dt);
+        return {
+            q,
+            v: state.v.map((v, i) => v + 0.5 * (a0[i] + a1[i]) * dt)
+        };
+    }
+
+    static rk4(state, acceleration, t, dt) {
+        const offset = (base, delta, h) => base.map((x, i) => x + delta[i] * h);
+
+        const k1q = state.v;
+        const k1v = acceleration(state.q, state.v, t);
+
+        const q2 = offset(state.q, k1q, dt / 2);
+        const v2 = offset(state.v, k1v, dt / 2);
+        const k2q = v2;
+        const k2v = acceleration(q2, v2, t + dt / 2);
+
+        const q3 = offset(state.q, k2q, dt / 2);
+        const v3 = offset(state.v, k2v, dt / 2);
+        const k3q = v3;
+        const k3v = acceleration(q3, v3, t + dt / 2);
+
+        const q4 = offset(state.q, k3q, dt);
+        const v4 = offset(state.v, k3v, dt);
+        const k4q = v4;
+        const k4v = acceleration(q4, v4, t + dt);
+
+        const combine = (base, k1, k2, k3, k4) => base.map((x, i) =>
+            x + (dt / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i])
+        );
+
+        return {
+            q: combine(state.q, k1q, k2q, k3q, k4q),
+            v: combine(state.v, k1v, k2v, k3v, k4v)
+        };
+    }
+
+    /**
+     * Look up an integrator by its control value (e.g. 'velocity-verlet')
+     */
+    static get(name) {
+        const integrator = this.methods[name];
+        if (!integrator) {
+            throw new Error(`Unknown integrator: ${name}`);
+        }
+        return integrator;
+    }
+
+    static get methods() {
+        return {
+            'explicit-euler': Integrators.explicitEuler,
+            'semi-implicit-euler': Integrators.semiImplicitEuler,
+            'velocity-verlet': Integrators.velocityVerlet,
+            'rk4': Integrators.rk4
+        };
+    }
+
+    static get names() {
+        return Object.keys(this.methods);
+    }
+}
+
+/**
+ * Fixed-timestep stepper
+ *
+ * Decouples physics from rendering: elapsed wall-clock time is accumulated
+ * and the model is advanced in whole steps of `timestep` seconds, so the
+ * same number of steps runs for the same amount of simulated time on every
+ * machine regardless of frame rate.
+ *
+ * The model must implement `step(dt, integrator, t)`. Listeners added with
+ * `onStep()` are called after every step with the new simulated time.
+ */
+class PhysicsStepper {
+    constructor(model, options = {}) {
+        this.model = model;
+        this.timestep = options.timestep || 1 / 240;
+        this.maxSubsteps = options.maxSubsteps || 240;
+        this.integratorName = options.integrator || 'rk4';
+        this.integrator = Integrators.get(this.integratorName);
+        this.stepListeners = [];
+        this.reset();
+    }
+
+    /**
+     * Advance by an amount of elapsed real time (seconds).
+     * Returns the number of physics steps taken.
+     */
+    advance(elapsedSeconds) {
+        this.accumulator += Math.max(0, elapsedSeconds);
+
+        let steps = 0;
+        while (this.accumulator >= this.timestep && steps < this.maxSubsteps) {
+            this.step();
+            this.accumulator -= this.timestep;
+            steps++;
+        }
+
+        // Drop the backlog after a long stall (e.g. a background tab) instead
+        // of trying to catch up, which would freeze the page
+        if (steps === this.maxSubsteps) {
+            this.accumulator = 0;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Take exactly one physics step
+     */
+    step() {
+        this.model.step(this.timestep, this.integrator, this.time);
+        this.stepCount++;
+        this.time += this.timestep;
+        this.stepListeners.forEach(listener => listener(this.time, this));
+    }
+
+    /**
+     * Subscribe to completed steps; returns an unsubscribe function
+     */
+    onStep(listener) {
+        this.stepListeners.push(listener);
+        return () => {
+            this.stepListeners = this.stepListeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Run a fixed amount of simulated time without rendering
+     */
+    run(duration) {
+        const steps = Math.round(duration / this.timestep);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+        return steps;
+    }
+
+    setIntegrator(name) {
+        this.integrator = Integrators.get(name);
+        this.integratorName = name;
+    }
+
+    setTimestep(timestep) {
+        if (timestep > 0) {
+            this.timestep = timestep;
+        }
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.stepCount = 0;
+        this.time = 0;
+    }
+}
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Integrators, PhysicsStepper };
+}
@@ -0,0 +1,186 @@
+/**
+ * PhysicsLearn - Progress Tracker
+ * Feeds simulation, lesson, quiz and course activity into the learner's progress record
+ */
+
+/**
+ * Watches the page for learning activity and writes it to `LearnerProgress`.
+ *
+ * A simulation counts as opened when at least half of its card scrolls into
+ * view. Run time is measured from Start to Pause/Reset, using the
+ * simulations system's events and, for the Three.js quantum simulations that
+ * have no event bus, their Start/Pause/Reset buttons. Time spent in a hidden
+ * tab is not counted.
+ */
+class ProgressTracker {
+    constructor(progress, options = {}) {
+        this.progress = progress;
+        this.system = options.simulationsSystem || null;
+        this.lessonEngine = options.lessonEngine || null;
+        this.quizEngine = options.quizEngine || null;
+        this.flushInterval = options.flushInterval || 30000;
+        this.running = new Map();
+        this.opened = new Set();
+        this.flushTimer = null;
+    }
+
+    init() {
+        this.trackSimulationCards();
+        this.trackSimulationRuns();
+        this.trackLessonsAndQuizzes();
+        this.trackCourseButtons();
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.suspend();
+            } else {
+                this.resume();
+            }
+        });
+        window.addEventListener('pagehide', () => this.suspend());
+    }
+
+    getSimulationIdFromCard(card) {
+        const startButton = card.querySelector('button[id$="-start"]');
+        return startButton ? startButton.id.split('-')[0] : null;
+    }
+
+    trackSimulationCards() {
+        const cards = document.querySelectorAll('.simulation-card');
+        if (cards.length === 0 || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                const simulationId = this.getSimulationIdFromCard(entry.target);
+                if (simulationId && !this.opened.has(simulationId)) {
+                    this.opened.add(simulationId);
+                    this.progress.recordSimulationOpened(simulationId);
+                }
+                observer.unobserve(entry.target);
+            });
+        }, { threshold: 0.5 });
+
+        cards.forEach(card => observer.observe(card));
+    }
+
+    trackSimulationRuns() {
+        if (this.system) {
+            this.system.on('start', ({ simulationId }) => this.startTimer(simulationId));
+            this.system.on('pause', ({ simulationId }) => this.stopTimer(simulationId));
+            this.system.on('reset', ({ simulationId }) => this.stopTimer(simulationId));
+        }
+
+        // Simulations outside the simulations system only expose their buttons
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('button[id]');
+            const match = button && button.id.match(/^(\w+)-(start|pause|reset)$/);
+            if (!match) return;
+
+            const [, simulationId, action] = match;
+            if (this.system && this.system.simulations.has(simulationId)) return;
+
+            if (action === 'start') {
+                this.startTimer(simulationId);
+            } else {
+                this.stopTimer(simulationId);
+            }
+        });
+    }
+
+    trackLessonsAndQuizzes() {
+        if (this.lessonEngine) {
+            this.lessonEngine.on('start', ({ lesson }) => {
+                this.progress.recordLessonStarted(lesson.id);
+                this.progress.recordCourseStarted(lesson.course);
+            });
+            this.lessonEngine.on('complete', ({ lesson }) => {
+                this.progress.recordLessonCompletion(lesson.id);
+            });
+        }
+
+        if (this.quizEngine) {
+            this.quizEngine.on('start', ({ quiz }) => {
+                this.progress.recordCourseStarted(quiz.course);
+            });
+        }
+    }
+
+    /**
+     * "Start Course" buttons carry `data-course-start="<course id>"`
+     */
+    trackCourseButtons() {
+        document.querySelectorAll('[data-course-start]').forEach(button => {
+            button.addEventListener('click', () => {
+                const courseId = button.dataset.courseStart;
+                this.progress.recordCourseStarted(courseId);
+                window.location.href = `dashboard.html#${courseId}`;
+            });
+        });
+    }
+
+    startTimer(simulationId) {
+        if (this.running.has(simulationId)) return;
+
+        this.running.set(simulationId, document.hidden ? null : Date.now());
+        this.progress.recordCourseStarted(this.progress.getCourseForSimulation(simulationId));
+
+        if (!this.flushTimer) {
+            this.flushTimer = setInterval(() => this.flushAll(), this.flushInterval);
+        }
+    }
+
+    stopTimer(simulationId) {
+        if (!this.running.has(simulationId)) return;
+
+        this.flush(simulationId);
+        this.running.delete(simulationId);
+
+        if (this.running.size === 0 && this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+    }
+
+    /**
+     * Add the time since the last flush to the record and restart the clock
+     */
+    flush(simulationId) {
+        const startedAt = this.running.get(simulationId);
+        if (startedAt === null || startedAt === undefined) return;
+
+        const now = Date.now();
+        this.progress.recordSimulationRunTime(simulationId, (now - startedAt) / 1000);
+        this.running.set(simulationId, now);
+    }
+
+    flushAll() {
+        this.running.forEach((startedAt, simulationId) => this.flush(simulationId));
+    }
+
+    suspend() {
+        this.flushAll();
+        this.running.forEach((startedAt, simulationId) => this.running.set(simulationId, null));
+    }
+
+    resume() {
+        const now = Date.now();
+        this.running.forEach((startedAt, simulationId) => this.running.set(simulationId, now));
+    }
+}
+
+// Start tracking once the simulations, lessons and quizzes on the page exist
+document.addEventListener('DOMContentLoaded', () => {
+    window.learnerProgress = window.learnerProgress || new LearnerProgress();
+    window.progressTracker = new ProgressTracker(window.learnerProgress, {
+        simulationsSystem: window.simulationsSystem,
+        lessonEngine: window.lessonEngine,
+        quizEngine: window.quizEngine
+    });
+    window.progressTracker.init();
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressTracker;
+}
@@ -0,0 +1,698 @@
+/**
+ * PhysicsLearn - Quantum Physics
+ * Numerical models behind the Three.js quantum simulations
+ */
+
+/**
+ * One-dimensional time-dependent Schrödinger equation for an electron
+ * meeting a rectangular potential barrier.
+ *
+ * Units are chosen for the tunneling controls: lengths in nm, energies in
+ * eV and time in ħ/eV (≈ 0.658 fs), so iψ_t = -α ψ_xx + V ψ with
+ * α = ħ²/2mₑ = 0.0381 eV·nm². The equation is advanced with the
+ * Crank–Nicolson scheme, which is unconditionally stable and conserves the
+ * norm; the tridiagonal system is factorized once per potential and solved
+ * with the Thomas algorithm every step.
+ *
+ * A complex absorbing potential at both edges swallows the outgoing parts of
+ * the packet instead of reflecting them back. The probability it absorbs is
+ * credited to the reflected or transmitted side so T + R stays meaningful
+ * after the packet has left the domain.
+ */
+class SchrodingerSolver1D {
+    constructor(options = {}) {
+        this.alpha = 0.0381; // ħ²/2mₑ (eV·nm²)
+        this.femtosecondsPerUnit = 0.6582; // ħ/eV in fs
+        this.xMin = options.xMin !== undefined ? options.xMin : -40;
+        this.xMax = options.xMax !== undefined ? options.xMax : 40;
+        this.dx = options.dx || 0.04;
+        this.dt = options.dt || 0.02;
+        this.absorberWidth = options.absorberWidth || 8;
+        this.absorberStrength = options.absorberStrength || 1;
+
+        this.barrierHeight = options.barrierHeight !== undefined ? options.barrierHeight : 5;
+        this.barrierWidth = options.barrierWidth !== undefined ? options.barrierWidth : 0.5;
+        this.particleEnergy = options.particleEnergy !== undefined ? options.particleEnergy : 4;
+        this.packetWidth = options.packetWidth || 1.5; // standard deviation of |ψ|² (nm)
+        this.packetStart = options.packetStart !== undefined ? options.packetStart : -15;
+
+        this.size = Math.round((this.xMax - this.xMin) / this.dx) + 1;
+        this.x = new Float64Array(this.size);
+        for (let j = 0; j < this.size; j++) {
+            this.x[j] = this.xMin + j * this.dx;
+        }
+
+        this.potential = new Float64Array(this.size);
+        this.absorber = new Float64Array(this.size);
+        this.re = new Float64Array(this.size);
+        this.im = new Float64Array(this.size);
+        this.rhsRe = new Float64Array(this.size);
+        this.rhsIm = new Float64Array(this.size);
+        this.cpRe = new Float64Array(this.size);
+        this.cpIm = new Float64Array(this.size);
+        this.denomRe = new Float64Array(this.size);
+        this.denomIm = new Float64Array(this.size);
+
+        this.buildPotential();
+        this.reset();
+    }
+
+    /**
+     * Barrier from x = 0 to x = barrierWidth, plus the edge absorbers
+     */
+    buildPotential() {
+        const leftEdge = this.xMin + this.absorberWidth;
+        const rightEdge = this.xMax - this.absorberWidth;
+
+        for (let j = 0; j < this.size; j++) {
+            const x = this.x[j];
+            // Weight by the overlap of the grid cell with the barrier so the
+            // effective width does not snap to whole grid spacings
+            const overlap = Math.min(x + this.dx / 2, this.barrierWidth) - Math.max(x - this.dx / 2, 0);
+            this.potential[j] = this.barrierHeight * Math.max(0, overlap) / this.dx;
+
+            let depth = 0;
+            if (x < leftEdge) depth = (leftEdge - x) / this.absorberWidth;
+            if (x > rightEdge) depth = (x - rightEdge) / this.absorberWidth;
+            this.absorber[j] = this.absorberStrength * depth * depth;
+        }
+
+        this.factorize();
+    }
+
+    /**
+     * LU-factorize (1 + i dt H / 2). The off-diagonals are the constant
+     * -iβ with β = α dt / 2dx², so only the pivots depend on the potential.
+     */
+    factorize() {
+        const beta = this.alpha * this.dt / (2 * this.dx * this.dx);
+        this.beta = beta;
+
+        let prevRe = 0;
+        let prevIm = 0;
+        for (let j = 0; j < this.size; j++) {
+            // Diagonal: 1 + dt W/2 + i (2β + dt V/2)
+            let bRe = 1 + 0.5 * this.dt * this.absorber[j];
+            let bIm = 2 * beta + 0.5 * this.dt * this.potential[j];
+
+            // Subtract a·c'_{j-1} with a = -iβ: -iβ(p) = β p_im - iβ p_re
+            bRe -= beta * prevIm;
+            bIm += beta * prevRe;
+
+            this.denomRe[j] = bRe;
+            this.denomIm[j] = bIm;
+
+            // c'_j = -iβ / b
+            const norm = bRe * bRe + bIm * bIm;
+            prevRe = -beta * bIm / norm;
+            prevIm = -beta * bRe / norm;
+            this.cpRe[j] = prevRe;
+            this.cpIm[j] = prevIm;
+        }
+    }
+
+    /**
+     * Gaussian packet moving right with mean energy `particleEnergy`
+     */
+    reset() {
+        const sigma = this.packetWidth;
+        const k0 = Math.sqrt(this.particleEnergy / this.alpha);
+        const amplitude = Math.pow(2 * Math.PI * sigma * sigma, -0.25);
+
+        for (let j = 0; j < this.size; j++) {
+            const offset = this.x[j] - this.packetStart;
+            const envelope = amplitude * Math.exp(-offset * offset / (4 * sigma * sigma));
+            this.re[j] = envelope * Math.cos(k0 * offset);
+            this.im[j] = envelope * Math.sin(k0 * offset);
+        }
+
+        this.time = 0;
+        this.absorbedLeft = 0;
+        this.absorbedRight = 0;
+    }
+
+    setBarrierHeight(height) {
+        this.barrierHeight = height;
+        this.buildPotential();
+        this.reset();
+    }
+
+    setBarrierWidth(width) {
+        this.barrierWidth = width;
+        this.buildPotential();
+        this.reset();
+    }
+
+    setParticleEnergy(energy) {
+        this.particleEnergy = energy;
+        this.reset();
+    }
+
+    /**
+     * Advance by one Crank–Nicolson step of `dt` (ħ/eV)
+     */
+    step() {
+        const { re, im, rhsRe, rhsIm, cpRe, cpIm, denomRe, denomIm, size, dt, beta } = this;
+
+        // Probability removed by the absorbers this step, split between the
+        // two edges by their share of dP/dt = -2∫W|ψ|²
+        let lostLeft = 0;
+        let lostRight = 0;
+        const normBefore = this.getNorm();
+
+        // rhs = (1 - i dt H / 2) ψ
+        for (let j = 0; j < size; j++) {
+            const w = this.absorber[j];
+            if (w > 0) {
+                const loss = 2 * w * (re[j] * re[j] + im[j] * im[j]) * this.dx * dt;
+                if (this.x[j] < 0) lostLeft += loss; else lostRight += loss;
+            }
+
+            const dRe = 1 - 0.5 * dt * w;
+            const dIm = -(2 * beta + 0.5 * dt * this.potential[j]);
+            const sumRe = (j > 0 ? re[j - 1] : 0) + (j < size - 1 ? re[j + 1] : 0);
+            const sumIm = (j > 0 ? im[j - 1] : 0) + (j < size - 1 ? im[j + 1] : 0);
+
+            rhsRe[j] = dRe * re[j] - dIm * im[j] - beta * sumIm;
+            rhsIm[j] = dRe * im[j] + dIm * re[j] + beta * sumRe;
+        }
+
+        // Forward sweep: d'_j = (r_j - a d'_{j-1}) / denom_j with a = -iβ
+        let prevRe = 0;
+        let prevIm = 0;
+        for (let j = 0; j < size; j++) {
+            const numRe = rhsRe[j] - beta * prevIm;
+            const numIm = rhsIm[j] + beta * prevRe;
+            const bRe = denomRe[j];
+            const bIm = denomIm[j];
+            const norm = bRe * bRe + bIm * bIm;
+            prevRe = (numRe * bRe + numIm * bIm) / norm;
+            prevIm = (numIm * bRe - numRe * bIm) / norm;
+            re[j] = prevRe;
+            im[j] = prevIm;
+        }
+
+        // Back substitution: ψ_j = d'_j - c'_j ψ_{j+1}
+        for (let j = size - 2; j >= 0; j--) {
+            const nextRe = re[j + 1];
+            const nextIm = im[j + 1];
+            re[j] -= cpRe[j] * nextRe - cpIm[j] * nextIm;
+            im[j] -= cpRe[j] * nextIm + cpIm[j] * nextRe;
+        }
+
+        const lost = lostLeft + lostRight;
+        if (lost > 0) {
+            const absorbed = Math.max(0, normBefore - this.getNorm());
+            this.absorbedLeft += absorbed * lostLeft / lost;
+            this.absorbedRight += absorbed * lostRight / lost;
+        }
+        this.time += dt;
+    }
+
+    /**
+     * Advance by a span of simulated time (ħ/eV) in whole steps
+     */
+    advance(duration) {
+        const steps = Math.round(duration / this.dt);
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+        return steps;
+    }
+
+    getNorm() {
+        let norm = 0;
+        for (let j = 0; j < this.size; j++) {
+            norm += this.re[j] * this.re[j] + this.im[j] * this.im[j];
+        }
+        return norm * this.dx;
+    }
+
+    getProbabilityDensity(j) {
+        return this.re[j] * this.re[j] + this.im[j] * this.im[j];
+    }
+
+    /**
+     * Probability on each side of the barrier, including what the edge
+     * absorbers have already taken out of the domain
+     */
+    getProbabilities() {
+        let reflected = 0;
+        let inside = 0;
+        let transmitted = 0;
+
+        for (let j = 0; j < this.size; j++) {
+            const density = this.getProbabilityDensity(j) * this.dx;
+            const x = this.x[j];
+            if (x < 0) reflected += density;
+            else if (x <= this.barrierWidth) inside += density;
+            else transmitted += density;
+        }
+
+        reflected += this.absorbedLeft;
+        transmitted += this.absorbedRight;
+
+        return { reflected, inside, transmitted, total: reflected + inside + transmitted };
+    }
+
+    getExpectationX() {
+        let sum = 0;
+        let norm = 0;
+        for (let j = 0; j < this.size; j++) {
+            const density = this.getProbabilityDensity(j);
+            sum += density * this.x[j];
+            norm += density;
+        }
+        return norm > 0 ? sum / norm : 0;
+    }
+
+    getTimeFemtoseconds() {
+        return this.time * this.femtosecondsPerUnit;
+    }
+
+    /**
+     * Plane-wave transmission coefficient of a rectangular barrier
+     */
+    static transmissionCoefficient(energy, height, width, alpha = 0.0381) {
+        if (energy <= 0) return 0;
+        if (height === 0 || width === 0) return 1;
+
+        const difference = height - energy;
+        if (Math.abs(difference) < 1e-9) {
+            return 1 / (1 + height * width * width / (4 * alpha));
+        }
+
+        if (difference > 0) {
+            const kappa = Math.sqrt(difference / alpha);
+            const sinh = Math.sinh(kappa * width);
+            return 1 / (1 + height * height * sinh * sinh / (4 * energy * difference));
+        }
+
+        const k = Math.sqrt(-difference / alpha);
+        const sin = Math.sin(k * width);
+        return 1 / (1 + height * height * sin * sin / (4 * energy * -difference));
+    }
+
+    /**
+     * Analytic transmission at the packet's central energy
+     */
+    getAnalyticTransmission() {
+        return SchrodingerSolver1D.transmissionCoefficient(
+            this.particleEnergy, this.barrierHeight, this.barrierWidth, this.alpha
+        );
+    }
+
+    /**
+     * Analytic transmission averaged over the packet's momentum distribution
+     * |φ(k)|² ∝ exp(-2σ²(k - k₀)²), the value the simulation should approach
+     */
+    getPacketTransmission() {
+        const sigma = this.packetWidth;
+        const k0 = Math.sqrt(this.particleEnergy / this.alpha);
+        const spread = 1 / (2 * sigma);
+        const samples = 401;
+
+        let weighted = 0;
+        let total = 0;
+        for (let i = 0; i < samples; i++) {
+            const k = k0 + spread * (-5 + 10 * i / (samples - 1));
+            if (k <= 0) continue;
+            const weight = Math.exp(-0.5 * ((k - k0) / spread) ** 2);
+            const energy = this.alpha * k * k;
+            weighted += weight * SchrodingerSolver1D.transmissionCoefficient(
+                energy, this.barrierHeight, this.barrierWidth, this.alpha
+            );
+            total += weight;
+        }
+
+        return total > 0 ? weighted / total : 0;
+    }
+}
+
+/**
+ * Hydrogen atom eigenstate ψ(n, l, m) in units of the Bohr radius.
+ *
+ * ψ = R_nl(r) Y_lm(θ, φ) with the radial part built from associated Laguerre
+ * polynomials and the spherical harmonic from associated Legendre functions
+ * (Condon–Shortley phase). |ψ|² separates into r, θ and φ factors and does
+ * not depend on φ, so positions are sampled exactly by inverting tabulated
+ * radial and polar distributions and drawing φ uniformly.
+ */
+class HydrogenOrbital {
+    constructor(n, l, m) {
+        if (!HydrogenOrbital.isValid(n, l, m)) {
+            throw new Error(`Invalid quantum numbers: n=${n}, l=${l}, m=${m}`);
+        }
+
+        this.n = n;
+        this.l = l;
+        this.m = m;
+        this.radialNorm = Math.sqrt(
+            Math.pow(2 / n, 3) * HydrogenOrbital.factorial(n - l - 1) /
+            (2 * n * HydrogenOrbital.factorial(n + l))
+        );
+        this.angularNorm = Math.sqrt(
+            (2 * l + 1) / (4 * Math.PI) *
+            HydrogenOrbital.factorial(l - Math.abs(m)) / HydrogenOrbital.factorial(l + Math.abs(m))
+        );
+        // Y_l,-m = (-1)^m conj(Y_lm)
+        this.angularSign = m < 0 && Math.abs(m) % 2 === 1 ? -1 : 1;
+        this.maxRadius = 4 * n * n + 10 * n;
+
+        this.buildTables();
+    }
+
+    static isValid(n, l, m) {
+        return [n, l, m].every(Number.isInteger) && n >= 1 && l >= 0 && l < n && Math.abs(m) <= l;
+    }
+
+    static factorial(k) {
+        let result = 1;
+        for (let i = 2; i <= k; i++) {
+            result *= i;
+        }
+        return result;
+    }
+
+    /**
+     * Generalized Laguerre polynomial L_k^α(x) by upward recurrence
+     */
+    static laguerre(k, alpha, x) {
+        if (k === 0) return 1;
+
+        let previous = 1;
+        let current = 1 + alpha - x;
+        for (let i = 1; i < k; i++) {
+            const next = ((2 * i + 1 + alpha - x) * current - (i + alpha) * previous) / (i + 1);
+            previous = current;
+            current = next;
+        }
+        return current;
+    }
+
+    /**
+     * Associated Legendre function P_l^m(x) for 0 ≤ m ≤ l, including the
+     * Condon–Shortley phase (-1)^m
+     */
+    static associatedLegendre(l, m, x) {
+        let pmm = 1;
+        if (m > 0) {
+            const root = Math.sqrt((1 - x) * (1 + x));
+            let factor = 1;
+            for (let i = 1; i <= m; i++) {
+                pmm *= -factor * root;
+                factor += 2;
+            }
+        }
+        if (l === m) return pmm;
+
+        let pmmp1 = x * (2 * m + 1) * pmm;
+        if (l === m + 1) return pmmp1;
+
+        let pll = 0;
+        for (let ll = m + 2; ll <= l; ll++) {
+            pll = (x * (2 * ll - 1) * pmmp1 - (ll + m - 1) * pmm) / (ll - m);
+            pmm = pmmp1;
+            pmmp1 = pll;
+        }
+        return pll;
+    }
+
+    /**
+     * Radial function R_nl(r), r in Bohr radii
+     */
+    radial(r) {
+        const { n, l } = this;
+        const rho = 2 * r / n;
+        return this.radialNorm * Math.exp(-rho / 2) * Math.pow(rho, l) *
+            HydrogenOrbital.laguerre(n - l - 1, 2 * l + 1, rho);
+    }
+
+    /**
+     * Radial probability density P(r) = r² R_nl(r)²
+     */
+    radialProbability(r) {
+        const R = this.radial(r);
+        return r * r * R * R;
+    }
+
+    /**
+     * Real θ-dependent factor of Y_lm; the full harmonic is this times e^{imφ}
+     */
+    angular(theta) {
+        return this.angularSign * this.angularNorm *
+            HydrogenOrbital.associatedLegendre(this.l, Math.abs(this.m), Math.cos(theta));
+    }
+
+    psi(r, theta, phi) {
+        const magnitude = this.radial(r) * this.angular(theta);
+        return {
+            re: magnitude * Math.cos(this.m * phi),
+            im: magnitude * Math.sin(this.m * phi)
+        };
+    }
+
+    probabilityDensity(r, theta) {
+        const magnitude = this.radial(r) * this.angular(theta);
+        return magnitude * magnitude;
+    }
+
+    /**
+     * Energy level E_n = -13.606 eV / n²
+     */
+    getEnergy() {
+        return -13.6057 / (this.n * this.n);
+    }
+
+    /**
+     * Expectation value ⟨r⟩ in Bohr radii
+     */
+    getMeanRadius() {
+        const { n, l } = this;
+        return (3 * n * n - l * (l + 1)) / 2;
+    }
+
+    getRadialNodeCount() {
+        return this.n - this.l - 1;
+    }
+
+    /**
+     * Radius (Bohr radii) containing the given share of the probability
+     */
+    getRadiusContaining(fraction) {
+        return this.invert(this.radialTable, fraction);
+    }
+
+    /**
+     * Cumulative tables for inverse-transform sampling of r and θ
+     */
+    buildTables() {
+        const steps = 2000;
+        const radial = { values: new Float64Array(steps + 1), cumulative: new Float64Array(steps + 1) };
+        const polar = { values: new Float64Array(steps + 1), cumulative: new Float64Array(steps + 1) };
+
+        for (let i = 0; i <= steps; i++) {
+            radial.values[i] = this.maxRadius * i / steps;
+            polar.values[i] = Math.PI * i / steps;
+        }
+
+        this.accumulate(radial, r => this.radialProbability(r));
+        this.accumulate(polar, theta => {
+            const Y = this.angular(theta);
+            return Y * Y * Math.sin(theta);
+        });
+
+        this.radialTable = radial;
+        this.polarTable = polar;
+    }
+
+    accumulate(table, density) {
+        const { values, cumulative } = table;
+        let previous = density(values[0]);
+        cumulative[0] = 0;
+
+        for (let i = 1; i < values.length; i++) {
+            const current = density(values[i]);
+            cumulative[i] = cumulative[i - 1] + 0.5 * (previous + current) * (values[i] - values[i - 1]);
+            previous = current;
+        }
+
+        const total = cumulative[cumulative.length - 1];
+        for (let i = 0; i < cumulative.length; i++) {
+            cumulative[i] /= total;
+        }
+    }
+
+    invert(table, u) {
+        const { values, cumulative } = table;
+        let low = 0;
+        let high = cumulative.length - 1;
+
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (cumulative[middle] < u) low = middle; else high = middle;
+        }
+
+        const span = cumulative[high] - cumulative[low];
+        const t = span > 0 ? (u - cumulative[low]) / span : 0;
+        return values[low] + t * (values[high] - values[low]);
+    }
+
+    /**
+     * Draw `count` electron positions from |ψ|². Returns Cartesian
+     * coordinates (Bohr radii, z along the quantization axis) and the phase
+     * of ψ at each point.
+     */
+    sample(count, random = Math.random) {
+        const positions = new Float32Array(count * 3);
+        const phases = new Float32Array(count);
+
+        for (let i = 0; i < count; i++) {
+            const r = this.invert(this.radialTable, random());
+            const theta = this.invert(this.polarTable, random());
+            const phi = 2 * Math.PI * random();
+            const sinTheta = Math.sin(theta);
+
+            positions[i * 3] = r * sinTheta * Math.cos(phi);
+            positions[i * 3 + 1] = r * sinTheta * Math.sin(phi);
+            positions[i * 3 + 2] = r * Math.cos(theta);
+
+            const sign = this.radial(r) * this.angular(theta) < 0 ? Math.PI : 0;
+            phases[i] = (this.m * phi + sign) % (2 * Math.PI);
+        }
+
+        return { positions, phases };
+    }
+}
+
+/**
+ * Far-field (Fraunhofer) double slit for single-particle build-up.
+ *
+ * The slit spacing d and wavelength λ are in nm, the screen distance and
+ * positions on the screen in metres. With both paths open the intensity is
+ * 4 I₀ sinc²(β) cos²(δ) with β = πa sinθ/λ and δ = πd sinθ/λ; a which-path
+ * detector makes the two slits incoherent and leaves 2 I₀ sinc²(β). Each
+ * particle's landing point is drawn from the normalized intensity across
+ * the screen by inverting a tabulated cumulative distribution.
+ */
+class DoubleSlitExperiment {
+    constructor(options = {}) {
+        this.wavelength = options.wavelength || 1; // nm
+        this.slitSpacing = options.slitSpacing || 50; // nm
+        this.slitWidthRatio = options.slitWidthRatio || 0.2; // slit width / spacing
+        this.screenDistance = options.screenDistance || 1; // m
+        this.screenHalfWidth = options.screenHalfWidth || 0.1; // m
+        this.whichPath = !!options.whichPath;
+        this.bins = options.bins || 2000;
+
+        this.buildTable();
+    }
+
+    get slitWidth() {
+        return this.slitSpacing * this.slitWidthRatio;
+    }
+
+    setWavelength(wavelength) {
+        this.wavelength = wavelength;
+        this.buildTable();
+    }
+
+    setSlitSpacing(spacing) {
+        this.slitSpacing = spacing;
+        this.buildTable();
+    }
+
+    setWhichPath(enabled) {
+        this.whichPath = enabled;
+        this.buildTable();
+    }
+
+    /**
+     * Intensity at screen position y (m) in units of one slit's central intensity I₀
+     */
+    intensity(y) {
+        const sinTheta = y / Math.hypot(y, this.screenDistance);
+        const beta = Math.PI * this.slitWidth * sinTheta / this.wavelength;
+        const envelope = beta === 0 ? 1 : Math.pow(Math.sin(beta) / beta, 2);
+
+        if (this.whichPath) {
+            return 2 * envelope;
+        }
+
+        const delta = Math.PI * this.slitSpacing * sinTheta / this.wavelength;
+        return 4 * envelope * Math.cos(delta) * Math.cos(delta);
+    }
+
+    /**
+     * Fringe spacing λL/d on the screen (m), small-angle approximation
+     */
+    getFringeSpacing() {
+        return this.wavelength * this.screenDistance / this.slitSpacing;
+    }
+
+    buildTable() {
+        const count = this.bins + 1;
+        this.positions = new Float64Array(count);
+        this.cumulative = new Float64Array(count);
+
+        let previous = 0;
+        for (let i = 0; i < count; i++) {
+            const y = -this.screenHalfWidth + 2 * this.screenHalfWidth * i / this.bins;
+            const current = this.intensity(y);
+            this.positions[i] = y;
+            this.cumulative[i] = i === 0 ? 0 : this.cumulative[i - 1] + 0.5 * (previous + current);
+            previous = current;
+        }
+
+        this.total = this.cumulative[count - 1];
+        for (let i = 0; i < count; i++) {
+            this.cumulative[i] /= this.total;
+        }
+    }
+
+    /**
+     * Share of all particles expected to land in [y0, y1]
+     */
+    getProbabilityBetween(y0, y1) {
+        return this.cumulativeAt(y1) - this.cumulativeAt(y0);
+    }
+
+    cumulativeAt(y) {
+        const position = (y + this.screenHalfWidth) / (2 * this.screenHalfWidth) * this.bins;
+        if (position <= 0) return 0;
+        if (position >= this.bins) return 1;
+
+        const index = Math.floor(position);
+        const t = position - index;
+        return this.cumulative[index] + t * (this.cumulative[index + 1] - this.cumulative[index]);
+    }
+
+    /**
+     * Landing position of one particle on the screen (m). Also reports which
+     * slit a which-path detector saw it pass through.
+     */
+    sampleLanding(random = Math.random) {
+        const u = random();
+        let low = 0;
+        let high = this.bins;
+
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (this.cumulative[middle] < u) low = middle; else high = middle;
+        }
+
+        const span = this.cumulative[high] - this.cumulative[low];
+        const t = span > 0 ? (u - this.cumulative[low]) / span : 0;
+        const y = this.positions[low] + t * (this.positions[high] - this.positions[low]);
+
+        return {
+            y,
+            slit: this.whichPath ? (random() < 0.5 ? 0 : 1) : null
+        };
+    }
+}
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchrodingerSolver1D, HydrogenOrbital, DoubleSlitExperiment };
+}
@@ -15,16 +15,28 @@ class QuantumSimulations {
     }
 
     init() {
-        document.addEventListener('DOMContentLoaded', () => {
+        // The instance itself is created on DOMContentLoaded, so the event
+        // has usually fired already by the time this runs
+        const setup = () => {
             this.setupQuantumAtom();
             this.setupWaveParticleDuality();
             this.setupQuantumTunneling();
             this.setupControlEventListeners();
-        });
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', setup);
+        } else {
+            setup();
+        }
     }
 
     /**
      * 3D Quantum Atom Model Simulation
+     *
+     * Hydrogen eigenstates ψ(n, l, m) from `HydrogenOrbital` are drawn as a
+     * Monte Carlo point cloud coloured by the phase of ψ, with the radial
+     * probability r²|R_nl|² plotted beside the 3D view.
      */
     setupQuantumAtom() {
         const container = document.getElementById('quantum-atom-simulation');
@@ -47,7 +59,7 @@ class QuantumSimulations {
         this.renderers.quantumAtom = renderer;
 
         // Create nucleus
-        const nucleusGeometry = new THREE.SphereGeometry(0.2, 32, 32);
+        const nucleusGeometry = new THREE.SphereGeometry(0.05, 16, 16);
         const nucleusMaterial = new THREE.MeshBasicMaterial({ 
             color: 0xff6b6b,
             transparent: true,
@@ -56,32 +68,64 @@ class QuantumSimulations {
         const nucleus = new THREE.Mesh(nucleusGeometry, nucleusMaterial);
         scene.add(nucleus);
 
-        // Orbital system
-        const orbitals = this.createOrbitals(scene);
-        this.controls.quantumAtom = { nucleus, orbitals };
+        // Probability cloud
+        const cloudGeometry = new THREE.BufferGeometry();
+        const cloudMaterial = new THREE.PointsMaterial({
+            size: 0.035,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.75,
+            depthWrite: false
+        });
+        const cloud = new THREE.Points(cloudGeometry, cloudMaterial);
+        scene.add(cloud);
+
+        // Quantization (z) axis, drawn vertically
+        const axisGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(0, -3, 0),
+            new THREE.Vector3(0, 3, 0)
+        ]);
+        scene.add(new THREE.Line(axisGeometry, new THREE.LineBasicMaterial({ color: 0x333355 })));
+
+        const readout = document.createElement('div');
+        readout.className = 'quantum-readout';
+        container.appendChild(readout);
+
+        const plot = document.createElement('canvas');
+        plot.className = 'quantum-plot';
+        plot.setAttribute('aria-label', 'Radial probability distribution');
+        container.appendChild(plot);
+
+        this.controls.quantumAtom = {
+            nucleus,
+            cloud,
+            readout,
+            plot,
+            orbital: null,
+            viewRadius: 2.5, // scene units for the radius holding 99% of the probability
+            sampleCount: this.getControlValue('quantum-samples', 8) * 1000,
+            isRotating: true
+        };
 
-        // Lighting
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
-        scene.add(ambientLight);
+        const n = this.getControlValue('quantum-energy-level', 1);
+        this.updateOrbitalOptions(n);
+        this.setOrbital(n, this.getSelectedOrbitalL(), this.getControlValue('quantum-magnetic', 0));
 
-        const pointLight = new THREE.PointLight(0xffffff, 1, 100);
-        pointLight.position.set(10, 10, 10);
-        scene.add(pointLight);
+        const probability = document.getElementById('quantum-probability');
+        cloud.visible = !probability || probability.checked;
 
         // Camera position
-        camera.position.set(5, 5, 5);
+        camera.position.set(3.5, 2, 3.5);
         camera.lookAt(0, 0, 0);
 
         // Animation loop
         const animate = () => {
             this.animations.quantumAtom = requestAnimationFrame(animate);
-            
-            // Rotate nucleus
-            nucleus.rotation.x += 0.01;
-            nucleus.rotation.y += 0.01;
 
-            // Animate orbitals
-            this.animateOrbitals(orbitals);
+            // Spin about the quantization axis, which leaves |ψ|² unchanged
+            if (this.controls.quantumAtom.isRotating) {
+                cloud.rotation.y += 0.004;
+            }
 
             renderer.render(scene, camera);
         };
@@ -91,111 +135,174 @@ class QuantumSimulations {
     }
 
     /**
-     * Create different orbital types
+     * Switch to the state (n, l, m) and resample the cloud
      */
-    createOrbitals(scene) {
-        const orbitals = {
-            s: [],
-            p: [],
-            d: [],
-            f: [],
-            electrons: []
-        };
+    setOrbital(n, l, m) {
+        const atom = this.controls.quantumAtom;
+        if (!atom || !HydrogenOrbital.isValid(n, l, m)) return;
+
+        atom.orbital = new HydrogenOrbital(n, l, m);
+        this.sampleOrbitalCloud();
+        this.drawRadialPlot();
+        this.updateAtomReadout();
+    }
 
-        // S-orbital (spherical)
-        const sOrbitalGeometry = new THREE.SphereGeometry(1, 32, 32);
-        const sOrbitalMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x4ecdc4,
-            transparent: true,
-            opacity: 0.2,
-            wireframe: true
-        });
-        const sOrbital = new THREE.Mesh(sOrbitalGeometry, sOrbitalMaterial);
-        scene.add(sOrbital);
-        orbitals.s.push(sOrbital);
-
-        // P-orbitals (dumbbell shaped)
-        for (let i = 0; i < 3; i++) {
-            const pOrbital = this.createPOrbital();
-            if (i === 1) pOrbital.rotation.z = Math.PI / 2;
-            if (i === 2) pOrbital.rotation.y = Math.PI / 2;
-            pOrbital.visible = false;
-            scene.add(pOrbital);
-            orbitals.p.push(pOrbital);
+    sampleOrbitalCloud() {
+        const { orbital, cloud, sampleCount, viewRadius } = this.controls.quantumAtom;
+        const { positions, phases } = orbital.sample(sampleCount);
+        const scale = viewRadius / orbital.getRadiusContaining(0.99);
+        const vertices = new Float32Array(sampleCount * 3);
+        const colors = new Float32Array(sampleCount * 3);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < sampleCount; i++) {
+            // Physics z (quantization axis) is the scene's vertical y axis
+            vertices[i * 3] = positions[i * 3] * scale;
+            vertices[i * 3 + 1] = positions[i * 3 + 2] * scale;
+            vertices[i * 3 + 2] = positions[i * 3 + 1] * scale;
+
+            color.setHSL(phases[i] / (2 * Math.PI), 0.85, 0.6);
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
         }
 
-        // Create electrons
-        for (let i = 0; i < 10; i++) {
-            const electronGeometry = new THREE.SphereGeometry(0.03, 16, 16);
-            const electronMaterial = new THREE.MeshBasicMaterial({ 
-                color: 0x45b7d1,
-                emissive: 0x001122
-            });
-            const electron = new THREE.Mesh(electronGeometry, electronMaterial);
-            electron.userData = {
-                angle: (i / 10) * Math.PI * 2,
-                radius: 1 + Math.random() * 0.5,
-                speed: 0.02 + Math.random() * 0.01,
-                orbital: 's'
-            };
-            scene.add(electron);
-            orbitals.electrons.push(electron);
+        cloud.geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+        cloud.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        cloud.geometry.computeBoundingSphere();
+    }
+
+    /**
+     * Plot P(r) = r²|R_nl(r)|² with ⟨r⟩ marked
+     */
+    drawRadialPlot() {
+        const { plot, orbital } = this.controls.quantumAtom;
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        const width = plot.clientWidth || 180;
+        const height = plot.clientHeight || 120;
+        plot.width = width * ratio;
+        plot.height = height * ratio;
+
+        const ctx = plot.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const padding = { left: 8, right: 8, top: 16, bottom: 18 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const rMax = orbital.getRadiusContaining(0.999);
+        const samples = 200;
+
+        let peak = 0;
+        const values = [];
+        for (let i = 0; i <= samples; i++) {
+            const value = orbital.radialProbability(rMax * i / samples);
+            values.push(value);
+            peak = Math.max(peak, value);
         }
 
-        return orbitals;
+        const toX = r => padding.left + (r / rMax) * plotWidth;
+        const toY = value => padding.top + plotHeight * (1 - value / peak);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top + plotHeight);
+        ctx.lineTo(padding.left + plotWidth, padding.top + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(78, 205, 196, 0.25)';
+        ctx.strokeStyle = '#4ecdc4';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        values.forEach((value, i) => ctx.lineTo(toX(rMax * i / samples), toY(value)));
+        ctx.lineTo(toX(rMax), toY(0));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        const mean = orbital.getMeanRadius();
+        ctx.strokeStyle = '#f9ca24';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(mean), padding.top);
+        ctx.lineTo(toX(mean), padding.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = '#e2e8f0';
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+        ctx.fillText('r²|R(r)|²', padding.left, 2);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText('0', padding.left, height - 2);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${rMax.toFixed(0)} a₀`, padding.left + plotWidth, height - 2);
+        ctx.textAlign = 'left';
+    }
+
+    updateAtomReadout() {
+        const { orbital, readout } = this.controls.quantumAtom;
+        const letters = ['s', 'p', 'd', 'f', 'g'];
+
+        readout.innerHTML = `
+            <div>ψ(${orbital.n}, ${orbital.l}, ${orbital.m}) · ${orbital.n}${letters[orbital.l]}</div>
+            <div>E = ${orbital.getEnergy().toFixed(3)} eV</div>
+            <div>⟨r⟩ = ${orbital.getMeanRadius().toFixed(1)} a₀</div>
+            <div>nodes: ${orbital.getRadialNodeCount()} radial, ${orbital.l} angular</div>
+            <div>colour = phase of ψ</div>
+        `;
     }
 
     /**
-     * Create P-orbital shape
+     * Orbital letter options with l ≥ n are disabled; the selection is
+     * lowered to l = n - 1 if it became invalid
      */
-    createPOrbital() {
-        const geometry = new THREE.LatheGeometry([
-            new THREE.Vector2(0, -1.5),
-            new THREE.Vector2(0.5, -1),
-            new THREE.Vector2(0.8, -0.5),
-            new THREE.Vector2(0.9, 0),
-            new THREE.Vector2(0.8, 0.5),
-            new THREE.Vector2(0.5, 1),
-            new THREE.Vector2(0, 1.5)
-        ], 32);
-
-        const material = new THREE.MeshBasicMaterial({ 
-            color: 0xff9ff3,
-            transparent: true,
-            opacity: 0.3,
-            wireframe: true
+    updateOrbitalOptions(n) {
+        const select = document.getElementById('quantum-orbital');
+        if (!select) return;
+
+        Array.from(select.options).forEach((option, l) => {
+            option.disabled = l >= n;
         });
+        if (select.selectedIndex >= n) {
+            select.selectedIndex = n - 1;
+        }
+        this.updateMagneticOptions(this.getSelectedOrbitalL());
+    }
+
+    /**
+     * Offer m = -l … l, keeping the current m when it is still valid
+     */
+    updateMagneticOptions(l) {
+        const select = document.getElementById('quantum-magnetic');
+        if (!select) return;
+
+        const current = parseInt(select.value, 10) || 0;
+        select.innerHTML = '';
+        for (let m = -l; m <= l; m++) {
+            const option = document.createElement('option');
+            option.value = String(m);
+            option.textContent = `m = ${m}`;
+            select.appendChild(option);
+        }
+        select.value = String(Math.abs(current) <= l ? current : 0);
+    }
 
-        return new THREE.Mesh(geometry, material);
+    getSelectedOrbitalL() {
+        const select = document.getElementById('quantum-orbital');
+        return select ? Math.max(0, select.selectedIndex) : 0;
     }
 
     /**
-     * Animate orbital electrons
+     * Read n, l and m from the controls and show that state
      */
-    animateOrbitals(orbitals) {
-        orbitals.electrons.forEach((electron, index) => {
-            electron.userData.angle += electron.userData.speed;
-            
-            const radius = electron.userData.radius;
-            const angle = electron.userData.angle;
-            
-            if (electron.userData.orbital === 's') {
-                // Spherical motion
-                const phi = angle;
-                const theta = Math.sin(angle * 2) * Math.PI;
-                
-                electron.position.set(
-                    radius * Math.sin(theta) * Math.cos(phi),
-                    radius * Math.cos(theta),
-                    radius * Math.sin(theta) * Math.sin(phi)
-                );
-            } else if (electron.userData.orbital === 'p') {
-                // Figure-8 motion
-                const x = radius * Math.sin(angle * 2);
-                const y = radius * Math.cos(angle) * Math.sin(angle * 2);
-                electron.position.set(x, y, 0);
-            }
-        });
+    applyOrbitalControls() {
+        this.setOrbital(
+            this.getControlValue('quantum-energy-level', 1),
+            this.getSelectedOrbitalL(),
+            this.getControlValue('quantum-magnetic', 0)
+        );
     }
 
     /**
@@ -219,6 +326,10 @@ class QuantumSimulations {
         this.cameras.waveParticle = camera;
         this.renderers.waveParticle = renderer;
 
+        // Wave and particle pictures side by side
+        const classic = new THREE.Group();
+        scene.add(classic);
+
         // Create wave representation
         const waveGeometry = new THREE.PlaneGeometry(8, 2, 64, 8);
         const waveMaterial = new THREE.ShaderMaterial({
@@ -250,7 +361,7 @@ class QuantumSimulations {
 
         const wave = new THREE.Mesh(waveGeometry, waveMaterial);
         wave.position.y = 1;
-        scene.add(wave);
+        classic.add(wave);
 
         // Create particle representation
         const particles = [];
@@ -274,29 +385,71 @@ class QuantumSimulations {
                     (Math.random() - 0.5) * 0.01
                 )
             };
-            scene.add(particle);
+            classic.add(particle);
             particles.push(particle);
         }
 
-        this.controls.waveParticle = { wave, particles, waveMaterial };
+        // Double-slit build-up
+        const experiment = new DoubleSlitExperiment({
+            wavelength: this.getControlValue('particle-wavelength', 1),
+            slitSpacing: this.getControlValue('slit-spacing', 50),
+            whichPath: this.isControlChecked('which-path', false)
+        });
+        const doubleSlit = this.createDoubleSlitScene(scene, experiment);
+
+        const readout = document.createElement('div');
+        readout.className = 'quantum-readout';
+        container.appendChild(readout);
+
+        const plot = document.createElement('canvas');
+        plot.className = 'quantum-plot';
+        plot.setAttribute('aria-label', 'Detector hit histogram');
+        container.appendChild(plot);
+
+        this.controls.waveParticle = {
+            wave,
+            particles,
+            waveMaterial,
+            classic,
+            doubleSlit,
+            experiment,
+            readout,
+            plot,
+            camera,
+            mode: 'duality',
+            isRunning: true,
+            speed: this.getControlValue('particle-speed', 1),
+            showWave: this.isControlChecked('show-wave', true),
+            showParticles: this.isControlChecked('show-particle', true)
+        };
 
-        camera.position.set(0, 3, 8);
-        camera.lookAt(0, 0, 0);
+        const modeSelect = document.getElementById('particle-mode');
+        this.setWaveParticleMode(modeSelect ? modeSelect.value : 'duality');
 
         // Animation
-        const animate = () => {
+        let lastFrame = performance.now();
+        const animate = (now) => {
             this.animations.waveParticle = requestAnimationFrame(animate);
-            
-            // Update wave
-            waveMaterial.uniforms.time.value += 0.05;
-            
-            // Update particles
-            particles.forEach(particle => {
-                particle.position.add(particle.userData.velocity);
-                if (particle.position.x > 4) {
-                    particle.position.x = -4;
-                }
-            });
+
+            const time = now || performance.now();
+            const elapsed = Math.min(0.1, Math.max(0, (time - lastFrame) / 1000));
+            lastFrame = time;
+            const state = this.controls.waveParticle;
+
+            if (state.isRunning && state.mode === 'double-slit') {
+                this.advanceDoubleSlit(elapsed);
+            } else if (state.isRunning) {
+                // Update wave
+                waveMaterial.uniforms.time.value += 0.05;
+                
+                // Update particles
+                particles.forEach(particle => {
+                    particle.position.add(particle.userData.velocity);
+                    if (particle.position.x > 4) {
+                        particle.position.x = -4;
+                    }
+                });
+            }
             
             renderer.render(scene, camera);
         };
@@ -305,8 +458,358 @@ class QuantumSimulations {
         this.hideLoading(container);
     }
 
+    /**
+     * Source, slit plate, detector screen and point buffers for the
+     * one-particle-at-a-time double slit. Flight runs along x and the
+     * fringes spread along y on the screen.
+     */
+    createDoubleSlitScene(scene, experiment) {
+        const group = new THREE.Group();
+        group.visible = false;
+        scene.add(group);
+
+        const layout = {
+            sourceX: -4,
+            slitX: 0,
+            screenX: 3.5,
+            slitOffset: 0.35, // scene y of each slit
+            screenHalfHeight: 2, // scene units for experiment.screenHalfWidth
+            screenDepth: 1,
+            maxHits: 20000,
+            maxInFlight: 64
+        };
+
+        // Source
+        const source = new THREE.Mesh(
+            new THREE.SphereGeometry(0.12, 16, 16),
+            new THREE.MeshBasicMaterial({ color: 0xf9ca24 })
+        );
+        source.position.x = layout.sourceX;
+        group.add(source);
+
+        // Slit plate: three slabs leaving two openings
+        const plateMaterial = new THREE.MeshBasicMaterial({ color: 0x8395a7, transparent: true, opacity: 0.6 });
+        const gap = 0.12;
+        const outerHeight = layout.screenHalfHeight - layout.slitOffset - gap / 2;
+        const innerHeight = 2 * layout.slitOffset - gap;
+        [
+            { height: outerHeight, y: layout.slitOffset + gap / 2 + outerHeight / 2 },
+            { height: innerHeight, y: 0 },
+            { height: outerHeight, y: -(layout.slitOffset + gap / 2 + outerHeight / 2) }
+        ].forEach(({ height, y }) => {
+            const slab = new THREE.Mesh(new THREE.BoxGeometry(0.05, height, layout.screenDepth * 2), plateMaterial);
+            slab.position.set(layout.slitX, y, 0);
+            group.add(slab);
+        });
+
+        // Which-path detectors light up when they register a particle
+        const detectors = [layout.slitOffset, -layout.slitOffset].map(y => {
+            const detector = new THREE.Mesh(
+                new THREE.BoxGeometry(0.1, gap, 0.3),
+                new THREE.MeshBasicMaterial({ color: 0xff4757, transparent: true, opacity: 0.25 })
+            );
+            detector.position.set(layout.slitX + 0.08, y, layout.screenDepth);
+            detector.visible = experiment.whichPath;
+            group.add(detector);
+            return detector;
+        });
+
+        // Detector screen
+        const screen = new THREE.Mesh(
+            new THREE.PlaneGeometry(layout.screenDepth * 2, layout.screenHalfHeight * 2),
+            new THREE.MeshBasicMaterial({ color: 0x0a1a2a, side: THREE.DoubleSide })
+        );
+        screen.rotation.y = -Math.PI / 2;
+        screen.position.x = layout.screenX + 0.01;
+        group.add(screen);
+
+        // Recorded hits
+        const hitGeometry = new THREE.BufferGeometry();
+        hitGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(layout.maxHits * 3), 3));
+        hitGeometry.setDrawRange(0, 0);
+        const hits = new THREE.Points(hitGeometry, new THREE.PointsMaterial({ color: 0x7bed9f, size: 0.03 }));
+        group.add(hits);
+
+        // Particles in flight
+        const flightGeometry = new THREE.BufferGeometry();
+        flightGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(layout.maxInFlight * 3), 3));
+        flightGeometry.setDrawRange(0, 0);
+        const flights = new THREE.Points(flightGeometry, new THREE.PointsMaterial({ color: 0xffffff, size: 0.08 }));
+        group.add(flights);
+
+        // Theoretical intensity drawn just in front of the screen
+        const curveSamples = 400;
+        const curveGeometry = new THREE.BufferGeometry();
+        curveGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((curveSamples + 1) * 3), 3));
+        const curve = new THREE.Line(curveGeometry, new THREE.LineBasicMaterial({ color: 0x4ecdc4 }));
+        group.add(curve);
+
+        return {
+            group,
+            layout,
+            detectors,
+            hits,
+            flights,
+            curve,
+            curveSamples,
+            hitCount: 0,
+            histogram: new Uint32Array(120),
+            inFlight: [],
+            emitCarry: 0
+        };
+    }
+
+    /**
+     * Show either the wave/particle picture or the double-slit build-up
+     */
+    setWaveParticleMode(mode) {
+        const state = this.controls.waveParticle;
+        if (!state) return;
+
+        state.mode = mode === 'double-slit' ? 'double-slit' : 'duality';
+        const isDoubleSlit = state.mode === 'double-slit';
+
+        state.classic.visible = !isDoubleSlit;
+        state.doubleSlit.group.visible = isDoubleSlit;
+        state.readout.style.display = isDoubleSlit ? '' : 'none';
+        state.plot.style.display = isDoubleSlit ? '' : 'none';
+
+        if (isDoubleSlit) {
+            state.camera.position.set(-1.5, 2, 6.5);
+            state.camera.lookAt(1, 0, 0);
+            this.updateDoubleSlitCurve();
+            this.updateDoubleSlitDisplay();
+        } else {
+            state.camera.position.set(0, 3, 8);
+            state.camera.lookAt(0, 0, 0);
+        }
+        this.applyWaveParticleVisibility();
+    }
+
+    applyWaveParticleVisibility() {
+        const { wave, particles, doubleSlit, showWave, showParticles } = this.controls.waveParticle;
+
+        wave.visible = showWave;
+        particles.forEach(particle => {
+            particle.visible = showParticles;
+        });
+        doubleSlit.curve.visible = showWave;
+        doubleSlit.hits.visible = showParticles;
+        doubleSlit.flights.visible = showParticles;
+    }
+
+    /**
+     * Emit particles at a rate set by the speed slider, move those in flight
+     * and record the ones that reach the screen
+     */
+    advanceDoubleSlit(elapsed) {
+        const { experiment, doubleSlit, speed } = this.controls.waveParticle;
+        const { layout, inFlight } = doubleSlit;
+        const flightTime = 1.2 / speed;
+        const rate = 30 * speed; // particles per second
+
+        doubleSlit.emitCarry += elapsed * rate;
+        while (doubleSlit.emitCarry >= 1 && inFlight.length < layout.maxInFlight) {
+            doubleSlit.emitCarry -= 1;
+            const landing = experiment.sampleLanding();
+            inFlight.push({
+                age: 0,
+                y: landing.y,
+                slit: landing.slit,
+                z: (Math.random() - 0.5) * 2 * layout.screenDepth * 0.9
+            });
+        }
+        doubleSlit.emitCarry = Math.min(doubleSlit.emitCarry, 1);
+
+        for (let i = inFlight.length - 1; i >= 0; i--) {
+            const particle = inFlight[i];
+            particle.age += elapsed;
+            if (particle.age >= flightTime) {
+                this.recordDoubleSlitHit(particle);
+                inFlight.splice(i, 1);
+            }
+        }
+
+        // Positions of particles still travelling: source → slit → screen
+        const positions = doubleSlit.flights.geometry.attributes.position;
+        inFlight.forEach((particle, i) => {
+            const progress = particle.age / flightTime;
+            const slitY = particle.slit === null ? 0 : (particle.slit === 0 ? layout.slitOffset : -layout.slitOffset);
+            const screenY = particle.y / experiment.screenHalfWidth * layout.screenHalfHeight;
+            let x, y, z;
+
+            if (progress < 0.5) {
+                const t = progress / 0.5;
+                x = layout.sourceX + (layout.slitX - layout.sourceX) * t;
+                y = slitY * t;
+                z = particle.z * t;
+            } else {
+                const t = (progress - 0.5) / 0.5;
+                x = layout.slitX + (layout.screenX - layout.slitX) * t;
+                y = slitY + (screenY - slitY) * t;
+                z = particle.z;
+            }
+
+            positions.array[i * 3] = x;
+            positions.array[i * 3 + 1] = y;
+            positions.array[i * 3 + 2] = z;
+        });
+        positions.needsUpdate = true;
+        doubleSlit.flights.geometry.setDrawRange(0, inFlight.length);
+
+        // Fade the which-path detector flashes
+        doubleSlit.detectors.forEach(detector => {
+            detector.material.opacity = Math.max(0.25, detector.material.opacity - elapsed * 2);
+        });
+    }
+
+    recordDoubleSlitHit(particle) {
+        const { experiment, doubleSlit } = this.controls.waveParticle;
+        const { layout, histogram } = doubleSlit;
+
+        if (particle.slit !== null) {
+            doubleSlit.detectors[particle.slit].material.opacity = 0.9;
+        }
+
+        const bin = Math.floor((particle.y + experiment.screenHalfWidth) / (2 * experiment.screenHalfWidth) * histogram.length);
+        histogram[Math.min(histogram.length - 1, Math.max(0, bin))]++;
+
+        // Once the buffer is full the oldest dots are overwritten
+        const index = doubleSlit.hitCount % layout.maxHits;
+        const positions = doubleSlit.hits.geometry.attributes.position;
+        positions.array[index * 3] = layout.screenX;
+        positions.array[index * 3 + 1] = particle.y / experiment.screenHalfWidth * layout.screenHalfHeight;
+        positions.array[index * 3 + 2] = particle.z;
+        positions.needsUpdate = true;
+
+        doubleSlit.hitCount++;
+        doubleSlit.hits.geometry.setDrawRange(0, Math.min(doubleSlit.hitCount, layout.maxHits));
+
+        if (doubleSlit.hitCount % 10 === 0) {
+            this.updateDoubleSlitDisplay();
+        }
+    }
+
+    /**
+     * Clear the screen, e.g. after the wavelength or detector changes
+     */
+    resetDoubleSlit() {
+        const { doubleSlit, experiment } = this.controls.waveParticle;
+
+        doubleSlit.hitCount = 0;
+        doubleSlit.histogram.fill(0);
+        doubleSlit.inFlight = [];
+        doubleSlit.emitCarry = 0;
+        doubleSlit.hits.geometry.setDrawRange(0, 0);
+        doubleSlit.flights.geometry.setDrawRange(0, 0);
+        doubleSlit.detectors.forEach(detector => {
+            detector.visible = experiment.whichPath;
+        });
+
+        this.updateDoubleSlitCurve();
+        this.updateDoubleSlitDisplay();
+    }
+
+    updateDoubleSlitCurve() {
+        const { experiment, doubleSlit } = this.controls.waveParticle;
+        const { layout, curve, curveSamples } = doubleSlit;
+        const positions = curve.geometry.attributes.position;
+
+        for (let i = 0; i <= curveSamples; i++) {
+            const y = -experiment.screenHalfWidth + 2 * experiment.screenHalfWidth * i / curveSamples;
+            // Both-slit maximum 4 I₀ maps to 1.2 scene units out of the screen
+            positions.array[i * 3] = layout.screenX - 0.02 - experiment.intensity(y) / 4 * 1.2;
+            positions.array[i * 3 + 1] = y / experiment.screenHalfWidth * layout.screenHalfHeight;
+            positions.array[i * 3 + 2] = -layout.screenDepth;
+        }
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * Readout and histogram of hits against the expected counts
+     */
+    updateDoubleSlitDisplay() {
+        const { experiment, doubleSlit, readout, plot, showWave } = this.controls.waveParticle;
+        const { histogram, hitCount } = doubleSlit;
+
+        readout.innerHTML = `
+            <div>particles detected: ${hitCount}</div>
+            <div>λ = ${experiment.wavelength} nm, d = ${experiment.slitSpacing} nm</div>
+            <div>fringe spacing λL/d = ${(experiment.getFringeSpacing() * 100).toFixed(2)} cm</div>
+            <div>which-path detector: ${experiment.whichPath ? 'on' : 'off'}</div>
+        `;
+
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        const width = plot.clientWidth || 180;
+        const height = plot.clientHeight || 120;
+        plot.width = width * ratio;
+        plot.height = height * ratio;
+
+        const ctx = plot.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const padding = { left: 8, right: 8, top: 16, bottom: 8 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const binWidth = 2 * experiment.screenHalfWidth / histogram.length;
+
+        const expected = Array.from(histogram, (count, i) => {
+            const y0 = -experiment.screenHalfWidth + i * binWidth;
+            return hitCount * experiment.getProbabilityBetween(y0, y0 + binWidth);
+        });
+        const peak = Math.max(1, ...histogram, ...(showWave ? expected : []));
+        const barWidth = plotWidth / histogram.length;
+
+        ctx.fillStyle = '#7bed9f';
+        histogram.forEach((count, i) => {
+            const barHeight = plotHeight * count / peak;
+            ctx.fillRect(padding.left + i * barWidth, padding.top + plotHeight - barHeight, Math.max(1, barWidth - 0.5), barHeight);
+        });
+
+        if (showWave && hitCount > 0) {
+            ctx.strokeStyle = '#4ecdc4';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            expected.forEach((value, i) => {
+                const x = padding.left + (i + 0.5) * barWidth;
+                const y = padding.top + plotHeight * (1 - value / peak);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#e2e8f0';
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+        ctx.fillText('hits across screen', padding.left, 2);
+    }
+
+    /**
+     * Apply a double-slit control and restart the build-up
+     */
+    setDoubleSlitParameter(parameter, value) {
+        const state = this.controls.waveParticle;
+        if (!state) return;
+
+        if (parameter === 'wavelength') {
+            state.experiment.setWavelength(value);
+        } else if (parameter === 'spacing') {
+            state.experiment.setSlitSpacing(value);
+        } else if (parameter === 'which-path') {
+            state.experiment.setWhichPath(value);
+        }
+
+        this.resetDoubleSlit();
+    }
+
     /**
      * Quantum Tunneling Simulation
+     *
+     * A Gaussian electron wave packet from `SchrodingerSolver1D` hits the
+     * barrier set by the sliders; |ψ|², Re ψ and Im ψ are drawn over the
+     * potential and the readout compares the live reflection/transmission
+     * probabilities with the analytic transmission coefficient.
      */
     setupQuantumTunneling() {
         const container = document.getElementById('tunneling-simulation');
@@ -326,63 +829,115 @@ class QuantumSimulations {
         this.cameras.tunneling = camera;
         this.renderers.tunneling = renderer;
 
-        // Create potential barrier
-        const barrierGeometry = new THREE.BoxGeometry(1, 3, 0.1);
+        const solver = new SchrodingerSolver1D({
+            barrierHeight: this.getControlValue('barrier-height', 5),
+            barrierWidth: this.getControlValue('barrier-width', 0.5),
+            particleEnergy: this.getControlValue('particle-energy', 4)
+        });
+
+        // Scene units: 0.15 per nm horizontally, 0.3 per eV for the potential
+        const view = {
+            xScale: 0.15,
+            energyScale: 0.3,
+            baseline: -1.5,
+            densityScale: 7.5,
+            amplitudeScale: 2
+        };
+
+        // Only the region between the edge absorbers is drawn
+        const firstIndex = Math.ceil(solver.absorberWidth / solver.dx);
+        const lastIndex = solver.size - 1 - firstIndex;
+        const stride = 2;
+        const pointCount = Math.floor((lastIndex - firstIndex) / stride) + 1;
+
+        const createCurve = (color) => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(pointCount * 3), 3));
+            const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+            scene.add(line);
+            return line;
+        };
+
+        const curves = {
+            real: createCurve(0x45b7d1),
+            imaginary: createCurve(0xffa502),
+            density: createCurve(0x4ecdc4)
+        };
+
+        // Axis along the zero of energy
+        const axisGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(solver.x[firstIndex] * view.xScale, view.baseline, 0),
+            new THREE.Vector3(solver.x[lastIndex] * view.xScale, view.baseline, 0)
+        ]);
+        scene.add(new THREE.Line(axisGeometry, new THREE.LineBasicMaterial({ color: 0x555577 })));
+
+        // Potential barrier
+        const barrierGeometry = new THREE.BoxGeometry(1, 1, 0.1);
         const barrierMaterial = new THREE.MeshBasicMaterial({ 
             color: 0xff4757,
             transparent: true,
-            opacity: 0.7
+            opacity: 0.4
         });
         const barrier = new THREE.Mesh(barrierGeometry, barrierMaterial);
+        barrier.position.z = -0.1;
         scene.add(barrier);
 
-        // Create wave function visualization
-        const wavePoints = [];
-        for (let i = -5; i <= 5; i += 0.1) {
-            wavePoints.push(new THREE.Vector3(i, 0, 0));
-        }
-        
-        const waveGeometry = new THREE.BufferGeometry().setFromPoints(wavePoints);
-        const waveMaterial = new THREE.LineBasicMaterial({ 
-            color: 0x4ecdc4,
-            linewidth: 2
-        });
-        const waveLine = new THREE.Line(waveGeometry, waveMaterial);
-        scene.add(waveLine);
-
-        // Create particle
-        const particleGeometry = new THREE.SphereGeometry(0.05, 16, 16);
-        const particleMaterial = new THREE.MeshBasicMaterial({ 
-            color: 0x45b7d1,
-            emissive: 0x001122
-        });
-        const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-        particle.position.x = -4;
-        scene.add(particle);
+        // Mean energy of the packet
+        const energyGeometry = new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(solver.x[firstIndex] * view.xScale, 0, 0),
+            new THREE.Vector3(solver.x[lastIndex] * view.xScale, 0, 0)
+        ]);
+        const energyLine = new THREE.Line(energyGeometry, new THREE.LineDashedMaterial({
+            color: 0xf9ca24,
+            dashSize: 0.15,
+            gapSize: 0.1
+        }));
+        energyLine.computeLineDistances();
+        scene.add(energyLine);
+
+        const readout = document.createElement('div');
+        readout.className = 'quantum-readout';
+        container.appendChild(readout);
+
+        const tunneling = {
+            solver,
+            view,
+            curves,
+            barrier,
+            energyLine,
+            readout,
+            firstIndex,
+            stride,
+            pointCount,
+            isRunning: false,
+            timeScale: 8, // ħ/eV of simulated time per second
+            maxStepsPerFrame: 40
+        };
+        this.controls.tunneling = tunneling;
 
-        this.controls.tunneling = { barrier, waveLine, particle, waveGeometry };
+        this.updateTunnelingPotential();
+        this.updateWaveFunction();
 
-        camera.position.set(0, 2, 8);
-        camera.lookAt(0, 0, 0);
+        camera.position.set(0, 0.5, 6);
+        camera.lookAt(0, 0.5, 0);
 
         // Animation
-        let particleDirection = 1;
-        const animate = () => {
+        let lastFrame = performance.now();
+        const animate = (now) => {
             this.animations.tunneling = requestAnimationFrame(animate);
-            
-            // Move particle
-            particle.position.x += 0.02 * particleDirection;
-            
-            // Check boundaries
-            if (particle.position.x > 4) {
-                particleDirection = -1;
-            } else if (particle.position.x < -4) {
-                particleDirection = 1;
+
+            const elapsed = Math.min(0.1, Math.max(0, ((now || performance.now()) - lastFrame) / 1000));
+            lastFrame = now || performance.now();
+
+            if (tunneling.isRunning) {
+                const steps = Math.min(tunneling.maxStepsPerFrame,
+                    Math.round(elapsed * tunneling.timeScale / solver.dt));
+                for (let i = 0; i < steps; i++) {
+                    solver.step();
+                }
+                this.updateWaveFunction();
             }
 
-            // Update wave function based on particle position
-            this.updateWaveFunction(particle.position.x, waveGeometry);
-            
             renderer.render(scene, camera);
         };
 
@@ -391,24 +946,80 @@ class QuantumSimulations {
     }
 
     /**
-     * Update wave function visualization
+     * Resize the barrier mesh and energy line to the solver's potential
      */
-    updateWaveFunction(particleX, geometry) {
-        const positions = geometry.attributes.position.array;
-        
-        for (let i = 0; i < positions.length; i += 3) {
-            const x = positions[i];
-            const distance = Math.abs(x - particleX);
-            
-            // Simulate wave function amplitude
-            if (Math.abs(x) < 0.5) { // Inside barrier
-                positions[i + 1] = Math.exp(-distance) * Math.sin(x * 10) * 0.5;
-            } else { // Outside barrier
-                positions[i + 1] = Math.cos(x * 3 - particleX) * 0.8;
-            }
+    updateTunnelingPotential() {
+        const { solver, view, barrier, energyLine } = this.controls.tunneling;
+        const height = Math.max(solver.barrierHeight * view.energyScale, 0.01);
+
+        barrier.scale.set(solver.barrierWidth * view.xScale, height, 1);
+        barrier.position.x = solver.barrierWidth * view.xScale / 2;
+        barrier.position.y = view.baseline + height / 2;
+        energyLine.position.y = view.baseline + solver.particleEnergy * view.energyScale;
+    }
+
+    /**
+     * Copy the solver's ψ into the |ψ|², Re and Im curves and refresh the readout
+     */
+    updateWaveFunction() {
+        const { solver, view, curves, firstIndex, stride, pointCount } = this.controls.tunneling;
+        const density = curves.density.geometry.attributes.position;
+        const real = curves.real.geometry.attributes.position;
+        const imaginary = curves.imaginary.geometry.attributes.position;
+
+        for (let i = 0; i < pointCount; i++) {
+            const j = firstIndex + i * stride;
+            const x = solver.x[j] * view.xScale;
+            const offset = i * 3;
+
+            density.array[offset] = x;
+            density.array[offset + 1] = view.baseline + solver.getProbabilityDensity(j) * view.densityScale;
+            real.array[offset] = x;
+            real.array[offset + 1] = view.baseline + solver.re[j] * view.amplitudeScale;
+            imaginary.array[offset] = x;
+            imaginary.array[offset + 1] = view.baseline + solver.im[j] * view.amplitudeScale;
         }
-        
-        geometry.attributes.position.needsUpdate = true;
+
+        density.needsUpdate = true;
+        real.needsUpdate = true;
+        imaginary.needsUpdate = true;
+
+        this.updateTunnelingReadout();
+    }
+
+    updateTunnelingReadout() {
+        const { solver, readout } = this.controls.tunneling;
+        const probabilities = solver.getProbabilities();
+        const format = (value) => value >= 1e-3 || value === 0 ? value.toFixed(4) : value.toExponential(2);
+
+        readout.innerHTML = `
+            <div>t = ${solver.getTimeFemtoseconds().toFixed(1)} fs</div>
+            <div><span class="readout-swatch" style="background:#4ecdc4"></span>|ψ|²
+                <span class="readout-swatch" style="background:#45b7d1"></span>Re ψ
+                <span class="readout-swatch" style="background:#ffa502"></span>Im ψ</div>
+            <div>R = ${format(probabilities.reflected)} &nbsp; T = ${format(probabilities.transmitted)}</div>
+            <div>T analytic (E = ${solver.particleEnergy} eV): ${format(solver.getAnalyticTransmission())}</div>
+            <div>T analytic (packet average): ${format(solver.getPacketTransmission())}</div>
+        `;
+    }
+
+    /**
+     * Apply a tunneling slider to the solver and restart the packet
+     */
+    setTunnelingParameter(parameter, value) {
+        const tunneling = this.controls.tunneling;
+        if (!tunneling) return;
+
+        if (parameter === 'height') {
+            tunneling.solver.setBarrierHeight(value);
+        } else if (parameter === 'width') {
+            tunneling.solver.setBarrierWidth(value);
+        } else if (parameter === 'energy') {
+            tunneling.solver.setParticleEnergy(value);
+        }
+
+        this.updateTunnelingPotential();
+        this.updateWaveFunction();
     }
 
     /**
@@ -418,19 +1029,53 @@ class QuantumSimulations {
         // Quantum Atom controls
         this.setupSliderControl('quantum-energy-level', (value) => {
             if (this.controls.quantumAtom) {
-                this.updateEnergyLevel(parseInt(value));
+                this.updateOrbitalOptions(parseInt(value, 10));
+                this.applyOrbitalControls();
+            }
+        });
+
+        this.setupSelectControl('quantum-orbital', () => {
+            if (this.controls.quantumAtom) {
+                this.updateMagneticOptions(this.getSelectedOrbitalL());
+                this.applyOrbitalControls();
+            }
+        });
+
+        this.setupSelectControl('quantum-magnetic', () => {
+            if (this.controls.quantumAtom) {
+                this.applyOrbitalControls();
             }
         });
 
-        this.setupSelectControl('quantum-orbital', (value) => {
+        this.setupSliderControl('quantum-samples', (value) => {
             if (this.controls.quantumAtom) {
-                this.updateOrbitalType(value);
+                this.controls.quantumAtom.sampleCount = parseInt(value, 10) * 1000;
+                this.sampleOrbitalCloud();
             }
         });
 
-        this.setupSliderControl('quantum-electrons', (value) => {
+        this.setupCheckboxControl('quantum-probability', (checked) => {
             if (this.controls.quantumAtom) {
-                this.updateElectronCount(parseInt(value));
+                this.controls.quantumAtom.cloud.visible = checked;
+            }
+        });
+
+        this.setupButtonControl('quantum-start', () => {
+            if (this.controls.quantumAtom) {
+                this.controls.quantumAtom.isRotating = true;
+            }
+        });
+
+        this.setupButtonControl('quantum-pause', () => {
+            if (this.controls.quantumAtom) {
+                this.controls.quantumAtom.isRotating = false;
+            }
+        });
+
+        this.setupButtonControl('quantum-reset', () => {
+            if (this.controls.quantumAtom) {
+                this.controls.quantumAtom.cloud.rotation.y = 0;
+                this.sampleOrbitalCloud();
             }
         });
 
@@ -438,79 +1083,95 @@ class QuantumSimulations {
         this.setupSliderControl('particle-wavelength', (value) => {
             if (this.controls.waveParticle) {
                 this.controls.waveParticle.waveMaterial.uniforms.wavelength.value = parseFloat(value);
+                this.setDoubleSlitParameter('wavelength', parseFloat(value));
             }
         });
 
+        this.setupSliderControl('slit-spacing', (value) => {
+            this.setDoubleSlitParameter('spacing', parseFloat(value));
+        });
+
         this.setupSliderControl('particle-speed', (value) => {
             if (this.controls.waveParticle) {
+                this.controls.waveParticle.speed = parseFloat(value);
                 this.controls.waveParticle.particles.forEach(particle => {
                     particle.userData.velocity.x = parseFloat(value) * 0.02;
                 });
             }
         });
 
+        this.setupSelectControl('particle-mode', (value) => {
+            this.setWaveParticleMode(value);
+        });
+
+        this.setupCheckboxControl('which-path', (checked) => {
+            this.setDoubleSlitParameter('which-path', checked);
+        });
+
+        this.setupCheckboxControl('show-wave', (checked) => {
+            if (this.controls.waveParticle) {
+                this.controls.waveParticle.showWave = checked;
+                this.applyWaveParticleVisibility();
+                this.updateDoubleSlitDisplay();
+            }
+        });
+
+        this.setupCheckboxControl('show-particle', (checked) => {
+            if (this.controls.waveParticle) {
+                this.controls.waveParticle.showParticles = checked;
+                this.applyWaveParticleVisibility();
+            }
+        });
+
+        this.setupButtonControl('waveparticle-start', () => {
+            if (this.controls.waveParticle) {
+                this.controls.waveParticle.isRunning = true;
+            }
+        });
+
+        this.setupButtonControl('waveparticle-pause', () => {
+            if (this.controls.waveParticle) {
+                this.controls.waveParticle.isRunning = false;
+            }
+        });
+
+        this.setupButtonControl('waveparticle-reset', () => {
+            if (this.controls.waveParticle) {
+                this.resetDoubleSlit();
+            }
+        });
+
         // Tunneling controls
         this.setupSliderControl('barrier-height', (value) => {
-            if (this.controls.tunneling) {
-                this.controls.tunneling.barrier.scale.y = parseFloat(value) / 5;
-            }
+            this.setTunnelingParameter('height', parseFloat(value));
         });
 
         this.setupSliderControl('barrier-width', (value) => {
+            this.setTunnelingParameter('width', parseFloat(value));
+        });
+
+        this.setupSliderControl('particle-energy', (value) => {
+            this.setTunnelingParameter('energy', parseFloat(value));
+        });
+
+        this.setupButtonControl('tunneling-start', () => {
             if (this.controls.tunneling) {
-                this.controls.tunneling.barrier.scale.x = parseFloat(value);
+                this.controls.tunneling.isRunning = true;
             }
         });
-    }
 
-    /**
-     * Update energy level visualization
-     */
-    updateEnergyLevel(level) {
-        const { orbitals } = this.controls.quantumAtom;
-        
-        orbitals.electrons.forEach((electron, index) => {
-            if (index < level * 2) {
-                electron.visible = true;
-                electron.userData.radius = 0.8 + (level - 1) * 0.4;
-            } else {
-                electron.visible = false;
+        this.setupButtonControl('tunneling-pause', () => {
+            if (this.controls.tunneling) {
+                this.controls.tunneling.isRunning = false;
             }
         });
-    }
-
-    /**
-     * Update orbital type display
-     */
-    updateOrbitalType(orbitalType) {
-        const { orbitals } = this.controls.quantumAtom;
-        
-        // Hide all orbitals
-        orbitals.s.forEach(orbital => orbital.visible = false);
-        orbitals.p.forEach(orbital => orbital.visible = false);
-        
-        // Show selected orbital type
-        if (orbitalType === 's') {
-            orbitals.s.forEach(orbital => orbital.visible = true);
-            orbitals.electrons.forEach(electron => {
-                electron.userData.orbital = 's';
-            });
-        } else if (orbitalType === 'p') {
-            orbitals.p.forEach(orbital => orbital.visible = true);
-            orbitals.electrons.forEach(electron => {
-                electron.userData.orbital = 'p';
-            });
-        }
-    }
 
-    /**
-     * Update electron count
-     */
-    updateElectronCount(count) {
-        const { orbitals } = this.controls.quantumAtom;
-        
-        orbitals.electrons.forEach((electron, index) => {
-            electron.visible = index < count;
+        this.setupButtonControl('tunneling-reset', () => {
+            if (this.controls.tunneling) {
+                this.controls.tunneling.isRunning = false;
+                this.controls.tunneling.solver.reset();
+                this.updateWaveFunction();
+            }
         });
     }
 
@@ -530,6 +1191,35 @@ class QuantumSimulations {
         }
     }
 
+    setupButtonControl(id, callback) {
+        const button = document.getElementById(id);
+        
+        if (button) {
+            button.addEventListener('click', () => callback());
+        }
+    }
+
+    isControlChecked(id, fallback) {
+        const control = document.getElementById(id);
+        return control ? control.checked : fallback;
+    }
+
+    getControlValue(id, fallback) {
+        const control = document.getElementById(id);
+        const value = control ? parseFloat(control.value) : NaN;
+        return Number.isFinite(value) ? value : fallback;
+    }
+
+    setupCheckboxControl(id, callback) {
+        const checkbox = document.getElementById(id);
+        
+        if (checkbox) {
+            checkbox.addEventListener('change', (e) => {
+                callback(e.target.checked);
+            });
+        }
+    }
+
     setupSelectControl(id, callback) {
         const select = document.getElementById(id);
         
@@ -0,0 +1,411 @@
+/**
+ * PhysicsLearn - Search Index
+ * Full-text search over forum topics, shared by the server and the fake backend
+ */
+
+/**
+ * Inverted index over forum topics: each topic is one document made of its
+ * title, its body and the text of its replies. Words are lower-cased, folded
+ * to plain letters and reduced to their stem (Porter), so "conserved" finds
+ * "conservation". Results are ranked with BM25F, a title match counting for
+ * more than a match in a reply.
+ *
+ * Queries forgive small mistakes: a word missing from the index is matched
+ * against indexed words one edit away (two for long words), and the last
+ * word of the query also matches as a prefix, so results follow the user's
+ * typing. LaTeX commands are not indexed, but the words around them are.
+ *
+ * Call `syncForum(db)` before searching; topics are only re-read when they
+ * or their replies changed since the last call.
+ */
+class SearchIndex {
+    constructor() {
+        this.docs = new Map();
+        this.postings = new Map();
+        this.totalLength = 0;
+        this.vocabulary = null;
+    }
+
+    /**
+     * Bring the index in step with the topics and replies of a forum database
+     */
+    syncForum(db) {
+        const repliesByTopic = new Map();
+        db.replies.forEach(reply => {
+            if (!repliesByTopic.has(reply.topicId)) repliesByTopic.set(reply.topicId, []);
+            repliesByTopic.get(reply.topicId).push(reply);
+        });
+
+        const seen = new Set();
+        db.topics.forEach(topic => {
+            const replies = repliesByTopic.get(topic.id) || [];
+            const lastEdit = replies.reduce((latest, reply) => (reply.editedAt || '') > latest ? reply.editedAt : latest, '');
+            seen.add(topic.id);
+            this.update(topic.id, [topic.editedAt || topic.createdAt, topic.category, replies.length, lastEdit].join('|'), {
+                title: topic.title,
+                content: topic.content,
+                replies: replies.map(reply => reply.content).join('\n')
+            });
+        });
+
+        Array.from(this.docs.keys()).filter(id => !seen.has(id)).forEach(id => this.remove(id));
+    }
+
+    /**
+     * Index a document's `fields` (`{ title, content, replies }`) under `id`.
+     * Nothing happens when `version` matches what was indexed before.
+     */
+    update(id, version, fields) {
+        const existing = this.docs.get(id);
+        if (existing && existing.version === version) return;
+        if (existing) this.remove(id);
+
+        const terms = new Map();
+        const words = new Map();
+        let length = 0;
+        Object.entries(SearchIndex.FIELD_WEIGHTS).forEach(([field, weight]) => {
+            SearchIndex.tokenize(fields[field] || '').forEach(({ word, term }) => {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                words.set(word, term);
+                length += weight;
+            });
+        });
+
+        terms.forEach((tf, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Set());
+            this.postings.get(term).add(id);
+        });
+        this.docs.set(id, { version, title: fields.title || '', terms, words, length });
+        this.totalLength += length;
+        this.vocabulary = null;
+    }
+
+    remove(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach((tf, term) => {
+            const ids = this.postings.get(term);
+            ids.delete(id);
+            if (ids.size === 0) this.postings.delete(term);
+        });
+        this.docs.delete(id);
+        this.totalLength -= doc.length;
+        this.vocabulary = null;
+    }
+
+    /**
+     * Rank documents against `query`. Returns `{ results, didYouMean }`,
+     * where each result is `{ id, score, terms }` (the words of the topic
+     * that matched, for highlighting) and `didYouMean` is the query with its
+     * misspelt words corrected, or null.
+     */
+    search(query) {
+        const tokens = SearchIndex.tokenize(query);
+        const partial = tokens.length > 0 && !/[\s\p{P}]$/u.test(query);
+
+        const expansions = tokens.map((token, i) => this.expand(token, partial && i === tokens.length - 1));
+        const scores = new Map();
+        expansions.forEach(candidates => {
+            const best = new Map();
+            candidates.forEach(({ term, weight }) => {
+                const idf = this.idf(term);
+                this.postings.get(term).forEach(id => {
+                    const score = weight * idf * this.termScore(this.docs.get(id), term);
+                    if (!best.has(id) || best.get(id).score < score) best.set(id, { score, term });
+                });
+            });
+            best.forEach(({ score, term }, id) => {
+                const entry = scores.get(id) || { id, score: 0, terms: [] };
+                entry.score += score;
+                entry.terms.push(term);
+                scores.set(id, entry);
+            });
+        });
+
+        const corrected = tokens.map((token, i) => {
+            const fix = expansions[i].find(candidate => candidate.corrected);
+            return fix ? this.surfaceForm(fix.term) : null;
+        });
+
+        // Report the words as written in each topic rather than their stems
+        scores.forEach(entry => {
+            const matched = new Set(entry.terms);
+            entry.terms = Array.from(this.docs.get(entry.id).words)
+                .filter(([, term]) => matched.has(term))
+                .map(([word]) => word);
+        });
+
+        return {
+            results: Array.from(scores.values()).sort((a, b) => b.score - a.score),
+            didYouMean: corrected.some(Boolean)
+                ? tokens.map((token, i) => corrected[i] || token.word).join(' ')
+                : null
+        };
+    }
+
+    /**
+     * Completions for a half-typed query: words from the index that finish
+     * its last word, then titles of the best matching topics. Each suggestion
+     * is `{ type: 'term', text }` or `{ type: 'topic', text, id }`.
+     */
+    suggest(query, limit = 6) {
+        const tokens = SearchIndex.tokenize(query);
+        if (tokens.length === 0) return [];
+
+        const last = tokens[tokens.length - 1].word;
+        const lead = tokens.slice(0, -1).map(token => token.word).join(' ');
+        const completions = Array.from(this.getVocabulary())
+            .filter(([word]) => word.startsWith(last) && word !== last)
+            .sort((a, b) => b[1].count - a[1].count || a[0].length - b[0].length)
+            .slice(0, Math.ceil(limit / 2))
+            .map(([word]) => ({ type: 'term', text: lead ? `${lead} ${word}` : word }));
+
+        const topics = this.search(query).results
+            .slice(0, limit - completions.length)
+            .map(({ id }) => ({ type: 'topic', text: this.docs.get(id).title, id }));
+
+        return completions.concat(topics);
+    }
+
+    // Ranking
+
+    /**
+     * Indexed terms standing in for one query word: the word itself, words
+     * it begins (when it is still being typed) and close misspellings
+     */
+    expand(token, partial) {
+        const candidates = [];
+        if (this.postings.has(token.term)) {
+            candidates.push({ term: token.term, weight: 1 });
+        }
+
+        if (partial && token.word.length >= SearchIndex.MIN_PREFIX) {
+            const terms = new Set();
+            this.getVocabulary().forEach(({ term }, word) => {
+                if (word.startsWith(token.word) && term !== token.term) terms.add(term);
+            });
+            Array.from(terms)
+                .sort((a, b) => this.postings.get(b).size - this.postings.get(a).size)
+                .slice(0, SearchIndex.MAX_EXPANSIONS)
+                .forEach(term => candidates.push({ term, weight: SearchIndex.PREFIX_WEIGHT }));
+        }
+
+        const maxEdits = SearchIndex.maxEdits(token.term);
+        if (candidates.length === 0 && maxEdits > 0) {
+            const fuzzy = [];
+            this.postings.forEach((ids, term) => {
+                if (Math.abs(term.length - token.term.length) > maxEdits) return;
+                const distance = SearchIndex.editDistance(token.term, term, maxEdits);
+                if (distance <= maxEdits) fuzzy.push({ term, distance, df: ids.size });
+            });
+            fuzzy
+                .sort((a, b) => a.distance - b.distance || b.df - a.df)
+                .slice(0, SearchIndex.MAX_EXPANSIONS)
+                .forEach(({ term, distance }, i) => candidates.push({
+                    term,
+                    weight: SearchIndex.TYPO_WEIGHTS[distance - 1],
+                    corrected: i === 0
+                }));
+        }
+
+        return candidates;
+    }
+
+    idf(term) {
+        const df = this.postings.get(term).size;
+        return Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * BM25 saturation of a document's field-weighted frequency of `term`
+     */
+    termScore(doc, term) {
+        const { K1, B } = SearchIndex;
+        const tf = doc.terms.get(term) || 0;
+        const averageLength = this.totalLength / this.docs.size || 1;
+        return tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / averageLength));
+    }
+
+    // Vocabulary
+
+    /**
+     * Every indexed word with its stem and the number of topics using it
+     */
+    getVocabulary() {
+        if (!this.vocabulary) {
+            this.vocabulary = new Map();
+            this.docs.forEach(doc => {
+                doc.words.forEach((term, word) => {
+                    const entry = this.vocabulary.get(word) || { term, count: 0 };
+                    entry.count++;
+                    this.vocabulary.set(word, entry);
+                });
+            });
+        }
+        return this.vocabulary;
+    }
+
+    /**
+     * The most common written form of a stem, e.g. "conservation" for "conserv"
+     */
+    surfaceForm(term) {
+        let best = null;
+        this.getVocabulary().forEach((entry, word) => {
+            if (entry.term === term && (!best || entry.count > best.count)) best = { word, count: entry.count };
+        });
+        return best ? best.word : term;
+    }
+
+    // Text processing
+
+    /**
+     * Words of `text` as `{ word, term }`, where `word` is the folded word and
+     * `term` its stem. Stop words, single letters and LaTeX commands are left out.
+     */
+    static tokenize(text) {
+        const words = String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\\[a-z]+/g, ' ')
+            .replace(/['’]/g, '')
+            .match(/[a-z0-9]+/g) || [];
+
+        return words
+            .filter(word => word.length > 1 && !SearchIndex.STOP_WORDS.has(word))
+            .map(word => ({ word, term: SearchIndex.stem(word) }));
+    }
+
+    static maxEdits(term) {
+        if (/\d/.test(term)) return 0;
+        return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    }
+
+    /**
+     * Optimal string alignment distance (adjacent swaps count as one edit),
+     * giving up with `max + 1` as soon as it must exceed `max`
+     */
+    static editDistance(a, b, max) {
+        let previous = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            let smallest = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+                if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    next[j] = Math.min(next[j], previous[j - 2] + 1);
+                }
+                smallest = Math.min(smallest, next[j]);
+            }
+            if (smallest > max) return max + 1;
+            previous = row;
+            row = next;
+        }
+        return row[b.length];
+    }
+
+    /**
+     * Porter's stemming algorithm (1980), as in his reference implementation
+     */
+    static stem(word) {
+        if (word.length < 3 || /\d/.test(word)) return word;
+        const { mgr0, meq1, mgr1, hasVowel, cvc } = SearchIndex.STEMMER;
+        const startsWithY = word[0] === 'y';
+        let w = startsWithY ? 'Y' + word.slice(1) : word;
+        let match;
+
+        // Step 1a: plurals
+        if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+        else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+        // Step 1b: -eed, -ed, -ing
+        if ((match = /^(.+?)eed$/.exec(w))) {
+            if (mgr0.test(match[1])) w = w.slice(0, -1);
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && hasVowel.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) w += 'e';
+            else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+            else if (cvc.test(w)) w += 'e';
+        }
+
+        // Step 1c: -y
+        if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) w = match[1] + 'i';
+
+        // Steps 2 and 3: double and single suffixes
+        [SearchIndex.STEP2_SUFFIXES, SearchIndex.STEP3_SUFFIXES].forEach(suffixes => {
+            const found = Object.keys(suffixes).sort((a, b) => b.length - a.length).find(suffix => w.endsWith(suffix));
+            if (found && mgr0.test(w.slice(0, -found.length))) w = w.slice(0, -found.length) + suffixes[found];
+        });
+
+        // Step 4: -ant, -ence and friends
+        if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+            if (mgr1.test(match[1])) w = match[1];
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+            if (mgr1.test(match[1] + match[2])) w = match[1] + match[2];
+        }
+
+        // Step 5: final -e and -ll
+        if ((match = /^(.+?)e$/.exec(w))) {
+            const base = match[1];
+            if (mgr1.test(base) || (meq1.test(base) && !cvc.test(base))) w = base;
+        }
+        if (/ll$/.test(w) && mgr1.test(w)) w = w.slice(0, -1);
+
+        return startsWithY ? 'y' + w.slice(1) : w;
+    }
+}
+
+// Weight of a word in each part of a topic
+SearchIndex.FIELD_WEIGHTS = { title: 3, content: 1, replies: 0.5 };
+
+// BM25 term-frequency saturation and length normalisation
+SearchIndex.K1 = 1.2;
+SearchIndex.B = 0.75;
+
+// Prefix matches and corrections (one or two edits away) count for less than the word as typed
+SearchIndex.PREFIX_WEIGHT = 0.8;
+SearchIndex.TYPO_WEIGHTS = [0.6, 0.35];
+SearchIndex.MIN_PREFIX = 2;
+SearchIndex.MAX_EXPANSIONS = 10;
+
+SearchIndex.STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+    'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he',
+    'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not',
+    'of', 'on', 'or', 'our', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'to', 'too', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+SearchIndex.STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+    entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+    iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+SearchIndex.STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+// Porter's measure of a stem: C and V are runs of consonants and vowels
+SearchIndex.STEMMER = (() => {
+    const c = '[^aeiou]';
+    const v = '[aeiouy]';
+    const C = `${c}[^aeiouy]*`;
+    const V = `${v}[aeiou]*`;
+    return {
+        mgr0: new RegExp(`^(${C})?${V}${C}`),
+        meq1: new RegExp(`^(${C})?${V}${C}(${V})?$`),
+        mgr1: new RegExp(`^(${C})?${V}${C}${V}${C}`),
+        hasVowel: new RegExp(`^(${C})?${v}`),
+        cvc: new RegExp(`^${C}${v}[^aeiouwxy]$`)
+    };
+})();
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
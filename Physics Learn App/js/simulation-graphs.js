@@ -0,0 +1,455 @@
+/**
+ * PhysicsLearn - Simulation Graphs
+ * Live time-series and phase-space plots fed by simulation observables
+ */
+
+/**
+ * A graph panel attached to one simulation model.
+ *
+ * The model describes what can be plotted through
+ * `getObservableDefinitions()` (`[{ key, label, unit }]`) and reports
+ * current values through `getObservableValues()` (`{ key: number }`).
+ * Models with a natural phase space also implement `getPhaseSpace()`
+ * returning `{ x, v }` observable keys.
+ */
+class SimulationGraph {
+    constructor(parent, model, options = {}) {
+        this.parent = parent;
+        this.model = model;
+        this.definitions = model.getObservableDefinitions();
+        this.phaseSpace = model.getPhaseSpace ? model.getPhaseSpace() : null;
+        this.sampleInterval = options.sampleInterval || 1 / 30; // seconds of simulated time
+        this.maxSamples = options.maxSamples || 6000;
+        this.windowSeconds = options.windowSeconds || 10;
+        this.minWindowSeconds = 1;
+        this.mode = 'time';
+        this.isPaused = false;
+        this.viewEnd = 0;
+        this.samples = [];
+        this.nextSampleTime = 0;
+        this.colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899'];
+        this.selected = new Set(options.selected || [this.definitions[0].key]);
+        this.dragStartX = null;
+        this.needsRender = true;
+
+        this.createElements();
+    }
+
+    createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'simulation-graph';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'graph-toolbar';
+
+        this.observableButtons = this.definitions.map((definition, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'graph-chip';
+            button.textContent = definition.label;
+            button.style.setProperty('--chip-color', this.colors[index % this.colors.length]);
+            button.addEventListener('click', () => this.toggleObservable(definition.key));
+            toolbar.appendChild(button);
+            return button;
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'graph-actions';
+
+        this.modeButton = this.createActionButton('fa-project-diagram', 'Show phase space', () => this.toggleMode());
+        this.modeButton.disabled = !this.phaseSpace;
+        this.pauseButton = this.createActionButton('fa-pause', 'Pause graph', () => this.togglePause());
+        this.zoomInButton = this.createActionButton('fa-search-plus', 'Zoom in', () => this.zoom(1 / 1.5));
+        this.zoomOutButton = this.createActionButton('fa-search-minus', 'Zoom out', () => this.zoom(1.5));
+        this.clearButton = this.createActionButton('fa-eraser', 'Clear graph', () => this.clear());
+
+        [this.modeButton, this.pauseButton, this.zoomInButton, this.zoomOutButton, this.clearButton]
+            .forEach(button => actions.appendChild(button));
+        toolbar.appendChild(actions);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'graph-canvas';
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('aria-label', 'Live graph of simulation quantities');
+        this.context = this.canvas.getContext('2d');
+
+        // Mouse wheel zooms; dragging pans through the history while paused
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoom(e.deltaY > 0 ? 1.25 : 1 / 1.25);
+        }, { passive: false });
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.isPaused && this.mode === 'time') {
+                this.dragStartX = e.clientX;
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragStartX === null) return;
+            const plotWidth = this.canvas.clientWidth - 60;
+            const seconds = (this.dragStartX - e.clientX) / plotWidth * this.windowSeconds;
+            this.dragStartX = e.clientX;
+            this.pan(seconds);
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            this.dragStartX = null;
+        });
+
+        this.element.appendChild(toolbar);
+        this.element.appendChild(this.canvas);
+        this.parent.appendChild(this.element);
+
+        this.updateToolbar();
+    }
+
+    createActionButton(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'graph-action';
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Record the model's observables if a sample is due at this simulated time.
+     * Recorded values can be passed in instead, e.g. when replaying a run.
+     */
+    sample(time, values = null) {
+        if (time + 1e-9 < this.nextSampleTime) return;
+        this.nextSampleTime = time + this.sampleInterval;
+
+        this.samples.push({ t: time, values: values || this.model.getObservableValues() });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        if (!this.isPaused) {
+            this.viewEnd = time;
+            this.needsRender = true;
+        }
+    }
+
+    clear() {
+        this.samples = [];
+        this.nextSampleTime = 0;
+        this.viewEnd = 0;
+        this.needsRender = true;
+    }
+
+    toggleObservable(key) {
+        const definition = this.getDefinition(key);
+
+        if (this.selected.has(key)) {
+            if (this.selected.size > 1) {
+                this.selected.delete(key);
+            }
+        } else {
+            // Only quantities with the same unit share the y-axis
+            const current = this.getDefinition([...this.selected][0]);
+            if (current.unit !== definition.unit) {
+                this.selected.clear();
+            }
+            this.selected.add(key);
+        }
+
+        this.updateToolbar();
+    }
+
+    toggleMode() {
+        if (!this.phaseSpace) return;
+        this.mode = this.mode === 'time' ? 'phase' : 'time';
+        this.updateToolbar();
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        if (!this.isPaused) {
+            this.viewEnd = this.getLatestTime();
+        }
+        this.updateToolbar();
+    }
+
+    zoom(factor) {
+        const history = Math.max(this.minWindowSeconds, this.getLatestTime() - this.getEarliestTime());
+        this.windowSeconds = Math.min(Math.max(this.windowSeconds * factor, this.minWindowSeconds),
+                                      Math.max(history, this.minWindowSeconds));
+        this.needsRender = true;
+    }
+
+    pan(seconds) {
+        const earliest = this.getEarliestTime() + this.windowSeconds;
+        this.viewEnd = Math.min(Math.max(this.viewEnd + seconds, earliest), this.getLatestTime());
+        this.needsRender = true;
+    }
+
+    updateToolbar() {
+        this.observableButtons.forEach((button, index) => {
+            const isSelected = this.selected.has(this.definitions[index].key);
+            button.classList.toggle('active', isSelected);
+            button.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            button.disabled = this.mode === 'phase';
+        });
+
+        this.modeButton.classList.toggle('active', this.mode === 'phase');
+        this.modeButton.setAttribute('aria-label', this.mode === 'phase' ? 'Show time plot' : 'Show phase space');
+        this.pauseButton.innerHTML = `<i class="fas ${this.isPaused ? 'fa-play' : 'fa-pause'}" aria-hidden="true"></i>`;
+        this.pauseButton.setAttribute('aria-label', this.isPaused ? 'Resume graph' : 'Pause graph');
+        this.needsRender = true;
+    }
+
+    getDefinition(key) {
+        return this.definitions.find(definition => definition.key === key);
+    }
+
+    getLatestTime() {
+        return this.samples.length > 0 ? this.samples[this.samples.length - 1].t : 0;
+    }
+
+    getEarliestTime() {
+        return this.samples.length > 0 ? this.samples[0].t : 0;
+    }
+
+    getVisibleSamples() {
+        const end = this.isPaused ? this.viewEnd : this.getLatestTime();
+        const start = end - this.windowSeconds;
+        return {
+            start,
+            end,
+            samples: this.samples.filter(sample => sample.t >= start && sample.t <= end)
+        };
+    }
+
+    /**
+     * Match the canvas backing store to its displayed size
+     */
+    resizeCanvas() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+            this.needsRender = true;
+        }
+
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    /**
+     * Redraw the plot; cheap to call every frame since it only draws when
+     * new samples arrived or the view changed
+     */
+    render() {
+        const { width, height } = this.resizeCanvas();
+        if (!this.needsRender || width === 0 || height === 0) return;
+        this.needsRender = false;
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+
+        const plot = { left: 56, right: width - 10, top: 10, bottom: height - 30 };
+        const { start, end, samples } = this.getVisibleSamples();
+
+        if (this.mode === 'phase') {
+            this.renderPhase(ctx, plot, samples);
+        } else {
+            this.renderTime(ctx, plot, start, end, samples);
+        }
+    }
+
+    renderTime(ctx, plot, start, end, samples) {
+        const keys = [...this.selected];
+        const unit = this.getDefinition(keys[0]).unit;
+        const range = this.getValueRange(samples, keys);
+
+        const toX = t => plot.left + (t - start) / (end - start) * (plot.right - plot.left);
+        const toY = v => plot.bottom - (v - range.min) / (range.max - range.min) * (plot.bottom - plot.top);
+
+        this.drawAxes(ctx, plot, { min: start, max: end }, range, 't (s)', unit);
+
+        keys.forEach(key => {
+            const index = this.definitions.findIndex(definition => definition.key === key);
+            ctx.strokeStyle = this.colors[index % this.colors.length];
+            ctx.lineWidth = 1.5;
+            this.tracePath(ctx, samples.map(sample => [toX(sample.t), toY(sample.values[key])]));
+        });
+
+        this.drawLegend(ctx, plot, keys);
+    }
+
+    renderPhase(ctx, plot, samples) {
+        const xDefinition = this.getDefinition(this.phaseSpace.x);
+        const vDefinition = this.getDefinition(this.phaseSpace.v);
+        const xRange = this.getValueRange(samples, [xDefinition.key]);
+        const vRange = this.getValueRange(samples, [vDefinition.key]);
+
+        const toX = x => plot.left + (x - xRange.min) / (xRange.max - xRange.min) * (plot.right - plot.left);
+        const toY = v => plot.bottom - (v - vRange.min) / (vRange.max - vRange.min) * (plot.bottom - plot.top);
+
+        this.drawAxes(ctx, plot, xRange, vRange,
+                      `${xDefinition.label} (${xDefinition.unit})`,
+                      `${vDefinition.label} (${vDefinition.unit})`);
+
+        ctx.strokeStyle = this.colors[0];
+        ctx.lineWidth = 1.5;
+        this.tracePath(ctx, samples.map(sample =>
+            [toX(sample.values[xDefinition.key]), toY(sample.values[vDefinition.key])]));
+
+        // Mark the current state
+        const last = samples[samples.length - 1];
+        if (last && Number.isFinite(last.values[xDefinition.key]) && Number.isFinite(last.values[vDefinition.key])) {
+            ctx.fillStyle = this.colors[3];
+            ctx.beginPath();
+            ctx.arc(toX(last.values[xDefinition.key]), toY(last.values[vDefinition.key]), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Stroke a polyline, leaving gaps where a value was not finite
+     */
+    tracePath(ctx, points) {
+        let penDown = false;
+        ctx.beginPath();
+        points.forEach(([x, y]) => {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                penDown = false;
+            } else if (penDown) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                penDown = true;
+            }
+        });
+        ctx.stroke();
+    }
+
+    getValueRange(samples, keys) {
+        let min = Infinity;
+        let max = -Infinity;
+
+        samples.forEach(sample => {
+            keys.forEach(key => {
+                const value = sample.values[key];
+                if (Number.isFinite(value)) {
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            });
+        });
+
+        if (!Number.isFinite(min)) {
+            return { min: -1, max: 1 };
+        }
+
+        if (max - min < 1e-12) {
+            const pad = Math.abs(max) * 0.1 || 1;
+            return { min: min - pad, max: max + pad };
+        }
+
+        const pad = (max - min) * 0.1;
+        return { min: min - pad, max: max + pad };
+    }
+
+    drawAxes(ctx, plot, xRange, yRange, xLabel, yLabel) {
+        ctx.font = '11px Inter, sans-serif';
+        ctx.strokeStyle = 'rgba(139, 148, 158, 0.25)';
+        ctx.fillStyle = '#8B949E';
+        ctx.lineWidth = 1;
+
+        // Vertical grid and x tick labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.getTicks(xRange.min, xRange.max, 6).forEach(tick => {
+            const x = plot.left + (tick - xRange.min) / (xRange.max - xRange.min) * (plot.right - plot.left);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.bottom);
+            ctx.stroke();
+            ctx.fillText(this.formatTick(tick), x, plot.bottom + 4);
+        });
+
+        // Horizontal grid and y tick labels
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        this.getTicks(yRange.min, yRange.max, 5).forEach(tick => {
+            const y = plot.bottom - (tick - yRange.min) / (yRange.max - yRange.min) * (plot.bottom - plot.top);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.right, y);
+            ctx.stroke();
+            ctx.fillText(this.formatTick(tick), plot.left - 4, y);
+        });
+
+        // Axis labels
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(xLabel, plot.right, plot.bottom + 28);
+
+        ctx.save();
+        ctx.translate(12, (plot.top + plot.bottom) / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+    }
+
+    drawLegend(ctx, plot, keys) {
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        keys.forEach((key, i) => {
+            const index = this.definitions.findIndex(definition => definition.key === key);
+            ctx.fillStyle = this.colors[index % this.colors.length];
+            ctx.fillText(this.getDefinition(key).label, plot.left + 6, plot.top + 2 + i * 14);
+        });
+    }
+
+    /**
+     * "Nice" tick positions (1, 2 or 5 × 10ⁿ spacing)
+     */
+    getTicks(min, max, count) {
+        const span = max - min;
+        if (!(span > 0)) return [];
+
+        const rough = span / count;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const residual = rough / magnitude;
+        const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+        const ticks = [];
+        for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+            ticks.push(Math.abs(tick) < step * 1e-9 ? 0 : tick);
+        }
+        return ticks;
+    }
+
+    formatTick(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude !== 0 && (magnitude >= 1e4 || magnitude < 1e-2)) {
+            return value.toExponential(1);
+        }
+        return parseFloat(value.toPrecision(3)).toString();
+    }
+
+    destroy() {
+        if (this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationGraph;
+}
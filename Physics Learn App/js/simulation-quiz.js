@@ -0,0 +1,497 @@
+/**
+ * PhysicsLearn - Simulation Quizzes
+ * Prediction and quiz checkpoints attached to simulations
+ */
+
+/**
+ * Runs quizzes authored as JSON against a simulation.
+ *
+ *     {
+ *         "format": "physicslearn-quiz",
+ *         "id": "pendulum-period",
+ *         "title": "Predict the period",
+ *         "simulation": "pendulum",
+ *         "questions": [
+ *             { "id": "predict-period", "type": "numeric", "before": "start",
+ *               "prompt": "...", "set": { "length": 2 }, "unit": "s",
+ *               "answer": { "method": "getPeriod" }, "tolerance": 0.05 },
+ *             { "id": "mass", "type": "multiple-choice", "prompt": "...",
+ *               "choices": ["...", "..."], "answer": 1 }
+ *         ]
+ *     }
+ *
+ * Numeric answers are computed from the live model when the learner
+ * submits: `{ "method": "getPeriod" }` calls a `get…` method (optionally with
+ * `args` and picking `key` from an object result), `{ "observable": "x" }`
+ * and `{ "parameter": "x" }` read the model, and `{ "value": 2 }` is fixed.
+ * `tolerance` is relative (0.05 = 5%) unless `toleranceType` is
+ * 'absolute'. A question with `"before": "start"` keeps the simulation
+ * paused until the prediction is in. Every result goes into the learner's
+ * progress record.
+ */
+class QuizEngine {
+    constructor(simulationsSystem, progress, options = {}) {
+        this.system = simulationsSystem;
+        this.progress = progress;
+        this.basePath = options.basePath || 'quizzes/';
+        this.maxAttempts = options.maxAttempts || 2;
+        this.quiz = null;
+        this.questionIndex = -1;
+        this.attempts = 0;
+        this.answered = false;
+        this.score = 0;
+        this.panel = null;
+        this.startGuard = null;
+        this.eventListeners = new Map();
+    }
+
+    /**
+     * Start quizzes from `[data-quiz]` buttons and from `?quiz=<id>`
+     */
+    init() {
+        document.querySelectorAll('[data-quiz]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.open(button.dataset.quiz);
+            });
+        });
+
+        const params = new URLSearchParams(window.location.search);
+        const quizId = params.get('quiz');
+        if (quizId) {
+            this.open(quizId);
+        }
+    }
+
+    /**
+     * Load a quiz by id from `basePath` and start it; like lessons, only
+     * plain ids are accepted
+     */
+    async open(quizId) {
+        try {
+            if (!/^[\w-]+$/.test(quizId)) {
+                throw new Error('Unknown quiz');
+            }
+            const response = await fetch(`${this.basePath}${quizId}.json`);
+            if (!response.ok) {
+                throw new Error(`Quiz not found (${response.status})`);
+            }
+            await this.start(QuizEngine.parse(await response.text()));
+        } catch (error) {
+            console.error('Quiz could not be started:', error);
+            this.system.showNotification(`Quiz could not be started: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Parse and validate quiz JSON
+     */
+    static parse(text) {
+        let quiz;
+        try {
+            quiz = typeof text === 'string' ? JSON.parse(text) : text;
+        } catch (error) {
+            throw new Error('The quiz is not valid JSON');
+        }
+
+        if (!quiz || quiz.format !== 'physicslearn-quiz') {
+            throw new Error('The file is not a PhysicsLearn quiz');
+        }
+        if (!quiz.id || !quiz.simulation) {
+            throw new Error('The quiz needs an id and a simulation');
+        }
+        if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+            throw new Error('The quiz has no questions');
+        }
+
+        const ids = new Set();
+        quiz.questions.forEach((question, index) => {
+            const label = `Question ${index + 1}`;
+            if (!question.id || ids.has(question.id)) {
+                throw new Error(`${label} needs a unique id`);
+            }
+            ids.add(question.id);
+
+            if (question.type === 'multiple-choice') {
+                if (!Array.isArray(question.choices) || question.choices.length < 2) {
+                    throw new Error(`${label} needs at least two choices`);
+                }
+                if (!Number.isInteger(question.answer) || !question.choices[question.answer]) {
+                    throw new Error(`${label} has no valid answer index`);
+                }
+            } else if (question.type === 'numeric') {
+                const answer = question.answer || {};
+                if (answer.method !== undefined && !/^get[A-Z]\w*$/.test(answer.method)) {
+                    throw new Error(`${label}: answers can only come from get… methods`);
+                }
+                if (answer.method === undefined && answer.observable === undefined &&
+                    answer.parameter === undefined && typeof answer.value !== 'number') {
+                    throw new Error(`${label} has no answer source`);
+                }
+            } else {
+                throw new Error(`${label} has unknown type "${question.type}"`);
+            }
+        });
+
+        return quiz;
+    }
+
+    /**
+     * Value the learner's numeric answer is checked against
+     */
+    getExpectedValue(simulationId, answer) {
+        if (typeof answer.value === 'number') {
+            return answer.value;
+        }
+
+        const simulation = this.system.simulations.get(simulationId);
+        const model = simulation && simulation.model;
+        if (!model) return NaN;
+
+        let value;
+        if (answer.method !== undefined) {
+            if (!/^get[A-Z]\w*$/.test(answer.method) || typeof model[answer.method] !== 'function') {
+                return NaN;
+            }
+            value = model[answer.method](...(answer.args || []));
+            if (answer.key !== undefined && value !== null && typeof value === 'object') {
+                value = value[answer.key];
+            }
+        } else if (answer.observable !== undefined) {
+            value = model.getObservableValues()[answer.observable];
+        } else {
+            value = model.getParameters()[answer.parameter];
+        }
+
+        return Number(value);
+    }
+
+    static isWithinTolerance(given, expected, question) {
+        if (!Number.isFinite(given) || !Number.isFinite(expected)) return false;
+
+        const tolerance = question.tolerance !== undefined ? question.tolerance : 0.05;
+        if (question.toleranceType === 'absolute') {
+            return Math.abs(given - expected) <= tolerance;
+        }
+        return Math.abs(given - expected) <= tolerance * Math.max(Math.abs(expected), 1e-12);
+    }
+
+    async start(quiz) {
+        this.exit();
+        await this.waitForSimulation(quiz.simulation);
+
+        this.quiz = quiz;
+        this.score = 0;
+        this.createPanel();
+        this.emit('start', { quiz });
+        this.goToQuestion(0);
+    }
+
+    waitForSimulation(simulationId, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+            const check = () => {
+                const simulation = this.system.simulations.get(simulationId);
+                if (simulation && simulation.model) {
+                    resolve(simulation);
+                } else if (Date.now() - startedAt > timeout) {
+                    reject(new Error(`Simulation "${simulationId}" is not available`));
+                } else {
+                    setTimeout(check, 100);
+                }
+            };
+            check();
+        });
+    }
+
+    getQuestionSimulation(question) {
+        return question.simulation || this.quiz.simulation;
+    }
+
+    goToQuestion(index) {
+        this.releaseStartGuard();
+
+        if (index >= this.quiz.questions.length) {
+            this.complete();
+            return;
+        }
+
+        this.questionIndex = index;
+        this.attempts = 0;
+        this.answered = false;
+
+        const question = this.quiz.questions[index];
+        const simulationId = this.getQuestionSimulation(question);
+
+        if (question.set) {
+            this.system.applyParameters(simulationId, question.set);
+        }
+        if (question.before === 'start') {
+            this.system.resetSimulation(simulationId);
+            this.guardStart(simulationId);
+        }
+
+        this.renderQuestion(question);
+    }
+
+    /**
+     * Keep the simulation paused until the prediction has been submitted
+     */
+    guardStart(simulationId) {
+        this.startGuard = this.system.on('start', detail => {
+            if (detail.simulationId !== simulationId || this.answered) return;
+            this.system.pauseSimulation(simulationId);
+            this.setFeedback('Make your prediction before pressing Start.', 'info');
+        });
+    }
+
+    releaseStartGuard() {
+        if (this.startGuard) {
+            this.startGuard();
+            this.startGuard = null;
+        }
+    }
+
+    /**
+     * Check the current answer, record it and show feedback
+     */
+    submit() {
+        if (!this.quiz || this.answered) return;
+
+        const question = this.quiz.questions[this.questionIndex];
+        const simulationId = this.getQuestionSimulation(question);
+        let given;
+        let expected;
+        let correct;
+
+        if (question.type === 'multiple-choice') {
+            const selected = this.panel.querySelector('input[name="quiz-choice"]:checked');
+            if (!selected) {
+                this.setFeedback('Choose an answer first.', 'info');
+                return;
+            }
+            given = parseInt(selected.value, 10);
+            expected = question.answer;
+            correct = given === expected;
+        } else {
+            given = parseFloat(this.panel.querySelector('.quiz-input').value);
+            if (!Number.isFinite(given)) {
+                this.setFeedback('Enter a number.', 'info');
+                return;
+            }
+            expected = this.getExpectedValue(simulationId, question.answer);
+            correct = QuizEngine.isWithinTolerance(given, expected, question);
+        }
+
+        this.attempts++;
+        const maxAttempts = question.maxAttempts || (question.type === 'numeric' ? this.maxAttempts : 1);
+        const finished = correct || this.attempts >= maxAttempts;
+
+        if (!finished) {
+            this.setFeedback(`Not quite. ${this.getHint(question, given, expected)} Try once more.`, 'error');
+            return;
+        }
+
+        this.answered = true;
+        if (correct) this.score++;
+        this.releaseStartGuard();
+
+        this.progress.recordQuizResult(this.quiz.id, question.id, {
+            correct,
+            answer: given,
+            expected,
+            attempts: this.attempts
+        });
+        this.emit('answer', { quiz: this.quiz, question, correct, answer: given, expected });
+
+        const expectedText = question.type === 'numeric'
+            ? `${QuizEngine.formatNumber(expected)}${question.unit ? ' ' + question.unit : ''}`
+            : question.choices[expected];
+        const verdict = correct ? 'Correct!' : `The answer is ${expectedText}.`;
+        this.setFeedback(`${verdict} ${question.explanation || ''}`.trim(), correct ? 'success' : 'error');
+        this.updatePanelButtons();
+    }
+
+    getHint(question, given, expected) {
+        if (question.type !== 'numeric' || !Number.isFinite(expected)) return '';
+        return given > expected ? 'Your answer is too high.' : 'Your answer is too low.';
+    }
+
+    static formatNumber(value) {
+        if (!Number.isFinite(value)) return '—';
+        return Math.abs(value) >= 1000 || Math.abs(value) < 0.01 ? value.toExponential(2) : value.toFixed(2);
+    }
+
+    complete() {
+        const quiz = this.quiz;
+        const total = quiz.questions.length;
+        this.progress.recordQuizCompletion(quiz.id, this.score, total);
+        this.emit('complete', { quiz, score: this.score, total });
+
+        this.panel.querySelector('.quiz-body').innerHTML = '';
+        this.panel.querySelector('.quiz-progress').textContent = 'Finished';
+        this.setFeedback(`You answered ${this.score} of ${total} correctly.`, this.score === total ? 'success' : 'info');
+        this.questionIndex = total;
+        this.updatePanelButtons();
+    }
+
+    exit() {
+        this.releaseStartGuard();
+        if (this.panel && this.panel.parentElement) {
+            this.panel.parentElement.removeChild(this.panel);
+        }
+        this.panel = null;
+        this.quiz = null;
+        this.questionIndex = -1;
+    }
+
+    /**
+     * Quiz panel shown above the simulation's controls
+     */
+    createPanel() {
+        const container = document.getElementById(`${this.quiz.simulation}-simulation`);
+        const card = container && container.closest('.simulation-card');
+        if (!card) {
+            throw new Error(`No simulation card for "${this.quiz.simulation}"`);
+        }
+
+        const panel = document.createElement('section');
+        panel.className = 'quiz-panel';
+        panel.setAttribute('aria-live', 'polite');
+        panel.innerHTML = `
+            <header class="quiz-header">
+                <h4 class="quiz-title"></h4>
+                <span class="quiz-progress"></span>
+            </header>
+            <form class="quiz-body" novalidate></form>
+            <p class="quiz-feedback"></p>
+            <div class="quiz-buttons">
+                <button type="button" class="btn btn-primary" data-quiz-action="submit">
+                    <i class="fas fa-check"></i> Check
+                </button>
+                <button type="button" class="btn btn-outline" data-quiz-action="next">
+                    <span class="quiz-next-label">Next</span> <i class="fas fa-arrow-right"></i>
+                </button>
+                <button type="button" class="btn btn-secondary" data-quiz-action="exit">
+                    <i class="fas fa-times"></i> Close
+                </button>
+            </div>
+        `;
+        panel.querySelector('.quiz-title').textContent = this.quiz.title || 'Quiz';
+
+        panel.querySelector('.quiz-body').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+        panel.querySelectorAll('[data-quiz-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.quizAction;
+                if (action === 'submit') this.submit();
+                if (action === 'next') this.goToQuestion(this.questionIndex + 1);
+                if (action === 'exit') this.exit();
+            });
+        });
+
+        const controls = card.querySelector('.simulation-controls');
+        card.insertBefore(panel, controls);
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.panel = panel;
+    }
+
+    renderQuestion(question) {
+        const body = this.panel.querySelector('.quiz-body');
+        body.innerHTML = '';
+
+        const prompt = document.createElement('p');
+        prompt.className = 'quiz-prompt';
+        prompt.textContent = question.prompt;
+        body.appendChild(prompt);
+
+        if (question.type === 'multiple-choice') {
+            const list = document.createElement('div');
+            list.className = 'quiz-choices';
+            list.setAttribute('role', 'radiogroup');
+            question.choices.forEach((choice, index) => {
+                const label = document.createElement('label');
+                label.className = 'quiz-choice';
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = 'quiz-choice';
+                input.value = String(index);
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(' ' + choice));
+                list.appendChild(label);
+            });
+            body.appendChild(list);
+        } else {
+            const field = document.createElement('label');
+            field.className = 'quiz-field';
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'quiz-input';
+            input.setAttribute('aria-label', 'Your answer');
+            field.appendChild(input);
+            if (question.unit) {
+                field.appendChild(document.createTextNode(' ' + question.unit));
+            }
+            body.appendChild(field);
+        }
+
+        this.panel.querySelector('.quiz-progress').textContent =
+            `Question ${this.questionIndex + 1} of ${this.quiz.questions.length}`;
+        this.setFeedback(question.before === 'start' ? 'Answer before pressing Start.' : '', 'info');
+        this.updatePanelButtons();
+    }
+
+    setFeedback(text, type) {
+        if (!this.panel) return;
+        const feedback = this.panel.querySelector('.quiz-feedback');
+        feedback.textContent = text;
+        feedback.className = `quiz-feedback quiz-feedback-${type}`;
+    }
+
+    updatePanelButtons() {
+        if (!this.panel) return;
+        const finished = this.questionIndex >= this.quiz.questions.length;
+        const isLast = this.questionIndex === this.quiz.questions.length - 1;
+
+        this.panel.querySelector('[data-quiz-action="submit"]').disabled = this.answered || finished;
+        const nextButton = this.panel.querySelector('[data-quiz-action="next"]');
+        nextButton.disabled = !this.answered || finished;
+        nextButton.querySelector('.quiz-next-label').textContent = isLast ? 'Finish' : 'Next';
+    }
+
+    /**
+     * Subscribe to quiz events ('start', 'answer', 'complete'); returns an
+     * unsubscribe function
+     */
+    on(eventName, listener) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(listener);
+
+        return () => {
+            const listeners = this.eventListeners.get(eventName) || [];
+            this.eventListeners.set(eventName, listeners.filter(l => l !== listener));
+        };
+    }
+
+    emit(eventName, detail) {
+        (this.eventListeners.get(eventName) || []).forEach(listener => listener(detail));
+    }
+}
+
+// Start quizzes once the simulations system exists
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.simulationsSystem) {
+        window.learnerProgress = window.learnerProgress || new LearnerProgress();
+        window.quizEngine = new QuizEngine(window.simulationsSystem, window.learnerProgress);
+        window.quizEngine.init();
+    }
+});
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizEngine;
+}
@@ -0,0 +1,265 @@
+/**
+ * PhysicsLearn - Simulation Recorder
+ * Records simulation runs for export to CSV/JSON and replays recorded JSON
+ */
+
+/**
+ * Records one run of a simulation registered in `SimulationsSystem`.
+ *
+ * Every `sampleInterval` seconds of simulated time a frame is stored with the
+ * model's observables (`getObservableValues()`) and its full dynamic state
+ * (`getState()`), so a recording can be analysed in a spreadsheet and also
+ * played back exactly. Parameter changes made during the run are logged with
+ * the simulated time at which they happened.
+ */
+class SimulationRecorder {
+    constructor(simulationId, simulation, options = {}) {
+        this.simulationId = simulationId;
+        this.simulation = simulation;
+        this.sampleInterval = options.sampleInterval || 1 / 30; // seconds of simulated time
+        this.maxFrames = options.maxFrames || 18000;
+        this.onLimit = options.onLimit || null;
+        this.isRecording = false;
+        this.metadata = null;
+        this.parameterChanges = [];
+        this.frames = [];
+        this.unsubscribe = null;
+    }
+
+    start() {
+        const { model, stepper } = this.simulation;
+
+        this.startTime = stepper.time;
+        this.nextSampleTime = 0;
+        this.frames = [];
+        this.parameterChanges = [];
+        this.metadata = {
+            format: 'physicslearn-recording',
+            version: 1,
+            simulationId: this.simulationId,
+            startTime: new Date().toISOString(),
+            integrator: stepper.integratorName,
+            timestep: stepper.timestep,
+            sampleInterval: this.sampleInterval,
+            canvas: { width: model.width, height: model.height },
+            parameters: model.getParameters(),
+            observables: model.getObservableDefinitions()
+        };
+
+        this.isRecording = true;
+        this.capture(stepper.time);
+        this.unsubscribe = stepper.onStep(time => this.capture(time));
+    }
+
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.isRecording = false;
+        return this.toJSON();
+    }
+
+    /**
+     * Store a frame if one is due at this simulated time
+     */
+    capture(time) {
+        const t = time - this.startTime;
+        if (!this.isRecording || t + 1e-9 < this.nextSampleTime) return;
+        this.nextSampleTime = t + this.sampleInterval;
+
+        const { model } = this.simulation;
+        this.frames.push({
+            t,
+            values: model.getObservableValues(),
+            state: model.getState()
+        });
+
+        if (this.frames.length >= this.maxFrames) {
+            this.stop();
+            if (this.onLimit) {
+                this.onLimit(this);
+            }
+        }
+    }
+
+    recordParameterChange(parameter, value) {
+        if (!this.isRecording) return;
+        this.parameterChanges.push({
+            t: this.simulation.stepper.time - this.startTime,
+            parameter,
+            value
+        });
+    }
+
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    toJSON() {
+        return {
+            metadata: this.metadata,
+            parameterChanges: this.parameterChanges,
+            frames: this.frames
+        };
+    }
+
+    /**
+     * Serialize as CSV: `#` metadata lines, a header row with units, then one
+     * row per frame with the observables and the parameters in effect
+     */
+    toCSV() {
+        const recording = this.toJSON();
+        const { metadata } = recording;
+        const parameterNames = Object.keys(metadata.parameters);
+        const lines = [
+            ['# simulation', metadata.simulationId],
+            ['# startTime', metadata.startTime],
+            ['# integrator', metadata.integrator],
+            ['# timestep (s)', metadata.timestep],
+            ...parameterNames.map(name => [`# parameter ${name}`, metadata.parameters[name]]),
+            [
+                't (s)',
+                ...metadata.observables.map(definition => `${definition.label} (${definition.unit})`),
+                ...parameterNames
+            ]
+        ];
+
+        const parameters = { ...metadata.parameters };
+        let changeIndex = 0;
+
+        recording.frames.forEach(frame => {
+            while (changeIndex < recording.parameterChanges.length &&
+                   recording.parameterChanges[changeIndex].t <= frame.t + 1e-9) {
+                const change = recording.parameterChanges[changeIndex++];
+                parameters[change.parameter] = change.value;
+            }
+
+            lines.push([
+                frame.t.toFixed(4),
+                ...metadata.observables.map(definition => frame.values[definition.key]),
+                ...parameterNames.map(name => parameters[name])
+            ]);
+        });
+
+        return lines.map(row => row.map(SimulationRecorder.escapeCSV).join(',')).join('\n') + '\n';
+    }
+
+    getFilename(extension) {
+        const stamp = this.metadata.startTime.replace(/[:.]/g, '-');
+        return `${this.simulationId}-${stamp}.${extension}`;
+    }
+
+    /**
+     * One CSV cell. Text that a spreadsheet would run as a formula (starting
+     * with =, +, -, @, a tab or a carriage return) gets a leading quote;
+     * numbers, negative ones included, are written as they are.
+     */
+    static escapeCSV(value) {
+        if (value === undefined || value === null || (typeof value === 'number' && !Number.isFinite(value))) {
+            return '';
+        }
+        let text = String(value);
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse and validate a recording previously exported as JSON
+     */
+    static parse(text) {
+        let recording;
+        try {
+            recording = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const metadata = recording && recording.metadata;
+        if (!metadata || metadata.format !== 'physicslearn-recording') {
+            throw new Error('The file is not a PhysicsLearn recording');
+        }
+        if (!Array.isArray(recording.frames) || recording.frames.length === 0) {
+            throw new Error('The recording contains no frames');
+        }
+
+        return {
+            metadata,
+            parameterChanges: Array.isArray(recording.parameterChanges) ? recording.parameterChanges : [],
+            frames: recording.frames
+        };
+    }
+
+    /**
+     * Offer text content to the user as a file download
+     */
+    static download(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+/**
+ * Plays a recording back into a live model at real-time speed, restoring
+ * the recorded state frame by frame and re-applying parameter changes.
+ */
+class SimulationReplay {
+    constructor(recording, model, options = {}) {
+        this.recording = recording;
+        this.model = model;
+        this.onParameterChange = options.onParameterChange || null;
+        this.onFrame = options.onFrame || null;
+        this.time = 0;
+        this.frameIndex = 0;
+        this.changeIndex = 0;
+        this.isFinished = false;
+    }
+
+    getDuration() {
+        const frames = this.recording.frames;
+        return frames[frames.length - 1].t;
+    }
+
+    /**
+     * Move the replay forward by elapsed real time (seconds)
+     */
+    advance(elapsedSeconds) {
+        if (this.isFinished) return;
+        this.time += Math.max(0, elapsedSeconds);
+
+        const { frames, parameterChanges } = this.recording;
+
+        while (this.changeIndex < parameterChanges.length && parameterChanges[this.changeIndex].t <= this.time) {
+            const change = parameterChanges[this.changeIndex++];
+            if (this.onParameterChange) {
+                this.onParameterChange(change.parameter, change.value);
+            }
+        }
+
+        while (this.frameIndex < frames.length && frames[this.frameIndex].t <= this.time) {
+            const frame = frames[this.frameIndex++];
+            this.model.setState(frame.state);
+            if (this.onFrame) {
+                this.onFrame(frame);
+            }
+        }
+
+        if (this.frameIndex >= frames.length) {
+            this.isFinished = true;
+        }
+    }
+}
+
+// Export for potential use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationRecorder, SimulationReplay };
+}
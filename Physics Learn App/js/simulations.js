@@ -6,8 +6,17 @@
 class SimulationsSystem {
     constructor() {
         this.simulations = new Map();
+        this.graphs = new Map();
+        this.recorders = new Map();
+        this.replays = new Map();
+        this.recorderControls = new Map();
+        this.permalinkTimer = null;
+        this.permalinkSimulations = new Set();
+        this.eventListeners = new Map();
         this.isInitialized = false;
         this.currentCategory = 'all';
+        this.integrator = 'rk4';
+        this.timestep = 1 / 240; // seconds of simulated time per physics step
         this.init();
     }
 
@@ -112,6 +121,14 @@ class SimulationsSystem {
             });
         });
 
+        // Select controls
+        const selectInputs = document.querySelectorAll('.simulation-controls select');
+        selectInputs.forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.handleSelectInput(e.target);
+            });
+        });
+
         // Checkbox controls
         const checkboxInputs = document.querySelectorAll('input[type="checkbox"]');
         checkboxInputs.forEach(input => {
@@ -124,7 +141,8 @@ class SimulationsSystem {
         const controlButtons = document.querySelectorAll('.control-buttons .btn');
         controlButtons.forEach(button => {
             button.addEventListener('click', (e) => {
-                this.handleControlButton(e.target);
+                // currentTarget: clicks on the icon inside the button still count
+                this.handleControlButton(e.currentTarget);
             });
         });
     }
@@ -149,6 +167,18 @@ class SimulationsSystem {
         }
     }
 
+    /**
+     * Handle select input changes
+     */
+    handleSelectInput(input) {
+        const simulationId = this.getSimulationIdFromControl(input.id);
+        const parameter = this.getParameterFromControl(input.id);
+        
+        if (simulationId && parameter) {
+            this.updateSimulationParameter(simulationId, parameter, input.value);
+        }
+    }
+
     /**
      * Handle checkbox input changes
      */
@@ -181,6 +211,9 @@ class SimulationsSystem {
                 case 'reset':
                     this.resetSimulation(simulationId);
                     break;
+                default:
+                    this.runSimulationAction(simulationId, action);
+                    break;
             }
         }
     }
@@ -190,6 +223,9 @@ class SimulationsSystem {
      */
     initializeSimulations() {
         this.createPendulumSimulation();
+        this.createDoublePendulumSimulation();
+        this.createSpringChainSimulation();
+        this.createProjectileSimulation();
         this.createWaveSimulation();
         this.createGravitySimulation();
         this.createElectricFieldSimulation();
@@ -204,6 +240,7 @@ class SimulationsSystem {
 
         const sketch = (p) => {
             let pendulum;
+            let stepper;
             let isRunning = false;
 
             p.setup = () => {
@@ -213,6 +250,10 @@ class SimulationsSystem {
                 
                 // Initialize pendulum
                 pendulum = new PendulumSimulation(p, width, height);
+                stepper = this.createStepper(pendulum);
+                this.attachGraph('pendulum', container, pendulum, stepper);
+                this.attachRecorderControls('pendulum', container);
+                this.restoreFromPermalink('pendulum');
                 
                 // Hide loading indicator
                 this.hideLoadingIndicator(container);
@@ -221,14 +262,17 @@ class SimulationsSystem {
             p.draw = () => {
                 p.background(248, 250, 252);
                 
-                if (isRunning) {
-                    pendulum.update();
+                if (this.replays.has('pendulum')) {
+                    this.advanceReplay('pendulum', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
                 }
                 
                 pendulum.display();
                 
                 // Display information
                 this.displayPendulumInfo(p, pendulum);
+                this.renderGraph('pendulum');
             };
 
             p.windowResized = () => {
@@ -241,11 +285,16 @@ class SimulationsSystem {
             // Expose control methods
             this.simulations.set('pendulum', {
                 sketch: p,
+                get model() { return pendulum; },
+                get stepper() { return stepper; },
                 start: () => { isRunning = true; },
                 pause: () => { isRunning = false; },
-                reset: () => { pendulum.reset(); isRunning = false; },
+                reset: () => { pendulum.reset(); stepper.reset(); this.resetGraph('pendulum'); isRunning = false; },
                 updateParameter: (param, value) => {
                     switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
                         case 'length':
                             pendulum.setLength(value);
                             break;
@@ -263,6 +312,308 @@ class SimulationsSystem {
         new p5(sketch, container);
     }
 
+    /**
+     * Create double pendulum simulation
+     */
+    createDoublePendulumSimulation() {
+        const container = document.getElementById('doublependulum-simulation');
+        if (!container) return;
+
+        const sketch = (p) => {
+            let doublePendulum;
+            let stepper;
+            let isRunning = false;
+
+            p.setup = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.createCanvas(width, height);
+
+                doublePendulum = new DoublePendulumSimulation(p, width, height);
+                stepper = this.createStepper(doublePendulum);
+                this.attachGraph('doublependulum', container, doublePendulum, stepper);
+                this.attachRecorderControls('doublependulum', container);
+                this.restoreFromPermalink('doublependulum');
+                this.hideLoadingIndicator(container);
+            };
+
+            p.draw = () => {
+                p.background(248, 250, 252);
+
+                if (this.replays.has('doublependulum')) {
+                    this.advanceReplay('doublependulum', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
+                }
+
+                doublePendulum.display();
+                this.displayDoublePendulumInfo(p, doublePendulum);
+                this.renderGraph('doublependulum');
+            };
+
+            p.windowResized = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.resizeCanvas(width, height);
+                doublePendulum.resize(width, height);
+            };
+
+            this.simulations.set('doublependulum', {
+                sketch: p,
+                get model() { return doublePendulum; },
+                get stepper() { return stepper; },
+                start: () => { isRunning = true; },
+                pause: () => { isRunning = false; },
+                reset: () => { doublePendulum.reset(); stepper.reset(); this.resetGraph('doublependulum'); isRunning = false; },
+                updateParameter: (param, value) => {
+                    switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
+                        case 'length1':
+                            doublePendulum.setLength1(value);
+                            break;
+                        case 'length2':
+                            doublePendulum.setLength2(value);
+                            break;
+                        case 'mass1':
+                            doublePendulum.setMass1(value);
+                            break;
+                        case 'mass2':
+                            doublePendulum.setMass2(value);
+                            break;
+                        case 'angle1':
+                            doublePendulum.setInitialAngle1(value * p.PI / 180);
+                            break;
+                        case 'angle2':
+                            doublePendulum.setInitialAngle2(value * p.PI / 180);
+                            break;
+                        case 'gravity':
+                            doublePendulum.setGravity(value);
+                            break;
+                        case 'chaos':
+                            doublePendulum.setChaosMode(value);
+                            break;
+                        case 'epsilon':
+                            doublePendulum.setEpsilon(parseFloat(value));
+                            break;
+                    }
+                }
+            });
+        };
+
+        new p5(sketch, container);
+    }
+
+    /**
+     * Create coupled spring-mass chain simulation
+     */
+    createSpringChainSimulation() {
+        const container = document.getElementById('springchain-simulation');
+        if (!container) return;
+
+        const sketch = (p) => {
+            let springChain;
+            let stepper;
+            let isRunning = false;
+
+            p.setup = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.createCanvas(width, height);
+
+                springChain = new SpringChainSimulation(p, width, height);
+                stepper = this.createStepper(springChain);
+                this.attachGraph('springchain', container, springChain, stepper);
+                this.attachRecorderControls('springchain', container);
+                this.restoreFromPermalink('springchain');
+                this.hideLoadingIndicator(container);
+            };
+
+            p.draw = () => {
+                p.background(248, 250, 252);
+
+                if (this.replays.has('springchain')) {
+                    this.advanceReplay('springchain', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
+                }
+
+                springChain.display();
+                this.renderGraph('springchain');
+            };
+
+            p.windowResized = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.resizeCanvas(width, height);
+                springChain.resize(width, height);
+            };
+
+            this.simulations.set('springchain', {
+                sketch: p,
+                get model() { return springChain; },
+                get stepper() { return stepper; },
+                start: () => { isRunning = true; },
+                pause: () => { isRunning = false; },
+                reset: () => { springChain.reset(); stepper.reset(); this.resetGraph('springchain'); isRunning = false; },
+                updateParameter: (param, value) => {
+                    switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
+                        case 'count':
+                            springChain.setCount(value);
+                            this.resetGraph('springchain');
+                            break;
+                        case 'stiffness':
+                            springChain.setStiffness(value);
+                            break;
+                        case 'mass':
+                            springChain.setMass(value);
+                            break;
+                        case 'amplitude':
+                            springChain.setAmplitude(value);
+                            break;
+                        case 'excite':
+                            springChain.setExcitation(value);
+                            break;
+                    }
+                }
+            });
+        };
+
+        new p5(sketch, container);
+    }
+
+    /**
+     * Create projectile motion simulation
+     */
+    createProjectileSimulation() {
+        const container = document.getElementById('projectile-simulation');
+        if (!container) return;
+
+        const sketch = (p) => {
+            let projectile;
+            let stepper;
+            let isRunning = false;
+
+            p.setup = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.createCanvas(width, height);
+
+                projectile = new ProjectileSimulation(p, width, height);
+                projectile.onLand = (result) => {
+                    isRunning = false;
+                    this.reportProjectileLanding(result);
+                };
+                stepper = this.createStepper(projectile);
+                this.attachGraph('projectile', container, projectile, stepper);
+                this.attachRecorderControls('projectile', container);
+                this.restoreFromPermalink('projectile');
+                this.hideLoadingIndicator(container);
+            };
+
+            p.draw = () => {
+                p.background(248, 250, 252);
+
+                if (this.replays.has('projectile')) {
+                    this.advanceReplay('projectile', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
+                }
+
+                projectile.display();
+                this.renderGraph('projectile');
+            };
+
+            p.windowResized = () => {
+                const width = container.offsetWidth;
+                const height = container.offsetHeight;
+                p.resizeCanvas(width, height);
+                projectile.resize(width, height);
+            };
+
+            this.simulations.set('projectile', {
+                sketch: p,
+                get model() { return projectile; },
+                get stepper() { return stepper; },
+                start: () => {
+                    // Each start after a landing fires a new run
+                    if (projectile.prepareLaunch()) {
+                        stepper.reset();
+                        this.resetGraph('projectile');
+                    }
+                    isRunning = true;
+                },
+                pause: () => { isRunning = false; },
+                reset: () => { projectile.reset(); stepper.reset(); this.resetGraph('projectile'); isRunning = false; },
+                actions: {
+                    clear: () => { projectile.clearRuns(); },
+                    target: () => {
+                        if (!projectile.challengeMode) {
+                            this.updateSimulationParameter('projectile', 'challenge', true);
+                            this.syncControl('projectile', 'challenge', true);
+                        } else {
+                            projectile.placeTarget();
+                            projectile.reset();
+                        }
+                    }
+                },
+                updateParameter: (param, value) => {
+                    switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
+                        case 'angle':
+                            projectile.setLaunchAngle(value * p.PI / 180);
+                            break;
+                        case 'speed':
+                            projectile.setLaunchSpeed(value);
+                            break;
+                        case 'height':
+                            projectile.setLaunchHeight(value);
+                            break;
+                        case 'gravity':
+                            projectile.setGravity(value);
+                            break;
+                        case 'drag':
+                            projectile.setDragModel(value);
+                            break;
+                        case 'coefficient':
+                            projectile.setDragCoefficient(value);
+                            break;
+                        case 'challenge':
+                            projectile.setChallengeMode(value);
+                            break;
+                    }
+                    // Launch settings reset the projectile to the launch point
+                    if (param !== 'integrator') {
+                        isRunning = false;
+                    }
+                }
+            });
+        };
+
+        new p5(sketch, container);
+    }
+
+    /**
+     * Announce the outcome of a projectile run in challenge mode
+     */
+    reportProjectileLanding(result) {
+        if (result.hit === null) return;
+
+        if (result.hit) {
+            this.showNotification(`Target hit! Range ${result.range.toFixed(2)} m`, 'success');
+        } else {
+            const model = this.simulations.get('projectile').model;
+            const miss = result.range - model.target;
+            this.showNotification(`Missed: ${Math.abs(miss).toFixed(2)} m ${miss > 0 ? 'too far' : 'too short'}`, 'info');
+        }
+    }
+
     /**
      * Create wave simulation
      */
@@ -272,6 +623,7 @@ class SimulationsSystem {
 
         const sketch = (p) => {
             let waveSystem;
+            let stepper;
             let isRunning = false;
 
             p.setup = () => {
@@ -280,17 +632,48 @@ class SimulationsSystem {
                 p.createCanvas(width, height);
                 
                 waveSystem = new WaveInterferenceSimulation(p, width, height);
+                stepper = this.createStepper(waveSystem);
+                this.attachGraph('wave', container, waveSystem, stepper);
+                this.attachRecorderControls('wave', container);
+                this.restoreFromPermalink('wave');
                 this.hideLoadingIndicator(container);
             };
 
             p.draw = () => {
                 p.background(248, 250, 252);
                 
-                if (isRunning) {
-                    waveSystem.update();
+                if (this.replays.has('wave')) {
+                    this.advanceReplay('wave', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
                 }
                 
                 waveSystem.display();
+                this.renderGraph('wave');
+            };
+
+            // Click to add a source, drag to move it, double-click to remove it
+            const isInsideCanvas = () =>
+                p.mouseX >= 0 && p.mouseX <= p.width && p.mouseY >= 0 && p.mouseY <= p.height;
+
+            p.mousePressed = () => {
+                if (isInsideCanvas()) {
+                    waveSystem.handlePress(p.mouseX, p.mouseY);
+                }
+            };
+
+            p.mouseDragged = () => {
+                waveSystem.handleDrag(p.mouseX, p.mouseY);
+            };
+
+            p.mouseReleased = () => {
+                waveSystem.handleRelease();
+            };
+
+            p.doubleClicked = () => {
+                if (isInsideCanvas()) {
+                    waveSystem.handleDoubleClick(p.mouseX, p.mouseY);
+                }
             };
 
             p.windowResized = () => {
@@ -302,11 +685,16 @@ class SimulationsSystem {
 
             this.simulations.set('wave', {
                 sketch: p,
+                get model() { return waveSystem; },
+                get stepper() { return stepper; },
                 start: () => { isRunning = true; },
                 pause: () => { isRunning = false; },
-                reset: () => { waveSystem.reset(); isRunning = false; },
+                reset: () => { waveSystem.reset(); stepper.reset(); this.resetGraph('wave'); isRunning = false; },
                 updateParameter: (param, value) => {
                     switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
                         case 'frequency1':
                             waveSystem.setFrequency1(value);
                             break;
@@ -316,6 +704,20 @@ class SimulationsSystem {
                         case 'amplitude':
                             waveSystem.setAmplitude(value);
                             break;
+                        case 'boundary':
+                            waveSystem.setBoundary(value);
+                            break;
+                        case 'barrier':
+                            waveSystem.setBarrier(value);
+                            stepper.reset();
+                            this.resetGraph('wave');
+                            break;
+                        case 'slit-width':
+                            waveSystem.setSlitWidth(value);
+                            break;
+                        case 'slit-separation':
+                            waveSystem.setSlitSeparation(value);
+                            break;
                     }
                 }
             });
@@ -333,6 +735,7 @@ class SimulationsSystem {
 
         const sketch = (p) => {
             let gravitySystem;
+            let stepper;
             let isRunning = false;
 
             p.setup = () => {
@@ -341,17 +744,35 @@ class SimulationsSystem {
                 p.createCanvas(width, height);
                 
                 gravitySystem = new GravitySimulation(p, width, height);
+                stepper = this.createStepper(gravitySystem);
+                this.attachGraph('gravity', container, gravitySystem, stepper);
+                this.attachRecorderControls('gravity', container);
+                this.restoreFromPermalink('gravity');
                 this.hideLoadingIndicator(container);
             };
 
             p.draw = () => {
                 p.background(248, 250, 252);
                 
-                if (isRunning) {
-                    gravitySystem.update();
+                if (this.replays.has('gravity')) {
+                    this.advanceReplay('gravity', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
                 }
                 
                 gravitySystem.display();
+                this.renderGraph('gravity');
+            };
+
+            // Press and drag on the canvas to launch a body in N-body mode
+            p.mousePressed = () => {
+                if (p.mouseX >= 0 && p.mouseX <= p.width && p.mouseY >= 0 && p.mouseY <= p.height) {
+                    gravitySystem.beginLaunch(p.mouseX, p.mouseY);
+                }
+            };
+
+            p.mouseReleased = () => {
+                gravitySystem.endLaunch(p.mouseX, p.mouseY);
             };
 
             p.windowResized = () => {
@@ -363,13 +784,18 @@ class SimulationsSystem {
 
             this.simulations.set('gravity', {
                 sketch: p,
+                get model() { return gravitySystem; },
+                get stepper() { return stepper; },
                 start: () => { isRunning = true; },
                 pause: () => { isRunning = false; },
-                reset: () => { gravitySystem.reset(); isRunning = false; },
+                reset: () => { gravitySystem.reset(); stepper.reset(); this.resetGraph('gravity'); isRunning = false; },
                 updateParameter: (param, value) => {
                     switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
                         case 'mass':
-                            gravitySystem.setCentralMass(value);
+                            gravitySystem.setCentralMass(value * gravitySystem.solarMass);
                             break;
                         case 'particles':
                             gravitySystem.setParticleCount(parseInt(value));
@@ -377,6 +803,17 @@ class SimulationsSystem {
                         case 'speed':
                             gravitySystem.setSpeed(value);
                             break;
+                        case 'mode':
+                            gravitySystem.setMode(value);
+                            stepper.reset();
+                            this.resetGraph('gravity');
+                            break;
+                        case 'softening':
+                            gravitySystem.setSoftening(value * gravitySystem.au);
+                            break;
+                        case 'merge':
+                            gravitySystem.setMerging(value);
+                            break;
                     }
                 }
             });
@@ -394,6 +831,7 @@ class SimulationsSystem {
 
         const sketch = (p) => {
             let electricSystem;
+            let stepper;
             let isRunning = false;
 
             p.setup = () => {
@@ -402,17 +840,48 @@ class SimulationsSystem {
                 p.createCanvas(width, height);
                 
                 electricSystem = new ElectricFieldSimulation(p, width, height);
+                stepper = this.createStepper(electricSystem);
+                this.attachGraph('electric', container, electricSystem, stepper);
+                this.attachRecorderControls('electric', container);
+                this.restoreFromPermalink('electric');
                 this.hideLoadingIndicator(container);
             };
 
             p.draw = () => {
                 p.background(248, 250, 252);
                 
-                if (isRunning) {
-                    electricSystem.update();
+                if (this.replays.has('electric')) {
+                    this.advanceReplay('electric', p.deltaTime / 1000);
+                } else if (isRunning) {
+                    stepper.advance(p.deltaTime / 1000);
                 }
                 
                 electricSystem.display();
+                this.renderGraph('electric');
+            };
+
+            // Click to add a charge, drag to move it, double-click to delete it
+            const isInsideCanvas = () =>
+                p.mouseX >= 0 && p.mouseX <= p.width && p.mouseY >= 0 && p.mouseY <= p.height;
+
+            p.mousePressed = () => {
+                if (isInsideCanvas()) {
+                    electricSystem.handlePress(p.mouseX, p.mouseY);
+                }
+            };
+
+            p.mouseDragged = () => {
+                electricSystem.handleDrag(p.mouseX, p.mouseY);
+            };
+
+            p.mouseReleased = () => {
+                electricSystem.handleRelease();
+            };
+
+            p.doubleClicked = () => {
+                if (isInsideCanvas()) {
+                    electricSystem.handleDoubleClick(p.mouseX, p.mouseY);
+                }
             };
 
             p.windowResized = () => {
@@ -424,11 +893,16 @@ class SimulationsSystem {
 
             this.simulations.set('electric', {
                 sketch: p,
+                get model() { return electricSystem; },
+                get stepper() { return stepper; },
                 start: () => { isRunning = true; },
                 pause: () => { isRunning = false; },
-                reset: () => { electricSystem.reset(); isRunning = false; },
+                reset: () => { electricSystem.reset(); stepper.reset(); this.resetGraph('electric'); isRunning = false; },
                 updateParameter: (param, value) => {
                     switch (param) {
+                        case 'integrator':
+                            stepper.setIntegrator(value);
+                            break;
                         case 'charge1':
                             electricSystem.setCharge1(value);
                             break;
@@ -438,6 +912,15 @@ class SimulationsSystem {
                         case 'field-lines':
                             electricSystem.showFieldLines(value);
                             break;
+                        case 'vectors':
+                            electricSystem.showFieldVectors(value);
+                            break;
+                        case 'equipotentials':
+                            electricSystem.showEquipotentialLines(value);
+                            break;
+                        case 'new-charge':
+                            electricSystem.setNewCharge(value);
+                            break;
                     }
                 }
             });
@@ -446,6 +929,51 @@ class SimulationsSystem {
         new p5(sketch, container);
     }
 
+    /**
+     * Create a fixed-timestep stepper using the system-wide physics settings
+     */
+    createStepper(model) {
+        return new PhysicsStepper(model, {
+            timestep: this.timestep,
+            integrator: this.integrator
+        });
+    }
+
+    /**
+     * Attach a live graph panel below a simulation's canvas and feed it
+     * from every physics step
+     */
+    attachGraph(simulationId, container, model, stepper) {
+        if (typeof SimulationGraph === 'undefined' || !model.getObservableDefinitions) return null;
+
+        const canvasContainer = container.closest('.simulation-canvas-container') || container;
+        const graphContainer = document.createElement('div');
+        graphContainer.className = 'simulation-graph-container';
+        canvasContainer.parentNode.insertBefore(graphContainer, canvasContainer.nextSibling);
+
+        const graph = new SimulationGraph(graphContainer, model);
+        graph.sample(stepper.time);
+        stepper.onStep(time => graph.sample(time));
+
+        this.graphs.set(simulationId, graph);
+        return graph;
+    }
+
+    renderGraph(simulationId) {
+        const graph = this.graphs.get(simulationId);
+        if (graph) {
+            graph.render();
+        }
+    }
+
+    resetGraph(simulationId) {
+        const graph = this.graphs.get(simulationId);
+        if (graph) {
+            graph.clear();
+            graph.sample(0);
+        }
+    }
+
     /**
      * Hide loading indicator
      */
@@ -464,7 +992,35 @@ class SimulationsSystem {
         p.textAlign(p.LEFT);
         p.textSize(14);
         p.text(`Period: ${pendulum.getPeriod().toFixed(2)}s`, 10, 20);
-        p.text(`Energy: ${pendulum.getEnergy().toFixed(2)}J`, 10, 40);
+        p.text(`Energy: ${pendulum.getEnergy().toFixed(3)}J/kg`, 10, 40);
+
+        const simulation = this.simulations.get('pendulum');
+        if (simulation && simulation.stepper) {
+            const stepper = simulation.stepper;
+            p.text(`t = ${stepper.time.toFixed(2)}s (${stepper.integratorName})`, 10, 60);
+        }
+    }
+
+    /**
+     * Display double pendulum information
+     */
+    displayDoublePendulumInfo(p, doublePendulum) {
+        p.noStroke();
+        p.fill(0);
+        p.textAlign(p.LEFT);
+        p.textSize(14);
+        p.text(`Energy: ${doublePendulum.getEnergy().toFixed(3)}J`, 10, 20);
+
+        const separation = doublePendulum.getSeparation();
+        if (separation !== null) {
+            p.text(`Separation: ${separation.toExponential(2)}`, 10, 40);
+        }
+
+        const simulation = this.simulations.get('doublependulum');
+        if (simulation && simulation.stepper) {
+            const stepper = simulation.stepper;
+            p.text(`t = ${stepper.time.toFixed(2)}s (${stepper.integratorName})`, 10, separation !== null ? 60 : 40);
+        }
     }
 
     /**
@@ -513,7 +1069,9 @@ class SimulationsSystem {
     startSimulation(simulationId) {
         const simulation = this.simulations.get(simulationId);
         if (simulation) {
+            this.stopReplay(simulationId);
             simulation.start();
+            this.emit('start', { simulationId });
         }
     }
 
@@ -521,28 +1079,556 @@ class SimulationsSystem {
         const simulation = this.simulations.get(simulationId);
         if (simulation) {
             simulation.pause();
+            this.emit('pause', { simulationId });
         }
     }
 
     resetSimulation(simulationId) {
         const simulation = this.simulations.get(simulationId);
         if (simulation) {
+            this.stopReplay(simulationId);
             simulation.reset();
+            this.emit('reset', { simulationId });
         }
     }
 
-    updateSimulationParameter(simulationId, parameter, value) {
+    /**
+     * Run a simulation-specific button action (e.g. `projectile-clear`)
+     */
+    runSimulationAction(simulationId, action) {
         const simulation = this.simulations.get(simulationId);
-        if (simulation && simulation.updateParameter) {
-            simulation.updateParameter(parameter, value);
+        if (simulation && simulation.actions && simulation.actions[action]) {
+            simulation.actions[action]();
+            this.emit('action', { simulationId, action });
         }
     }
 
     /**
-     * Show notification
+     * Subscribe to simulation events ('start', 'pause', 'reset', 'action',
+     * 'parameter'); returns an unsubscribe function
      */
-    showNotification(message, type = 'info') {
-        // Reuse the notification system from main.js
+    on(eventName, listener) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(listener);
+
+        return () => {
+            const listeners = this.eventListeners.get(eventName) || [];
+            this.eventListeners.set(eventName, listeners.filter(l => l !== listener));
+        };
+    }
+
+    emit(eventName, detail) {
+        (this.eventListeners.get(eventName) || []).forEach(listener => listener(detail));
+    }
+
+    updateSimulationParameter(simulationId, parameter, value) {
+        const simulation = this.simulations.get(simulationId);
+        if (simulation && simulation.updateParameter) {
+            simulation.updateParameter(parameter, value);
+
+            const recorder = this.recorders.get(simulationId);
+            if (recorder && recorder.isRecording) {
+                recorder.recordParameterChange(parameter, value);
+            }
+
+            this.schedulePermalinkUpdate(simulationId);
+            this.emit('parameter', { simulationId, parameter, value });
+        }
+    }
+
+    /**
+     * Apply a set of parameters and move the matching controls to match.
+     * Values come from links, files and lessons, so each is checked against
+     * its control first and skipped when unusable.
+     */
+    applyParameters(simulationId, parameters) {
+        Object.entries(parameters).forEach(([parameter, raw]) => {
+            const value = this.validateParameter(simulationId, parameter, raw);
+            if (value === null) return;
+
+            this.updateSimulationParameter(simulationId, parameter, value);
+            this.syncControl(simulationId, parameter, value);
+        });
+    }
+
+    /**
+     * The value a control would allow for `parameter`, or null: numbers are
+     * clamped to the slider's range (and rounded where it moves in whole
+     * steps, e.g. body counts), select values must be one of its options
+     * and checkboxes take booleans. Parameters without a control are
+     * rejected.
+     */
+    validateParameter(simulationId, parameter, value) {
+        if (parameter === 'integrator') {
+            return Integrators.names.includes(value) ? value : null;
+        }
+
+        const input = document.getElementById(`${simulationId}-${parameter}`);
+        if (!input) return null;
+
+        if (input.type === 'checkbox') {
+            return typeof value === 'boolean' ? value : null;
+        }
+
+        if (input.tagName === 'SELECT') {
+            const option = Array.from(input.options).find(o =>
+                o.value === String(value) || (typeof value === 'number' && Number(o.value) === value));
+            if (!option) return null;
+            return typeof value === 'number' ? value : option.value;
+        }
+
+        const number = typeof value === 'number' ? value : parseFloat(value);
+        if (!Number.isFinite(number)) return null;
+
+        const min = parseFloat(input.min);
+        const max = parseFloat(input.max);
+        const step = parseFloat(input.step);
+        let clamped = Math.min(max, Math.max(min, number));
+        if (Number.isInteger(step)) {
+            clamped = Math.min(max, min + Math.round((clamped - min) / step) * step);
+        }
+        return clamped;
+    }
+
+    /**
+     * Whether a state from a link or file can be given to the model's
+     * setState(): an object with the keys, array lengths and finite numbers
+     * the model expects
+     */
+    static isValidState(model, state) {
+        return Boolean(state) && typeof state === 'object' && !Array.isArray(state) && model.validateState(state);
+    }
+
+    /**
+     * Update a control's displayed value without firing its listeners
+     */
+    syncControl(simulationId, parameter, value) {
+        const input = document.getElementById(`${simulationId}-${parameter}`);
+        if (!input) return;
+
+        if (input.type === 'checkbox') {
+            input.checked = Boolean(value);
+        } else {
+            input.value = value;
+        }
+
+        // Show the applied value even where a slider snaps it to its step
+        const valueDisplay = document.getElementById(input.id + '-value');
+        if (valueDisplay) {
+            valueDisplay.textContent = value;
+        }
+    }
+
+    /**
+     * Add record, export and replay buttons below a simulation's controls
+     */
+    attachRecorderControls(simulationId, container) {
+        const card = container.closest('.simulation-card');
+        const controls = card && card.querySelector('.simulation-controls');
+        if (!controls || typeof SimulationRecorder === 'undefined') return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'recorder-controls';
+        toolbar.innerHTML = `
+            <button type="button" class="btn btn-outline" data-recorder-action="record">
+                <i class="fas fa-circle"></i> <span>Record</span>
+            </button>
+            <button type="button" class="btn btn-outline" data-recorder-action="csv" disabled>
+                <i class="fas fa-file-csv"></i> CSV
+            </button>
+            <button type="button" class="btn btn-outline" data-recorder-action="json" disabled>
+                <i class="fas fa-file-code"></i> JSON
+            </button>
+            <button type="button" class="btn btn-outline" data-recorder-action="load">
+                <i class="fas fa-folder-open"></i> Replay File
+            </button>
+            <input type="file" accept=".json,application/json" hidden>
+            <span class="recorder-status" aria-live="polite"></span>
+        `;
+
+        const fileInput = toolbar.querySelector('input[type="file"]');
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recorder-action]');
+            if (!button) return;
+
+            switch (button.dataset.recorderAction) {
+                case 'record':
+                    if (this.isRecording(simulationId)) {
+                        this.stopRecording(simulationId);
+                    } else {
+                        this.startRecording(simulationId);
+                    }
+                    break;
+                case 'csv':
+                    this.exportRecording(simulationId, 'csv');
+                    break;
+                case 'json':
+                    this.exportRecording(simulationId, 'json');
+                    break;
+                case 'load':
+                    fileInput.click();
+                    break;
+            }
+        });
+
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            file.text()
+                .then(text => this.loadRecording(text, simulationId))
+                .catch(error => {
+                    console.error('Recording could not be replayed:', error);
+                    this.showNotification(`The recording could not be replayed: ${error.message}`, 'error');
+                });
+        });
+
+        const shareButton = document.createElement('button');
+        shareButton.type = 'button';
+        shareButton.className = 'btn btn-outline';
+        shareButton.innerHTML = '<i class="fas fa-link"></i> Share';
+        shareButton.title = 'Copy a link to this setup (hold Shift to include the current motion)';
+        shareButton.addEventListener('click', (e) => {
+            this.sharePermalink(simulationId, e.shiftKey);
+        });
+        toolbar.insertBefore(shareButton, toolbar.querySelector('.recorder-status'));
+
+        controls.appendChild(toolbar);
+        this.recorderControls.set(simulationId, toolbar);
+    }
+
+    updateRecorderControls(simulationId) {
+        const toolbar = this.recorderControls.get(simulationId);
+        if (!toolbar) return;
+
+        const recorder = this.recorders.get(simulationId);
+        const recording = this.isRecording(simulationId);
+        const hasFrames = Boolean(recorder && recorder.frames.length > 0);
+        const recordButton = toolbar.querySelector('[data-recorder-action="record"]');
+
+        recordButton.classList.toggle('recording', recording);
+        recordButton.querySelector('span').textContent = recording ? 'Stop' : 'Record';
+        toolbar.querySelector('[data-recorder-action="csv"]').disabled = !hasFrames || recording;
+        toolbar.querySelector('[data-recorder-action="json"]').disabled = !hasFrames || recording;
+
+        let status = '';
+        if (this.replays.has(simulationId)) {
+            status = 'Replaying recording…';
+        } else if (recording) {
+            status = 'Recording…';
+        } else if (hasFrames) {
+            status = `${recorder.getDuration().toFixed(1)} s recorded`;
+        }
+        toolbar.querySelector('.recorder-status').textContent = status;
+    }
+
+    /**
+     * Permalinks
+     *
+     * Parameters are stored in the query string as `<simId>.<parameter>=value`
+     * (e.g. `?pendulum.angle=60&pendulum.gravity=1.62`), so several
+     * simulations can share one link. `<simId>.state` optionally holds the
+     * model's dynamic state as JSON.
+     */
+    getPermalinkParams(simulationId, includeState = false) {
+        const simulation = this.simulations.get(simulationId);
+        const params = new URLSearchParams();
+        if (!simulation || !simulation.model) return params;
+
+        params.set(`${simulationId}.integrator`, simulation.stepper.integratorName);
+        Object.entries(simulation.model.getParameters()).forEach(([parameter, value]) => {
+            params.set(`${simulationId}.${parameter}`, String(value));
+        });
+
+        if (includeState) {
+            params.set(`${simulationId}.state`, JSON.stringify(simulation.model.getState()));
+        }
+
+        return params;
+    }
+
+    /**
+     * Build a link that opens the given simulation with its current setup
+     */
+    getPermalink(simulationId, includeState = false) {
+        const url = new URL(window.location.href);
+        url.search = this.getPermalinkParams(simulationId, includeState).toString();
+
+        const container = document.getElementById(`${simulationId}-simulation`);
+        const card = container && container.closest('.simulation-card');
+        url.hash = card && card.id ? card.id : '';
+
+        return url.toString();
+    }
+
+    sharePermalink(simulationId, includeState = false) {
+        const link = this.getPermalink(simulationId, includeState);
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(() => this.showNotification('Link copied to clipboard', 'success'))
+                .catch(() => window.prompt('Copy this link:', link));
+        } else {
+            window.prompt('Copy this link:', link);
+        }
+
+        return link;
+    }
+
+    /**
+     * Keep the address bar in sync with the parameters of every simulation
+     * the user has changed, so a reload restores the same setup
+     */
+    schedulePermalinkUpdate(simulationId) {
+        this.permalinkSimulations.add(simulationId);
+
+        clearTimeout(this.permalinkTimer);
+        this.permalinkTimer = setTimeout(() => {
+            const params = new URLSearchParams(window.location.search);
+
+            this.permalinkSimulations.forEach(id => {
+                // Dynamic state is only kept in explicitly shared links
+                [...params.keys()]
+                    .filter(key => key.startsWith(`${id}.`))
+                    .forEach(key => params.delete(key));
+                this.getPermalinkParams(id).forEach((value, key) => params.set(key, value));
+            });
+
+            const query = params.toString();
+            const url = window.location.pathname + (query ? `?${query}` : '') + window.location.hash;
+            history.replaceState(history.state, '', url);
+        }, 300);
+    }
+
+    /**
+     * Apply any parameters (and state) for a simulation found in the URL
+     */
+    restoreFromPermalink(simulationId) {
+        const simulation = this.simulations.get(simulationId);
+        const params = new URLSearchParams(window.location.search);
+        if (!simulation || !simulation.model) return false;
+
+        const prefix = `${simulationId}.`;
+        if (![...params.keys()].some(key => key.startsWith(prefix))) return false;
+
+        const integrator = params.get(`${prefix}integrator`);
+        if (integrator && Integrators.names.includes(integrator)) {
+            this.updateSimulationParameter(simulationId, 'integrator', integrator);
+            this.syncControl(simulationId, 'integrator', integrator);
+        }
+
+        // Apply in the model's own parameter order and coerce each value to
+        // the type of the current setting; unknown keys are ignored, and
+        // applyParameters keeps the rest within the controls' ranges
+        const current = simulation.model.getParameters();
+        const parameters = {};
+        Object.keys(current).forEach(parameter => {
+            const raw = params.get(prefix + parameter);
+            if (raw === null) return;
+
+            const value = this.parsePermalinkValue(raw, current[parameter]);
+            if (value !== null) {
+                parameters[parameter] = value;
+            }
+        });
+        this.applyParameters(simulationId, parameters);
+
+        const state = params.get(`${prefix}state`);
+        if (state) {
+            try {
+                const parsed = JSON.parse(state);
+                if (!SimulationsSystem.isValidState(simulation.model, parsed)) {
+                    throw new Error('Invalid state');
+                }
+                simulation.model.setState(parsed);
+            } catch (error) {
+                this.showNotification('The link contains an invalid simulation state', 'error');
+            }
+        }
+
+        this.resetGraph(simulationId);
+        return true;
+    }
+
+    parsePermalinkValue(raw, currentValue) {
+        switch (typeof currentValue) {
+            case 'number': {
+                const value = parseFloat(raw);
+                return Number.isFinite(value) ? value : null;
+            }
+            case 'boolean':
+                return raw === 'true' || raw === '1';
+            default:
+                return raw;
+        }
+    }
+
+    /**
+     * Recording and replay of simulation runs
+     */
+    isRecording(simulationId) {
+        const recorder = this.recorders.get(simulationId);
+        return Boolean(recorder && recorder.isRecording);
+    }
+
+    startRecording(simulationId) {
+        const simulation = this.simulations.get(simulationId);
+        if (!simulation || !simulation.model) return null;
+
+        this.stopReplay(simulationId);
+
+        const recorder = new SimulationRecorder(simulationId, simulation, {
+            onLimit: () => {
+                this.updateRecorderControls(simulationId);
+                this.showNotification('Recording stopped: maximum length reached', 'warning');
+            }
+        });
+        recorder.start();
+        this.recorders.set(simulationId, recorder);
+        this.updateRecorderControls(simulationId);
+        return recorder;
+    }
+
+    stopRecording(simulationId) {
+        const recorder = this.recorders.get(simulationId);
+        if (!recorder || !recorder.isRecording) return null;
+
+        const recording = recorder.stop();
+        this.updateRecorderControls(simulationId);
+        return recording;
+    }
+
+    /**
+     * Download the last recording of a simulation as 'csv' or 'json'
+     */
+    exportRecording(simulationId, format = 'csv') {
+        const recorder = this.recorders.get(simulationId);
+        if (!recorder || recorder.frames.length === 0) {
+            this.showNotification('Record a run before exporting', 'warning');
+            return;
+        }
+
+        if (format === 'json') {
+            SimulationRecorder.download(recorder.getFilename('json'),
+                                        JSON.stringify(recorder.toJSON(), null, 2), 'application/json');
+        } else {
+            SimulationRecorder.download(recorder.getFilename('csv'), recorder.toCSV(), 'text/csv');
+        }
+    }
+
+    /**
+     * Parse an exported JSON recording and replay it. When `expectedId` is
+     * given the recording must belong to that simulation.
+     */
+    loadRecording(text, expectedId = null) {
+        let recording;
+        try {
+            recording = SimulationRecorder.parse(text);
+            if (expectedId && recording.metadata.simulationId !== expectedId) {
+                throw new Error(`This recording is for the ${recording.metadata.simulationId} simulation`);
+            }
+            const simulation = this.simulations.get(recording.metadata.simulationId);
+            if (simulation && simulation.model &&
+                !recording.frames.every(frame => frame && SimulationsSystem.isValidState(simulation.model, frame.state))) {
+                throw new Error('The recording contains an invalid simulation state');
+            }
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return null;
+        }
+
+        return this.replayRecording(recording);
+    }
+
+    replayRecording(recording) {
+        const { metadata } = recording;
+        const simulationId = metadata.simulationId;
+        const simulation = this.simulations.get(simulationId);
+        if (!simulation || !simulation.model) {
+            this.showNotification(`Unknown simulation: ${simulationId}`, 'error');
+            return null;
+        }
+
+        this.stopRecording(simulationId);
+        simulation.pause();
+
+        // Parameters go through the same range checks as permalinks
+        this.applyParameters(simulationId, { integrator: metadata.integrator });
+        this.applyParameters(simulationId, metadata.parameters || {});
+
+        const graph = this.graphs.get(simulationId);
+        if (graph) {
+            graph.clear();
+        }
+
+        const replay = new SimulationReplay(recording, simulation.model, {
+            onParameterChange: (parameter, value) => {
+                this.applyParameters(simulationId, { [parameter]: value });
+            },
+            onFrame: (frame) => {
+                if (graph) {
+                    graph.sample(frame.t, frame.values);
+                }
+            }
+        });
+
+        this.replays.set(simulationId, replay);
+        this.updateRecorderControls(simulationId);
+        this.showNotification(`Replaying ${replay.getDuration().toFixed(1)} s recording`, 'info');
+        return replay;
+    }
+
+    advanceReplay(simulationId, elapsedSeconds) {
+        const replay = this.replays.get(simulationId);
+        if (!replay) return;
+
+        replay.advance(elapsedSeconds);
+        if (replay.isFinished) {
+            this.stopReplay(simulationId);
+        }
+    }
+
+    stopReplay(simulationId) {
+        if (this.replays.delete(simulationId)) {
+            this.updateRecorderControls(simulationId);
+        }
+    }
+
+    /**
+     * Switch every simulation to the given integrator
+     */
+    setIntegrator(name) {
+        Integrators.get(name); // throws on unknown names
+        this.integrator = name;
+        this.simulations.forEach(simulation => {
+            if (simulation.stepper) {
+                simulation.stepper.setIntegrator(name);
+            }
+        });
+    }
+
+    /**
+     * Change the physics timestep (seconds) for every simulation
+     */
+    setTimestep(timestep) {
+        if (!(timestep > 0)) return;
+        this.timestep = timestep;
+        this.simulations.forEach(simulation => {
+            if (simulation.stepper) {
+                simulation.stepper.setTimestep(timestep);
+            }
+        });
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        // Reuse the notification system from main.js
         if (window.app && window.app.showNotification) {
             window.app.showNotification(message, type);
         } else {
@@ -584,49 +1670,82 @@ class SimulationsSystem {
             }
         });
         this.simulations.clear();
+
+        this.graphs.forEach(graph => graph.destroy());
+        this.graphs.clear();
     }
 }
 
 /**
  * Pendulum Simulation Class
+ * State is kept in SI units: length in metres, angle in radians,
+ * angular velocity in rad/s and gravity in m/s².
  */
 class PendulumSimulation {
     constructor(p, width, height) {
         this.p = p;
         this.width = width;
         this.height = height;
-        this.length = 150;
+        this.length = 1.5;
         this.gravity = 9.8;
-        this.angle = this.p.PI / 6;
+        this.damping = 0; // linear damping coefficient (1/s)
+        this.initialAngle = Math.PI / 6;
+        this.angle = this.initialAngle;
         this.angleVel = 0;
         this.angleAcc = 0;
-        this.damping = 0.999;
         this.cx = width / 2;
         this.cy = 50;
         this.trail = [];
         this.maxTrailLength = 50;
+        this.trailInterval = 1 / 60; // seconds of simulated time between trail points
+        this.trailTimer = 0;
+        this.updateScale();
         this.reset();
     }
 
-    update() {
-        this.angleAcc = (-this.gravity / (this.length * 10)) * this.p.sin(this.angle);
-        this.angleVel += this.angleAcc;
-        this.angleVel *= this.damping;
-        this.angle += this.angleVel;
+    /**
+     * Angular acceleration for state q = [θ], v = [ω]
+     */
+    acceleration(q, v) {
+        return [-(this.gravity / this.length) * Math.sin(q[0]) - this.damping * v[0]];
+    }
+
+    step(dt, integrator, t) {
+        const next = integrator(
+            { q: [this.angle], v: [this.angleVel] },
+            (q, v) => this.acceleration(q, v),
+            t,
+            dt
+        );
+
+        this.angle = next.q[0];
+        this.angleVel = next.v[0];
+        this.angleAcc = this.acceleration(next.q, next.v)[0];
 
         // Add to trail
-        const x = this.cx + this.length * this.p.sin(this.angle);
-        const y = this.cy + this.length * this.p.cos(this.angle);
-        this.trail.push({ x, y });
-        
-        if (this.trail.length > this.maxTrailLength) {
-            this.trail.shift();
+        this.trailTimer += dt;
+        if (this.trailTimer >= this.trailInterval) {
+            this.trailTimer -= this.trailInterval;
+            const { x, y } = this.getBobPosition();
+            this.trail.push({ x, y });
+            
+            if (this.trail.length > this.maxTrailLength) {
+                this.trail.shift();
+            }
         }
     }
 
+    getBobPosition() {
+        const length = this.length * this.pixelsPerMeter;
+        return {
+            x: this.cx + length * Math.sin(this.angle),
+            y: this.cy + length * Math.cos(this.angle)
+        };
+    }
+
     display() {
-        const x = this.cx + this.length * this.p.sin(this.angle);
-        const y = this.cy + this.length * this.p.cos(this.angle);
+        const { x, y } = this.getBobPosition();
+        const length = this.length * this.pixelsPerMeter;
 
         // Draw trail
         this.p.stroke(59, 130, 246, 100);
@@ -659,12 +1778,13 @@ class PendulumSimulation {
         this.p.noFill();
         this.p.stroke(200);
         this.p.strokeWeight(1);
-        this.p.arc(this.cx, this.cy, this.length * 2, this.length * 2, 
+        this.p.arc(this.cx, this.cy, length * 2, length * 2, 
                    this.p.PI/2 - this.p.PI/3, this.p.PI/2 + this.p.PI/3);
     }
 
     setLength(length) {
-        this.length = length * 100; // Convert to pixels
+        this.length = length; // metres
+        this.trail = [];
     }
 
     setInitialAngle(angle) {
@@ -677,87 +1797,1574 @@ class PendulumSimulation {
     }
 
     reset() {
-        this.angle = this.initialAngle || this.p.PI / 6;
+        this.angle = this.initialAngle;
         this.angleVel = 0;
         this.angleAcc = 0;
         this.trail = [];
+        this.trailTimer = 0;
     }
 
     resize(width, height) {
         this.width = width;
         this.height = height;
         this.cx = width / 2;
+        this.updateScale();
+        this.trail = [];
+    }
+
+    /**
+     * Fit the longest slider length (3 m) inside the canvas
+     */
+    updateScale() {
+        this.pixelsPerMeter = Math.max(20, (this.height - this.cy - 20) / 3);
     }
 
+    /**
+     * Small-angle period T = 2π√(L/g)
+     */
     getPeriod() {
-        return 2 * this.p.PI * this.p.sqrt(this.length / (this.gravity * 100));
+        return 2 * Math.PI * Math.sqrt(this.length / this.gravity);
     }
 
+    /**
+     * Mechanical energy per unit mass (J/kg), zero at the lowest point
+     */
     getEnergy() {
-        const kinetic = 0.5 * this.angleVel * this.angleVel;
-        const potential = this.gravity * (1 - this.p.cos(this.angle));
-        return kinetic + potential;
+        return this.getKineticEnergy() + this.getPotentialEnergy();
     }
-}
 
-/**
- * Wave Interference Simulation Class
- */
-class WaveInterferenceSimulation {
-    constructor(p, width, height) {
-        this.p = p;
-        this.width = width;
-        this.height = height;
-        this.time = 0;
-        this.frequency1 = 0.5;
-        this.frequency2 = 0.5;
-        this.amplitude = 30;
-        this.sources = [
-            { x: width * 0.3, y: height * 0.5 },
-            { x: width * 0.7, y: height * 0.5 }
-        ];
+    getKineticEnergy() {
+        const speed = this.length * this.angleVel;
+        return 0.5 * speed * speed;
     }
 
-    update() {
-        this.time += 1;
+    getPotentialEnergy() {
+        return this.gravity * this.length * (1 - Math.cos(this.angle));
     }
 
-    display() {
-        // Draw wave interference pattern
-        for (let x = 0; x < this.width; x += 4) {
-            for (let y = 0; y < this.height; y += 4) {
-                let totalWave = 0;
-                
-                this.sources.forEach((source, index) => {
-                    const distance = this.p.dist(x, y, source.x, source.y);
-                    const frequency = index === 0 ? this.frequency1 : this.frequency2;
-                    const waveValue = this.amplitude * 
-                                    this.p.sin(frequency * distance - this.time * 0.1);
-                    totalWave += waveValue;
-                });
-                
-                const brightness = this.p.map(totalWave, -this.amplitude * 2, this.amplitude * 2, 0, 255);
-                const blue = this.p.map(totalWave, -this.amplitude * 2, this.amplitude * 2, 100, 255);
-                
-                this.p.fill(brightness * 0.8, brightness * 0.9, blue, 150);
-                this.p.noStroke();
-                this.p.rect(x, y, 4, 4);
-            }
-        }
+    getObservableDefinitions() {
+        return [
+            { key: 'angle', label: 'Angle', unit: 'rad' },
+            { key: 'angularVelocity', label: 'Angular velocity', unit: 'rad/s' },
+            { key: 'kinetic', label: 'Kinetic energy', unit: 'J/kg' },
+            { key: 'potential', label: 'Potential energy', unit: 'J/kg' },
+            { key: 'total', label: 'Total energy', unit: 'J/kg' }
+        ];
+    }
 
-        // Draw sources
-        this.sources.forEach((source, index) => {
-            this.p.fill(index === 0 ? [59, 130, 246] : [16, 185, 129]);
-            this.p.noStroke();
-            this.p.ellipse(source.x, source.y, 15, 15);
-        });
+    getObservableValues() {
+        const kinetic = this.getKineticEnergy();
+        const potential = this.getPotentialEnergy();
+        return {
+            angle: this.angle,
+            angularVelocity: this.angleVel,
+            kinetic,
+            potential,
+            total: kinetic + potential
+        };
     }
 
-    setFrequency1(freq) {
-        this.frequency1 = freq;
+    getPhaseSpace() {
+        return { x: 'angle', v: 'angularVelocity' };
     }
 
-    setFrequency2(freq) {
+    /**
+     * Current settings keyed by control parameter name
+     */
+    getParameters() {
+        return {
+            length: this.length,
+            angle: Math.round(this.initialAngle * 180 / Math.PI * 100) / 100,
+            gravity: this.gravity
+        };
+    }
+
+    getState() {
+        return { angle: this.angle, angularVelocity: this.angleVel };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns
+     */
+    validateState(state) {
+        return Number.isFinite(state.angle) && Number.isFinite(state.angularVelocity);
+    }
+
+    setState(state) {
+        this.angle = state.angle;
+        this.angleVel = state.angularVelocity;
+        this.angleAcc = this.acceleration([this.angle], [this.angleVel])[0];
+
+        const { x, y } = this.getBobPosition();
+        this.trail.push({ x, y });
+        if (this.trail.length > this.maxTrailLength) {
+            this.trail.shift();
+        }
+    }
+}
+
+/**
+ * Double Pendulum Simulation Class
+ * Two point masses on massless rods, integrated from the Lagrangian
+ * equations of motion in SI units. In chaos mode a second copy starts with
+ * the first angle shifted by a tiny epsilon to show sensitive dependence on
+ * initial conditions.
+ */
+class DoublePendulumSimulation {
+    constructor(p, width, height) {
+        this.p = p;
+        this.width = width;
+        this.height = height;
+        this.length1 = 1; // m
+        this.length2 = 1; // m
+        this.mass1 = 1; // kg
+        this.mass2 = 1; // kg
+        this.gravity = 9.8;
+        this.initialAngle1 = Math.PI / 2;
+        this.initialAngle2 = Math.PI / 2;
+        this.chaosMode = false;
+        this.epsilon = 0.001; // degrees added to the copy's first angle
+        this.maxTrailLength = 300;
+        this.trailInterval = 1 / 60; // seconds of simulated time between trail points
+        this.trailTimer = 0;
+        this.updateScale();
+        this.reset();
+    }
+
+    createPendulum(angle1, angle2) {
+        return { angles: [angle1, angle2], velocities: [0, 0], trail: [] };
+    }
+
+    /**
+     * Angular accelerations for q = [θ1, θ2], v = [ω1, ω2], angles measured
+     * from the downward vertical
+     */
+    acceleration(q, v) {
+        const [theta1, theta2] = q;
+        const [omega1, omega2] = v;
+        const m1 = this.mass1;
+        const m2 = this.mass2;
+        const l1 = this.length1;
+        const l2 = this.length2;
+        const g = this.gravity;
+
+        const delta = theta1 - theta2;
+        const denominator = 2 * m1 + m2 - m2 * Math.cos(2 * delta);
+
+        const alpha1 = (-g * (2 * m1 + m2) * Math.sin(theta1)
+                        - m2 * g * Math.sin(theta1 - 2 * theta2)
+                        - 2 * Math.sin(delta) * m2 * (omega2 * omega2 * l2 + omega1 * omega1 * l1 * Math.cos(delta)))
+                       / (l1 * denominator);
+
+        const alpha2 = (2 * Math.sin(delta) * (omega1 * omega1 * l1 * (m1 + m2)
+                        + g * (m1 + m2) * Math.cos(theta1)
+                        + omega2 * omega2 * l2 * m2 * Math.cos(delta)))
+                       / (l2 * denominator);
+
+        return [alpha1, alpha2];
+    }
+
+    step(dt, integrator, t) {
+        this.pendulums.forEach(pendulum => {
+            const next = integrator(
+                { q: pendulum.angles, v: pendulum.velocities },
+                (q, v) => this.acceleration(q, v),
+                t,
+                dt
+            );
+            pendulum.angles = next.q;
+            pendulum.velocities = next.v;
+        });
+
+        this.trailTimer += dt;
+        if (this.trailTimer >= this.trailInterval) {
+            this.trailTimer -= this.trailInterval;
+            this.pendulums.forEach(pendulum => this.addTrailPoint(pendulum));
+        }
+    }
+
+    addTrailPoint(pendulum) {
+        const { x2, y2 } = this.getPositions(pendulum);
+        pendulum.trail.push({ x: x2, y: y2 });
+        if (pendulum.trail.length > this.maxTrailLength) {
+            pendulum.trail.shift();
+        }
+    }
+
+    getPositions(pendulum) {
+        const [theta1, theta2] = pendulum.angles;
+        const l1 = this.length1 * this.pixelsPerMeter;
+        const l2 = this.length2 * this.pixelsPerMeter;
+        const x1 = this.cx + l1 * Math.sin(theta1);
+        const y1 = this.cy + l1 * Math.cos(theta1);
+        return {
+            x1,
+            y1,
+            x2: x1 + l2 * Math.sin(theta2),
+            y2: y1 + l2 * Math.cos(theta2)
+        };
+    }
+
+    display() {
+        const colors = [[59, 130, 246], [239, 68, 68]];
+
+        this.pendulums.forEach((pendulum, index) => {
+            const color = colors[index];
+            const { x1, y1, x2, y2 } = this.getPositions(pendulum);
+
+            // Trail of the lower bob
+            this.p.stroke(color[0], color[1], color[2], 90);
+            this.p.strokeWeight(1.5);
+            this.p.noFill();
+            if (pendulum.trail.length > 1) {
+                this.p.beginShape();
+                pendulum.trail.forEach(point => this.p.vertex(point.x, point.y));
+                this.p.endShape();
+            }
+
+            // Rods
+            this.p.stroke(100, 100, 100, index === 0 ? 255 : 160);
+            this.p.strokeWeight(2);
+            this.p.line(this.cx, this.cy, x1, y1);
+            this.p.line(x1, y1, x2, y2);
+
+            // Bobs sized by mass
+            this.p.noStroke();
+            this.p.fill(color[0], color[1], color[2], index === 0 ? 255 : 180);
+            this.p.ellipse(x1, y1, 12 + 6 * Math.sqrt(this.mass1), 12 + 6 * Math.sqrt(this.mass1));
+            this.p.ellipse(x2, y2, 12 + 6 * Math.sqrt(this.mass2), 12 + 6 * Math.sqrt(this.mass2));
+        });
+
+        // Pivot
+        this.p.fill(100);
+        this.p.noStroke();
+        this.p.ellipse(this.cx, this.cy, 8, 8);
+    }
+
+    getEnergy(pendulum = this.pendulums[0]) {
+        return this.getKineticEnergy(pendulum) + this.getPotentialEnergy(pendulum);
+    }
+
+    getKineticEnergy(pendulum = this.pendulums[0]) {
+        const [theta1, theta2] = pendulum.angles;
+        const [omega1, omega2] = pendulum.velocities;
+        const l1 = this.length1;
+        const l2 = this.length2;
+        return 0.5 * (this.mass1 + this.mass2) * l1 * l1 * omega1 * omega1
+             + 0.5 * this.mass2 * l2 * l2 * omega2 * omega2
+             + this.mass2 * l1 * l2 * omega1 * omega2 * Math.cos(theta1 - theta2);
+    }
+
+    /**
+     * Potential energy (J), zero with both rods hanging straight down
+     */
+    getPotentialEnergy(pendulum = this.pendulums[0]) {
+        const [theta1, theta2] = pendulum.angles;
+        return (this.mass1 + this.mass2) * this.gravity * this.length1 * (1 - Math.cos(theta1))
+             + this.mass2 * this.gravity * this.length2 * (1 - Math.cos(theta2));
+    }
+
+    /**
+     * Phase-space distance between the two copies in chaos mode
+     */
+    getSeparation() {
+        if (this.pendulums.length < 2) return null;
+        const [a, b] = this.pendulums;
+        return Math.hypot(
+            a.angles[0] - b.angles[0],
+            a.angles[1] - b.angles[1],
+            a.velocities[0] - b.velocities[0],
+            a.velocities[1] - b.velocities[1]
+        );
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'angle1', label: 'Angle 1', unit: 'rad' },
+            { key: 'angle2', label: 'Angle 2', unit: 'rad' },
+            { key: 'angularVelocity1', label: 'Angular velocity 1', unit: 'rad/s' },
+            { key: 'angularVelocity2', label: 'Angular velocity 2', unit: 'rad/s' },
+            { key: 'kinetic', label: 'Kinetic energy', unit: 'J' },
+            { key: 'potential', label: 'Potential energy', unit: 'J' },
+            { key: 'total', label: 'Total energy', unit: 'J' },
+            { key: 'separation', label: 'Copy separation (log₁₀)', unit: 'log₁₀' }
+        ];
+    }
+
+    getObservableValues() {
+        const pendulum = this.pendulums[0];
+        const kinetic = this.getKineticEnergy(pendulum);
+        const potential = this.getPotentialEnergy(pendulum);
+        const separation = this.getSeparation();
+        return {
+            angle1: pendulum.angles[0],
+            angle2: pendulum.angles[1],
+            angularVelocity1: pendulum.velocities[0],
+            angularVelocity2: pendulum.velocities[1],
+            kinetic,
+            potential,
+            total: kinetic + potential,
+            separation: separation > 0 ? Math.log10(separation) : NaN
+        };
+    }
+
+    getPhaseSpace() {
+        return { x: 'angle1', v: 'angularVelocity1' };
+    }
+
+    getParameters() {
+        return {
+            length1: this.length1,
+            length2: this.length2,
+            mass1: this.mass1,
+            mass2: this.mass2,
+            angle1: Math.round(this.initialAngle1 * 180 / Math.PI * 100) / 100,
+            angle2: Math.round(this.initialAngle2 * 180 / Math.PI * 100) / 100,
+            gravity: this.gravity,
+            chaos: this.chaosMode,
+            epsilon: this.epsilon
+        };
+    }
+
+    getState() {
+        return {
+            pendulums: this.pendulums.map(pendulum => ({
+                angles: [...pendulum.angles],
+                velocities: [...pendulum.velocities]
+            }))
+        };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns:
+     * one pendulum, or two in chaos mode, each with two angles and velocities
+     */
+    validateState(state) {
+        const pair = values => Array.isArray(values) && values.length === 2 && values.every(Number.isFinite);
+        return Array.isArray(state.pendulums) && state.pendulums.length >= 1 && state.pendulums.length <= 2 &&
+            state.pendulums.every(pendulum => pendulum && pair(pendulum.angles) && pair(pendulum.velocities));
+    }
+
+    setState(state) {
+        this.pendulums = state.pendulums.map((saved, i) => {
+            const pendulum = this.pendulums[i] || this.createPendulum(0, 0);
+            pendulum.angles = [...saved.angles];
+            pendulum.velocities = [...saved.velocities];
+            this.addTrailPoint(pendulum);
+            return pendulum;
+        });
+    }
+
+    setLength1(length) {
+        this.length1 = length;
+        this.clearTrails();
+    }
+
+    setLength2(length) {
+        this.length2 = length;
+        this.clearTrails();
+    }
+
+    setMass1(mass) {
+        this.mass1 = mass;
+    }
+
+    setMass2(mass) {
+        this.mass2 = mass;
+    }
+
+    setInitialAngle1(angle) {
+        this.initialAngle1 = angle;
+        this.reset();
+    }
+
+    setInitialAngle2(angle) {
+        this.initialAngle2 = angle;
+        this.reset();
+    }
+
+    setGravity(gravity) {
+        this.gravity = gravity;
+    }
+
+    setChaosMode(enabled) {
+        this.chaosMode = enabled;
+        this.reset();
+    }
+
+    setEpsilon(epsilon) {
+        if (epsilon > 0) {
+            this.epsilon = epsilon;
+            this.reset();
+        }
+    }
+
+    clearTrails() {
+        this.pendulums.forEach(pendulum => {
+            pendulum.trail = [];
+        });
+    }
+
+    reset() {
+        this.pendulums = [this.createPendulum(this.initialAngle1, this.initialAngle2)];
+        if (this.chaosMode) {
+            this.pendulums.push(this.createPendulum(this.initialAngle1 + this.epsilon * Math.PI / 180,
+                                                    this.initialAngle2));
+        }
+        this.trailTimer = 0;
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.updateScale();
+        this.clearTrails();
+    }
+
+    /**
+     * Fit both rods at their longest slider length (2 m each) in any direction
+     */
+    updateScale() {
+        this.cx = this.width / 2;
+        this.cy = this.height / 2;
+        this.pixelsPerMeter = Math.max(10, (Math.min(this.width, this.height) / 2 - 15) / 4);
+    }
+}
+
+/**
+ * Coupled Oscillator Simulation Class
+ * A chain of equal masses joined by identical springs between two fixed
+ * walls. The motion is decomposed into the chain's normal modes
+ * ω_n = 2√(k/m)·sin(nπ / 2(N+1)), whose energies are shown as bars.
+ */
+class SpringChainSimulation {
+    constructor(p, width, height) {
+        this.p = p;
+        this.width = width;
+        this.height = height;
+        this.count = 3;
+        this.stiffness = 20; // N/m
+        this.mass = 1; // kg
+        this.amplitude = 0.2; // m
+        this.excitation = 'mode1';
+        this.spacing = 1; // equilibrium spacing (m)
+        this.updateScale();
+        this.reset();
+    }
+
+    /**
+     * Acceleration of every mass for displacements q (m)
+     */
+    acceleration(q) {
+        const omega2 = this.stiffness / this.mass;
+        return q.map((u, i) => {
+            const left = i > 0 ? q[i - 1] : 0;
+            const right = i < q.length - 1 ? q[i + 1] : 0;
+            return omega2 * (left - 2 * u + right);
+        });
+    }
+
+    step(dt, integrator, t) {
+        const next = integrator(
+            { q: this.displacements, v: this.velocities },
+            (q) => this.acceleration(q),
+            t,
+            dt
+        );
+        this.displacements = next.q;
+        this.velocities = next.v;
+    }
+
+    /**
+     * Normal-mode angular frequency ω_n (rad/s), n = 1..N
+     */
+    getModeFrequency(n) {
+        return 2 * Math.sqrt(this.stiffness / this.mass) * Math.sin(n * Math.PI / (2 * (this.count + 1)));
+    }
+
+    /**
+     * Orthonormal mode shape: amplitude of mass i (0-based) in mode n
+     */
+    getModeShape(n, i) {
+        return Math.sqrt(2 / (this.count + 1)) * Math.sin((i + 1) * n * Math.PI / (this.count + 1));
+    }
+
+    /**
+     * Project the current state onto the normal modes
+     */
+    getModes() {
+        const modes = [];
+        for (let n = 1; n <= this.count; n++) {
+            let coordinate = 0;
+            let velocity = 0;
+            for (let i = 0; i < this.count; i++) {
+                const shape = this.getModeShape(n, i);
+                coordinate += shape * this.displacements[i];
+                velocity += shape * this.velocities[i];
+            }
+            const omega = this.getModeFrequency(n);
+            modes.push({
+                n,
+                omega,
+                coordinate,
+                energy: 0.5 * this.mass * (velocity * velocity + omega * omega * coordinate * coordinate)
+            });
+        }
+        return modes;
+    }
+
+    getKineticEnergy() {
+        return this.velocities.reduce((sum, v) => sum + 0.5 * this.mass * v * v, 0);
+    }
+
+    getPotentialEnergy() {
+        let energy = 0;
+        for (let i = 0; i <= this.count; i++) {
+            const left = i > 0 ? this.displacements[i - 1] : 0;
+            const right = i < this.count ? this.displacements[i] : 0;
+            energy += 0.5 * this.stiffness * (right - left) * (right - left);
+        }
+        return energy;
+    }
+
+    getEnergy() {
+        return this.getKineticEnergy() + this.getPotentialEnergy();
+    }
+
+    display() {
+        const y = this.height * 0.35;
+        const wallLeft = this.originX;
+        const wallRight = this.originX + (this.count + 1) * this.spacing * this.pixelsPerMeter;
+        const positions = this.displacements.map((u, i) =>
+            this.originX + ((i + 1) * this.spacing + u) * this.pixelsPerMeter);
+
+        // Walls
+        this.p.stroke(100);
+        this.p.strokeWeight(4);
+        this.p.line(wallLeft, y - 30, wallLeft, y + 30);
+        this.p.line(wallRight, y - 30, wallRight, y + 30);
+
+        // Springs between neighbours
+        const anchors = [wallLeft, ...positions, wallRight];
+        this.p.strokeWeight(1.5);
+        this.p.stroke(120);
+        this.p.noFill();
+        for (let i = 0; i < anchors.length - 1; i++) {
+            this.drawSpring(anchors[i], anchors[i + 1], y);
+        }
+
+        // Masses
+        this.p.noStroke();
+        this.p.fill(59, 130, 246);
+        this.p.rectMode(this.p.CENTER);
+        positions.forEach(x => this.p.rect(x, y, 22, 22, 3));
+        this.p.rectMode(this.p.CORNER);
+
+        this.displayModes();
+    }
+
+    drawSpring(x1, x2, y) {
+        const coils = 10;
+        const width = 8;
+        this.p.beginShape();
+        this.p.vertex(x1, y);
+        for (let i = 1; i < coils; i++) {
+            const x = x1 + (x2 - x1) * i / coils;
+            this.p.vertex(x, y + (i % 2 === 0 ? width : -width));
+        }
+        this.p.vertex(x2, y);
+        this.p.endShape();
+    }
+
+    /**
+     * Bar chart of the energy in each normal mode
+     */
+    displayModes() {
+        const modes = this.getModes();
+        const total = modes.reduce((sum, mode) => sum + mode.energy, 0) || 1;
+        const chartBottom = this.height - 30;
+        const chartHeight = this.height * 0.3;
+        const barWidth = Math.min(50, (this.width - 40) / modes.length - 10);
+        const startX = (this.width - modes.length * (barWidth + 10)) / 2;
+
+        this.p.textAlign(this.p.CENTER);
+        this.p.textSize(11);
+
+        modes.forEach((mode, i) => {
+            const x = startX + i * (barWidth + 10);
+            const barHeight = chartHeight * mode.energy / total;
+
+            this.p.noStroke();
+            this.p.fill(16, 185, 129);
+            this.p.rect(x, chartBottom - barHeight, barWidth, barHeight);
+
+            this.p.fill(0);
+            this.p.text(`n=${mode.n}`, x + barWidth / 2, chartBottom + 14);
+            this.p.text(`${mode.omega.toFixed(2)}`, x + barWidth / 2, chartBottom - barHeight - 4);
+        });
+
+        this.p.textAlign(this.p.LEFT);
+        this.p.text('Mode energy share (bar labels: ω in rad/s)', 10, chartBottom - chartHeight - 20);
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'displacement1', label: 'Mass 1 displacement', unit: 'm' },
+            { key: 'velocity1', label: 'Mass 1 velocity', unit: 'm/s' },
+            { key: 'mode1', label: 'Mode 1 energy', unit: 'J' },
+            { key: 'mode2', label: 'Mode 2 energy', unit: 'J' },
+            { key: 'mode3', label: 'Mode 3 energy', unit: 'J' },
+            { key: 'kinetic', label: 'Kinetic energy', unit: 'J' },
+            { key: 'potential', label: 'Potential energy', unit: 'J' },
+            { key: 'total', label: 'Total energy', unit: 'J' }
+        ];
+    }
+
+    getObservableValues() {
+        const modes = this.getModes();
+        const kinetic = this.getKineticEnergy();
+        const potential = this.getPotentialEnergy();
+        return {
+            displacement1: this.displacements[0],
+            velocity1: this.velocities[0],
+            mode1: modes[0] ? modes[0].energy : NaN,
+            mode2: modes[1] ? modes[1].energy : NaN,
+            mode3: modes[2] ? modes[2].energy : NaN,
+            kinetic,
+            potential,
+            total: kinetic + potential
+        };
+    }
+
+    getPhaseSpace() {
+        return { x: 'displacement1', v: 'velocity1' };
+    }
+
+    getParameters() {
+        return {
+            count: this.count,
+            stiffness: this.stiffness,
+            mass: this.mass,
+            amplitude: this.amplitude,
+            excite: this.excitation
+        };
+    }
+
+    getState() {
+        return { displacements: [...this.displacements], velocities: [...this.velocities] };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns,
+     * for a chain of 2 to 8 masses
+     */
+    validateState(state) {
+        const { displacements, velocities } = state;
+        return Array.isArray(displacements) && Array.isArray(velocities) &&
+            displacements.length >= 2 && displacements.length <= 8 &&
+            velocities.length === displacements.length &&
+            displacements.every(Number.isFinite) && velocities.every(Number.isFinite);
+    }
+
+    setState(state) {
+        this.count = state.displacements.length;
+        this.displacements = [...state.displacements];
+        this.velocities = [...state.velocities];
+        this.updateScale();
+    }
+
+    setCount(count) {
+        this.count = Math.max(2, Math.min(8, Math.round(count)));
+        this.updateScale();
+        this.reset();
+    }
+
+    setStiffness(stiffness) {
+        this.stiffness = stiffness;
+    }
+
+    setMass(mass) {
+        this.mass = mass;
+    }
+
+    setAmplitude(amplitude) {
+        this.amplitude = amplitude;
+        this.reset();
+    }
+
+    /**
+     * 'pluck' displaces only the first mass; 'modeN' starts in pure mode N
+     */
+    setExcitation(excitation) {
+        this.excitation = excitation;
+        this.reset();
+    }
+
+    reset() {
+        const match = /^mode(\d+)$/.exec(this.excitation);
+        const mode = match ? Math.min(parseInt(match[1], 10), this.count) : 0;
+
+        const shape = i => Math.sin((i + 1) * mode * Math.PI / (this.count + 1));
+        const indices = Array.from({ length: this.count }, (_, i) => i);
+
+        if (mode) {
+            // Scale so the largest displacement equals the amplitude
+            const peak = Math.max(...indices.map(i => Math.abs(shape(i))));
+            this.displacements = indices.map(i => this.amplitude * shape(i) / peak);
+        } else {
+            this.displacements = indices.map(i => (i === 0 ? this.amplitude : 0));
+        }
+        this.velocities = new Array(this.count).fill(0);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.updateScale();
+    }
+
+    updateScale() {
+        this.pixelsPerMeter = (this.width - 40) / ((this.count + 1) * this.spacing);
+        this.originX = 20;
+    }
+}
+
+/**
+ * Projectile Motion Simulation Class
+ * A point mass launched from a given height in SI units, with no drag,
+ * linear drag (a = -k·v) or quadratic drag (a = -k·|v|·v). Finished runs
+ * stay on screen as overlays so launches can be compared.
+ */
+class ProjectileSimulation {
+    constructor(p, width, height) {
+        this.p = p;
+        this.width = width;
+        this.height = height;
+        this.launchAngle = Math.PI / 4;
+        this.launchSpeed = 20; // m/s
+        this.launchHeight = 0; // m
+        this.gravity = 9.8;
+        this.dragModel = 'none';
+        this.dragCoefficient = 0.05; // 1/s for linear drag, 1/m for quadratic drag
+        this.runs = [];
+        this.maxRuns = 6;
+        this.colors = [[59, 130, 246], [16, 185, 129], [245, 158, 11], [139, 92, 246], [236, 72, 153], [20, 184, 166]];
+        this.pathInterval = 1 / 60; // seconds of simulated time between path points
+        this.challengeMode = false;
+        this.target = null;
+        this.targetWidth = 2; // m
+        this.onLand = null;
+        this.margin = 40;
+        this.reset();
+    }
+
+    /**
+     * Acceleration (m/s²) for q = [x, y], v = [vx, vy]
+     */
+    acceleration(q, v) {
+        const [vx, vy] = v;
+
+        switch (this.dragModel) {
+            case 'linear':
+                return [-this.dragCoefficient * vx, -this.gravity - this.dragCoefficient * vy];
+            case 'quadratic': {
+                const speed = Math.hypot(vx, vy);
+                return [-this.dragCoefficient * speed * vx, -this.gravity - this.dragCoefficient * speed * vy];
+            }
+            default:
+                return [0, -this.gravity];
+        }
+    }
+
+    /**
+     * Start a new flight from the launch point
+     */
+    launch() {
+        this.x = 0;
+        this.y = this.launchHeight;
+        this.vx = this.launchSpeed * Math.cos(this.launchAngle);
+        this.vy = this.launchSpeed * Math.sin(this.launchAngle);
+        this.flightTime = 0;
+        this.apex = this.launchHeight;
+        this.path = [{ x: this.x, y: this.y }];
+        this.pathTimer = 0;
+        this.isFlying = true;
+        this.result = null;
+    }
+
+    step(dt, integrator, t) {
+        if (!this.isFlying) return;
+
+        const previous = { x: this.x, y: this.y, t: this.flightTime };
+        const next = integrator(
+            { q: [this.x, this.y], v: [this.vx, this.vy] },
+            (q, v) => this.acceleration(q, v),
+            t,
+            dt
+        );
+
+        [this.x, this.y] = next.q;
+        [this.vx, this.vy] = next.v;
+        this.flightTime += dt;
+        this.apex = Math.max(this.apex, this.y);
+
+        if (this.y <= 0 && this.flightTime > 0) {
+            // Interpolate the exact moment the projectile reaches the ground
+            const fraction = previous.y / (previous.y - this.y || 1);
+            this.x = previous.x + fraction * (this.x - previous.x);
+            this.y = 0;
+            this.flightTime = previous.t + fraction * dt;
+            this.path.push({ x: this.x, y: this.y });
+            this.land();
+            return;
+        }
+
+        this.pathTimer += dt;
+        if (this.pathTimer >= this.pathInterval) {
+            this.pathTimer -= this.pathInterval;
+            this.path.push({ x: this.x, y: this.y });
+        }
+    }
+
+    land() {
+        this.isFlying = false;
+        this.result = {
+            range: this.x,
+            apex: this.apex,
+            timeOfFlight: this.flightTime,
+            angle: this.launchAngle * 180 / Math.PI,
+            speed: this.launchSpeed,
+            height: this.launchHeight,
+            drag: this.dragModel,
+            path: this.path,
+            color: this.colors[this.runs.length % this.colors.length],
+            hit: this.target ? Math.abs(this.x - this.target) <= this.targetWidth / 2 : null
+        };
+
+        this.runs.push(this.result);
+        if (this.runs.length > this.maxRuns) {
+            this.runs.shift();
+        }
+
+        if (this.onLand) {
+            this.onLand(this.result);
+        }
+    }
+
+    hasLanded() {
+        return !this.isFlying && this.result !== null;
+    }
+
+    /**
+     * Closed-form range, apex and time of flight without drag
+     */
+    getVacuumPrediction() {
+        const vx = this.launchSpeed * Math.cos(this.launchAngle);
+        const vy = this.launchSpeed * Math.sin(this.launchAngle);
+        const g = this.gravity;
+        const timeOfFlight = (vy + Math.sqrt(vy * vy + 2 * g * this.launchHeight)) / g;
+        return {
+            range: vx * timeOfFlight,
+            apex: this.launchHeight + Math.max(0, vy) * Math.max(0, vy) / (2 * g),
+            timeOfFlight
+        };
+    }
+
+    /**
+     * Metres-to-pixels transform fitted to the drag-free trajectory, which
+     * bounds every drag case, and to any earlier runs or target
+     */
+    getView() {
+        const prediction = this.getVacuumPrediction();
+        let maxX = Math.max(prediction.range, 10);
+        let maxY = Math.max(prediction.apex, this.launchHeight, 5);
+
+        this.runs.forEach(run => {
+            maxX = Math.max(maxX, run.range);
+            maxY = Math.max(maxY, run.apex);
+        });
+        if (this.target !== null) {
+            maxX = Math.max(maxX, this.target + this.targetWidth);
+        }
+
+        const scale = Math.min((this.width - 2 * this.margin) / (maxX * 1.05),
+                               (this.height - 2 * this.margin) / (maxY * 1.1));
+        return {
+            scale,
+            toX: x => this.margin + x * scale,
+            toY: y => this.height - this.margin - y * scale
+        };
+    }
+
+    display() {
+        const view = this.getView();
+        const groundY = view.toY(0);
+
+        // Ground
+        this.p.stroke(120);
+        this.p.strokeWeight(2);
+        this.p.line(0, groundY, this.width, groundY);
+
+        // Launch platform
+        if (this.launchHeight > 0) {
+            this.p.noStroke();
+            this.p.fill(203, 213, 225);
+            this.p.rect(view.toX(0) - 12, view.toY(this.launchHeight), 12, groundY - view.toY(this.launchHeight));
+        }
+
+        // Target
+        if (this.target !== null) {
+            this.p.noStroke();
+            this.p.fill(239, 68, 68);
+            this.p.rect(view.toX(this.target - this.targetWidth / 2), groundY - 4,
+                        this.targetWidth * view.scale, 8);
+        }
+
+        // Earlier runs
+        this.runs.forEach(run => {
+            if (run === this.result) return;
+            this.drawPath(view, run.path, run.color, 120);
+        });
+
+        // Current flight
+        if (this.path.length > 0) {
+            const color = this.result ? this.result.color : this.colors[this.runs.length % this.colors.length];
+            this.drawPath(view, this.path, color, 255);
+
+            this.p.noStroke();
+            this.p.fill(color[0], color[1], color[2]);
+            this.p.ellipse(view.toX(this.x), view.toY(this.y), 12, 12);
+        }
+
+        // Launch direction
+        const arrowLength = 40;
+        const startX = view.toX(0);
+        const startY = view.toY(this.launchHeight);
+        this.p.stroke(100);
+        this.p.strokeWeight(1);
+        this.p.line(startX, startY,
+                    startX + arrowLength * Math.cos(this.launchAngle),
+                    startY - arrowLength * Math.sin(this.launchAngle));
+
+        this.displayReadouts();
+    }
+
+    drawPath(view, path, color, alpha) {
+        if (path.length < 2) return;
+        this.p.noFill();
+        this.p.stroke(color[0], color[1], color[2], alpha);
+        this.p.strokeWeight(2);
+        this.p.beginShape();
+        path.forEach(point => this.p.vertex(view.toX(point.x), view.toY(point.y)));
+        this.p.endShape();
+    }
+
+    displayReadouts() {
+        this.p.noStroke();
+        this.p.fill(0);
+        this.p.textAlign(this.p.LEFT);
+        this.p.textSize(12);
+
+        const source = this.result || {
+            range: this.x,
+            apex: this.apex,
+            timeOfFlight: this.flightTime
+        };
+        const label = this.result ? 'Last run' : 'In flight';
+        this.p.text(`${label}: range ${source.range.toFixed(2)} m, apex ${source.apex.toFixed(2)} m, ` +
+                    `time ${source.timeOfFlight.toFixed(2)} s`, 10, 20);
+
+        if (this.dragModel === 'none') {
+            const prediction = this.getVacuumPrediction();
+            this.p.text(`Theory: range ${prediction.range.toFixed(2)} m, apex ${prediction.apex.toFixed(2)} m, ` +
+                        `time ${prediction.timeOfFlight.toFixed(2)} s`, 10, 36);
+        }
+
+        if (this.target !== null) {
+            let status = `Target at ${this.target.toFixed(1)} m`;
+            if (this.result && this.result.hit !== null) {
+                status += this.result.hit
+                    ? ' - hit!'
+                    : ` - missed by ${Math.abs(this.result.range - this.target).toFixed(2)} m`;
+            }
+            this.p.text(status, 10, 52);
+        }
+
+        // Legend of compared runs
+        this.p.textAlign(this.p.RIGHT);
+        this.runs.forEach((run, i) => {
+            this.p.fill(run.color[0], run.color[1], run.color[2]);
+            this.p.text(`${run.angle.toFixed(0)}° ${run.speed.toFixed(1)} m/s ${run.drag}: ${run.range.toFixed(1)} m`,
+                        this.width - 10, 20 + i * 16);
+        });
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'x', label: 'Horizontal position', unit: 'm' },
+            { key: 'y', label: 'Height', unit: 'm' },
+            { key: 'vx', label: 'Horizontal velocity', unit: 'm/s' },
+            { key: 'vy', label: 'Vertical velocity', unit: 'm/s' },
+            { key: 'speed', label: 'Speed', unit: 'm/s' },
+            { key: 'kinetic', label: 'Kinetic energy', unit: 'J/kg' },
+            { key: 'potential', label: 'Potential energy', unit: 'J/kg' },
+            { key: 'total', label: 'Total energy', unit: 'J/kg' }
+        ];
+    }
+
+    getObservableValues() {
+        const speed = Math.hypot(this.vx, this.vy);
+        const kinetic = 0.5 * speed * speed;
+        const potential = this.gravity * this.y;
+        return {
+            x: this.x,
+            y: this.y,
+            vx: this.vx,
+            vy: this.vy,
+            speed,
+            kinetic,
+            potential,
+            total: kinetic + potential
+        };
+    }
+
+    getPhaseSpace() {
+        return { x: 'y', v: 'vy' };
+    }
+
+    getParameters() {
+        return {
+            angle: Math.round(this.launchAngle * 180 / Math.PI * 100) / 100,
+            speed: this.launchSpeed,
+            height: this.launchHeight,
+            gravity: this.gravity,
+            drag: this.dragModel,
+            coefficient: this.dragCoefficient,
+            challenge: this.challengeMode
+        };
+    }
+
+    getState() {
+        return {
+            x: this.x,
+            y: this.y,
+            vx: this.vx,
+            vy: this.vy,
+            flightTime: this.flightTime,
+            apex: this.apex,
+            isFlying: this.isFlying,
+            target: this.target
+        };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns;
+     * the target may be missing or null
+     */
+    validateState(state) {
+        return ['x', 'y', 'vx', 'vy', 'flightTime', 'apex'].every(key => Number.isFinite(state[key])) &&
+            typeof state.isFlying === 'boolean' &&
+            (state.target === undefined || state.target === null || Number.isFinite(state.target));
+    }
+
+    setState(state) {
+        this.x = state.x;
+        this.y = state.y;
+        this.vx = state.vx;
+        this.vy = state.vy;
+        this.flightTime = state.flightTime;
+        this.apex = state.apex;
+        this.isFlying = state.isFlying;
+        if (state.target !== undefined) {
+            this.target = state.target;
+        }
+        this.path.push({ x: this.x, y: this.y });
+    }
+
+    setLaunchAngle(angle) {
+        this.launchAngle = angle;
+        this.reset();
+    }
+
+    setLaunchSpeed(speed) {
+        this.launchSpeed = speed;
+        this.reset();
+    }
+
+    setLaunchHeight(height) {
+        this.launchHeight = Math.max(0, height);
+        this.reset();
+    }
+
+    setGravity(gravity) {
+        this.gravity = gravity;
+        this.reset();
+    }
+
+    setDragModel(model) {
+        this.dragModel = ['linear', 'quadratic'].includes(model) ? model : 'none';
+        this.reset();
+    }
+
+    setDragCoefficient(coefficient) {
+        this.dragCoefficient = Math.max(0, coefficient);
+        this.reset();
+    }
+
+    /**
+     * Challenge mode places a target the student must hit by choosing
+     * the launch parameters before firing
+     */
+    setChallengeMode(enabled) {
+        this.challengeMode = enabled;
+        if (enabled) {
+            this.placeTarget();
+        } else {
+            this.target = null;
+        }
+        this.reset();
+    }
+
+    /**
+     * Put the target somewhere a drag-free launch at the current speed can reach
+     */
+    placeTarget(random = Math.random) {
+        const g = this.gravity;
+        const v = this.launchSpeed;
+        // Best-case reach: 45° launch plus the extra distance from the platform height
+        const reach = v * v / g * Math.sqrt(1 + 2 * g * this.launchHeight / (v * v));
+        this.target = Math.round((0.3 + 0.6 * random()) * reach * 10) / 10;
+    }
+
+    clearRuns() {
+        this.runs = [];
+        if (this.result) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Return the projectile to the launch point without firing it
+     */
+    reset() {
+        this.launch();
+        this.isFlying = false;
+        this.pendingLaunch = true;
+    }
+
+    /**
+     * Called when the simulation is started: fire if the projectile is at
+     * the launch point or has already landed. Returns true for a new launch.
+     */
+    prepareLaunch() {
+        if (this.pendingLaunch || this.hasLanded()) {
+            this.launch();
+            this.pendingLaunch = false;
+            return true;
+        }
+        return false;
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+}
+
+/**
+ * Wave Interference Simulation Class
+ * Solves the 2D wave equation ∂²u/∂t² = c²∇²u with a leapfrog finite
+ * difference scheme on a grid of `cellSize` pixel cells. Point sources are
+ * driven sinusoidally, walls clamp the field to zero and the edges either
+ * reflect or absorb (first-order Mur boundary). The field is drawn through
+ * an ImageData buffer at grid resolution and scaled up to the canvas.
+ */
+class WaveInterferenceSimulation {
+    constructor(p, width, height) {
+        this.p = p;
+        this.width = width;
+        this.height = height;
+        this.time = 0; // seconds
+        this.frequency1 = 0.5; // Hz, first source
+        this.frequency2 = 0.5; // Hz, every other source
+        this.amplitude = 30;
+        this.waveSpeed = 90; // pixels per second
+        this.cellSize = 3; // pixels per grid cell
+        this.boundary = 'absorbing'; // 'absorbing' or 'reflecting'
+        this.barrier = 'none'; // 'none', 'single' or 'double' slit wall
+        this.slitWidth = 15; // px
+        this.slitSeparation = 90; // px, centre to centre
+        this.maxSources = 6;
+        this.sourceRadius = 8;
+        this.screenTimeConstant = 2; // s, averaging time of the intensity screen
+        this.maxFastForward = 20; // s of simulated time replayed by setState()
+        this.draggedSource = null;
+        this.imageData = null;
+
+        this.createGrid();
+        this.sources = this.createDefaultSources();
+        this.reset();
+    }
+
+    createGrid() {
+        this.cols = Math.max(3, Math.ceil(this.width / this.cellSize));
+        this.rows = Math.max(3, Math.ceil(this.height / this.cellSize));
+        const size = this.cols * this.rows;
+        this.u = new Float32Array(size);
+        this.uPrev = new Float32Array(size);
+        this.uNext = new Float32Array(size);
+        this.mask = new Uint8Array(size);
+        this.intensity = new Float32Array(this.rows);
+        this.imageData = null;
+        this.lastSubstep = 1 / 240;
+        this.updateProbe();
+        this.buildWalls();
+    }
+
+    createDefaultSources() {
+        if (this.barrier === 'none') {
+            return [
+                { x: this.width * 0.3, y: this.height * 0.5 },
+                { x: this.width * 0.7, y: this.height * 0.5 }
+            ];
+        }
+        // A single source behind the wall for diffraction and Young's experiment
+        return [{ x: this.width * 0.15, y: this.height * 0.5 }];
+    }
+
+    updateProbe() {
+        this.probe = this.barrier === 'none'
+            ? { x: this.width * 0.5, y: this.height * 0.25 }
+            : { x: this.width * 0.85, y: this.height * 0.5 };
+        this.screenColumn = Math.min(this.cols - 2, Math.round(this.width * 0.9 / this.cellSize));
+    }
+
+    getWallColumn() {
+        return Math.round(this.width * 0.5 / this.cellSize);
+    }
+
+    /**
+     * Mark wall cells: a two-cell thick vertical wall with one or two slits
+     * centred on the canvas
+     */
+    buildWalls() {
+        this.mask.fill(0);
+        if (this.barrier === 'none') return;
+
+        const centre = this.height / 2;
+        const halfWidth = this.slitWidth / 2;
+        const openings = this.barrier === 'single'
+            ? [[centre - halfWidth, centre + halfWidth]]
+            : [-1, 1].map(side => {
+                const middle = centre + side * this.slitSeparation / 2;
+                return [middle - halfWidth, middle + halfWidth];
+            });
+
+        const wallColumn = this.getWallColumn();
+        for (let j = 0; j < this.rows; j++) {
+            const y = (j + 0.5) * this.cellSize;
+            const isOpen = openings.some(([top, bottom]) => y >= top && y <= bottom);
+            if (isOpen) continue;
+            for (let i = wallColumn; i < Math.min(wallColumn + 2, this.cols); i++) {
+                this.mask[j * this.cols + i] = 1;
+            }
+        }
+    }
+
+    getCellIndex(x, y) {
+        const i = Math.min(this.cols - 2, Math.max(1, Math.round(x / this.cellSize)));
+        const j = Math.min(this.rows - 2, Math.max(1, Math.round(y / this.cellSize)));
+        return j * this.cols + i;
+    }
+
+    /**
+     * Advance by dt seconds, split into substeps that respect the CFL
+     * stability limit c·Δt/Δx ≤ 1/√2
+     */
+    step(dt) {
+        const maxSubstep = 0.5 * this.cellSize / this.waveSpeed;
+        const substeps = Math.max(1, Math.ceil(dt / maxSubstep));
+        const h = dt / substeps;
+
+        for (let n = 0; n < substeps; n++) {
+            this.advanceField(h);
+        }
+    }
+
+    advanceField(h) {
+        const { cols, rows, u, uPrev, uNext, mask } = this;
+        const courant = this.waveSpeed * h / this.cellSize;
+        const courant2 = courant * courant;
+
+        for (let j = 1; j < rows - 1; j++) {
+            for (let i = 1; i < cols - 1; i++) {
+                const k = j * cols + i;
+                if (mask[k]) {
+                    uNext[k] = 0;
+                    continue;
+                }
+                const laplacian = u[k - 1] + u[k + 1] + u[k - cols] + u[k + cols] - 4 * u[k];
+                uNext[k] = 2 * u[k] - uPrev[k] + courant2 * laplacian;
+            }
+        }
+
+        this.applyBoundary(courant);
+        this.time += h;
+
+        this.sources.forEach((source, index) => {
+            const frequency = index === 0 ? this.frequency1 : this.frequency2;
+            uNext[this.getCellIndex(source.x, source.y)] =
+                this.amplitude * Math.sin(2 * Math.PI * frequency * this.time);
+        });
+
+        // Rotate the three time levels without allocating
+        this.uPrev = u;
+        this.u = uNext;
+        this.uNext = uPrev;
+        this.lastSubstep = h;
+
+        // Running time average of u² along the screen column
+        const blend = Math.min(1, h / this.screenTimeConstant);
+        for (let j = 0; j < rows; j++) {
+            const value = this.u[j * cols + this.screenColumn];
+            this.intensity[j] += (value * value - this.intensity[j]) * blend;
+        }
+    }
+
+    applyBoundary(courant) {
+        const { cols, rows, u, uNext } = this;
+
+        if (this.boundary === 'reflecting') {
+            for (let i = 0; i < cols; i++) {
+                uNext[i] = 0;
+                uNext[(rows - 1) * cols + i] = 0;
+            }
+            for (let j = 0; j < rows; j++) {
+                uNext[j * cols] = 0;
+                uNext[j * cols + cols - 1] = 0;
+            }
+            return;
+        }
+
+        // First-order Mur absorbing boundary: outgoing waves leave the grid
+        const m = (courant - 1) / (courant + 1);
+        for (let j = 1; j < rows - 1; j++) {
+            const left = j * cols;
+            const right = j * cols + cols - 1;
+            uNext[left] = u[left + 1] + m * (uNext[left + 1] - u[left]);
+            uNext[right] = u[right - 1] + m * (uNext[right - 1] - u[right]);
+        }
+        for (let i = 0; i < cols; i++) {
+            const top = i;
+            const bottom = (rows - 1) * cols + i;
+            uNext[top] = u[top + cols] + m * (uNext[top + cols] - u[top]);
+            uNext[bottom] = u[bottom - cols] + m * (uNext[bottom - cols] - u[bottom]);
+        }
+    }
+
+    /**
+     * Field displacement at a point and its rate of change
+     */
+    getDisplacementAt(x, y) {
+        const k = this.getCellIndex(x, y);
+        return {
+            displacement: this.u[k],
+            rate: (this.u[k] - this.uPrev[k]) / this.lastSubstep
+        };
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'displacement', label: 'Probe displacement', unit: 'px' },
+            { key: 'rate', label: 'Probe velocity', unit: 'px/s' }
+        ];
+    }
+
+    getObservableValues() {
+        return this.getDisplacementAt(this.probe.x, this.probe.y);
+    }
+
+    getPhaseSpace() {
+        return { x: 'displacement', v: 'rate' };
+    }
+
+    getParameters() {
+        return {
+            frequency1: this.frequency1,
+            frequency2: this.frequency2,
+            amplitude: this.amplitude,
+            boundary: this.boundary,
+            barrier: this.barrier,
+            'slit-width': this.slitWidth,
+            'slit-separation': this.slitSeparation
+        };
+    }
+
+    /**
+     * The field itself is too large to store per frame; it is rebuilt
+     * deterministically from the sources and time in setState()
+     */
+    getState() {
+        return {
+            time: this.time,
+            sources: this.sources.map(({ x, y }) => ({ x, y }))
+        };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns;
+     * the sources may be missing
+     */
+    validateState(state) {
+        return Number.isFinite(state.time) && state.time >= 0 &&
+            (state.sources === undefined || (Array.isArray(state.sources) &&
+                state.sources.every(source => source && Number.isFinite(source.x) && Number.isFinite(source.y))));
+    }
+
+    setState(state) {
+        if (state.sources) {
+            this.sources = state.sources.map(({ x, y }) => ({ x, y }));
+        }
+
+        if (state.time < this.time - 1e-9 || state.time - this.time > this.maxFastForward) {
+            // Sources are phase-locked to absolute time, so restarting a few
+            // seconds early reproduces the field once transients have left
+            this.clearField();
+            this.time = Math.max(0, state.time - this.maxFastForward);
+        }
+
+        // Same step size as the live run so the scheme's dispersion matches
+        while (this.time < state.time - 1e-9) {
+            this.step(Math.min(this.lastSubstep, state.time - this.time));
+        }
+    }
+
+    display() {
+        if (!this.imageData) {
+            this.createImageBuffer();
+        }
+
+        const data = this.imageData.data;
+        // A point source spreads its amplitude quickly, so saturate early
+        const scale = 1 / (this.amplitude * 0.25);
+
+        for (let k = 0; k < this.u.length; k++) {
+            const offset = k * 4;
+            if (this.mask[k]) {
+                data[offset] = 71;
+                data[offset + 1] = 85;
+                data[offset + 2] = 105;
+            } else {
+                // Diverging colour map: blue crests, amber troughs, white at rest
+                const value = Math.max(-1, Math.min(1, this.u[k] * scale));
+                const target = value > 0 ? [59, 130, 246] : [245, 158, 11];
+                const weight = Math.abs(value);
+                data[offset] = 248 + (target[0] - 248) * weight;
+                data[offset + 1] = 250 + (target[1] - 250) * weight;
+                data[offset + 2] = 252 + (target[2] - 252) * weight;
+            }
+            data[offset + 3] = 255;
+        }
+
+        this.bufferContext.putImageData(this.imageData, 0, 0);
+        const context = this.p.drawingContext;
+        context.imageSmoothingEnabled = true;
+        context.drawImage(this.buffer, 0, 0, this.cols * this.cellSize, this.rows * this.cellSize);
+
+        if (this.barrier !== 'none') {
+            this.displayScreen();
+        }
+
+        // Draw sources
+        this.sources.forEach((source, index) => {
+            this.p.fill(index === 0 ? [59, 130, 246] : [16, 185, 129]);
+            this.p.stroke(255);
+            this.p.strokeWeight(2);
+            this.p.ellipse(source.x, source.y, this.sourceRadius * 2, this.sourceRadius * 2);
+        });
+
+        // Point sampled by the graph panel
+        this.p.noFill();
+        this.p.stroke(0, 0, 0, 150);
+        this.p.strokeWeight(1);
+        this.p.ellipse(this.probe.x, this.probe.y, 10, 10);
+    }
+
+    createImageBuffer() {
+        this.buffer = document.createElement('canvas');
+        this.buffer.width = this.cols;
+        this.buffer.height = this.rows;
+        this.bufferContext = this.buffer.getContext('2d');
+        this.imageData = this.bufferContext.createImageData(this.cols, this.rows);
+    }
+
+    /**
+     * Time-averaged intensity along the screen line, drawn as a profile
+     */
+    displayScreen() {
+        const x = this.screenColumn * this.cellSize;
+        const peak = Math.max(...this.intensity) || 1;
+        const profileWidth = this.width - x - 4;
+
+        this.p.stroke(71, 85, 105, 120);
+        this.p.strokeWeight(1);
+        this.p.line(x, 0, x, this.height);
+
+        this.p.noFill();
+        this.p.stroke(239, 68, 68);
+        this.p.strokeWeight(2);
+        this.p.beginShape();
+        for (let j = 0; j < this.rows; j++) {
+            this.p.vertex(x + profileWidth * this.intensity[j] / peak, (j + 0.5) * this.cellSize);
+        }
+        this.p.endShape();
+    }
+
+    getSourceAt(x, y) {
+        for (let i = this.sources.length - 1; i >= 0; i--) {
+            const source = this.sources[i];
+            if (Math.hypot(x - source.x, y - source.y) <= this.sourceRadius + 2) {
+                return source;
+            }
+        }
+        return null;
+    }
+
+    isWall(x, y) {
+        return this.mask[this.getCellIndex(x, y)] === 1;
+    }
+
+    handlePress(x, y) {
+        const source = this.getSourceAt(x, y);
+        if (source) {
+            this.draggedSource = source;
+        } else if (this.sources.length < this.maxSources && !this.isWall(x, y)) {
+            this.sources.push({ x, y });
+        }
+    }
+
+    handleDrag(x, y) {
+        if (!this.draggedSource || this.isWall(x, y)) return;
+        this.draggedSource.x = this.p.constrain(x, 0, this.width);
+        this.draggedSource.y = this.p.constrain(y, 0, this.height);
+    }
+
+    handleRelease() {
+        this.draggedSource = null;
+    }
+
+    handleDoubleClick(x, y) {
+        const source = this.getSourceAt(x, y);
+        if (source) {
+            this.sources = this.sources.filter(s => s !== source);
+        }
+    }
+
+    setFrequency1(freq) {
+        this.frequency1 = freq;
+    }
+
+    setFrequency2(freq) {
         this.frequency2 = freq;
     }
 
@@ -765,69 +3372,540 @@ class WaveInterferenceSimulation {
         this.amplitude = amp;
     }
 
+    setBoundary(boundary) {
+        this.boundary = boundary === 'reflecting' ? 'reflecting' : 'absorbing';
+    }
+
+    setBarrier(barrier) {
+        this.barrier = ['single', 'double'].includes(barrier) ? barrier : 'none';
+        this.sources = this.createDefaultSources();
+        this.updateProbe();
+        this.buildWalls();
+        this.reset();
+    }
+
+    setSlitWidth(width) {
+        this.slitWidth = Math.max(this.cellSize, width);
+        this.buildWalls();
+        this.intensity.fill(0);
+    }
+
+    setSlitSeparation(separation) {
+        this.slitSeparation = Math.max(this.slitWidth, separation);
+        this.buildWalls();
+        this.intensity.fill(0);
+    }
+
+    clearField() {
+        this.u.fill(0);
+        this.uPrev.fill(0);
+        this.uNext.fill(0);
+        this.intensity.fill(0);
+    }
+
     reset() {
         this.time = 0;
+        this.clearField();
     }
 
     resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.sources.forEach(source => {
+            source.x *= scaleX;
+            source.y *= scaleY;
+        });
         this.width = width;
         this.height = height;
-        this.sources = [
-            { x: width * 0.3, y: height * 0.5 },
-            { x: width * 0.7, y: height * 0.5 }
-        ];
+        this.createGrid();
     }
 }
 
 /**
  * Gravity Simulation Class
+ * Two modes: 'orbits' moves particles on fixed circular orbits, 'nbody'
+ * integrates Newtonian gravity between every pair of bodies.
+ * Units are SI (m, kg, s) with the star at the origin; the canvas shows
+ * 1 px = 0.01 AU and one second of animation is 40 days.
  */
 class GravitySimulation {
     constructor(p, width, height) {
         this.p = p;
         this.width = width;
         this.height = height;
-        this.centralMass = 100;
+        this.mode = 'orbits';
+        this.G = 6.674e-11; // gravitational constant (N·m²/kg²)
+        this.au = 1.496e11; // astronomical unit (m)
+        this.solarMass = 1.989e30; // kg
+        this.planetMass = this.solarMass / 100; // about ten Jupiters, heavy enough to pull on each other
+        this.metersPerPixel = this.au / 100;
+        this.timeScale = 40 * 86400; // seconds of simulated time per second of animation
+        this.centralMass = this.solarMass;
         this.speed = 1;
         this.particles = [];
-        this.createParticles(5);
+        this.particleCount = 5;
+        this.trailInterval = 1 / 60; // seconds of animation between trail points
+        this.trailTimer = 0;
+
+        // N-body settings
+        this.bodies = [];
+        this.initialBodies = [];
+        this.softening = 0; // Plummer softening length (m)
+        this.mergeOnCollision = true;
+        this.launch = null;
+        this.launchScale = 600; // body speed (m/s) per pixel of drag
+        this.maxTrailLength = 120;
+
+        this.createParticles(this.particleCount);
+        this.createBodies(this.particleCount);
+    }
+
+    createParticles(count) {
+        this.particles = [];
+        
+        for (let i = 0; i < count; i++) {
+            const angle = (this.p.TWO_PI / count) * i;
+            const distance = (0.6 + i * 0.15) * this.au;
+            this.particles.push({
+                angle: angle,
+                distance: distance,
+                angularVelocity: this.getOrbitalAngularVelocity(distance),
+                trail: []
+            });
+        }
+    }
+
+    /**
+     * Default N-body setup: a central star with planets launched slightly
+     * below circular speed so the orbits come out as ellipses
+     */
+    createBodies(count) {
+        const bodies = [{ x: 0, y: 0, vx: 0, vy: 0, mass: this.centralMass }];
+
+        for (let i = 0; i < count; i++) {
+            const angle = (this.p.TWO_PI / count) * i;
+            const distance = (0.6 + i * 0.15) * this.au;
+            const speed = Math.sqrt(this.G * this.centralMass / distance) * (1 - 0.04 * i);
+            bodies.push({
+                x: Math.cos(angle) * distance,
+                y: Math.sin(angle) * distance,
+                vx: -Math.sin(angle) * speed,
+                vy: Math.cos(angle) * speed,
+                mass: this.planetMass
+            });
+        }
+
+        // Give the star the opposite momentum so the system stays in frame
+        const momentum = bodies.slice(1).reduce((sum, body) => ({
+            x: sum.x + body.mass * body.vx,
+            y: sum.y + body.mass * body.vy
+        }), { x: 0, y: 0 });
+        bodies[0].vx = -momentum.x / bodies[0].mass;
+        bodies[0].vy = -momentum.y / bodies[0].mass;
+
+        this.setBodies(bodies);
+    }
+
+    /**
+     * Replace all bodies with the given initial conditions.
+     * Each entry is `{ x, y, vx, vy, mass }`; the heaviest body is the primary
+     * that orbital elements are measured against.
+     */
+    setBodies(bodies) {
+        this.initialBodies = bodies.map(body => ({
+            x: body.x,
+            y: body.y,
+            vx: body.vx || 0,
+            vy: body.vy || 0,
+            mass: body.mass || this.planetMass
+        }));
+        this.restoreBodies();
+    }
+
+    /**
+     * Add a body at a position with an initial velocity
+     */
+    addBody(body) {
+        const initial = {
+            x: body.x,
+            y: body.y,
+            vx: body.vx || 0,
+            vy: body.vy || 0,
+            mass: body.mass || this.planetMass
+        };
+        this.initialBodies.push(initial);
+        this.bodies.push(this.createBody(initial));
+    }
+
+    createBody(initial) {
+        return { ...initial, trail: [] };
+    }
+
+    restoreBodies() {
+        this.bodies = this.initialBodies.map(initial => this.createBody(initial));
+        this.trailTimer = 0;
+    }
+
+    /**
+     * Drawn size in pixels, also used for collisions: a planet is 4 px across
+     * and a body's radius grows with the cube root of its mass
+     */
+    getBodyRadius(body) {
+        return Math.max(4, 2.7 * Math.cbrt(body.mass / this.planetMass));
+    }
+
+    /**
+     * Canvas position of a point given in metres from the star
+     */
+    toCanvas(x, y) {
+        return {
+            x: this.width / 2 + x / this.metersPerPixel,
+            y: this.height / 2 + y / this.metersPerPixel
+        };
+    }
+
+    getPrimary() {
+        return this.bodies.reduce((primary, body) =>
+            (!primary || body.mass > primary.mass) ? body : primary, null);
+    }
+
+    /**
+     * Circular orbit angular velocity ω = √(GM/r³) in rad/s
+     */
+    getOrbitalAngularVelocity(distance) {
+        return Math.sqrt(this.G * this.centralMass / (distance * distance * distance));
+    }
+
+    /**
+     * Advance by `dt` seconds of animation, which is `timeScale` times as
+     * much simulated time
+     */
+    step(dt, integrator, t) {
+        if (this.mode === 'nbody') {
+            this.stepBodies(dt, integrator, t);
+        } else {
+            this.stepOrbits(dt);
+        }
+    }
+
+    stepOrbits(dt) {
+        this.trailTimer += dt;
+        const recordTrail = this.trailTimer >= this.trailInterval;
+        if (recordTrail) {
+            this.trailTimer -= this.trailInterval;
+        }
+        
+        this.particles.forEach(particle => {
+            particle.angle += particle.angularVelocity * this.speed * this.timeScale * dt;
+            
+            if (recordTrail) {
+                const x = Math.cos(particle.angle) * particle.distance;
+                const y = Math.sin(particle.angle) * particle.distance;
+                
+                particle.trail.push({ x, y });
+                if (particle.trail.length > 30) {
+                    particle.trail.shift();
+                }
+            }
+        });
+    }
+
+    /**
+     * Pairwise Newtonian acceleration for packed positions q = [x0, y0, x1, y1, ...]
+     */
+    accelerationOfBodies(q) {
+        const a = new Array(q.length).fill(0);
+        const epsilon2 = this.softening * this.softening;
+
+        for (let i = 0; i < this.bodies.length; i++) {
+            for (let j = i + 1; j < this.bodies.length; j++) {
+                const dx = q[2 * j] - q[2 * i];
+                const dy = q[2 * j + 1] - q[2 * i + 1];
+                const r2 = dx * dx + dy * dy + epsilon2;
+                if (r2 === 0) continue;
+
+                const invR3 = 1 / (r2 * Math.sqrt(r2));
+                const fi = this.G * this.bodies[j].mass * invR3;
+                const fj = this.G * this.bodies[i].mass * invR3;
+
+                a[2 * i] += fi * dx;
+                a[2 * i + 1] += fi * dy;
+                a[2 * j] -= fj * dx;
+                a[2 * j + 1] -= fj * dy;
+            }
+        }
+
+        return a;
+    }
+
+    stepBodies(dt, integrator, t) {
+        if (this.bodies.length === 0) return;
+
+        const state = { q: [], v: [] };
+        this.bodies.forEach(body => {
+            state.q.push(body.x, body.y);
+            state.v.push(body.vx, body.vy);
+        });
+
+        const next = integrator(state, (q) => this.accelerationOfBodies(q), t, dt * this.speed * this.timeScale);
+
+        this.bodies.forEach((body, i) => {
+            body.x = next.q[2 * i];
+            body.y = next.q[2 * i + 1];
+            body.vx = next.v[2 * i];
+            body.vy = next.v[2 * i + 1];
+        });
+
+        if (this.mergeOnCollision) {
+            this.mergeCollidingBodies();
+        }
+
+        // Forget bodies that have escaped far beyond the canvas
+        const limit = 10 * Math.max(this.width, this.height) * this.metersPerPixel;
+        this.bodies = this.bodies.filter(body => Math.abs(body.x) < limit && Math.abs(body.y) < limit);
+
+        this.trailTimer += dt;
+        if (this.trailTimer >= this.trailInterval) {
+            this.trailTimer -= this.trailInterval;
+            this.bodies.forEach(body => {
+                body.trail.push({ x: body.x, y: body.y });
+                if (body.trail.length > this.maxTrailLength) {
+                    body.trail.shift();
+                }
+            });
+        }
+    }
+
+    /**
+     * Perfectly inelastic merging: mass and momentum are conserved and the
+     * merged body sits at the pair's centre of mass
+     */
+    mergeCollidingBodies() {
+        let merged = true;
+
+        while (merged) {
+            merged = false;
+
+            for (let i = 0; i < this.bodies.length && !merged; i++) {
+                for (let j = i + 1; j < this.bodies.length && !merged; j++) {
+                    const a = this.bodies[i];
+                    const b = this.bodies[j];
+                    const distance = Math.hypot(b.x - a.x, b.y - a.y) / this.metersPerPixel;
+
+                    if (distance < this.getBodyRadius(a) + this.getBodyRadius(b)) {
+                        const [keep, absorb] = a.mass >= b.mass ? [a, b] : [b, a];
+                        const mass = a.mass + b.mass;
+
+                        keep.x = (a.x * a.mass + b.x * b.mass) / mass;
+                        keep.y = (a.y * a.mass + b.y * b.mass) / mass;
+                        keep.vx = (a.vx * a.mass + b.vx * b.mass) / mass;
+                        keep.vy = (a.vy * a.mass + b.vy * b.mass) / mass;
+                        keep.mass = mass;
+
+                        this.bodies.splice(this.bodies.indexOf(absorb), 1);
+                        merged = true;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Osculating two-body orbital elements of a body around the primary:
+     * eccentricity, semi-major axis (m) and period (s)
+     */
+    getOrbitalElements(body) {
+        const primary = this.getPrimary();
+        if (!primary || primary === body) return null;
+
+        const mu = this.G * (primary.mass + body.mass);
+        const rx = body.x - primary.x;
+        const ry = body.y - primary.y;
+        const vx = body.vx - primary.vx;
+        const vy = body.vy - primary.vy;
+        const r = Math.hypot(rx, ry);
+        const v2 = vx * vx + vy * vy;
+
+        const energy = v2 / 2 - mu / r; // specific orbital energy
+        const h = rx * vy - ry * vx; // specific angular momentum (z component)
+        const eccentricity = Math.sqrt(Math.max(0, 1 + 2 * energy * h * h / (mu * mu)));
+        const bound = energy < 0;
+        const semiMajorAxis = bound ? -mu / (2 * energy) : Infinity;
+        const period = bound ? 2 * Math.PI * Math.sqrt(Math.pow(semiMajorAxis, 3) / mu) : Infinity;
+
+        return { eccentricity, semiMajorAxis, period, bound, energy };
+    }
+
+    /**
+     * Total kinetic and potential energy of the system (J).
+     * In orbit mode the star is fixed and every particle is one planet mass.
+     */
+    getSystemEnergy() {
+        let kinetic = 0;
+        let potential = 0;
+
+        if (this.mode === 'nbody') {
+            const epsilon2 = this.softening * this.softening;
+            this.bodies.forEach((body, i) => {
+                kinetic += 0.5 * body.mass * (body.vx * body.vx + body.vy * body.vy);
+                for (let j = i + 1; j < this.bodies.length; j++) {
+                    const other = this.bodies[j];
+                    const r = Math.sqrt((other.x - body.x) ** 2 + (other.y - body.y) ** 2 + epsilon2);
+                    if (r > 0) {
+                        potential -= this.G * body.mass * other.mass / r;
+                    }
+                }
+            });
+        } else {
+            this.particles.forEach(particle => {
+                const speed = particle.angularVelocity * particle.distance;
+                kinetic += 0.5 * this.planetMass * speed * speed;
+                potential -= this.G * this.centralMass * this.planetMass / particle.distance;
+            });
+        }
+
+        return { kinetic, potential };
+    }
+
+    /**
+     * Distance and radial velocity of the first orbiting body relative to
+     * the central mass
+     */
+    getTrackedOrbit() {
+        if (this.mode !== 'nbody') {
+            const particle = this.particles[0];
+            if (!particle) return null;
+            return {
+                radius: particle.distance,
+                radialVelocity: 0,
+                speed: particle.angularVelocity * particle.distance
+            };
+        }
+
+        const primary = this.getPrimary();
+        const body = this.bodies.find(b => b !== primary);
+        if (!body) return null;
+
+        const rx = body.x - primary.x;
+        const ry = body.y - primary.y;
+        const vx = body.vx - primary.vx;
+        const vy = body.vy - primary.vy;
+        const radius = Math.hypot(rx, ry);
+
+        return {
+            radius,
+            radialVelocity: radius > 0 ? (rx * vx + ry * vy) / radius : 0,
+            speed: Math.hypot(vx, vy)
+        };
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'radius', label: 'Orbital radius', unit: 'm' },
+            { key: 'radialVelocity', label: 'Radial velocity', unit: 'm/s' },
+            { key: 'speed', label: 'Orbital speed', unit: 'm/s' },
+            { key: 'kinetic', label: 'Kinetic energy', unit: 'J' },
+            { key: 'potential', label: 'Potential energy', unit: 'J' },
+            { key: 'total', label: 'Total energy', unit: 'J' }
+        ];
+    }
+
+    getObservableValues() {
+        const orbit = this.getTrackedOrbit() || { radius: NaN, radialVelocity: NaN, speed: NaN };
+        const { kinetic, potential } = this.getSystemEnergy();
+        return {
+            radius: orbit.radius,
+            radialVelocity: orbit.radialVelocity,
+            speed: orbit.speed,
+            kinetic,
+            potential,
+            total: kinetic + potential
+        };
     }
 
-    createParticles(count) {
-        this.particles = [];
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
-        
-        for (let i = 0; i < count; i++) {
-            const angle = (this.p.TWO_PI / count) * i;
-            const distance = 60 + i * 15;
-            this.particles.push({
-                angle: angle,
-                distance: distance,
-                speed: this.p.sqrt(this.centralMass / distance) * 0.02,
-                trail: []
-            });
+    getPhaseSpace() {
+        return { x: 'radius', v: 'radialVelocity' };
+    }
+
+    /**
+     * Current settings keyed by control parameter name; the controls take
+     * the central mass in solar masses and the softening in AU
+     */
+    getParameters() {
+        return {
+            mass: Math.round(this.centralMass / this.solarMass * 100) / 100,
+            particles: this.particleCount,
+            speed: this.speed,
+            mode: this.mode,
+            softening: Math.round(this.softening / this.au * 1000) / 1000,
+            merge: this.mergeOnCollision
+        };
+    }
+
+    getState() {
+        if (this.mode === 'nbody') {
+            return {
+                mode: this.mode,
+                bodies: this.bodies.map(({ x, y, vx, vy, mass }) => ({ x, y, vx, vy, mass }))
+            };
         }
+        return { mode: this.mode, angles: this.particles.map(particle => particle.angle) };
     }
 
-    update() {
-        const centerX = this.width / 2;
-        const centerY = this.height / 2;
-        
-        this.particles.forEach(particle => {
-            particle.angle += particle.speed * this.speed;
-            
-            const x = centerX + this.p.cos(particle.angle) * particle.distance;
-            const y = centerY + this.p.sin(particle.angle) * particle.distance;
-            
-            particle.trail.push({ x, y });
-            if (particle.trail.length > 30) {
-                particle.trail.shift();
+    /**
+     * Whether a state from a link or file has the shape getState() returns
+     * in either mode
+     */
+    validateState(state) {
+        if (state.mode === 'nbody') {
+            return Array.isArray(state.bodies) && state.bodies.every(body => body &&
+                ['x', 'y', 'vx', 'vy'].every(key => Number.isFinite(body[key])) &&
+                Number.isFinite(body.mass) && body.mass > 0);
+        }
+        return state.mode === 'orbits' && Array.isArray(state.angles) && state.angles.every(Number.isFinite);
+    }
+
+    /**
+     * Restore a recorded state; trails continue when the number of bodies
+     * is unchanged
+     */
+    setState(state) {
+        const pushTrail = (trail, x, y, maxLength) => {
+            trail.push({ x, y });
+            if (trail.length > maxLength) {
+                trail.shift();
             }
-        });
+        };
+
+        if (state.mode === 'nbody') {
+            const keepTrails = state.bodies.length === this.bodies.length;
+            this.bodies = state.bodies.map((body, i) => {
+                const restored = this.createBody(body);
+                if (keepTrails) {
+                    restored.trail = this.bodies[i].trail;
+                }
+                pushTrail(restored.trail, restored.x, restored.y, this.maxTrailLength);
+                return restored;
+            });
+        } else {
+            state.angles.forEach((angle, i) => {
+                const particle = this.particles[i];
+                if (!particle) return;
+                particle.angle = angle;
+                pushTrail(particle.trail,
+                          Math.cos(angle) * particle.distance,
+                          Math.sin(angle) * particle.distance,
+                          30);
+            });
+        }
     }
 
     display() {
+        if (this.mode === 'nbody') {
+            this.displayBodies();
+            return;
+        }
+
         const centerX = this.width / 2;
         const centerY = this.height / 2;
 
@@ -850,14 +3928,16 @@ class GravitySimulation {
             if (particle.trail.length > 1) {
                 this.p.beginShape();
                 particle.trail.forEach(point => {
-                    this.p.vertex(point.x, point.y);
+                    const { x, y } = this.toCanvas(point.x, point.y);
+                    this.p.vertex(x, y);
                 });
                 this.p.endShape();
             }
 
             // Draw particle
-            const currentPos = particle.trail[particle.trail.length - 1];
-            if (currentPos) {
+            const last = particle.trail[particle.trail.length - 1];
+            if (last) {
+                const currentPos = this.toCanvas(last.x, last.y);
                 this.p.fill(59, 130, 246);
                 this.p.noStroke();
                 this.p.ellipse(currentPos.x, currentPos.y, 8, 8);
@@ -867,31 +3947,140 @@ class GravitySimulation {
         // Draw central mass
         this.p.fill(16, 185, 129);
         this.p.noStroke();
-        const size = this.p.map(this.centralMass, 50, 200, 15, 25);
+        const size = this.p.map(this.centralMass / this.solarMass, 0.5, 2, 15, 25);
         this.p.ellipse(centerX, centerY, size, size);
     }
 
+    displayBodies() {
+        const primary = this.getPrimary();
+
+        this.bodies.forEach(body => {
+            // Draw trail
+            this.p.stroke(59, 130, 246, 100);
+            this.p.strokeWeight(1);
+            this.p.noFill();
+
+            if (body.trail.length > 1) {
+                this.p.beginShape();
+                body.trail.forEach(point => {
+                    const { x, y } = this.toCanvas(point.x, point.y);
+                    this.p.vertex(x, y);
+                });
+                this.p.endShape();
+            }
+
+            // Draw body
+            this.p.noStroke();
+            this.p.fill(body === primary ? [16, 185, 129] : [59, 130, 246]);
+            const radius = this.getBodyRadius(body);
+            const position = this.toCanvas(body.x, body.y);
+            this.p.ellipse(position.x, position.y, radius * 2, radius * 2);
+        });
+
+        // Draw launch vector while the user drags out a new body
+        if (this.launch) {
+            this.p.stroke(255, 107, 107);
+            this.p.strokeWeight(2);
+            this.p.line(this.launch.x, this.launch.y, this.p.mouseX, this.p.mouseY);
+            this.p.noStroke();
+            this.p.fill(255, 107, 107);
+            this.p.ellipse(this.launch.x, this.launch.y, 8, 8);
+        }
+
+        this.displayOrbitalElements();
+    }
+
+    displayOrbitalElements() {
+        this.p.fill(0);
+        this.p.noStroke();
+        this.p.textAlign(this.p.LEFT);
+        this.p.textSize(12);
+
+        const satellites = this.bodies.filter(body => body !== this.getPrimary()).slice(0, 6);
+        satellites.forEach((body, i) => {
+            const elements = this.getOrbitalElements(body);
+            if (!elements) return;
+
+            const label = elements.bound
+                ? `e=${elements.eccentricity.toFixed(2)}  a=${(elements.semiMajorAxis / this.au).toFixed(2)} AU  T=${(elements.period / 86400).toFixed(0)} d`
+                : `e=${elements.eccentricity.toFixed(2)}  escaping`;
+            this.p.text(`${i + 1}: ${label}`, 10, 20 + i * 16);
+        });
+    }
+
+    /**
+     * Mouse interaction (canvas pixels): press to place a body, drag to set
+     * its velocity
+     */
+    beginLaunch(x, y) {
+        if (this.mode !== 'nbody') return;
+        this.launch = { x, y };
+    }
+
+    endLaunch(x, y) {
+        if (!this.launch) return;
+
+        this.addBody({
+            x: (this.launch.x - this.width / 2) * this.metersPerPixel,
+            y: (this.launch.y - this.height / 2) * this.metersPerPixel,
+            vx: (x - this.launch.x) * this.launchScale,
+            vy: (y - this.launch.y) * this.launchScale,
+            mass: this.planetMass
+        });
+        this.launch = null;
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'nbody' ? 'nbody' : 'orbits';
+        this.launch = null;
+        this.reset();
+    }
+
     setCentralMass(mass) {
         this.centralMass = mass;
-        // Recalculate particle speeds
+        // Recalculate orbital speeds
         this.particles.forEach(particle => {
-            particle.speed = this.p.sqrt(this.centralMass / particle.distance) * 0.02;
+            particle.angularVelocity = this.getOrbitalAngularVelocity(particle.distance);
         });
+
+        const initialPrimary = this.initialBodies.reduce((primary, body) =>
+            (!primary || body.mass > primary.mass) ? body : primary, null);
+        const primary = this.getPrimary();
+        if (initialPrimary) {
+            initialPrimary.mass = mass;
+        }
+        if (primary) {
+            primary.mass = mass;
+        }
     }
 
     setParticleCount(count) {
+        this.particleCount = count;
         this.createParticles(count);
+        this.createBodies(count);
     }
 
     setSpeed(speed) {
         this.speed = speed;
     }
 
+    setSoftening(softening) {
+        this.softening = Math.max(0, softening);
+    }
+
+    setMerging(enabled) {
+        this.mergeOnCollision = enabled;
+    }
+
     reset() {
-        this.particles.forEach(particle => {
+        // Deterministic restart from the initial configuration
+        const count = this.particles.length;
+        this.particles.forEach((particle, i) => {
             particle.trail = [];
-            particle.angle = Math.random() * this.p.TWO_PI;
+            particle.angle = (this.p.TWO_PI / count) * i;
         });
+        this.restoreBodies();
+        this.trailTimer = 0;
     }
 
     resize(width, height) {
@@ -902,88 +4091,246 @@ class GravitySimulation {
 
 /**
  * Electric Field Simulation Class
+ * Any number of point charges (μC) on a canvas where 1 px = 1 cm.
+ * Click to place a charge, drag to move it, double-click to delete it.
  */
 class ElectricFieldSimulation {
     constructor(p, width, height) {
         this.p = p;
         this.width = width;
         this.height = height;
-        this.charge1 = 5;
-        this.charge2 = -5;
+        this.k = 8.99e9; // Coulomb constant (N·m²/C²)
+        this.metersPerPixel = 0.01;
+        this.chargeRadius = 10;
+        this.newCharge = 3; // μC, used for charges placed by clicking
         this.showLines = true;
+        this.showVectors = false;
+        this.showEquipotentials = true;
+        this.showProbe = true;
+        this.linesPerMicroCoulomb = 2;
+        this.draggedCharge = null;
         this.fieldLines = [];
+        this.equipotentials = [];
+        this.reset();
+    }
+
+    createDefaultCharges() {
+        return [
+            { x: this.width * 0.3, y: this.height * 0.5, q: 5 },
+            { x: this.width * 0.7, y: this.height * 0.5, q: -5 }
+        ];
+    }
+
+    /**
+     * Recompute cached field lines and equipotential contours
+     */
+    refresh() {
         this.generateFieldLines();
+        this.generateEquipotentials();
+    }
+
+    /**
+     * Electric field in N/C at a canvas point (pixels)
+     */
+    calculateFieldAt(x, y) {
+        let fieldX = 0;
+        let fieldY = 0;
+
+        this.charges.forEach(charge => {
+            const dx = (x - charge.x) * this.metersPerPixel;
+            const dy = (y - charge.y) * this.metersPerPixel;
+            const r2 = dx * dx + dy * dy;
+            if (r2 === 0) return;
+
+            const r = Math.sqrt(r2);
+            const field = this.k * charge.q * 1e-6 / r2;
+            fieldX += field * dx / r;
+            fieldY += field * dy / r;
+        });
+
+        return { x: fieldX, y: fieldY };
+    }
+
+    /**
+     * Electric potential in volts at a canvas point (pixels), zero at infinity
+     */
+    calculatePotentialAt(x, y) {
+        return this.charges.reduce((potential, charge) => {
+            const r = Math.hypot(x - charge.x, y - charge.y) * this.metersPerPixel;
+            return r === 0 ? potential : potential + this.k * charge.q * 1e-6 / r;
+        }, 0);
     }
 
+    /**
+     * Trace field lines out of every positive charge. Lines stop on the
+     * negative charge they reach, at the canvas margin, or after a fixed
+     * length. With no positive charges, lines are traced backwards into
+     * the negative ones instead.
+     */
     generateFieldLines() {
         this.fieldLines = [];
-        const charge1Pos = { x: this.width * 0.3, y: this.height * 0.5 };
-        const charge2Pos = { x: this.width * 0.7, y: this.height * 0.5 };
-        
-        // Generate field lines from positive charge
-        if (this.charge1 > 0) {
-            for (let angle = 0; angle < this.p.TWO_PI; angle += this.p.TWO_PI / 12) {
-                const line = [];
-                let x = charge1Pos.x + this.p.cos(angle) * 10;
-                let y = charge1Pos.y + this.p.sin(angle) * 10;
-                
-                for (let i = 0; i < 50; i++) {
-                    line.push({ x, y });
-                    
-                    // Calculate field direction
-                    const field = this.calculateFieldAt(x, y);
-                    const magnitude = this.p.sqrt(field.x * field.x + field.y * field.y);
-                    
-                    if (magnitude > 0) {
-                        x += (field.x / magnitude) * 3;
-                        y += (field.y / magnitude) * 3;
-                    }
-                    
-                    if (x < 0 || x > this.width || y < 0 || y > this.height) break;
-                }
-                
+
+        const positives = this.charges.filter(charge => charge.q > 0);
+        const negatives = this.charges.filter(charge => charge.q < 0);
+        const sources = positives.length > 0 ? positives : negatives;
+        const direction = positives.length > 0 ? 1 : -1;
+        const sinks = positives.length > 0 ? negatives : [];
+
+        sources.forEach(source => {
+            const lineCount = Math.max(4, Math.round(Math.abs(source.q) * this.linesPerMicroCoulomb));
+
+            for (let n = 0; n < lineCount; n++) {
+                const angle = (this.p.TWO_PI / lineCount) * n;
+                const line = this.traceFieldLine(
+                    source.x + Math.cos(angle) * this.chargeRadius,
+                    source.y + Math.sin(angle) * this.chargeRadius,
+                    direction,
+                    sinks
+                );
                 this.fieldLines.push(line);
             }
-        }
+        });
     }
 
-    calculateFieldAt(x, y) {
-        const charge1Pos = { x: this.width * 0.3, y: this.height * 0.5 };
-        const charge2Pos = { x: this.width * 0.7, y: this.height * 0.5 };
-        
-        let fieldX = 0;
-        let fieldY = 0;
-        
-        // Field from charge 1
-        const dx1 = x - charge1Pos.x;
-        const dy1 = y - charge1Pos.y;
-        const r1 = this.p.sqrt(dx1 * dx1 + dy1 * dy1);
-        if (r1 > 0) {
-            const field1 = this.charge1 / (r1 * r1);
-            fieldX += field1 * dx1 / r1;
-            fieldY += field1 * dy1 / r1;
+    traceFieldLine(startX, startY, direction, sinks) {
+        const stepSize = 3;
+        const margin = 50;
+        const line = [];
+        let x = startX;
+        let y = startY;
+
+        for (let i = 0; i < 600; i++) {
+            line.push({ x, y });
+
+            // Midpoint (RK2) step along the unit field direction
+            const unit = (px, py) => {
+                const field = this.calculateFieldAt(px, py);
+                const magnitude = Math.hypot(field.x, field.y);
+                return magnitude > 0
+                    ? { x: direction * field.x / magnitude, y: direction * field.y / magnitude }
+                    : null;
+            };
+
+            const d1 = unit(x, y);
+            if (!d1) break;
+            const d2 = unit(x + d1.x * stepSize / 2, y + d1.y * stepSize / 2);
+            if (!d2) break;
+
+            x += d2.x * stepSize;
+            y += d2.y * stepSize;
+
+            const sink = sinks.find(charge => Math.hypot(x - charge.x, y - charge.y) < this.chargeRadius);
+            if (sink) {
+                line.push({ x: sink.x, y: sink.y });
+                break;
+            }
+
+            if (x < -margin || x > this.width + margin || y < -margin || y > this.height + margin) break;
         }
-        
-        // Field from charge 2
-        const dx2 = x - charge2Pos.x;
-        const dy2 = y - charge2Pos.y;
-        const r2 = this.p.sqrt(dx2 * dx2 + dy2 * dy2);
-        if (r2 > 0) {
-            const field2 = this.charge2 / (r2 * r2);
-            fieldX += field2 * dx2 / r2;
-            fieldY += field2 * dy2 / r2;
+
+        return line;
+    }
+
+    /**
+     * Equipotential contours via marching squares on a coarse potential grid
+     */
+    generateEquipotentials() {
+        this.equipotentials = [];
+        if (this.charges.length === 0) return;
+
+        const cell = 8;
+        const cols = Math.ceil(this.width / cell) + 1;
+        const rows = Math.ceil(this.height / cell) + 1;
+        const grid = [];
+
+        for (let i = 0; i < cols; i++) {
+            grid.push([]);
+            for (let j = 0; j < rows; j++) {
+                grid[i].push(this.calculatePotentialAt(i * cell, j * cell));
+            }
         }
-        
-        return { x: fieldX, y: fieldY };
+
+        // Potential of 1 μC at 1 m, spaced so contours crowd near charges
+        const base = this.k * 1e-6;
+        const levels = [0];
+        [0.25, 0.5, 1, 2, 4, 8].forEach(factor => {
+            levels.push(base * factor, -base * factor);
+        });
+
+        // Marching squares lookup: corner mask -> pairs of crossed edges
+        // (edges: 0 top, 1 right, 2 bottom, 3 left)
+        const table = {
+            1: [[3, 2]], 2: [[2, 1]], 3: [[3, 1]], 4: [[0, 1]],
+            5: [[3, 0], [2, 1]], 6: [[0, 2]], 7: [[3, 0]], 8: [[3, 0]],
+            9: [[0, 2]], 10: [[0, 1], [3, 2]], 11: [[0, 1]], 12: [[3, 1]],
+            13: [[2, 1]], 14: [[3, 2]]
+        };
+
+        levels.forEach(level => {
+            const segments = [];
+
+            for (let i = 0; i < cols - 1; i++) {
+                for (let j = 0; j < rows - 1; j++) {
+                    const x0 = i * cell;
+                    const y0 = j * cell;
+
+                    // Skip cells around a charge where the potential diverges
+                    const nearCharge = this.charges.some(charge =>
+                        Math.abs(charge.x - (x0 + cell / 2)) < cell && Math.abs(charge.y - (y0 + cell / 2)) < cell
+                    );
+                    if (nearCharge) continue;
+
+                    const tl = grid[i][j];
+                    const tr = grid[i + 1][j];
+                    const br = grid[i + 1][j + 1];
+                    const bl = grid[i][j + 1];
+                    const mask = (tl > level ? 8 : 0) | (tr > level ? 4 : 0) |
+                                 (br > level ? 2 : 0) | (bl > level ? 1 : 0);
+                    const edges = table[mask];
+                    if (!edges) continue;
+
+                    const crossing = (a, b) => (level - a) / (b - a);
+                    const edgePoint = (edge) => {
+                        switch (edge) {
+                            case 0: return { x: x0 + cell * crossing(tl, tr), y: y0 };
+                            case 1: return { x: x0 + cell, y: y0 + cell * crossing(tr, br) };
+                            case 2: return { x: x0 + cell * crossing(bl, br), y: y0 + cell };
+                            default: return { x: x0, y: y0 + cell * crossing(tl, bl) };
+                        }
+                    };
+
+                    edges.forEach(([a, b]) => {
+                        segments.push([edgePoint(a), edgePoint(b)]);
+                    });
+                }
+            }
+
+            this.equipotentials.push({ level, segments });
+        });
     }
 
-    update() {
+    step() {
         // Electric field is static, but we could animate charges if needed
     }
 
     display() {
-        const charge1Pos = { x: this.width * 0.3, y: this.height * 0.5 };
-        const charge2Pos = { x: this.width * 0.7, y: this.height * 0.5 };
+        // Draw equipotential contours
+        if (this.showEquipotentials) {
+            this.p.strokeWeight(1);
+            this.equipotentials.forEach(contour => {
+                if (contour.level > 0) {
+                    this.p.stroke(255, 100, 100, 110);
+                } else if (contour.level < 0) {
+                    this.p.stroke(100, 100, 255, 110);
+                } else {
+                    this.p.stroke(120, 120, 120, 110);
+                }
+
+                contour.segments.forEach(([a, b]) => {
+                    this.p.line(a.x, a.y, b.x, b.y);
+                });
+            });
+        }
 
         // Draw field lines
         if (this.showLines) {
@@ -1002,45 +4349,249 @@ class ElectricFieldSimulation {
             });
         }
 
+        // Draw field vectors
+        if (this.showVectors) {
+            this.displayFieldVectors();
+        }
+
         // Draw charges
         this.p.noStroke();
-        
-        // Charge 1
-        this.p.fill(this.charge1 > 0 ? [255, 100, 100] : [100, 100, 255]);
-        this.p.ellipse(charge1Pos.x, charge1Pos.y, 20, 20);
-        this.p.fill(255);
         this.p.textAlign(this.p.CENTER, this.p.CENTER);
-        this.p.text(this.charge1 > 0 ? '+' : '−', charge1Pos.x, charge1Pos.y);
-        
-        // Charge 2
-        this.p.fill(this.charge2 > 0 ? [255, 100, 100] : [100, 100, 255]);
-        this.p.ellipse(charge2Pos.x, charge2Pos.y, 20, 20);
-        this.p.fill(255);
-        this.p.text(this.charge2 > 0 ? '+' : '−', charge2Pos.x, charge2Pos.y);
+        this.charges.forEach(charge => {
+            this.p.fill(charge.q > 0 ? [255, 100, 100] : charge.q < 0 ? [100, 100, 255] : [150, 150, 150]);
+            this.p.ellipse(charge.x, charge.y, this.chargeRadius * 2, this.chargeRadius * 2);
+            this.p.fill(255);
+            this.p.text(charge.q > 0 ? '+' : charge.q < 0 ? '−' : '0', charge.x, charge.y);
+        });
+
+        if (this.showProbe) {
+            this.displayProbe();
+        }
+    }
+
+    /**
+     * Arrow grid; length follows log|E| so weak and strong regions both read
+     */
+    displayFieldVectors() {
+        const spacing = 30;
+        const maxLength = spacing * 0.8;
+
+        this.p.stroke(16, 185, 129, 180);
+        this.p.strokeWeight(1);
+
+        for (let x = spacing / 2; x < this.width; x += spacing) {
+            for (let y = spacing / 2; y < this.height; y += spacing) {
+                const field = this.calculateFieldAt(x, y);
+                const magnitude = Math.hypot(field.x, field.y);
+                if (magnitude === 0) continue;
+
+                const length = this.p.constrain(this.p.map(Math.log10(magnitude), 3, 7, 4, maxLength), 4, maxLength);
+                const ux = field.x / magnitude;
+                const uy = field.y / magnitude;
+                const tipX = x + ux * length / 2;
+                const tipY = y + uy * length / 2;
+
+                this.p.line(x - ux * length / 2, y - uy * length / 2, tipX, tipY);
+                this.p.line(tipX, tipY, tipX - (ux * 4 - uy * 3), tipY - (uy * 4 + ux * 3));
+                this.p.line(tipX, tipY, tipX - (ux * 4 + uy * 3), tipY - (uy * 4 - ux * 3));
+            }
+        }
+    }
+
+    /**
+     * Show |E| and V under the cursor
+     */
+    displayProbe() {
+        const x = this.p.mouseX;
+        const y = this.p.mouseY;
+        if (x < 0 || x > this.width || y < 0 || y > this.height) return;
+
+        const field = this.calculateFieldAt(x, y);
+        const magnitude = Math.hypot(field.x, field.y);
+        const potential = this.calculatePotentialAt(x, y);
+
+        this.p.noFill();
+        this.p.stroke(0, 0, 0, 120);
+        this.p.ellipse(x, y, 8, 8);
+
+        this.p.noStroke();
+        this.p.fill(0);
+        this.p.textAlign(this.p.LEFT);
+        this.p.textSize(12);
+        this.p.text(`|E| = ${magnitude.toExponential(2)} N/C`, 10, 20);
+        this.p.text(`V = ${potential.toExponential(2)} V`, 10, 36);
+    }
+
+    getObservableDefinitions() {
+        return [
+            { key: 'field', label: 'Probe |E|', unit: 'N/C' },
+            { key: 'potential', label: 'Probe V', unit: 'V' }
+        ];
+    }
+
+    /**
+     * Field and potential at the cursor; NaN (a gap in the plot) while the
+     * cursor is outside the canvas
+     */
+    getObservableValues() {
+        const x = this.p.mouseX;
+        const y = this.p.mouseY;
+        if (x < 0 || x > this.width || y < 0 || y > this.height) {
+            return { field: NaN, potential: NaN };
+        }
+
+        const field = this.calculateFieldAt(x, y);
+        return {
+            field: Math.hypot(field.x, field.y),
+            potential: this.calculatePotentialAt(x, y)
+        };
+    }
+
+    getParameters() {
+        return {
+            charge1: this.charges[0] ? this.charges[0].q : 0,
+            charge2: this.charges[1] ? this.charges[1].q : 0,
+            'field-lines': this.showLines,
+            vectors: this.showVectors,
+            equipotentials: this.showEquipotentials,
+            'new-charge': this.newCharge
+        };
+    }
+
+    getState() {
+        return { charges: this.charges.map(({ x, y, q }) => ({ x, y, q })) };
+    }
+
+    /**
+     * Whether a state from a link or file has the shape getState() returns
+     */
+    validateState(state) {
+        return Array.isArray(state.charges) &&
+            state.charges.every(charge => charge && ['x', 'y', 'q'].every(key => Number.isFinite(charge[key])));
+    }
+
+    setState(state) {
+        const changed = state.charges.length !== this.charges.length ||
+            state.charges.some((charge, i) => {
+                const current = this.charges[i];
+                return charge.x !== current.x || charge.y !== current.y || charge.q !== current.q;
+            });
+
+        // Field lines and contours are only recomputed when a charge moved
+        if (changed) {
+            this.charges = state.charges.map(({ x, y, q }) => ({ x, y, q }));
+            this.draggedCharge = null;
+            this.refresh();
+        }
+    }
+
+    getChargeAt(x, y) {
+        // Topmost (last drawn) charge wins
+        for (let i = this.charges.length - 1; i >= 0; i--) {
+            const charge = this.charges[i];
+            if (Math.hypot(x - charge.x, y - charge.y) <= this.chargeRadius + 2) {
+                return charge;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Mouse interaction: press on a charge to drag it, on empty space to add one
+     */
+    handlePress(x, y) {
+        const charge = this.getChargeAt(x, y);
+        if (charge) {
+            this.draggedCharge = charge;
+        } else {
+            this.addCharge(x, y, this.newCharge);
+        }
+    }
+
+    handleDrag(x, y) {
+        if (!this.draggedCharge) return;
+        this.draggedCharge.x = this.p.constrain(x, 0, this.width);
+        this.draggedCharge.y = this.p.constrain(y, 0, this.height);
+        this.refresh();
+    }
+
+    handleRelease() {
+        this.draggedCharge = null;
+    }
+
+    handleDoubleClick(x, y) {
+        const charge = this.getChargeAt(x, y);
+        if (charge) {
+            this.removeCharge(charge);
+        }
+    }
+
+    addCharge(x, y, q) {
+        const charge = { x, y, q };
+        this.charges.push(charge);
+        this.refresh();
+        return charge;
+    }
+
+    removeCharge(charge) {
+        const index = this.charges.indexOf(charge);
+        if (index !== -1) {
+            this.charges.splice(index, 1);
+            if (this.draggedCharge === charge) {
+                this.draggedCharge = null;
+            }
+            this.refresh();
+        }
     }
 
     setCharge1(charge) {
-        this.charge1 = charge;
-        this.generateFieldLines();
+        if (this.charges[0]) {
+            this.charges[0].q = charge;
+            this.refresh();
+        }
     }
 
     setCharge2(charge) {
-        this.charge2 = charge;
-        this.generateFieldLines();
+        if (this.charges[1]) {
+            this.charges[1].q = charge;
+            this.refresh();
+        }
+    }
+
+    setNewCharge(charge) {
+        this.newCharge = charge;
     }
 
     showFieldLines(show) {
         this.showLines = show;
     }
 
+    showFieldVectors(show) {
+        this.showVectors = show;
+    }
+
+    showEquipotentialLines(show) {
+        this.showEquipotentials = show;
+    }
+
     reset() {
-        this.generateFieldLines();
+        this.charges = this.createDefaultCharges();
+        this.draggedCharge = null;
+        this.refresh();
     }
 
     resize(width, height) {
+        // Keep charges at the same relative positions
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.charges.forEach(charge => {
+            charge.x *= scaleX;
+            charge.y *= scaleY;
+        });
+
         this.width = width;
         this.height = height;
-        this.generateFieldLines();
+        this.refresh();
     }
 }
 
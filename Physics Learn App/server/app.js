@@ -0,0 +1,135 @@
+/**
+ * PhysicsLearn Server - Application
+ * Wires the API routes and static file serving into one request handler
+ */
+
+const path = require('path');
+const { Router, HttpError } = require('./router');
+const { serveStatic } = require('./static');
+const { verifyToken } = require('./tokens');
+const LiveHub = require('./live');
+const Permissions = require('../js/permissions');
+const registerAuthRoutes = require('./routes/auth');
+const registerContactRoutes = require('./routes/contact');
+const registerForumRoutes = require('./routes/forum');
+const registerClassRoutes = require('./routes/classes');
+const registerUserRoutes = require('./routes/users');
+
+/**
+ * Create the request handler for `http.createServer`. Its `handleUpgrade`
+ * takes the server's 'upgrade' events (WebSocket connections to
+ * `<apiPrefix>/live`) and `live` is the LiveHub pushing forum updates.
+ * @param {Object} options
+ * @param {JsonStore} options.store - Opened database
+ * @param {string} options.secret - Key session tokens are signed with
+ * @param {Mailer} options.mailer - Sends verification and password reset emails
+ * @param {string} [options.publicUrl] - Site address used in emailed links
+ * @param {string} [options.adminEmail] - Account made administrator once its email is verified
+ * @param {string} [options.root] - Directory with the front end
+ * @param {string} [options.apiPrefix] - Path the API is mounted on
+ * @param {string} [options.corsOrigin] - Allowed origin for pages served elsewhere
+ * @param {number} [options.heartbeat] - Milliseconds between keep-alive pings on live connections
+ */
+function createApp(options) {
+    const store = options.store;
+    const secret = options.secret;
+    const mailer = options.mailer;
+    const adminEmail = options.adminEmail;
+    const root = options.root || path.join(__dirname, '..');
+    const apiPrefix = options.apiPrefix || '/api';
+    const corsOrigin = options.corsOrigin || '*';
+    const live = new LiveHub(store, { heartbeat: options.heartbeat });
+    const livePath = `${apiPrefix}/live`;
+
+    const getToken = headers => {
+        const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+        return match ? match[1] : null;
+    };
+
+    // A token is honoured while its signature checks out, it has not
+    // expired and its session has not been ended by a logout
+    const getSession = headers => {
+        const payload = verifyToken(getToken(headers), secret);
+        const session = payload && store.data.sessions[payload.sid];
+        if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+        return { id: payload.sid, ...session };
+    };
+
+    const authenticate = headers => {
+        const session = getSession(headers);
+        return session ? store.data.users.find(u => u.id === session.userId) || null : null;
+    };
+
+    const requireUser = headers => {
+        const user = authenticate(headers);
+        if (!user) {
+            throw new HttpError(401, 'unauthorized', 'Please log in to continue.');
+        }
+        return user;
+    };
+
+    // 401 without a session, 403 when the user's role does not allow the action
+    const authorize = (headers, action, resource) => {
+        const user = requireUser(headers);
+        if (!Permissions.can(user, action, resource)) {
+            throw new HttpError(403, 'forbidden', 'You do not have permission to do that.');
+        }
+        return user;
+    };
+
+    // Browsers cannot set headers on WebSockets and event streams, so live
+    // connections bring their token in the query string
+    const authenticateLive = url => authenticate({ authorization: `Bearer ${url.searchParams.get('token') || ''}` });
+
+    // Links in emails point at the address the user reached the server by
+    const getSiteUrl = req => (options.publicUrl || `http://${req.headers.host}`).replace(/\/+$/, '');
+
+    const context = { store, root, secret, mailer, adminEmail, live, getSiteUrl, getSession, authenticate, requireUser, authorize };
+    const router = new Router({ prefix: apiPrefix });
+    registerAuthRoutes(router, context);
+    registerContactRoutes(router, context);
+    registerForumRoutes(router, context);
+    registerClassRoutes(router, context);
+    registerUserRoutes(router, context);
+
+    const handler = (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        // Server-sent events, for browsers that cannot open the WebSocket
+        if (url.pathname === livePath && req.method === 'GET' && !req.headers.upgrade) {
+            live.handleEvents(req, res, authenticateLive(url), { 'Access-Control-Allow-Origin': corsOrigin });
+            return;
+        }
+
+        if (!router.matches(url.pathname)) {
+            serveStatic(root, apiPrefix, req, res, url);
+            return;
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, { 'Access-Control-Max-Age': '86400' });
+            res.end();
+            return;
+        }
+
+        router.handle(req, res, url);
+    };
+
+    handler.handleUpgrade = (req, socket) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== livePath) {
+            socket.destroy();
+            return;
+        }
+        live.handleUpgrade(req, socket, authenticateLive(url));
+    };
+    handler.live = live;
+
+    return handler;
+}
+
+module.exports = createApp;
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * PhysicsLearn Server
+ * Serves the site and its API from one machine, with no internet access
+ * or external services required.
+ *
+ *   node server/index.js [--port 8080] [--host 0.0.0.0] [--data server/data]
+ *                        [--admin you@example.org]
+ *
+ * The account registered with the --admin address becomes the administrator
+ * once its email is verified. PORT, HOST, DATA_DIR, ADMIN_EMAIL, CORS_ORIGIN
+ * and SESSION_SECRET may also be set in the environment. Emails are written to <data>/mail as .eml files; set
+ * PUBLIC_URL when the links in them should use a different address than
+ * the one the request came in on, and MAIL_FROM to change the sender.
+ */
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('./store');
+const createApp = require('./app');
+const seed = require('./seed');
+const { loadSecret } = require('./tokens');
+const { Mailer, FileTransport } = require('./mailer');
+
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(readOption('port', process.env.PORT || 8080));
+const host = readOption('host', process.env.HOST || '0.0.0.0');
+const dataDir = path.resolve(readOption('data', process.env.DATA_DIR || path.join(__dirname, 'data')));
+
+const store = new JsonStore(path.join(dataDir, 'db.json')).open(seed);
+const app = createApp({
+    store,
+    secret: loadSecret(dataDir),
+    mailer: new Mailer({ transport: new FileTransport(path.join(dataDir, 'mail')), from: process.env.MAIL_FROM }),
+    publicUrl: process.env.PUBLIC_URL,
+    adminEmail: readOption('admin', process.env.ADMIN_EMAIL),
+    corsOrigin: process.env.CORS_ORIGIN
+});
+const server = http.createServer(app);
+server.on('upgrade', app.handleUpgrade);
+
+server.listen(port, host, () => {
+    console.log(`PhysicsLearn is running on port ${port} (data in ${dataDir})`);
+    console.log(`  http://localhost:${port}/`);
+
+    // The addresses other machines on the network can use
+    if (host === '0.0.0.0') {
+        Object.values(os.networkInterfaces()).flat()
+            .filter(address => address && address.family === 'IPv4' && !address.internal)
+            .forEach(address => console.log(`  http://${address.address}:${port}/`));
+    }
+});
+
+// Open live connections would otherwise keep the server from closing
+const shutdown = () => {
+    app.live.close();
+    server.close(() => process.exit(0));
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
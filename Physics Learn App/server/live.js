@@ -0,0 +1,134 @@
+/**
+ * PhysicsLearn Server - Live Updates
+ * Pushes forum changes, presence and activity to open pages
+ */
+
+const WebSocketConnection = require('./websocket');
+const { displayName, recentActivity, forumStats } = require('./models');
+
+// Most members listed by name in presence updates
+const MAX_LISTED_MEMBERS = 10;
+
+/**
+ * Keeps the connections of open forum pages, over WebSocket or, where that
+ * is unavailable, server-sent events, and sends each of them every event
+ * as `{ type, data }` JSON. A page receives a `snapshot` when it connects
+ * (who is online, the latest activity and forum statistics), and
+ * `presence` whenever someone arrives or leaves.
+ *
+ * Routes call `publish` after changing the database: `topic:created`,
+ * `topic:updated`, `topic:deleted`, `reply:created`, `reply:updated`,
+ * `vote`, `activity` and `stats`.
+ */
+class LiveHub {
+    /**
+     * @param {JsonStore} store - Database the snapshot is taken from
+     * @param {Object} [options]
+     * @param {number} [options.heartbeat] - Milliseconds between keep-alive pings
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.heartbeat = options.heartbeat || 25000;
+        this.clients = new Set();
+    }
+
+    /**
+     * Answer a GET request with an event stream; `user` is the signed-in
+     * member or null
+     */
+    handleEvents(req, res, user, headers = {}) {
+        res.writeHead(200, {
+            ...headers,
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 3000\n\n');
+
+        // Comments keep proxies from closing an idle stream
+        const timer = setInterval(() => res.write(': ping\n\n'), this.heartbeat);
+        timer.unref();
+
+        const client = {
+            user,
+            send: message => res.write(`data: ${message}\n\n`),
+            close: () => res.end()
+        };
+        req.on('close', () => {
+            clearInterval(timer);
+            this.remove(client);
+        });
+        this.add(client);
+    }
+
+    /**
+     * Take over an HTTP upgrade request as a WebSocket
+     */
+    handleUpgrade(req, socket, user) {
+        const connection = WebSocketConnection.accept(req, socket, { heartbeat: this.heartbeat });
+        if (!connection) return;
+
+        const client = {
+            user,
+            send: message => connection.send(message),
+            close: () => connection.close(1001)
+        };
+        connection.on('close', () => this.remove(client));
+        this.add(client);
+    }
+
+    add(client) {
+        const db = this.store.data;
+        this.clients.add(client);
+        client.send(JSON.stringify({
+            type: 'snapshot',
+            data: { ...this.presence(), activity: recentActivity(db), stats: forumStats(db) }
+        }));
+        this.publish('presence', this.presence());
+    }
+
+    remove(client) {
+        if (this.clients.delete(client)) {
+            this.publish('presence', this.presence());
+        }
+    }
+
+    publish(type, data) {
+        const message = JSON.stringify({ type, data });
+        this.clients.forEach(client => client.send(message));
+    }
+
+    /**
+     * `{ online, members }`: everyone with the forum open, counting each
+     * member once however many pages they have open, and the first members
+     * by name
+     */
+    presence() {
+        const members = new Map();
+        let guests = 0;
+        this.clients.forEach(({ user }) => {
+            if (user) {
+                members.set(user.id, { id: user.id, name: displayName(user) });
+            } else {
+                guests++;
+            }
+        });
+
+        return {
+            online: members.size + guests,
+            members: Array.from(members.values()).slice(0, MAX_LISTED_MEMBERS)
+        };
+    }
+
+    /**
+     * End every connection, e.g. before the server shuts down
+     */
+    close() {
+        const clients = Array.from(this.clients);
+        this.clients.clear();
+        clients.forEach(client => client.close());
+    }
+}
+
+module.exports = LiveHub;
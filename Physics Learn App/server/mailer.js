@@ -0,0 +1,69 @@
+/**
+ * PhysicsLearn Server - Mailer
+ * Outgoing email with pluggable transports
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes each message to `<dir>/<time>-<to>.eml`. Email clients open these
+ * files directly, so the verification and reset links can be followed on a
+ * network without a mail server.
+ */
+class FileTransport {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    async send(message) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const name = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+        const file = path.join(this.dir, name);
+        fs.writeFileSync(file, message.raw);
+        return { file };
+    }
+}
+
+/**
+ * Builds plain-text messages and hands them to a transport. A transport is
+ * any object with `async send(message)`, where `message` has `from`, `to`,
+ * `subject`, `text`, `date` and `raw` (the complete RFC 5322 message), so
+ * an SMTP or HTTP mail service can be plugged in without touching the
+ * routes.
+ */
+class Mailer {
+    constructor({ transport, from }) {
+        this.transport = transport;
+        this.from = from || 'PhysicsLearn <no-reply@physicslearn.local>';
+    }
+
+    async send({ to, subject, text }) {
+        const message = { from: this.from, to, subject, text, date: new Date() };
+        message.raw = Mailer.format(message);
+        return this.transport.send(message);
+    }
+
+    static format({ from, to, subject, text, date }) {
+        const domain = (/@([^>\s]+)/.exec(from) || [])[1] || 'physicslearn.local';
+        const headers = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${Mailer.encodeHeader(subject)}`,
+            `Date: ${date.toUTCString()}`,
+            `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+        return `${headers.join('\r\n')}\r\n\r\n${text.replace(/\r?\n/g, '\r\n')}\r\n`;
+    }
+
+    // Non-ASCII header text as an RFC 2047 encoded word
+    static encodeHeader(value) {
+        return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+    }
+}
+
+module.exports = { Mailer, FileTransport };
@@ -0,0 +1,210 @@
+/**
+ * PhysicsLearn Server - Models
+ * Public shapes of stored records, shared by the route modules
+ */
+
+const Permissions = require('../js/permissions');
+
+function displayName(user) {
+    return `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.username;
+}
+
+/**
+ * A user as the API returns it, without credentials
+ */
+function publicUser(user) {
+    const { passwordHash, ...profile } = user;
+    return { ...profile, role: Permissions.getRole(user) };
+}
+
+// Points for each vote others give a user's topics and replies, and for
+// each of their replies accepted as the answer to someone else's question
+// (FakeApiAdapter.REPUTATION mirrors these)
+const REPUTATION = { upvote: 10, downvote: -2, accepted: 15 };
+
+/**
+ * Net score of a topic or reply. `baseVotes` are votes counted before
+ * individual votes were stored (the seeded discussions have them).
+ */
+function voteTotal(post) {
+    return Object.values(post.votes || {}).reduce((sum, value) => sum + value, post.baseVotes || 0);
+}
+
+/**
+ * Reputation earned from votes on a user's posts and accepted answers; it
+ * never drops below zero
+ */
+function reputation(db, userId) {
+    const posts = db.topics.concat(db.replies).filter(post => post.authorId === userId);
+    const fromVotes = posts.reduce((sum, post) => {
+        const votes = Object.entries(post.votes || {}).filter(([voterId]) => voterId !== userId);
+        return sum + Math.max(0, post.baseVotes || 0) * REPUTATION.upvote + votes.reduce(
+            (points, [, value]) => points + (value > 0 ? REPUTATION.upvote : REPUTATION.downvote), 0);
+    }, 0);
+
+    const accepted = db.topics.filter(topic => topic.acceptedReplyId && topic.authorId !== userId &&
+        db.replies.some(reply => reply.id === topic.acceptedReplyId && reply.authorId === userId)).length;
+
+    return Math.max(0, fromVotes + accepted * REPUTATION.accepted);
+}
+
+function publicAuthor(db, userId) {
+    const author = db.users.find(u => u.id === userId);
+    return {
+        id: userId,
+        name: author ? displayName(author) : 'Unknown',
+        role: author ? Permissions.getRole(author) : 'student',
+        reputation: reputation(db, userId)
+    };
+}
+
+/**
+ * Earlier versions of an edited topic or reply, oldest first
+ */
+function publicHistory(db, history) {
+    return (history || []).map(entry => ({
+        title: entry.title,
+        content: entry.content,
+        editedAt: entry.editedAt,
+        editor: publicAuthor(db, entry.editorId)
+    }));
+}
+
+function publicTopic(db, topic, viewer) {
+    return {
+        id: topic.id,
+        title: topic.title,
+        content: topic.content,
+        category: topic.category,
+        isQuestion: topic.isQuestion,
+        solved: topic.solved,
+        solvedAt: topic.solvedAt || null,
+        acceptedReplyId: topic.acceptedReplyId || null,
+        pinned: Boolean(topic.pinned),
+        locked: Boolean(topic.locked),
+        author: publicAuthor(db, topic.authorId),
+        createdAt: topic.createdAt,
+        updatedAt: topic.updatedAt,
+        editedAt: topic.editedAt || null,
+        votes: voteTotal(topic),
+        userVote: viewer ? (topic.votes || {})[viewer.id] || 0 : 0,
+        replyCount: db.replies.filter(r => r.topicId === topic.id).length,
+        views: topic.views
+    };
+}
+
+function publicReply(db, reply, viewer) {
+    return {
+        id: reply.id,
+        topicId: reply.topicId,
+        parentId: reply.parentId || null,
+        quote: reply.quote
+            ? { replyId: reply.quote.replyId, author: publicAuthor(db, reply.quote.authorId), text: reply.quote.text }
+            : null,
+        content: reply.content,
+        author: publicAuthor(db, reply.authorId),
+        createdAt: reply.createdAt,
+        editedAt: reply.editedAt || null,
+        history: publicHistory(db, reply.history),
+        votes: voteTotal(reply),
+        userVote: viewer ? (reply.votes || {})[viewer.id] || 0 : 0
+    };
+}
+
+// Icon and wording of each kind of activity feed entry
+const ACTIVITY = {
+    started: { icon: 'plus', action: 'started' },
+    replied: { icon: 'reply', action: 'replied to' },
+    solved: { icon: 'check', action: 'solved' }
+};
+
+/**
+ * Activity feed entry `{ icon, user, action, topic, topicId, createdAt }`
+ * for a topic being started, a reply to it, or a reply accepted as its
+ * answer (`solved`, credited to the reply's author)
+ */
+function publicActivity(db, kind, topic, reply = null) {
+    const post = reply || topic;
+    const author = db.users.find(u => u.id === post.authorId);
+    return {
+        ...ACTIVITY[kind],
+        user: author ? displayName(author) : 'Unknown',
+        topic: topic.title,
+        topicId: topic.id,
+        createdAt: kind === 'solved' ? topic.solvedAt : post.createdAt
+    };
+}
+
+/**
+ * The latest forum activity, newest first
+ */
+function recentActivity(db, limit = 5) {
+    const topics = new Map(db.topics.map(t => [t.id, t]));
+    const replies = new Map(db.replies.map(r => [r.id, r]));
+    const events = [
+        ...db.topics.map(topic => ['started', topic, null, topic.createdAt]),
+        ...db.replies
+            .filter(reply => topics.has(reply.topicId))
+            .map(reply => ['replied', topics.get(reply.topicId), reply, reply.createdAt]),
+        ...db.topics
+            .filter(topic => topic.solved && topic.solvedAt && replies.has(topic.acceptedReplyId))
+            .map(topic => ['solved', topic, replies.get(topic.acceptedReplyId), topic.solvedAt])
+    ];
+
+    return events
+        .sort((a, b) => b[3].localeCompare(a[3]))
+        .slice(0, limit)
+        .map(([kind, topic, reply]) => publicActivity(db, kind, topic, reply));
+}
+
+/**
+ * Member, topic and reply counts, overall and per category
+ */
+function forumStats(db) {
+    const categories = {};
+    const topicCategories = new Map();
+    db.topics.forEach(topic => {
+        categories[topic.category] = categories[topic.category] || { topics: 0, replies: 0 };
+        categories[topic.category].topics++;
+        topicCategories.set(topic.id, topic.category);
+    });
+    db.replies.forEach(reply => {
+        const category = categories[topicCategories.get(reply.topicId)];
+        if (category) category.replies++;
+    });
+
+    return { members: db.users.length, topics: db.topics.length, replies: db.replies.length, categories };
+}
+
+/**
+ * A class; the join code and member list are only shown to its teacher
+ */
+function publicClass(db, classroom, viewer) {
+    const result = {
+        id: classroom.id,
+        name: classroom.name,
+        description: classroom.description,
+        teacher: publicAuthor(db, classroom.ownerId),
+        assignments: classroom.assignments,
+        memberCount: classroom.memberIds.length,
+        createdAt: classroom.createdAt
+    };
+
+    if (viewer && Permissions.can(viewer, 'class:manage', classroom)) {
+        result.joinCode = classroom.joinCode;
+        result.members = classroom.memberIds.map(id => publicAuthor(db, id));
+    }
+    return result;
+}
+
+module.exports = {
+    displayName,
+    publicUser,
+    publicHistory,
+    publicTopic,
+    publicReply,
+    publicActivity,
+    recentActivity,
+    forumStats,
+    publicClass
+};
@@ -0,0 +1,42 @@
+/**
+ * PhysicsLearn Server - Passwords
+ * Salted scrypt password hashes
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 64;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+function scrypt(password, salt, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, options, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+/**
+ * Hash stored as `scrypt$N$r$p$salt$hash` so the cost can be raised later
+ * without invalidating existing accounts
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, SCRYPT_OPTIONS);
+    const { N, r, p } = SCRYPT_OPTIONS;
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string' || typeof password !== 'string') return false;
+
+    const [scheme, N, r, p, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
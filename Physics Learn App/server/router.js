@@ -0,0 +1,151 @@
+/**
+ * PhysicsLearn Server - Router
+ * Minimal JSON router on top of Node's http module
+ */
+
+/**
+ * Error with an HTTP status and the `{ error: { code, message, details } }`
+ * body the front end's ApiClient understands
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class Router {
+    constructor(options = {}) {
+        this.prefix = options.prefix || '';
+        this.maxBodySize = options.maxBodySize || 1024 * 1024;
+        this.routes = [];
+    }
+
+    /**
+     * Register a handler; `:name` segments become `request.params.name`
+     */
+    add(method, pattern, handler) {
+        const keys = [];
+        const source = pattern.replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        this.routes.push({ method, regex: new RegExp(`^${this.prefix}${source}$`), keys, handler });
+    }
+
+    get(pattern, handler) { this.add('GET', pattern, handler); }
+    post(pattern, handler) { this.add('POST', pattern, handler); }
+    put(pattern, handler) { this.add('PUT', pattern, handler); }
+    patch(pattern, handler) { this.add('PATCH', pattern, handler); }
+    delete(pattern, handler) { this.add('DELETE', pattern, handler); }
+
+    matches(pathname) {
+        return pathname === this.prefix || pathname.startsWith(`${this.prefix}/`);
+    }
+
+    /**
+     * Run the matching handler. Handlers receive `{ params, query, body,
+     * headers, req }` and return `{ status, body }` or throw an HttpError.
+     */
+    async handle(req, res, url) {
+        try {
+            const candidates = this.routes.filter(route => route.regex.test(url.pathname));
+            if (candidates.length === 0) {
+                throw new HttpError(404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+            }
+
+            const route = candidates.find(r => r.method === req.method);
+            if (!route) {
+                res.setHeader('Allow', candidates.map(r => r.method).join(', '));
+                throw new HttpError(405, 'method_not_allowed', `${req.method} is not allowed here`);
+            }
+
+            const match = url.pathname.match(route.regex);
+            const params = {};
+            route.keys.forEach((key, index) => {
+                try {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                } catch (error) {
+                    throw new HttpError(400, 'validation', 'The address contains an invalid character sequence.');
+                }
+            });
+
+            const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await this.readBody(req) : {};
+            const result = await route.handler({
+                params,
+                query: Object.fromEntries(url.searchParams),
+                body,
+                headers: req.headers,
+                req
+            });
+
+            Router.sendJson(res, result.status || 200, result.body);
+        } catch (error) {
+            if (error instanceof HttpError) {
+                Router.sendJson(res, error.status, {
+                    error: { code: error.code, message: error.message, details: error.details }
+                });
+            } else {
+                console.error(error);
+                Router.sendJson(res, 500, {
+                    error: { code: 'server_error', message: 'Something went wrong on our side. Please try again.' }
+                });
+            }
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodySize) {
+                    reject(new HttpError(413, 'validation', 'The request is too large.'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (!text) {
+                    resolve({});
+                    return;
+                }
+                try {
+                    const body = JSON.parse(text);
+                    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                        throw new Error('not an object');
+                    }
+                    resolve(body);
+                } catch (error) {
+                    reject(new HttpError(400, 'validation', 'The request body must be a JSON object.'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    static sendJson(res, status, body) {
+        if (status === 204 || body === undefined || body === null) {
+            res.writeHead(status === 200 ? 204 : status);
+            res.end();
+            return;
+        }
+        const json = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json),
+            'Cache-Control': 'no-store'
+        });
+        res.end(json);
+    }
+}
+
+module.exports = { Router, HttpError };
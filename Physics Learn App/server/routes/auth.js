@@ -0,0 +1,400 @@
+/**
+ * PhysicsLearn Server - Authentication Routes
+ * Registration, login, sessions, email verification and password reset
+ */
+
+const crypto = require('crypto');
+const JsonStore = require('../store');
+const { HttpError } = require('../router');
+const { hashPassword, verifyPassword } = require('../passwords');
+const { publicUser } = require('../models');
+const { signToken, createOneTimeToken, consumeOneTimeToken } = require('../tokens');
+const Permissions = require('../../js/permissions');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+
+// A school day without "remember me", a month with it
+const SESSION_HOURS = 12;
+const REMEMBER_DAYS = 30;
+
+const VERIFY_LINK_HOURS = 24;
+const RESET_LINK_MINUTES = 60;
+
+// Emails of one kind an address can ask for: one a minute, five an hour
+const EMAIL_INTERVAL = 60 * 1000;
+const EMAILS_PER_HOUR = 5;
+
+// Failed logins allowed per account and per client address before each
+// further one doubles a pause (from a second up to a quarter of an hour);
+// the count is forgotten an hour after the last failure
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_FREE_ATTEMPTS_PER_ADDRESS = 20;
+const LOGIN_MAX_DELAY = 15 * 60 * 1000;
+const LOGIN_FORGET_AFTER = 3600000;
+
+// Profile fields accepted from the registration form (see handleRegistration):
+// text, lists of checked choices and the newsletter checkbox
+const PROFILE_TEXT_FIELDS = ['firstName', 'lastName', 'birthDate', 'country', 'educationLevel'];
+const PROFILE_LIST_FIELDS = ['interests', 'notifications'];
+const PROFILE_FIELDS = [...PROFILE_TEXT_FIELDS, ...PROFILE_LIST_FIELDS, 'newsletter'];
+
+// "I am a" answers on register.html, kept as the occupation
+const OCCUPATIONS = ['student', 'teacher', 'researcher', 'professional', 'hobbyist', 'parent', 'other'];
+
+function validatePassword(body, details = {}) {
+    if (typeof body.password !== 'string' || body.password.length < 8) {
+        details.password = 'Password must be at least 8 characters';
+    }
+    if (body.confirmPassword !== undefined && body.confirmPassword !== body.password) {
+        details.confirmPassword = 'Passwords do not match';
+    }
+    return details;
+}
+
+/**
+ * Per-field messages for a registration form; email and username must be
+ * strings, as the handler goes on to trim and compare them, and the
+ * optional profile fields must have the types the form sends
+ */
+function validateRegistration(body) {
+    const details = {};
+    if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+        details.email = 'Please enter a valid email address';
+    }
+    if (typeof body.username !== 'string' || !USERNAME_PATTERN.test(body.username)) {
+        details.username = 'Username must be 3-20 characters (letters, numbers, underscore only)';
+    }
+    PROFILE_TEXT_FIELDS.forEach(field => {
+        if (body[field] !== undefined && typeof body[field] !== 'string') {
+            details[field] = 'Please enter text';
+        }
+    });
+    PROFILE_LIST_FIELDS.forEach(field => {
+        const value = body[field];
+        if (value !== undefined && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+            details[field] = 'Please choose from the list';
+        }
+    });
+    if (body.newsletter !== undefined && typeof body.newsletter !== 'boolean') {
+        details.newsletter = 'Please tick the box or leave it empty';
+    }
+    if (body.role !== undefined && !OCCUPATIONS.includes(body.role)) {
+        details.role = 'Please select your role';
+    }
+    return validatePassword(body, details);
+}
+
+/**
+ * Role asked for by a new account, or undefined. The form's "I am a" answer
+ * is kept as the occupation; a teacher starts as a student until an
+ * administrator grants the request.
+ */
+function requestedRole(occupation) {
+    return Permissions.REQUESTABLE_ROLES.includes(occupation) ? occupation : undefined;
+}
+
+/**
+ * Milliseconds to wait after the last of `failures` failed logins
+ */
+function loginDelay(failures, freeAttempts) {
+    return failures < freeAttempts ? 0 : Math.min(LOGIN_MAX_DELAY, 1000 * 2 ** (failures - freeAttempts));
+}
+
+function pruneSessions(db, now) {
+    Object.entries(db.sessions).forEach(([id, session]) => {
+        if (!(Date.parse(session.expiresAt) > now)) delete db.sessions[id];
+    });
+}
+
+/**
+ * End every session of a user, e.g. when their password changes
+ */
+function endSessions(db, userId) {
+    Object.entries(db.sessions).forEach(([id, session]) => {
+        if (session.userId === userId) delete db.sessions[id];
+    });
+}
+
+/**
+ * Throw a 429 if an email of this kind was asked for this address too
+ * recently, otherwise count the request. `requests` maps `type:email` to
+ * the times of the last hour's requests, newest first. Every request
+ * counts, whether or not the address is registered, so the answer does not
+ * tell which addresses have accounts.
+ */
+function checkEmailRate(requests, type, email) {
+    const now = Date.now();
+    requests.forEach((times, key) => {
+        const recent = times.filter(time => now - time < 3600000);
+        if (recent.length > 0) requests.set(key, recent);
+        else requests.delete(key);
+    });
+
+    const key = `${type}:${email}`;
+    const sent = requests.get(key) || [];
+    const wait = sent.length >= EMAILS_PER_HOUR
+        ? sent[EMAILS_PER_HOUR - 1] + 3600000 - now
+        : sent.length > 0 ? sent[0] + EMAIL_INTERVAL - now : 0;
+
+    if (wait > 0) {
+        const retryAfter = Math.ceil(wait / 1000);
+        throw new HttpError(429, 'rate_limited',
+            `An email was asked for this address a moment ago. Please wait ${retryAfter} seconds before asking for another.`,
+            { retryAfter });
+    }
+    requests.set(key, [now, ...sent]);
+}
+
+function verificationEmail(user, link) {
+    return {
+        to: user.email,
+        subject: 'Verify your PhysicsLearn email address',
+        text: [
+            `Hi ${user.firstName || user.username},`,
+            '',
+            'Welcome to PhysicsLearn! Please confirm your email address by opening this link:',
+            '',
+            link,
+            '',
+            `The link is valid for ${VERIFY_LINK_HOURS} hours. If you did not create an account, you can ignore this email.`
+        ].join('\n')
+    };
+}
+
+function resetEmail(user, link) {
+    return {
+        to: user.email,
+        subject: 'Reset your PhysicsLearn password',
+        text: [
+            `Hi ${user.firstName || user.username},`,
+            '',
+            'Someone (hopefully you) asked to reset your PhysicsLearn password. Choose a new one here:',
+            '',
+            link,
+            '',
+            `The link is valid for ${RESET_LINK_MINUTES} minutes. If you did not ask for this, you can ignore this email; your password stays the same.`
+        ].join('\n')
+    };
+}
+
+function registerAuthRoutes(router, { store, secret, mailer, adminEmail, getSiteUrl, getSession, requireUser }) {
+    // The administrator is named when the server starts (--admin / ADMIN_EMAIL)
+    // and promoted once that address is verified, so nobody can claim the
+    // role by registering first
+    const grantAdmin = user => {
+        if (!adminEmail || user.email !== adminEmail.trim().toLowerCase() || !user.emailVerified) return false;
+        if (Permissions.getRole(user) === 'admin') return false;
+        user.role = 'admin';
+        delete user.roleRequest;
+        return true;
+    };
+    const admin = store.data.users.find(grantAdmin);
+    if (admin) {
+        store.save();
+        console.log(`${admin.email} is now an administrator`);
+    }
+
+    const sendVerification = (user, req) => {
+        const token = createOneTimeToken(store.data, 'verify', user.id, VERIFY_LINK_HOURS * 3600000);
+        store.save();
+        return mailer.send(verificationEmail(user, `${getSiteUrl(req)}/verify-email.html?token=${token}`));
+    };
+
+
+    router.post('/auth/register', async ({ body, req }) => {
+        const details = validateRegistration(body);
+        if (Object.keys(details).length > 0) {
+            throw new HttpError(400, 'validation', 'Please check the highlighted fields and try again.', details);
+        }
+
+        // Hash first so the uniqueness checks and the insert run without an await between them
+        const passwordHash = await hashPassword(body.password);
+        const db = store.data;
+        const email = body.email.trim().toLowerCase();
+        if (db.users.some(u => u.email === email)) {
+            throw new HttpError(409, 'conflict', 'An account with this email already exists.', { email: 'Already registered' });
+        }
+        if (db.users.some(u => u.username.toLowerCase() === body.username.toLowerCase())) {
+            throw new HttpError(409, 'conflict', 'This username is already taken.', { username: 'Already taken' });
+        }
+
+        const profile = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (body[field] !== undefined) profile[field] = body[field];
+        });
+
+        const user = {
+            ...profile,
+            id: JsonStore.id('user'),
+            email,
+            username: body.username,
+            occupation: body.role,
+            role: 'student',
+            roleRequest: requestedRole(body.role),
+            passwordHash,
+            emailVerified: false,
+            createdAt: new Date().toISOString()
+        };
+        db.users.push(user);
+        store.save();
+
+        // The account exists either way; the user can ask for another email
+        try {
+            await sendVerification(user, req);
+        } catch (error) {
+            console.error('Could not send the verification email:', error);
+        }
+
+        return { status: 201, body: { user: publicUser(user), userId: user.id } };
+    });
+
+    // Failed logins in memory, keyed by email and by client address:
+    // `{ failures, lastFailure }`
+    const failedLogins = new Map();
+
+    router.post('/auth/login', async ({ body, req }) => {
+        const email = String(body.email || '').trim().toLowerCase();
+        const limits = [[`email:${email}`, LOGIN_FREE_ATTEMPTS], [`address:${req.socket.remoteAddress}`, LOGIN_FREE_ATTEMPTS_PER_ADDRESS]];
+
+        let now = Date.now();
+        failedLogins.forEach((entry, key) => {
+            if (now - entry.lastFailure > LOGIN_FORGET_AFTER) failedLogins.delete(key);
+        });
+        const wait = Math.max(...limits.map(([key, freeAttempts]) => {
+            const entry = failedLogins.get(key);
+            return entry ? entry.lastFailure + loginDelay(entry.failures, freeAttempts) - now : 0;
+        }));
+        if (wait > 0) {
+            const retryAfter = Math.ceil(wait / 1000);
+            throw new HttpError(429, 'rate_limited',
+                `Too many failed logins. Please wait ${retryAfter} seconds and try again.`, { retryAfter });
+        }
+
+        // Counted as failed until the password is checked, so parallel
+        // guesses cannot slip past the limit
+        limits.forEach(([key]) => {
+            const entry = failedLogins.get(key) || { failures: 0, lastFailure: now };
+            failedLogins.set(key, { failures: entry.failures + 1, lastFailure: now });
+        });
+
+        const user = store.data.users.find(u => u.email === email);
+        const valid = user && await verifyPassword(String(body.password || ''), user.passwordHash);
+        if (!valid) {
+            throw new HttpError(401, 'unauthorized', 'Invalid email or password.');
+        }
+
+        // Only the attempt just made is withdrawn from the address, so
+        // logging in to one account does not reset guesses at others
+        failedLogins.delete(limits[0][0]);
+        const address = failedLogins.get(limits[1][0]);
+        if (address) address.failures--;
+
+        now = Date.now();
+        const lifetime = body.remember ? REMEMBER_DAYS * 24 * 3600000 : SESSION_HOURS * 3600000;
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(now + lifetime).toISOString();
+
+        pruneSessions(store.data, now);
+        store.data.sessions[sessionId] = {
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt,
+            remember: Boolean(body.remember)
+        };
+        store.save();
+
+        const token = signToken({ sid: sessionId, exp: now + lifetime }, secret);
+        return { body: { token, expiresAt, user: publicUser(user) } };
+    });
+
+    router.post('/auth/logout', async ({ headers }) => {
+        const session = getSession(headers);
+        if (session) {
+            delete store.data.sessions[session.id];
+            store.save();
+        }
+        return { status: 204 };
+    });
+
+    // Sign out everywhere, e.g. after logging in on a shared computer
+    router.delete('/auth/sessions', async ({ headers }) => {
+        const user = requireUser(headers);
+        endSessions(store.data, user.id);
+        store.save();
+        return { status: 204 };
+    });
+
+    router.post('/auth/verify', async ({ body }) => {
+        const userId = consumeOneTimeToken(store.data, 'verify', body.token);
+        const user = userId && store.data.users.find(u => u.id === userId);
+        if (!user) {
+            throw new HttpError(400, 'validation', 'This verification link is invalid or has expired.');
+        }
+
+        user.emailVerified = true;
+        grantAdmin(user);
+        store.save();
+        return { body: { user: publicUser(user) } };
+    });
+
+    // Emails asked for per address, in memory (see checkEmailRate)
+    const emailRequests = new Map();
+
+    // Answers the same whether or not the address is registered
+    router.post('/auth/verify/resend', async ({ body, req }) => {
+        const email = String(body.email || '').trim().toLowerCase();
+        checkEmailRate(emailRequests, 'verify', email);
+        const user = store.data.users.find(u => u.email === email);
+        if (user && !user.emailVerified) {
+            await sendVerification(user, req);
+        }
+        return { status: 202, body: { sent: true } };
+    });
+
+    router.post('/auth/password/forgot', async ({ body, req }) => {
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new HttpError(400, 'validation', 'Please enter a valid email address.', { email: 'Please enter a valid email address' });
+        }
+
+        checkEmailRate(emailRequests, 'reset', email);
+        const user = store.data.users.find(u => u.email === email);
+        if (user && user.passwordHash) {
+            const token = createOneTimeToken(store.data, 'reset', user.id, RESET_LINK_MINUTES * 60000);
+            store.save();
+            await mailer.send(resetEmail(user, `${getSiteUrl(req)}/reset-password.html?token=${token}`));
+        }
+        return { status: 202, body: { sent: true } };
+    });
+
+    router.post('/auth/password/reset', async ({ body }) => {
+        const details = validatePassword(body);
+        if (Object.keys(details).length > 0) {
+            throw new HttpError(400, 'validation', 'Please check the highlighted fields and try again.', details);
+        }
+
+        const passwordHash = await hashPassword(body.password);
+        const userId = consumeOneTimeToken(store.data, 'reset', body.token);
+        const user = userId && store.data.users.find(u => u.id === userId);
+        if (!user) {
+            throw new HttpError(400, 'validation', 'This reset link is invalid or has expired. Please ask for a new one.');
+        }
+
+        // The link proves the inbox is theirs; old sessions may belong to someone else
+        user.passwordHash = passwordHash;
+        user.emailVerified = true;
+        grantAdmin(user);
+        endSessions(store.data, user.id);
+        store.save();
+        return { status: 204 };
+    });
+
+    router.get('/auth/session', async ({ headers }) => {
+        const user = requireUser(headers);
+        return { body: { user: publicUser(user), expiresAt: getSession(headers).expiresAt } };
+    });
+}
+
+module.exports = registerAuthRoutes;
+module.exports.endSessions = endSessions;
@@ -0,0 +1,184 @@
+/**
+ * PhysicsLearn Server - Class Routes
+ * Classes run by teachers, joined with a code, with lessons assigned to them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('../store');
+const { HttpError } = require('../router');
+const { publicClass } = require('../models');
+const Permissions = require('../../js/permissions');
+
+// No 0/O or 1/I, so codes can be read out in class
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+function createJoinCode(db) {
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+    } while (db.classes.some(c => c.joinCode === code));
+    return code;
+}
+
+function findClass(db, classId) {
+    const classroom = db.classes.find(c => c.id === classId);
+    if (!classroom) {
+        throw new HttpError(404, 'not_found', 'That class could not be found.');
+    }
+    return classroom;
+}
+
+function validateClassFields(body, required) {
+    const details = {};
+    if (required || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) details.name = 'Please name the class';
+        else if (body.name.trim().length > 100) details.name = 'Please keep the name under 100 characters';
+    }
+    if (body.description !== undefined && String(body.description).length > 1000) {
+        details.description = 'Please keep the description under 1000 characters';
+    }
+    if (Object.keys(details).length > 0) {
+        throw new HttpError(400, 'validation', 'Please check the class details.', details);
+    }
+}
+
+/**
+ * Lessons listed in lessons/index.json; null when the index cannot be read,
+ * in which case any well-formed lesson id is accepted
+ */
+function readLessonIndex(root) {
+    try {
+        const index = JSON.parse(fs.readFileSync(path.join(root, 'lessons', 'index.json'), 'utf8'));
+        return Array.isArray(index.lessons) ? index.lessons : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function registerClassRoutes(router, { store, root, requireUser, authorize }) {
+    // Classes the user teaches or has joined; administrators see every class
+    router.get('/classes', async ({ headers }) => {
+        const user = requireUser(headers);
+        const db = store.data;
+        const classes = db.classes.filter(c => Permissions.can(user, 'class:view', c));
+
+        return { body: { classes: classes.map(c => publicClass(db, c, user)) } };
+    });
+
+    router.post('/classes', async ({ body, headers }) => {
+        const user = authorize(headers, 'class:create');
+        validateClassFields(body, true);
+
+        const classroom = {
+            id: JsonStore.id('class'),
+            name: body.name.trim(),
+            description: String(body.description || '').trim(),
+            ownerId: user.id,
+            joinCode: createJoinCode(store.data),
+            memberIds: [],
+            assignments: [],
+            createdAt: new Date().toISOString()
+        };
+        store.data.classes.push(classroom);
+        store.save();
+
+        return { status: 201, body: { class: publicClass(store.data, classroom, user) } };
+    });
+
+    router.post('/classes/join', async ({ body, headers }) => {
+        const user = requireUser(headers);
+        const code = String(body.code || '').trim().toUpperCase();
+        const classroom = store.data.classes.find(c => c.joinCode === code);
+        if (!classroom) {
+            throw new HttpError(404, 'not_found', 'No class has that code. Please check it with your teacher.', { code: 'Unknown class code' });
+        }
+
+        if (classroom.ownerId !== user.id && !classroom.memberIds.includes(user.id)) {
+            classroom.memberIds.push(user.id);
+            store.save();
+        }
+        return { body: { class: publicClass(store.data, classroom, user) } };
+    });
+
+    router.get('/classes/:id', async ({ params, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        const user = authorize(headers, 'class:view', classroom);
+        return { body: { class: publicClass(store.data, classroom, user) } };
+    });
+
+    router.patch('/classes/:id', async ({ params, body, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        const user = authorize(headers, 'class:manage', classroom);
+        validateClassFields(body, false);
+
+        if (body.name !== undefined) classroom.name = body.name.trim();
+        if (body.description !== undefined) classroom.description = String(body.description).trim();
+        store.save();
+
+        return { body: { class: publicClass(store.data, classroom, user) } };
+    });
+
+    router.delete('/classes/:id', async ({ params, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        authorize(headers, 'class:manage', classroom);
+
+        store.data.classes = store.data.classes.filter(c => c.id !== classroom.id);
+        store.save();
+        return { status: 204 };
+    });
+
+    router.post('/classes/:id/assignments', async ({ params, body, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        const user = authorize(headers, 'class:manage', classroom);
+
+        const lessonId = String(body.lessonId || '');
+        const lessons = readLessonIndex(root);
+        const lesson = lessons ? lessons.find(l => l.id === lessonId) : null;
+        if (lessons ? !lesson : !/^[\w-]+$/.test(lessonId)) {
+            throw new HttpError(400, 'validation', 'Please choose a lesson.', { lessonId: 'Unknown lesson' });
+        }
+        if (body.dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(body.dueDate)) {
+            throw new HttpError(400, 'validation', 'Please enter the due date as YYYY-MM-DD.', { dueDate: 'Invalid date' });
+        }
+
+        const assignment = {
+            id: JsonStore.id('assignment'),
+            lessonId,
+            title: lesson ? lesson.title : lessonId,
+            note: String(body.note || '').trim().slice(0, 500),
+            dueDate: body.dueDate || null,
+            assignedAt: new Date().toISOString()
+        };
+        classroom.assignments.push(assignment);
+        store.save();
+
+        return { status: 201, body: { assignment, class: publicClass(store.data, classroom, user) } };
+    });
+
+    router.delete('/classes/:id/assignments/:assignmentId', async ({ params, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        authorize(headers, 'class:manage', classroom);
+
+        classroom.assignments = classroom.assignments.filter(a => a.id !== params.assignmentId);
+        store.save();
+        return { status: 204 };
+    });
+
+    // Teachers remove students; students leave by removing themselves
+    router.delete('/classes/:id/members/:userId', async ({ params, headers }) => {
+        const classroom = findClass(store.data, params.id);
+        const user = requireUser(headers);
+        if (params.userId !== user.id) {
+            authorize(headers, 'class:manage', classroom);
+        }
+
+        classroom.memberIds = classroom.memberIds.filter(id => id !== params.userId);
+        store.save();
+        return { status: 204 };
+    });
+}
+
+module.exports = registerClassRoutes;
@@ -0,0 +1,36 @@
+/**
+ * PhysicsLearn Server - Contact Routes
+ * Messages from the contact form
+ */
+
+const JsonStore = require('../store');
+const { HttpError } = require('../router');
+
+// Fields of the contact form (see ContactManager.handleFormSubmission)
+const MESSAGE_FIELDS = ['name', 'email', 'phone', 'subject', 'message', 'newsletter'];
+
+function registerContactRoutes(router, { store }) {
+    router.post('/contact', async ({ body }) => {
+        const details = {};
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(body.email || '').trim())) {
+            details.email = 'Please enter a valid email address';
+        }
+        if (!String(body.message || '').trim()) {
+            details.message = 'Please enter a message';
+        }
+        if (Object.keys(details).length > 0) {
+            throw new HttpError(400, 'validation', 'Please include your email and a message.', details);
+        }
+
+        const message = { id: JsonStore.id('msg'), timestamp: new Date().toISOString() };
+        MESSAGE_FIELDS.forEach(field => {
+            if (body[field] !== undefined) message[field] = body[field];
+        });
+        store.data.messages.push(message);
+        store.save();
+
+        return { status: 201, body: { messageId: message.id } };
+    });
+}
+
+module.exports = registerContactRoutes;
@@ -0,0 +1,390 @@
+/**
+ * PhysicsLearn Server - Forum Routes
+ * Topics, replies, votes and moderation
+ */
+
+const JsonStore = require('../store');
+const { HttpError } = require('../router');
+const { displayName, publicHistory, publicTopic, publicReply, publicActivity, forumStats } = require('../models');
+const Permissions = require('../../js/permissions');
+const SearchIndex = require('../../js/search-index');
+
+// Category values offered by ForumManager.createNewTopicModal
+const CATEGORIES = ['classical', 'waves', 'electromagnetism', 'thermodynamics', 'quantum', 'problems'];
+
+// Length of the excerpt kept when a reply quotes another
+const QUOTE_LENGTH = 300;
+
+function findTopic(db, topicId) {
+    const topic = db.topics.find(t => t.id === topicId);
+    if (!topic) {
+        throw new HttpError(404, 'not_found', 'That discussion could not be found.');
+    }
+    return topic;
+}
+
+function findReply(db, topic, replyId, field) {
+    const reply = db.replies.find(r => r.id === replyId && r.topicId === topic.id);
+    if (!reply) {
+        if (field) {
+            throw new HttpError(400, 'validation', 'That reply is not part of this discussion.', { [field]: 'Unknown reply' });
+        }
+        throw new HttpError(404, 'not_found', 'That reply could not be found.');
+    }
+    return reply;
+}
+
+/**
+ * Record `user`'s vote on a topic or reply: 1, -1, or 0 to withdraw it.
+ * Votes are kept per user, so voting again replaces the earlier vote.
+ */
+function castVote(post, user, body, action) {
+    if (!Permissions.can(user, action, post)) {
+        throw new HttpError(403, 'forbidden', 'You cannot vote on your own posts.');
+    }
+    const value = body.value;
+    if (!Number.isInteger(value) || ![-1, 0, 1].includes(value)) {
+        throw new HttpError(400, 'validation', 'A vote must be 1, -1 or 0.');
+    }
+
+    post.votes = post.votes || {};
+    if (value === 0) {
+        delete post.votes[user.id];
+    } else {
+        post.votes[user.id] = value;
+    }
+}
+
+/**
+ * Checks the title, category and content fields present in `body`
+ */
+function validateTopicFields(body, required) {
+    const details = {};
+    if (required || body.title !== undefined) {
+        if (typeof body.title !== 'string' || !body.title.trim()) details.title = 'Please enter a title';
+        else if (body.title.length > 200) details.title = 'Please keep the title under 200 characters';
+    }
+    if ((required || body.category !== undefined) && !CATEGORIES.includes(body.category)) {
+        details.category = 'Please select a category';
+    }
+    if ((required || body.content !== undefined) && (typeof body.content !== 'string' || !body.content.trim())) {
+        details.content = 'Please describe your topic';
+    }
+    if (Object.keys(details).length > 0) {
+        throw new HttpError(400, 'validation', 'Please fill in every field.', details);
+    }
+}
+
+/**
+ * Reads the filters of a search: `category`, `author` (part of a name or
+ * username, or a user id), `from` and `to` (dates or timestamps, both
+ * inclusive) and `solved`
+ */
+function readSearchFilters(query) {
+    const details = {};
+    const filters = {
+        category: query.category || null,
+        author: String(query.author || '').trim().toLowerCase() || null,
+        from: query.from ? Date.parse(query.from) : null,
+        to: query.to ? Date.parse(query.to) : null,
+        solved: query.solved ? query.solved === 'true' : null
+    };
+
+    if (filters.category && !CATEGORIES.includes(filters.category)) details.category = 'Unknown category';
+    if (Number.isNaN(filters.from)) details.from = 'Please enter a valid date';
+    if (Number.isNaN(filters.to)) details.to = 'Please enter a valid date';
+    if (query.solved && !['true', 'false'].includes(query.solved)) details.solved = 'Must be true or false';
+    if (Object.keys(details).length > 0) {
+        throw new HttpError(400, 'validation', 'Please check the search filters.', details);
+    }
+
+    // A bare date in `to` includes that whole day
+    if (filters.to !== null && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) filters.to += 24 * 60 * 60 * 1000 - 1;
+    return filters;
+}
+
+function matchesSearchFilters(db, topic, filters) {
+    const created = Date.parse(topic.createdAt);
+    if (filters.category && topic.category !== filters.category) return false;
+    if (filters.solved !== null && Boolean(topic.solved) !== filters.solved) return false;
+    if (filters.from !== null && created < filters.from) return false;
+    if (filters.to !== null && created > filters.to) return false;
+    if (filters.author && topic.authorId !== filters.author) {
+        const author = db.users.find(u => u.id === topic.authorId);
+        return Boolean(author) && [displayName(author), author.username || '']
+            .some(name => name.toLowerCase().includes(filters.author));
+    }
+    return true;
+}
+
+function registerForumRoutes(router, { store, live, authenticate, requireUser, authorize }) {
+    const searchIndex = new SearchIndex();
+
+    // Open forum pages learn about changes as they happen. Events carry
+    // what any visitor may see, so `userVote` is always 0 in them.
+    const publishTopic = (type, topic) => live.publish(type, {
+        topic: { ...publicTopic(store.data, topic, null), history: publicHistory(store.data, topic.history) }
+    });
+
+    // Topics ranked by how well their title, body and replies match `q`
+    // (newest first without one), narrowed by the filters above
+    router.get('/forum/search', async ({ query, headers }) => {
+        const db = store.data;
+        const viewer = authenticate(headers);
+        const filters = readSearchFilters(query);
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(query.limit, 10) || 10));
+
+        searchIndex.syncForum(db);
+        const { results, didYouMean } = String(query.q || '').trim() ? searchIndex.search(query.q) : {
+            results: db.topics
+                .slice()
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(t => ({ id: t.id, score: 0, terms: [] })),
+            didYouMean: null
+        };
+
+        const topics = new Map(db.topics.map(t => [t.id, t]));
+        const matches = results.filter(result => matchesSearchFilters(db, topics.get(result.id), filters));
+
+        return {
+            body: {
+                results: matches.slice((page - 1) * limit, page * limit).map(result => ({
+                    topic: publicTopic(db, topics.get(result.id), viewer),
+                    score: Math.round(result.score * 1000) / 1000,
+                    terms: result.terms
+                })),
+                didYouMean,
+                page,
+                limit,
+                total: matches.length,
+                totalPages: Math.max(1, Math.ceil(matches.length / limit))
+            }
+        };
+    });
+
+    router.get('/forum/search/suggestions', async ({ query }) => {
+        searchIndex.syncForum(store.data);
+        return { body: { suggestions: searchIndex.suggest(String(query.q || '')) } };
+    });
+
+    router.get('/forum/topics', async ({ query, headers }) => {
+        const db = store.data;
+        const viewer = authenticate(headers);
+        const page = Math.max(1, parseInt(query.page, 10) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(query.limit, 10) || 10));
+
+        const topics = db.topics
+            .filter(topic => !query.category || topic.category === query.category)
+            .sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            body: {
+                topics: topics.slice((page - 1) * limit, page * limit).map(t => publicTopic(db, t, viewer)),
+                page,
+                limit,
+                total: topics.length,
+                totalPages: Math.max(1, Math.ceil(topics.length / limit))
+            }
+        };
+    });
+
+    router.post('/forum/topics', async ({ body, headers }) => {
+        const user = authorize(headers, 'topic:create');
+        validateTopicFields(body, true);
+
+        const now = new Date().toISOString();
+        const topic = {
+            id: JsonStore.id('topic'),
+            title: body.title.trim(),
+            content: body.content,
+            category: body.category,
+            isQuestion: Boolean(body['is-question']),
+            solved: false,
+            solvedAt: null,
+            acceptedReplyId: null,
+            pinned: false,
+            locked: false,
+            authorId: user.id,
+            createdAt: now,
+            updatedAt: now,
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {},
+            views: 0
+        };
+        store.data.topics.push(topic);
+        store.save();
+
+        publishTopic('topic:created', topic);
+        live.publish('activity', publicActivity(store.data, 'started', topic));
+        live.publish('stats', forumStats(store.data));
+        return { status: 201, body: { topic: publicTopic(store.data, topic, user) } };
+    });
+
+    router.get('/forum/topics/:id', async ({ params, headers }) => {
+        const db = store.data;
+        const viewer = authenticate(headers);
+        const topic = findTopic(db, params.id);
+        topic.views++;
+        store.save();
+
+        return {
+            body: {
+                topic: { ...publicTopic(db, topic, viewer), history: publicHistory(db, topic.history) },
+                replies: db.replies
+                    .filter(r => r.topicId === topic.id)
+                    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                    .map(r => publicReply(db, r, viewer))
+            }
+        };
+    });
+
+    // Authors may edit their own topics until they are locked; pinning and
+    // locking are for moderators. Edits keep the previous title and content
+    // in the topic's history.
+    router.patch('/forum/topics/:id', async ({ params, body, headers }) => {
+        const topic = findTopic(store.data, params.id);
+        const user = requireUser(headers);
+
+        const edits = ['title', 'content', 'category'].filter(field => body[field] !== undefined);
+        if (edits.length > 0) {
+            authorize(headers, 'topic:edit', topic);
+            validateTopicFields(body, false);
+        }
+        if (body.pinned !== undefined) authorize(headers, 'topic:pin', topic);
+        if (body.locked !== undefined) authorize(headers, 'topic:lock', topic);
+
+        if (edits.length > 0) {
+            const now = new Date().toISOString();
+            topic.history = topic.history || [];
+            topic.history.push({ title: topic.title, content: topic.content, editedAt: now, editorId: user.id });
+            edits.forEach(field => {
+                topic[field] = field === 'title' ? body.title.trim() : body[field];
+            });
+            topic.editedAt = now;
+            topic.updatedAt = now;
+        }
+        if (body.pinned !== undefined) topic.pinned = Boolean(body.pinned);
+        if (body.locked !== undefined) topic.locked = Boolean(body.locked);
+        store.save();
+
+        publishTopic('topic:updated', topic);
+        return { body: { topic: { ...publicTopic(store.data, topic, user), history: publicHistory(store.data, topic.history) } } };
+    });
+
+    router.delete('/forum/topics/:id', async ({ params, headers }) => {
+        const topic = findTopic(store.data, params.id);
+        authorize(headers, 'topic:delete', topic);
+
+        store.data.topics = store.data.topics.filter(t => t.id !== topic.id);
+        store.data.replies = store.data.replies.filter(r => r.topicId !== topic.id);
+        store.save();
+
+        live.publish('topic:deleted', { topicId: topic.id });
+        live.publish('stats', forumStats(store.data));
+        return { status: 204 };
+    });
+
+    router.post('/forum/topics/:id/replies', async ({ params, body, headers }) => {
+        const topic = findTopic(store.data, params.id);
+        const user = requireUser(headers);
+        if (!Permissions.can(user, 'reply:create', topic)) {
+            throw new HttpError(403, 'forbidden', 'This discussion is locked.');
+        }
+        if (typeof body.content !== 'string' || !body.content.trim()) {
+            throw new HttpError(400, 'validation', 'Your reply is empty.', { content: 'Please write a reply' });
+        }
+
+        // `parentId` answers another reply; `quoteId` quotes one, keeping its text as it was then
+        const parent = body.parentId ? findReply(store.data, topic, body.parentId, 'parentId') : null;
+        const quoted = body.quoteId ? findReply(store.data, topic, body.quoteId, 'quoteId') : null;
+
+        const reply = {
+            id: JsonStore.id('reply'),
+            topicId: topic.id,
+            parentId: parent ? parent.id : null,
+            quote: quoted ? { replyId: quoted.id, authorId: quoted.authorId, text: quoted.content.slice(0, QUOTE_LENGTH) } : null,
+            content: body.content,
+            authorId: user.id,
+            createdAt: new Date().toISOString(),
+            editedAt: null,
+            history: [],
+            baseVotes: 0,
+            votes: {}
+        };
+        store.data.replies.push(reply);
+        topic.updatedAt = reply.createdAt;
+        store.save();
+
+        live.publish('reply:created', {
+            reply: publicReply(store.data, reply, null),
+            topic: publicTopic(store.data, topic, null)
+        });
+        live.publish('activity', publicActivity(store.data, 'replied', topic, reply));
+        live.publish('stats', forumStats(store.data));
+        return { status: 201, body: { reply: publicReply(store.data, reply, user) } };
+    });
+
+    router.patch('/forum/topics/:id/replies/:replyId', async ({ params, body, headers }) => {
+        const topic = findTopic(store.data, params.id);
+        const reply = findReply(store.data, topic, params.replyId);
+        const user = authorize(headers, 'reply:edit', { authorId: reply.authorId, locked: topic.locked });
+        if (typeof body.content !== 'string' || !body.content.trim()) {
+            throw new HttpError(400, 'validation', 'Your reply is empty.', { content: 'Please write a reply' });
+        }
+
+        const now = new Date().toISOString();
+        reply.history = reply.history || [];
+        reply.history.push({ content: reply.content, editedAt: now, editorId: user.id });
+        reply.content = body.content;
+        reply.editedAt = now;
+        store.save();
+
+        live.publish('reply:updated', { reply: publicReply(store.data, reply, null) });
+        return { body: { reply: publicReply(store.data, reply, user) } };
+    });
+
+    router.put('/forum/topics/:id/replies/:replyId/vote', async ({ params, body, headers }) => {
+        const user = requireUser(headers);
+        const topic = findTopic(store.data, params.id);
+        const reply = findReply(store.data, topic, params.replyId);
+        castVote(reply, user, body, 'reply:vote');
+        store.save();
+
+        const result = publicReply(store.data, reply, user);
+        live.publish('vote', { target: { topicId: topic.id, replyId: reply.id }, votes: result.votes });
+        return { body: { votes: result.votes, userVote: result.userVote } };
+    });
+
+    // The topic's author (or a moderator) accepts a reply as the answer, which
+    // marks the topic solved; `replyId: null` withdraws it
+    router.put('/forum/topics/:id/accepted', async ({ params, body, headers }) => {
+        const topic = findTopic(store.data, params.id);
+        const user = authorize(headers, 'topic:accept', topic);
+        const reply = body.replyId ? findReply(store.data, topic, body.replyId, 'replyId') : null;
+
+        topic.acceptedReplyId = reply ? reply.id : null;
+        topic.solved = Boolean(reply);
+        topic.solvedAt = reply ? new Date().toISOString() : null;
+        store.save();
+
+        publishTopic('topic:updated', topic);
+        if (reply) live.publish('activity', publicActivity(store.data, 'solved', topic, reply));
+        return { body: { topic: publicTopic(store.data, topic, user) } };
+    });
+
+    router.put('/forum/topics/:id/vote', async ({ params, body, headers }) => {
+        const user = requireUser(headers);
+        const topic = findTopic(store.data, params.id);
+        castVote(topic, user, body, 'topic:vote');
+        store.save();
+
+        const result = publicTopic(store.data, topic, user);
+        live.publish('vote', { target: { topicId: topic.id }, votes: result.votes });
+        return { body: { votes: result.votes, userVote: result.userVote } };
+    });
+}
+
+module.exports = registerForumRoutes;
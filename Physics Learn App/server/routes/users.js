@@ -0,0 +1,41 @@
+/**
+ * PhysicsLearn Server - User Routes
+ * Account administration
+ */
+
+const { HttpError } = require('../router');
+const { publicUser } = require('../models');
+const Permissions = require('../../js/permissions');
+
+function registerUserRoutes(router, { store, authorize }) {
+    router.get('/users', async ({ headers }) => {
+        authorize(headers, 'user:manage-roles');
+        const users = store.data.users
+            .map(publicUser)
+            .sort((a, b) => a.username.localeCompare(b.username));
+        return { body: { users } };
+    });
+
+    router.put('/users/:id/role', async ({ params, body, headers }) => {
+        const admin = authorize(headers, 'user:manage-roles');
+        const user = store.data.users.find(u => u.id === params.id);
+        if (!user) {
+            throw new HttpError(404, 'not_found', 'That account could not be found.');
+        }
+        if (!Permissions.ROLES.includes(body.role)) {
+            throw new HttpError(400, 'validation', `Role must be one of: ${Permissions.ROLES.join(', ')}.`, { role: 'Unknown role' });
+        }
+        // Keeps at least one administrator around
+        if (user.id === admin.id && body.role !== 'admin') {
+            throw new HttpError(400, 'validation', 'You cannot remove your own administrator role.');
+        }
+
+        // Setting any role answers a pending request, granted or not
+        user.role = body.role;
+        delete user.roleRequest;
+        store.save();
+        return { body: { user: publicUser(user) } };
+    });
+}
+
+module.exports = registerUserRoutes;
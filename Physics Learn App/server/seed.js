@@ -0,0 +1,23 @@
+/**
+ * PhysicsLearn Server - Seed Data
+ * Starting forum shared with the in-browser fake backend
+ */
+
+const FakeApiAdapter = require('../js/api-fake-adapter');
+
+/**
+ * The fake backend's members, discussions and replies. Seeded members keep
+ * their names on the forum but have no password, so nobody can log in as
+ * them; the fake's public demo accounts (the ones with a password) are left
+ * out entirely, so their well-known passwords open nothing. The administrator
+ * is named when the server starts (--admin / ADMIN_EMAIL).
+ */
+function seed() {
+    const data = FakeApiAdapter.seed();
+    data.users = data.users
+        .filter(user => !user.password)
+        .map(user => ({ ...user, passwordHash: null }));
+    return data;
+}
+
+module.exports = seed;
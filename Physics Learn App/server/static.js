@@ -0,0 +1,103 @@
+/**
+ * PhysicsLearn Server - Static Files
+ * Serves the front end from the project directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+// Server-side code, data and tooling are never served
+const HIDDEN = ['server', 'node_modules', '.git'];
+
+/**
+ * Serve a file below `root`. HTML pages get a `physicslearn-api` meta tag
+ * pointing at this server's API, so the same pages that use the in-browser
+ * fake when opened from disk talk to the server when served by it.
+ */
+function serveStatic(root, apiPrefix, req, res, url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+    if (pathname.endsWith('/')) {
+        pathname += 'index.html';
+    }
+
+    const file = path.join(root, path.normalize(pathname));
+    const relative = path.relative(root, file);
+    const topLevel = relative.split(path.sep)[0];
+
+    if (relative.startsWith('..') || path.isAbsolute(relative) || HIDDEN.includes(topLevel) ||
+        relative.split(path.sep).some(part => part.startsWith('.'))) {
+        sendNotFound(res);
+        return;
+    }
+
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendNotFound(res);
+            return;
+        }
+
+        const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+        if (type.startsWith('text/html')) {
+            fs.readFile(file, 'utf8', (readError, html) => {
+                if (readError) {
+                    sendNotFound(res);
+                    return;
+                }
+                const body = injectApiMeta(html, apiPrefix);
+                res.writeHead(200, { 'Content-Type': type, 'Content-Length': Buffer.byteLength(body) });
+                res.end(req.method === 'HEAD' ? undefined : body);
+            });
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': type, 'Content-Length': stats.size });
+        if (req.method === 'HEAD') {
+            res.end();
+        } else {
+            fs.createReadStream(file).pipe(res);
+        }
+    });
+}
+
+function injectApiMeta(html, apiPrefix) {
+    if (html.includes('name="physicslearn-api"')) return html;
+    return html.replace('</head>', `    <meta name="physicslearn-api" content="${apiPrefix}">\n</head>`);
+}
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+}
+
+module.exports = { serveStatic };
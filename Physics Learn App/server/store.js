@@ -0,0 +1,61 @@
+/**
+ * PhysicsLearn Server - Store
+ * JSON file database with atomic writes
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps the whole database in memory and writes it back to one JSON file
+ * after every change. Writes go to a temporary file that is then renamed
+ * over the old one, so a crash never leaves a half-written database. This
+ * comfortably handles a school's worth of users; nothing here needs a
+ * database server or native modules.
+ */
+class JsonStore {
+    constructor(file) {
+        this.file = file;
+        this.data = null;
+    }
+
+    static createEmpty() {
+        return {
+            version: 1,
+            users: [],
+            sessions: {},
+            authTokens: {},
+            topics: [],
+            replies: [],
+            classes: [],
+            messages: []
+        };
+    }
+
+    /**
+     * Load the database, creating it from `seed()` the first time
+     */
+    open(seed = JsonStore.createEmpty) {
+        if (fs.existsSync(this.file)) {
+            this.data = { ...JsonStore.createEmpty(), ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+        } else {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            this.data = seed();
+            this.save();
+        }
+        return this;
+    }
+
+    save() {
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.data, null, 2));
+        fs.renameSync(temporary, this.file);
+    }
+
+    static id(prefix) {
+        return `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,115 @@
+/**
+ * PhysicsLearn Server - Tokens
+ * Signed session tokens and one-time tokens for emailed links
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Base64url by hand; Buffer's 'base64url' encoding needs Node 15.7
+function encode(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decode(text) {
+    return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function sign(data, secret) {
+    return encode(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * Token of the form `<payload>.<signature>`, where the payload is
+ * `{ sid, exp }` (exp in milliseconds since the epoch)
+ */
+function signToken(payload, secret) {
+    const data = encode(Buffer.from(JSON.stringify(payload)));
+    return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Payload of a token with a valid signature that has not expired, or null.
+ * Callers still check that the session it names has not been revoked.
+ */
+function verifyToken(token, secret, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(decode(data).toString('utf8'));
+        return payload && typeof payload.exp === 'number' && payload.exp > now ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Random token for an emailed link (email verification, password reset).
+ * Only its SHA-256 hash is stored, so a leaked database cannot be used to
+ * take over accounts.
+ */
+function createOneTimeToken(db, type, userId, lifetime) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    // Expired tokens are dropped as new ones are issued
+    Object.entries(db.authTokens).forEach(([key, entry]) => {
+        if (!(Date.parse(entry.expiresAt) > now)) delete db.authTokens[key];
+    });
+    db.authTokens[hashToken(token)] = {
+        type,
+        userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + lifetime).toISOString()
+    };
+    return token;
+}
+
+/**
+ * User id a valid one-time token was issued for, or null. Using a token
+ * also discards every other token of that type for the same user.
+ */
+function consumeOneTimeToken(db, type, token) {
+    const entry = typeof token === 'string' ? db.authTokens[hashToken(token)] : null;
+    if (!entry || entry.type !== type || !(Date.parse(entry.expiresAt) > Date.now())) {
+        return null;
+    }
+
+    Object.entries(db.authTokens).forEach(([key, other]) => {
+        if (other.type === type && other.userId === entry.userId) delete db.authTokens[key];
+    });
+    return entry.userId;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Signing key kept next to the database, created on first start. Deleting
+ * the file (or changing SESSION_SECRET) signs everyone out.
+ */
+function loadSecret(dataDir) {
+    if (process.env.SESSION_SECRET) {
+        return process.env.SESSION_SECRET;
+    }
+
+    const file = path.join(dataDir, 'session.key');
+    if (!fs.existsSync(file)) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+}
+
+module.exports = { signToken, verifyToken, createOneTimeToken, consumeOneTimeToken, loadSecret };
@@ -0,0 +1,192 @@
+/**
+ * PhysicsLearn Server - WebSocket
+ * Just enough of RFC 6455 to push JSON messages to browsers
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Fixed by RFC 6455 for the Sec-WebSocket-Accept header
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+/**
+ * A server-side WebSocket connection. Sends text messages, answers pings
+ * and close frames, and pings the browser every `heartbeat` milliseconds,
+ * dropping it when the previous ping went unanswered. Messages from the
+ * browser are emitted as 'message' (text) events; 'close' is emitted once.
+ */
+class WebSocketConnection extends EventEmitter {
+    /**
+     * Complete the opening handshake of an HTTP upgrade request, or refuse
+     * it. Returns null when the request is not a valid WebSocket upgrade.
+     */
+    static accept(req, socket, options = {}) {
+        const key = req.headers['sec-websocket-key'];
+        const valid = req.method === 'GET' &&
+            String(req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+            req.headers['sec-websocket-version'] === '13' &&
+            key && Buffer.from(key, 'base64').length === 16;
+
+        if (!valid) {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return null;
+        }
+
+        const digest = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${digest}`,
+            '', ''
+        ].join('\r\n'));
+        return new WebSocketConnection(socket, options);
+    }
+
+    constructor(socket, { heartbeat = 30000, maxPayload = 64 * 1024 } = {}) {
+        super();
+        this.socket = socket;
+        this.maxPayload = maxPayload;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.alive = true;
+        this.closing = false;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+
+        this.heartbeat = setInterval(() => {
+            if (!this.alive) {
+                socket.destroy();
+                return;
+            }
+            this.alive = false;
+            this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+        }, heartbeat);
+        this.heartbeat.unref();
+    }
+
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Start the closing handshake; the socket ends when the browser answers
+     * or after a second at the latest
+     */
+    close(code = 1000) {
+        if (this.closed || this.closing) return;
+        this.closing = true;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.close, payload);
+        setTimeout(() => this.socket.destroy(), 1000).unref();
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || !this.socket.writable) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt16BE(payload.length, 2);
+            header[1] = 126;
+        } else {
+            header = Buffer.alloc(10);
+            header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+            header.writeUInt32BE(payload.length % 2 ** 32, 6);
+            header[1] = 127;
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const fin = (this.buffer[0] & 0x80) !== 0;
+            const opcode = this.buffer[0] & 0x0f;
+            const masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = this.buffer.readUInt32BE(2) * 2 ** 32 + this.buffer.readUInt32BE(6);
+                offset = 10;
+            }
+
+            // Browsers always mask what they send
+            if (!masked) {
+                this.close(1002);
+                return;
+            }
+            if (length > this.maxPayload) {
+                this.close(1009);
+                return;
+            }
+            if (this.buffer.length < offset + 4 + length) return;
+
+            const mask = this.buffer.slice(offset, offset + 4);
+            const payload = Buffer.from(this.buffer.slice(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+            this.buffer = this.buffer.slice(offset + 4 + length);
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((sum, part) => sum + part.length, 0);
+                if (size > this.maxPayload) {
+                    this.close(1009);
+                } else if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            }
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+            case OPCODES.close:
+                if (!this.closing) this.sendFrame(OPCODES.close, payload.slice(0, 2));
+                this.socket.end();
+                this.finish();
+                break;
+            default:
+                this.close(1002);
+        }
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.heartbeat);
+        this.emit('close');
+    }
+}
+
+module.exports = WebSocketConnection;